@@ -3,9 +3,13 @@ import { defineAuth } from '@aws-amplify/backend';
 /**
  * Define and configure your auth resource
  * @see https://docs.amplify.aws/gen2/build-a-backend/auth
+ *
+ * Applicants sign up with email. Staff are added to the Admissions group
+ * (reviewing applications) or the Admins group (also the program catalog).
  */
 export const auth = defineAuth({
   loginWith: {
     email: true,
   },
+  groups: ['Admins', 'Admissions'],
 });
@@ -0,0 +1,32 @@
+/**
+ * Lifecycle of an application. An applicant fills in a DRAFT and submits
+ * it; admissions staff move it through review to a decision. Anything
+ * before a final decision can still be withdrawn by the applicant.
+ */
+export const APPLICATION_STATUSES = [
+  "DRAFT",
+  "SUBMITTED",
+  "UNDER_REVIEW",
+  "DOCUMENTS_REQUIRED",
+  "ACCEPTED",
+  "WAITLISTED",
+  "REJECTED",
+  "WITHDRAWN",
+] as const;
+
+export type ApplicationStatus = (typeof APPLICATION_STATUSES)[number];
+
+export const APPLICATION_TRANSITIONS: Record<ApplicationStatus, readonly ApplicationStatus[]> = {
+  DRAFT: ["SUBMITTED", "WITHDRAWN"],
+  SUBMITTED: ["UNDER_REVIEW", "WITHDRAWN"],
+  UNDER_REVIEW: ["DOCUMENTS_REQUIRED", "ACCEPTED", "WAITLISTED", "REJECTED", "WITHDRAWN"],
+  DOCUMENTS_REQUIRED: ["UNDER_REVIEW", "WITHDRAWN"],
+  WAITLISTED: ["ACCEPTED", "REJECTED", "WITHDRAWN"],
+  ACCEPTED: [],
+  REJECTED: [],
+  WITHDRAWN: [],
+};
+
+export function canTransition(from: ApplicationStatus, to: ApplicationStatus): boolean {
+  return APPLICATION_TRANSITIONS[from].includes(to);
+}
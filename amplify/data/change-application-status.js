@@ -0,0 +1,88 @@
+import { util } from '@aws-appsync/utils';
+
+/**
+ * changeApplicationStatus: the only way an application's status changes.
+ * Applicants may submit or withdraw their own application; admissions
+ * staff make every other move. The update is conditional on the status
+ * the application is in, so a move that is not in the lifecycle (or that
+ * races another change) fails instead of overwriting.
+ *
+ * AppSync resolvers are deployed as single files, so the lifecycle is
+ * repeated here; change-application-status.test.js keeps it identical to
+ * APPLICATION_TRANSITIONS in application-status.ts.
+ */
+
+export const APPLICATION_TRANSITIONS = {
+  DRAFT: ['SUBMITTED', 'WITHDRAWN'],
+  SUBMITTED: ['UNDER_REVIEW', 'WITHDRAWN'],
+  UNDER_REVIEW: ['DOCUMENTS_REQUIRED', 'ACCEPTED', 'WAITLISTED', 'REJECTED', 'WITHDRAWN'],
+  DOCUMENTS_REQUIRED: ['UNDER_REVIEW', 'WITHDRAWN'],
+  WAITLISTED: ['ACCEPTED', 'REJECTED', 'WITHDRAWN'],
+  ACCEPTED: [],
+  REJECTED: [],
+  WITHDRAWN: [],
+};
+
+const STAFF_GROUPS = ['Admins', 'Admissions'];
+const APPLICANT_MOVES = ['SUBMITTED', 'WITHDRAWN'];
+const DECISIONS = ['ACCEPTED', 'WAITLISTED', 'REJECTED'];
+
+export function request(ctx) {
+  const { id, status, note } = ctx.args;
+  const groups = ctx.identity.groups || [];
+  const staff = groups.some((group) => STAFF_GROUPS.includes(group));
+  if (!staff && !APPLICANT_MOVES.includes(status)) {
+    util.unauthorized();
+  }
+
+  const from = Object.keys(APPLICATION_TRANSITIONS).filter((current) => APPLICATION_TRANSITIONS[current].includes(status));
+  if (from.length === 0) {
+    util.error(`No application can move to ${status}`, 'InvalidTransition');
+  }
+
+  const now = util.time.nowISO8601();
+  const names = { '#status': 'status', '#history': 'statusHistory', '#updatedAt': 'updatedAt' };
+  const values = { ':status': status, ':change': [{ status, changedAt: now, note }], ':empty': [], ':now': now };
+  const sets = ['#status = :status', '#history = list_append(if_not_exists(#history, :empty), :change)', '#updatedAt = :now'];
+  if (status === 'SUBMITTED') {
+    names['#submittedAt'] = 'submittedAt';
+    sets.push('#submittedAt = :now');
+  }
+  if (DECISIONS.includes(status)) {
+    names['#decidedAt'] = 'decidedAt';
+    sets.push('#decidedAt = :now');
+  }
+
+  // An application created by its owner has no status yet: it is a draft
+  const conditionNames = { '#status': 'status' };
+  const conditionValues = {};
+  from.forEach((current, index) => {
+    conditionValues[`:from${index}`] = current;
+  });
+  let condition = `#status IN (${Object.keys(conditionValues).join(', ')})`;
+  if (from.includes('DRAFT')) {
+    condition = `(attribute_not_exists(#status) OR ${condition})`;
+  }
+  if (!staff) {
+    conditionNames['#owner'] = 'owner';
+    conditionValues[':owner'] = `${ctx.identity.sub}::`;
+    condition = `${condition} AND begins_with(#owner, :owner)`;
+  }
+
+  return {
+    operation: 'UpdateItem',
+    key: util.dynamodb.toMapValues({ id }),
+    update: { expression: `SET ${sets.join(', ')}`, expressionNames: names, expressionValues: util.dynamodb.toMapValues(values) },
+    condition: { expression: condition, expressionNames: conditionNames, expressionValues: util.dynamodb.toMapValues(conditionValues) },
+  };
+}
+
+export function response(ctx) {
+  if (ctx.error) {
+    if (ctx.error.type === 'DynamoDB:ConditionalCheckFailedException') {
+      util.error(`The application cannot move to ${ctx.args.status} from its current status`, 'InvalidTransition');
+    }
+    util.error(ctx.error.message, ctx.error.type);
+  }
+  return ctx.result;
+}
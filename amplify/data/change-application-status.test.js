@@ -0,0 +1,78 @@
+import { util } from '@aws-appsync/utils';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { APPLICATION_STATUSES, APPLICATION_TRANSITIONS, canTransition } from './application-status';
+import { APPLICATION_TRANSITIONS as RESOLVER_TRANSITIONS, request, response } from './change-application-status.js';
+
+class ResolverError extends Error {
+  constructor(message, type) {
+    super(message);
+    this.type = type;
+  }
+}
+
+// The AppSync runtime provides util; the npm package only has its types
+beforeAll(() => {
+  Object.assign(util, {
+    error: (message, type) => {
+      throw new ResolverError(message, type);
+    },
+    unauthorized: () => {
+      throw new ResolverError('Unauthorized', 'Unauthorized');
+    },
+    time: { nowISO8601: () => '2026-10-19T09:00:00.000Z' },
+    dynamodb: { toMapValues: (values) => values },
+  });
+});
+
+const applicant = { sub: 'user-1', username: 'user-1', groups: [] };
+const staff = { sub: 'staff-1', username: 'staff-1', groups: ['Admissions'] };
+
+function call(identity, status) {
+  return request({ args: { id: 'application-1', status, note: 'n' }, identity });
+}
+
+function allowedFrom(identity, status) {
+  const { condition } = call(identity, status);
+  return Object.values(condition.expressionValues).filter((value) => APPLICATION_STATUSES.includes(value));
+}
+
+describe('changeApplicationStatus resolver', () => {
+  it('uses the same lifecycle as application-status.ts', () => {
+    expect(RESOLVER_TRANSITIONS).toEqual(APPLICATION_TRANSITIONS);
+  });
+
+  it.each(APPLICATION_STATUSES.filter((status) => APPLICATION_STATUSES.some((from) => canTransition(from, status))))(
+    'lets staff move to %s only from the statuses canTransition allows',
+    (status) => {
+      expect(allowedFrom(staff, status)).toEqual(APPLICATION_STATUSES.filter((from) => canTransition(from, status)));
+    }
+  );
+
+  it.each(['UNDER_REVIEW', 'DOCUMENTS_REQUIRED', 'ACCEPTED', 'WAITLISTED', 'REJECTED'])('does not let an applicant move to %s', (status) => {
+    expect(() => call(applicant, status)).toThrow('Unauthorized');
+  });
+
+  it('rejects a status nothing moves to', () => {
+    expect(() => call(staff, 'DRAFT')).toThrow(expect.objectContaining({ type: 'InvalidTransition' }));
+  });
+
+  it('lets an applicant submit only their own draft', () => {
+    const { condition, update } = call(applicant, 'SUBMITTED');
+    expect(condition.expression).toBe('(attribute_not_exists(#status) OR #status IN (:from0)) AND begins_with(#owner, :owner)');
+    expect(condition.expressionValues).toMatchObject({ ':from0': 'DRAFT', ':owner': 'user-1::' });
+    expect(update.expression).toContain('#submittedAt = :now');
+  });
+
+  it('does not check the owner for staff and stamps decisions', () => {
+    const { condition, update } = call(staff, 'ACCEPTED');
+    expect(condition.expression).toBe('#status IN (:from0, :from1)');
+    expect(update.expression).toContain('#decidedAt = :now');
+    expect(update.expressionValues[':change']).toEqual([{ status: 'ACCEPTED', changedAt: '2026-10-19T09:00:00.000Z', note: 'n' }]);
+  });
+
+  it('explains a failed condition as an invalid transition', () => {
+    const ctx = { args: { status: 'ACCEPTED' }, error: { type: 'DynamoDB:ConditionalCheckFailedException', message: 'failed' } };
+    expect(() => response(ctx)).toThrow(expect.objectContaining({ type: 'InvalidTransition' }));
+    expect(response({ args: {}, result: { id: 'application-1' } })).toEqual({ id: 'application-1' });
+  });
+});
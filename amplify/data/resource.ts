@@ -1,57 +1,244 @@
 import { type ClientSchema, a, defineData } from "@aws-amplify/backend";
+import { parsePsychometric } from "../functions/parse-psychometric/resource";
+import { APPLICATION_STATUSES } from "./application-status";
 
-/*== STEP 1 ===============================================================
-The section below creates a Todo database table with a "content" field. Try
-adding a new "isDone" field as a boolean. The authorization rule below
-specifies that any user authenticated via an API key can "create", "read",
-"update", and "delete" any "Todo" records.
+/*== ADMISSIONS ===========================================================
+Admissions data model. An Applicant (one per signed-in user) owns their
+grades, scores, school history and documents, and files an Application per
+Program. Applicants can only see and change their own records; the
+Admissions group reviews every application and the Admins group also
+maintains the program catalog, which anyone may browse.
+
+Owner auth does not check the parent a record points at: an applicant could
+save a score or document with someone else's applicantId. That reference
+gives them nothing. IDs are generated UUIDs that only the parent's owner
+and staff can read, and the record stays owned by its creator, so the
+other applicant never sees it and cannot be changed through it. Staff
+tools that list children by applicantId or applicationId must skip any
+whose owner differs from the parent's.
 =========================================================================*/
+
+const STAFF = ["Admins", "Admissions"];
+
 const schema = a.schema({
-  Todo: a
+  ApplicationStatus: a.enum([...APPLICATION_STATUSES]),
+  DegreeLevel: a.enum(["PRE_ACADEMIC", "BACHELOR", "MASTER", "DOCTORATE"]),
+  PaymentStatus: a.enum(["PENDING", "PAID", "FAILED", "REFUNDED"]),
+  ScoreSource: a.enum(["MANUAL", "UPLOAD", "NITE"]),
+  DocumentType: a.enum(["ID_CARD", "BAGRUT_CERTIFICATE", "PSYCHOMETRIC_REPORT", "DEGREE_CERTIFICATE", "MILITARY_SERVICE", "OTHER"]),
+  DocumentStatus: a.enum(["UPLOADED", "PROCESSING", "VERIFIED", "REJECTED"]),
+
+  StatusChange: a.customType({
+    status: a.ref("ApplicationStatus").required(),
+    changedAt: a.datetime().required(),
+    note: a.string(),
+  }),
+
+  // Scores read from an uploaded results file, or why they could not be
+  PsychometricFileResult: a.customType({
+    path: a.string().required(),
+    total: a.integer(),
+    verbal: a.integer(),
+    quantitative: a.integer(),
+    english: a.integer(),
+    testDate: a.date(),
+    errorCode: a.string(),
+    errorMessage: a.string(),
+  }),
+
+  // Called with IAM (identity pool) auth so the parser knows the caller's storage folder
+  parsePsychometricFile: a
+    .query()
+    .arguments({ path: a.string().required() })
+    .returns(a.ref("PsychometricFileResult"))
+    .authorization((allow) => [allow.authenticated("identityPool")])
+    .handler(a.handler.function(parsePsychometric)),
+
+  Applicant: a
     .model({
-      content: a.string(),
+      nationalId: a.string().required(),
+      firstName: a.string().required(),
+      lastName: a.string().required(),
+      firstNameEn: a.string(),
+      lastNameEn: a.string(),
+      email: a.email().required(),
+      phone: a.phone(),
+      birthDate: a.date(),
+      city: a.string(),
+      address: a.string(),
+      applications: a.hasMany("Application", "applicantId"),
+      bagrutGrades: a.hasMany("BagrutGrade", "applicantId"),
+      psychometricScores: a.hasMany("PsychometricScore", "applicantId"),
+      schoolHistory: a.hasMany("SchoolHistory", "applicantId"),
+      documents: a.hasMany("UploadedDocument", "applicantId"),
     })
-    .authorization((allow) => [allow.publicApiKey()]),
-});
+    .secondaryIndexes((index) => [index("nationalId").queryField("applicantsByNationalId")])
+    .authorization((allow) => [allow.owner(), allow.groups(STAFF)]),
 
-export type Schema = ClientSchema<typeof schema>;
+  Program: a
+    .model({
+      code: a.string().required(),
+      name: a.string().required(),
+      nameEn: a.string(),
+      faculty: a.string(),
+      department: a.string(),
+      degreeLevel: a.ref("DegreeLevel").required(),
+      description: a.string(),
+      // Admission score (sechem) = bagrutWeight × Bagrut average
+      // + psychometricWeight × psychometric total + scoreOffset.
+      bagrutWeight: a.float(),
+      psychometricWeight: a.float(),
+      scoreOffset: a.float(),
+      // Below minimumScore an application is turned down, from
+      // acceptanceScore it is accepted; in between it goes to review.
+      minimumScore: a.float(),
+      acceptanceScore: a.float(),
+      minimumBagrut: a.float(),
+      minimumPsychometric: a.integer(),
+      // Bagrut average that is accepted without a psychometric score
+      bagrutOnlyAverage: a.float(),
+      requiresPsychometric: a.boolean(),
+      applicationFee: a.float(),
+      active: a.boolean(),
+      applications: a.hasMany("Application", "programId"),
+    })
+    .secondaryIndexes((index) => [
+      index("code").queryField("programsByCode"),
+      index("degreeLevel").sortKeys(["name"]).queryField("programsByDegreeLevel"),
+    ])
+    .authorization((allow) => [
+      allow.guest().to(["read"]),
+      allow.authenticated().to(["read"]),
+      allow.group("Admins"),
+    ]),
 
-export const data = defineData({
-  schema,
-  authorizationModes: {
-    defaultAuthorizationMode: "apiKey",
-    // API Key is used for a.allow.public() rules
-    apiKeyAuthorizationMode: {
-      expiresInDays: 30,
-    },
-  },
-});
+  // Applicants create and edit their own applications but never delete
+  // them, so the history stays with admissions. Status moves only through
+  // changeApplicationStatus; scores, decisions and notes are staff-only.
+  Application: a
+    .model({
+      applicantId: a.id().required(),
+      applicant: a.belongsTo("Applicant", "applicantId"),
+      programId: a.id().required(),
+      program: a.belongsTo("Program", "programId"),
+      // Unset until the first move: a new application is a draft
+      status: a.ref("ApplicationStatus").authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF).to(["read"])]),
+      statusHistory: a.ref("StatusChange").array().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF).to(["read"])]),
+      academicYear: a.string().required(),
+      preference: a.integer(),
+      admissionScore: a.float().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF)]),
+      submittedAt: a.datetime().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF).to(["read"])]),
+      decidedAt: a.datetime().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF).to(["read"])]),
+      reviewerNotes: a.string().authorization((allow) => [allow.groups(STAFF)]),
+      payments: a.hasMany("Payment", "applicationId"),
+      documents: a.hasMany("UploadedDocument", "applicationId"),
+    })
+    .secondaryIndexes((index) => [
+      index("applicantId").queryField("applicationsByApplicant"),
+      index("programId").sortKeys(["status"]).queryField("applicationsByProgram"),
+      index("status").sortKeys(["submittedAt"]).queryField("applicationsByStatus"),
+    ])
+    .authorization((allow) => [allow.owner().to(["create", "read", "update"]), allow.groups(STAFF)]),
 
-/*== STEP 2 ===============================================================
-Go to your frontend source code. From your client-side code, generate a
-Data client to make CRUDL requests to your table. (THIS SNIPPET WILL ONLY
-WORK IN THE FRONTEND CODE FILE.)
+  changeApplicationStatus: a
+    .mutation()
+    .arguments({ id: a.id().required(), status: a.ref("ApplicationStatus").required(), note: a.string() })
+    .returns(a.ref("Application"))
+    .authorization((allow) => [allow.authenticated()])
+    .handler(a.handler.custom({ dataSource: a.ref("Application"), entry: "./change-application-status.js" })),
 
-Using JavaScript or Next.js React Server Components, Middleware, Server 
-Actions or Pages Router? Review how to generate Data clients for those use
-cases: https://docs.amplify.aws/gen2/build-a-backend/data/connect-to-API/
-=========================================================================*/
+  BagrutGrade: a
+    .model({
+      applicantId: a.id().required(),
+      applicant: a.belongsTo("Applicant", "applicantId"),
+      subject: a.string().required(),
+      subjectCode: a.string(),
+      units: a.integer().required(),
+      grade: a.integer().required(),
+      // Improvement exam (שיפור ציון), possibly taken at more units
+      improvedGrade: a.integer(),
+      improvedUnits: a.integer(),
+      year: a.integer(),
+      estimated: a.boolean(),
+    })
+    .secondaryIndexes((index) => [index("applicantId").queryField("bagrutGradesByApplicant")])
+    .authorization((allow) => [allow.owner(), allow.groups(STAFF)]),
 
-/*
-"use client"
-import { generateClient } from "aws-amplify/data";
-import type { Schema } from "@/amplify/data/resource";
+  PsychometricScore: a
+    .model({
+      applicantId: a.id().required(),
+      applicant: a.belongsTo("Applicant", "applicantId"),
+      testDate: a.date().required(),
+      total: a.integer().required(),
+      verbal: a.integer(),
+      quantitative: a.integer(),
+      english: a.integer(),
+      // Set by staff once the score is checked; unset means the applicant reported it
+      source: a.ref("ScoreSource").authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF)]),
+      documentId: a.id(),
+    })
+    .secondaryIndexes((index) => [index("applicantId").sortKeys(["testDate"]).queryField("psychometricScoresByApplicant")])
+    .authorization((allow) => [allow.owner(), allow.groups(STAFF)]),
 
-const client = generateClient<Schema>() // use this Data client for CRUDL requests
-*/
+  SchoolHistory: a
+    .model({
+      applicantId: a.id().required(),
+      applicant: a.belongsTo("Applicant", "applicantId"),
+      schoolName: a.string().required(),
+      schoolSymbol: a.string(),
+      city: a.string(),
+      track: a.string(),
+      startYear: a.integer(),
+      endYear: a.integer(),
+    })
+    .secondaryIndexes((index) => [index("applicantId").queryField("schoolHistoryByApplicant")])
+    .authorization((allow) => [allow.owner(), allow.groups(STAFF)]),
 
-/*== STEP 3 ===============================================================
-Fetch records from the database and use them in your frontend component.
-(THIS SNIPPET WILL ONLY WORK IN THE FRONTEND CODE FILE.)
-=========================================================================*/
+  // Created by the applicant when paying; only staff settle or refund, so
+  // the outcome fields are read-only to the owner and unset while pending.
+  Payment: a
+    .model({
+      applicationId: a.id().required(),
+      application: a.belongsTo("Application", "applicationId"),
+      amount: a.float().required(),
+      currency: a.string().default("ILS"),
+      status: a.ref("PaymentStatus").authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF)]),
+      provider: a.string(),
+      transactionId: a.string().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF)]),
+      paidAt: a.datetime().authorization((allow) => [allow.owner().to(["read"]), allow.groups(STAFF)]),
+    })
+    .secondaryIndexes((index) => [
+      index("applicationId").queryField("paymentsByApplication"),
+      index("status").queryField("paymentsByStatus"),
+    ])
+    .authorization((allow) => [allow.owner().to(["create", "read"]), allow.groups(STAFF)]),
 
-/* For example, in a React component, you can use this snippet in your
-  function's RETURN statement */
-// const { data: todos } = await client.models.Todo.list()
+  UploadedDocument: a
+    .model({
+      applicantId: a.id().required(),
+      applicant: a.belongsTo("Applicant", "applicantId"),
+      applicationId: a.id(),
+      application: a.belongsTo("Application", "applicationId"),
+      type: a.ref("DocumentType").required(),
+      status: a.ref("DocumentStatus").required(),
+      storagePath: a.string().required(),
+      fileName: a.string(),
+      contentType: a.string(),
+      size: a.integer(),
+    })
+    .secondaryIndexes((index) => [
+      index("applicantId").queryField("documentsByApplicant"),
+      index("applicationId").queryField("documentsByApplication"),
+      index("status").queryField("documentsByStatus"),
+    ])
+    .authorization((allow) => [allow.owner(), allow.groups(STAFF)]),
+});
 
-// return <ul>{todos.map(todo => <li key={todo.id}>{todo.content}</li>)}</ul>
+export type Schema = ClientSchema<typeof schema>;
+
+export const data = defineData({
+  schema,
+  authorizationModes: {
+    defaultAuthorizationMode: "userPool",
+  },
+});
@@ -0,0 +1,40 @@
+import { GetObjectCommand, HeadObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import type { AppSyncIdentityIAM } from 'aws-lambda';
+import type { Schema } from '../../data/resource';
+import { PSYCHOMETRIC_UPLOAD_LIMITS } from './limits';
+import { parsePsychometricDocument, PsychometricParseError } from './parser';
+
+const s3 = new S3Client();
+
+/**
+ * `parsePsychometricFile` query. Parse failures come back as an error
+ * code for the upload screen to explain; only the caller's own folder
+ * may be read.
+ */
+export const handler: Schema['parsePsychometricFile']['functionHandler'] = async (event) => {
+  const { path } = event.arguments;
+  const identityId = (event.identity as AppSyncIdentityIAM | null)?.cognitoIdentityId;
+  if (!identityId || !path.startsWith(`documents/${identityId}/`)) {
+    throw new Error('Not authorized to read this file');
+  }
+
+  try {
+    const location = { Bucket: process.env.applicantDocuments_BUCKET_NAME, Key: path };
+    // Refuse an oversized upload before reading it into memory; IfMatch keeps the checked version
+    const { ContentLength, ETag } = await s3.send(new HeadObjectCommand(location));
+    if ((ContentLength ?? 0) > PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes) {
+      throw new PsychometricParseError('TOO_LARGE', `File is larger than ${PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes} bytes`);
+    }
+    const object = await s3.send(new GetObjectCommand({ ...location, IfMatch: ETag }));
+    if (!object.Body) {
+      throw new PsychometricParseError('UNREADABLE', 'The file is empty');
+    }
+    const scores = await parsePsychometricDocument(await object.Body.transformToByteArray());
+    return { ...scores, path };
+  } catch (error) {
+    if (error instanceof PsychometricParseError) {
+      return { path, errorCode: error.code, errorMessage: error.message };
+    }
+    throw error;
+  }
+};
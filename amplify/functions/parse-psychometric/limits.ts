@@ -0,0 +1,6 @@
+/** Upload limits for psychometric results files, checked in the browser and again by the parser */
+export const PSYCHOMETRIC_UPLOAD_LIMITS = {
+  maxBytes: 10 * 1024 * 1024,
+  contentTypes: ["application/pdf", "text/csv", "application/vnd.ms-excel"],
+  extensions: [".pdf", ".csv"],
+} as const;
@@ -0,0 +1,20 @@
+import { readFileSync } from 'fs';
+import { parsePsychometricDocument, PsychometricParseError } from './parser';
+
+/**
+ * Run the parser on a local file, without storage or AWS credentials:
+ *
+ *   npm run parse-psychometric -- results.pdf
+ */
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: npm run parse-psychometric -- <results.pdf|results.csv>');
+  process.exit(1);
+}
+
+parsePsychometricDocument(new Uint8Array(readFileSync(file)))
+  .then((scores) => console.log(JSON.stringify(scores, null, 2)))
+  .catch((error) => {
+    console.error(error instanceof PsychometricParseError ? `${error.code}: ${error.message}` : error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,67 @@
+import { readFileSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { PSYCHOMETRIC_UPLOAD_LIMITS } from './limits';
+import { documentText, parsePsychometricDocument, parsePsychometricText, type ParseErrorCode } from './parser';
+
+const fixture = (name: string) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+async function errorCode(run: () => Promise<unknown>): Promise<ParseErrorCode | undefined> {
+  try {
+    await run();
+  } catch (error) {
+    return (error as { code?: ParseErrorCode }).code;
+  }
+  return undefined;
+}
+
+describe('parsePsychometricDocument', () => {
+  it('reads the columns of a CSV export', async () => {
+    expect(await parsePsychometricDocument(fixture('results.csv'))).toEqual({
+      verbal: 128,
+      quantitative: 134,
+      english: 139,
+      total: 712,
+      testDate: '2025-04-07',
+    });
+  });
+
+  it('reads the labelled scores of a results PDF', async () => {
+    expect(await parsePsychometricDocument(fixture('results.pdf'))).toEqual({
+      verbal: 121,
+      quantitative: 117,
+      english: 132,
+      total: 688,
+      testDate: '2024-12-14',
+    });
+  });
+
+  it('decodes a CSV saved by Hebrew Excel as Windows-1255', async () => {
+    // "ציון כללי" in Windows-1255
+    const bytes = new Uint8Array([0xf6, 0xe9, 0xe5, 0xef, 0x20, 0xeb, 0xec, 0xec, 0xe9, 0x2c, ...new TextEncoder().encode('655')]);
+    expect(await documentText(bytes)).toBe('ציון כללי,655');
+    expect((await parsePsychometricDocument(bytes)).total).toBe(655);
+  });
+
+  it.each<[string, Uint8Array, ParseErrorCode]>([
+    ['a file over the size limit', new Uint8Array(PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes + 1), 'TOO_LARGE'],
+    ['a binary file', new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x00]), 'UNSUPPORTED_TYPE'],
+    ['a broken PDF', new TextEncoder().encode('%PDF-1.4\nnot really'), 'UNREADABLE'],
+    ['a document without scores', new TextEncoder().encode('name,id\nDana,123'), 'SCORES_NOT_FOUND'],
+  ])('rejects %s', async (_, bytes, code) => {
+    expect(await errorCode(() => parsePsychometricDocument(bytes))).toBe(code);
+  });
+});
+
+describe('parsePsychometricText', () => {
+  it('takes the number printed before a label in visually ordered text', () => {
+    expect(parsePsychometricText('702 ציון כללי')).toEqual({ total: 702 });
+  });
+
+  it('skips numbers outside the section range', () => {
+    expect(parsePsychometricText('Total (section 3 of 4, 18 questions) 640').total).toBe(640);
+  });
+
+  it('rejects a table value outside the range', async () => {
+    expect(await errorCode(async () => parsePsychometricText('verbal,total\n128,900'))).toBe('OUT_OF_RANGE');
+  });
+});
@@ -0,0 +1,138 @@
+import { extractText } from 'unpdf';
+import { PSYCHOMETRIC_UPLOAD_LIMITS } from './limits';
+
+/**
+ * Scores from a psychometric results file as issued by the National
+ * Institute for Testing and Evaluation (NITE): the printed results PDF or
+ * a CSV export. Works on the document's text, so it does not depend on
+ * the exact layout: each score is the number next to its section label,
+ * or, for a table with a header row, the value in that label's column.
+ */
+
+export type ParseErrorCode = 'TOO_LARGE' | 'UNSUPPORTED_TYPE' | 'UNREADABLE' | 'SCORES_NOT_FOUND' | 'OUT_OF_RANGE';
+
+export class PsychometricParseError extends Error {
+  constructor(
+    readonly code: ParseErrorCode,
+    message: string
+  ) {
+    super(message);
+    this.name = 'PsychometricParseError';
+  }
+}
+
+export interface PsychometricScores {
+  total: number;
+  verbal?: number;
+  quantitative?: number;
+  english?: number;
+  /** ISO date of the exam */
+  testDate?: string;
+}
+
+type ScoreKey = 'total' | 'verbal' | 'quantitative' | 'english';
+
+const SECTIONS: { key: ScoreKey; label: RegExp; min: number; max: number }[] = [
+  { key: 'verbal', label: /חשיבה\s*מילולית|verbal\s*reasoning|\bverbal\b/i, min: 50, max: 150 },
+  { key: 'quantitative', label: /חשיבה\s*כמותית|quantitative\s*reasoning|\bquantitative\b/i, min: 50, max: 150 },
+  { key: 'english', label: /אנגלית|\benglish\b/i, min: 50, max: 150 },
+  { key: 'total', label: /ציון\s*כללי|רב[\s-]*תחומי|general\s*score|multi[\s-]*domain|\btotal\b/i, min: 200, max: 800 },
+];
+
+const DATE_LABEL = /מועד\s*(?:ה)?בחינה|תאריך\s*(?:ה)?בחינה|test\s*date|exam\s*date/i;
+const DATE = /(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})/;
+const NUMBER = /\d{2,3}/g;
+// How far from a label its value may be printed
+const WINDOW = 40;
+
+function isPdf(bytes: Uint8Array): boolean {
+  return bytes[0] === 0x25 && bytes[1] === 0x50 && bytes[2] === 0x44 && bytes[3] === 0x46; // %PDF
+}
+
+/** Text of a PDF, or of a CSV saved as UTF-8 or, from Hebrew Excel, as Windows-1255 */
+export async function documentText(bytes: Uint8Array): Promise<string> {
+  if (bytes.byteLength > PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes) {
+    throw new PsychometricParseError('TOO_LARGE', `File is larger than ${PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes} bytes`);
+  }
+  if (isPdf(bytes)) {
+    try {
+      const { text } = await extractText(new Uint8Array(bytes), { mergePages: true });
+      return text;
+    } catch (error) {
+      throw new PsychometricParseError('UNREADABLE', `PDF could not be read: ${(error as Error).message}`);
+    }
+  }
+  if (bytes.includes(0)) {
+    throw new PsychometricParseError('UNSUPPORTED_TYPE', 'Only PDF and CSV files are supported');
+  }
+  const utf8 = new TextDecoder('utf-8').decode(bytes);
+  return utf8.includes('\uFFFD') ? new TextDecoder('windows-1255').decode(bytes) : utf8;
+}
+
+function inRange(value: number, section: (typeof SECTIONS)[number]): boolean {
+  return value >= section.min && value <= section.max;
+}
+
+/** Scores from a table whose header row names the sections and whose next row holds the values */
+function fromTable(text: string): Partial<Record<ScoreKey, number>> | null {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, '')))
+    .filter((cells) => cells.some(Boolean));
+  for (let index = 0; index < rows.length - 1; index += 1) {
+    const columns = SECTIONS.map((section) => ({ section, column: rows[index].findIndex((cell) => section.label.test(cell)) })).filter(({ column }) => column !== -1);
+    if (columns.length < 2) continue;
+    const values = rows[index + 1];
+    const scores: Partial<Record<ScoreKey, number>> = {};
+    columns.forEach(({ section, column }) => {
+      const value = Number(values[column]);
+      if (values[column] !== '' && Number.isFinite(value)) scores[section.key] = value;
+    });
+    if (Object.keys(scores).length > 0) return scores;
+  }
+  return null;
+}
+
+/** The number printed right after a label, or right before it in visually ordered Hebrew PDFs */
+function nearLabel(text: string, section: (typeof SECTIONS)[number]): number | undefined {
+  const label = new RegExp(section.label.source, 'gi');
+  for (const match of text.matchAll(label)) {
+    const start = match.index ?? 0;
+    const after = [...text.slice(start + match[0].length, start + match[0].length + WINDOW).matchAll(NUMBER)].map(([number]) => Number(number));
+    const before = [...text.slice(Math.max(0, start - WINDOW), start).matchAll(NUMBER)].map(([number]) => Number(number)).reverse();
+    const value = [...after, ...before].find((candidate) => inRange(candidate, section));
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function testDate(text: string): string | undefined {
+  const labelled = text.search(DATE_LABEL);
+  const match = (labelled !== -1 && text.slice(labelled, labelled + WINDOW * 2).match(DATE)) || text.match(DATE);
+  if (!match) return undefined;
+  const [, day, month, year] = match;
+  const fullYear = year.length === 2 ? `20${year}` : year;
+  return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+export function parsePsychometricText(text: string): PsychometricScores {
+  const table = fromTable(text);
+  const scores: Partial<Record<ScoreKey, number>> = {};
+  SECTIONS.forEach((section) => {
+    const value = table?.[section.key] ?? nearLabel(text, section);
+    if (value === undefined) return;
+    if (!inRange(value, section)) {
+      throw new PsychometricParseError('OUT_OF_RANGE', `${section.key} score ${value} is outside ${section.min}-${section.max}`);
+    }
+    scores[section.key] = value;
+  });
+  if (scores.total === undefined) {
+    throw new PsychometricParseError('SCORES_NOT_FOUND', 'No total psychometric score found in the document');
+  }
+  const date = testDate(text);
+  return { ...scores, total: scores.total, ...(date ? { testDate: date } : {}) };
+}
+
+export async function parsePsychometricDocument(bytes: Uint8Array): Promise<PsychometricScores> {
+  return parsePsychometricText(await documentText(bytes));
+}
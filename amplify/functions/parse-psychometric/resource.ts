@@ -0,0 +1,12 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Reads an uploaded psychometric results file (PDF or CSV) from storage
+ * and returns the section scores, for prefilling the scores step.
+ */
+export const parsePsychometric = defineFunction({
+  name: 'parse-psychometric',
+  entry: './handler.ts',
+  timeoutSeconds: 30,
+  memoryMB: 512,
+});
@@ -0,0 +1,18 @@
+import { defineStorage } from '@aws-amplify/backend';
+import { parsePsychometric } from '../functions/parse-psychometric/resource';
+
+/**
+ * Applicant documents. Each signed-in applicant has a private folder keyed
+ * by their identity ID; admissions staff can read every folder and the
+ * psychometric parser reads the files it is asked to parse.
+ */
+export const storage = defineStorage({
+  name: 'applicantDocuments',
+  access: (allow) => ({
+    'documents/{entity_id}/*': [
+      allow.entity('identity').to(['read', 'write', 'delete']),
+      allow.groups(['Admins', 'Admissions']).to(['read']),
+      allow.resource(parsePsychometric).to(['read']),
+    ],
+  }),
+});
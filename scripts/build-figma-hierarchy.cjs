@@ -10,26 +10,19 @@ const TARGET_NODE_ID = '5584:552731'; // Can be overridden by command line argum
 // Get nodeId from command line argument if provided
 const nodeId = process.argv[2] || TARGET_NODE_ID;
 
-// API headers
-const headers = {
-  'X-FIGMA-TOKEN': FIGMA_TOKEN,
-  'Content-Type': 'application/json'
-};
+// Shared Figma API client (an ES module, so CommonJS loads it with import())
+function loadFigmaClient() {
+  return import('../src/scripts/lib/figma-client.js')
+    .then(({ createFigmaClient }) => createFigmaClient({ token: FIGMA_TOKEN }));
+}
 
 /**
  * Fetch node data from Figma API
  */
 async function fetchNodeData(nodeId) {
-  const url = `https://api.figma.com/v1/files/${FILE_ID}/nodes?ids=${nodeId}`;
-  
   try {
-    const response = await fetch(url, { headers });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const figma = await loadFigmaClient();
+    const data = await figma.getFileNodes(FILE_ID, [nodeId]);
     return data.nodes[nodeId];
   } catch (error) {
     console.error('❌ Error fetching node data:', error.message);
@@ -1,4 +1,3 @@
-const https = require('https');
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
@@ -7,53 +6,12 @@ const path = require('path');
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_ID = process.env.FIGMA_FILE_ID;
 const TARGET_NODE_ID = '5584:558165';
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'src', 'assets', 'node-hierarchy.json');
 
-// Function to make Figma API requests with retry logic
-function makeFigmaRequest(endpoint, retries = 3) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      path: endpoint,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.status === 429 && retries > 0) {
-            console.log(`⏳ Rate limited, waiting 3 seconds...`);
-            setTimeout(() => {
-              makeFigmaRequest(endpoint, retries - 1).then(resolve).catch(reject);
-            }, 3000);
-          } else {
-            resolve(response);
-          }
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      if (retries > 0) {
-        setTimeout(() => {
-          makeFigmaRequest(endpoint, retries - 1).then(resolve).catch(reject);
-        }, 2000);
-      } else {
-        reject(error);
-      }
-    });
-
-    req.end();
-  });
+// Shared Figma API client (an ES module, so CommonJS loads it with import())
+function loadFigmaClient() {
+  return import('../src/scripts/lib/figma-client.js')
+    .then(({ createFigmaClient }) => createFigmaClient({ token: FIGMA_TOKEN }));
 }
 
 // Function to build hierarchy tree from node
@@ -134,21 +92,33 @@ function collectNodePaths(node, paths = [], currentPath = []) {
 }
 
 // Main function to get node hierarchy
-async function getNodeHierarchy() {
+/**
+ * Print and save the full hierarchy of a node.
+ * format 'json' writes the complete analysis, 'text' only the rendered tree.
+ */
+async function getNodeHierarchy({
+  fileId = FILE_ID,
+  nodeId = TARGET_NODE_ID,
+  depth = 100,
+  out = DEFAULT_OUTPUT,
+  format = 'json',
+  dryRun = false
+} = {}) {
   try {
-    console.log(`🏗️ Fetching hierarchy structure for node: ${TARGET_NODE_ID}`);
-    console.log(`🌐 Target: https://www.figma.com/design/${FILE_ID}/?node-id=${TARGET_NODE_ID.replace(':', '-')}&m=dev`);
+    const figma = await loadFigmaClient();
+
+    console.log(`🏗️ Fetching hierarchy structure for node: ${nodeId}`);
+    console.log(`🌐 Target: https://www.figma.com/design/${fileId}/?node-id=${nodeId.replace(':', '-')}&m=dev`);
     
     // Get the target node with maximum depth
     console.log('\n📋 Fetching complete node hierarchy...');
-    const nodeData = await makeFigmaRequest(`/v1/files/${FILE_ID}/nodes?ids=${TARGET_NODE_ID}&depth=100`);
+    const nodeData = await figma.getFileNodes(fileId, [nodeId], { depth });
     
-    if (!nodeData.nodes || !nodeData.nodes[TARGET_NODE_ID]) {
-      console.error('❌ Target node not found');
-      return;
+    if (!nodeData.nodes || !nodeData.nodes[nodeId]) {
+      throw new Error(`Target node ${nodeId} not found`);
     }
     
-    const targetNode = nodeData.nodes[TARGET_NODE_ID].document;
+    const targetNode = nodeData.nodes[nodeId].document;
     console.log(`📁 Target Node: "${targetNode.name}" (${targetNode.type})`);
     
     // Build hierarchy tree
@@ -185,16 +155,10 @@ async function getNodeHierarchy() {
       console.log(`    ... and ${allPaths.length - 10} more nodes`);
     }
     
-    // Save hierarchy data
-    const assetsDir = path.join(__dirname, '..', 'src', 'assets');
-    if (!fs.existsSync(assetsDir)) {
-      fs.mkdirSync(assetsDir, { recursive: true });
-    }
-    
     const hierarchyData = {
       generatedAt: new Date().toISOString(),
-      figmaFileId: FILE_ID,
-      targetNodeId: TARGET_NODE_ID,
+      figmaFileId: fileId,
+      targetNodeId: nodeId,
       targetNodeName: targetNode.name,
       targetNodeType: targetNode.type,
       hierarchyTree: hierarchyTree,
@@ -205,21 +169,32 @@ async function getNodeHierarchy() {
       targetNodeData: targetNode
     };
     
-    fs.writeFileSync(
-      path.join(assetsDir, 'node-hierarchy.json'),
-      JSON.stringify(hierarchyData, null, 2)
-    );
-    
-    console.log('\n💾 Hierarchy data saved to: node-hierarchy.json');
+    // Save hierarchy data
+    if (dryRun) {
+      console.log(`\n📝 Dry run - not writing ${out}`);
+    } else {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(
+        out,
+        format === 'text' ? hierarchyTree : JSON.stringify(hierarchyData, null, 2)
+      );
+      console.log(`\n💾 Hierarchy data saved to: ${out}`);
+    }
     console.log(`🎯 Analysis complete for node "${targetNode.name}"`);
     
     return hierarchyData;
     
   } catch (error) {
-    console.error('💥 Error fetching node hierarchy:', error);
+    console.error('❌ Error fetching node hierarchy:', error.message);
     throw error;
   }
 }
 
-// Run the hierarchy analysis
-getNodeHierarchy().catch(console.error);
\ No newline at end of file
+module.exports = { buildHierarchyTree, countNodesByType, collectNodePaths, getNodeHierarchy };
+
+// Run the hierarchy analysis when invoked directly
+if (require.main === module) {
+  getNodeHierarchy().catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -1,154 +1,99 @@
-const fs = require('fs');
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
 
 // Assets directory
 const assetsDir = path.join(__dirname, '..', 'src', 'assets');
 
-// Function to clean and create safe filename from asset name
-function createCleanFilename(nodeName, assetType) {
-  let cleanName = nodeName
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '') // Remove special chars except spaces and hyphens
-    .replace(/\s+/g, '-') // Replace spaces with hyphens  
-    .replace(/-+/g, '-') // Replace multiple hyphens with single
-    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-  
-  // Handle special cases
-  if (cleanName === 'icon') cleanName = 'generic-icon';
-  if (cleanName === 'logo') cleanName = 'logo-icon';
-  if (cleanName === 'rectangle-16918') cleanName = 'placeholder-image';
-  if (cleanName === 'main-logo') cleanName = 'main-logo';
-  if (cleanName === 'headerlogo-only') cleanName = 'header-logo';
-  if (cleanName === 'arrow-right') cleanName = 'arrow-right';
-  if (cleanName === 'icon-plus') cleanName = 'plus-icon';
-  if (cleanName === '16x16-icon-outline') cleanName = 'outline-icon';
-  if (cleanName === 'card-icons') cleanName = 'card-icons';
-  if (cleanName === 'mdi-lightclock') cleanName = 'clock-icon';
-  if (cleanName === 'iconamooncheck-bold') cleanName = 'check-icon';
-  
-  return `${cleanName}.png`;
+// Naming rules are shared with the exporter (an ES module, so CommonJS loads it with import())
+function loadAssetNames() {
+  return import('../src/scripts/lib/asset-names.js');
 }
 
-async function renameAssets() {
+/**
+ * Rename downloaded assets to the names the naming rules and
+ * asset-names.json give them, and update assets-manifest.json. Files are
+ * moved through temporary names, so two assets can swap names safely.
+ * With dryRun the planned renames are only printed.
+ */
+async function renameAssets({
+  dir = assetsDir,
+  manifestPath = path.join(dir, 'assets-manifest.json'),
+  dryRun = false
+} = {}) {
   try {
-    console.log('🔄 Renaming assets to use clean names...');
-    
-    // Read the manifest
-    const manifestPath = path.join(assetsDir, 'downloaded-assets.json');
+    console.log(`🔄 Renaming assets to use clean names${dryRun ? ' (dry run)' : ''}...`);
+
+    const { assignFilenames, dedupeByContent, loadNameOverrides, NAME_OVERRIDES_FILE } = await loadAssetNames();
     const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-    
-    const renamedAssets = [];
-    const renameOperations = [];
-    
-    // Process each asset
-    manifest.downloadedAssets.forEach(asset => {
-      const oldFilename = asset.filename;
-      const newFilename = createCleanFilename(asset.nodeName, asset.assetType);
-      
-      renameOperations.push({
-        oldPath: path.join(assetsDir, oldFilename),
-        newPath: path.join(assetsDir, newFilename),
-        oldFilename,
-        newFilename,
-        asset
-      });
-    });
-    
-    // Check for filename conflicts
-    const filenameCount = new Map();
-    renameOperations.forEach(op => {
-      const count = filenameCount.get(op.newFilename) || 0;
-      filenameCount.set(op.newFilename, count + 1);
+    const overrides = loadNameOverrides(dir);
+    if (Object.keys(overrides).length > 0) {
+      console.log(`📋 Applying name overrides from ${NAME_OVERRIDES_FILE}`);
+    }
+
+    // Duplicates follow the file of the asset they share content with
+    const downloaded = manifest.assets.filter(asset => asset.status === 'downloaded' && asset.filename);
+    const owners = downloaded.filter(asset => !asset.duplicateOf);
+    const names = assignFilenames(owners, {
+      dir,
+      format: 'png',
+      overrides,
+      previous: new Map(manifest.assets.map(asset => [asset.key, asset]))
     });
-    
-    // Resolve conflicts by adding numbers
-    const finalOperations = [];
-    const usedNames = new Map();
-    
-    renameOperations.forEach(op => {
-      let finalName = op.newFilename;
-      
-      if (filenameCount.get(op.newFilename) > 1) {
-        const count = (usedNames.get(op.newFilename) || 0) + 1;
-        usedNames.set(op.newFilename, count);
-        
-        if (count > 1) {
-          const namePart = finalName.replace('.png', '');
-          finalName = `${namePart}-${count}.png`;
-        }
-      }
-      
-      finalOperations.push({
-        ...op,
-        newFilename: finalName,
-        newPath: path.join(assetsDir, finalName)
+
+    const operations = owners
+      .filter(asset => names.get(asset.key) !== asset.filename)
+      .map(asset => ({ asset, oldFilename: asset.filename, newFilename: names.get(asset.key) }));
+
+    const missing = operations.filter(op => !fs.existsSync(path.join(dir, op.oldFilename)));
+    missing.forEach(op => console.log(`⚠️ File not found: ${op.oldFilename}`));
+    const moves = operations.filter(op => !missing.includes(op));
+
+    if (!dryRun) {
+      moves.forEach((op) => {
+        fs.renameSync(path.join(dir, op.oldFilename), path.join(dir, `${op.oldFilename}.renaming`));
       });
-    });
-    
-    // Perform the renames
-    console.log(`📋 Renaming ${finalOperations.length} assets...`);
-    
-    for (const op of finalOperations) {
-      try {
-        if (fs.existsSync(op.oldPath)) {
-          fs.renameSync(op.oldPath, op.newPath);
-          console.log(`✅ ${op.oldFilename} → ${op.newFilename}`);
-          
-          renamedAssets.push({
-            ...op.asset,
-            filename: op.newFilename
-          });
-        } else {
-          console.log(`⚠️ File not found: ${op.oldFilename}`);
-        }
-      } catch (error) {
-        console.log(`❌ Error renaming ${op.oldFilename}: ${error.message}`);
-      }
-    }
-    
-    // Update the manifest
-    const updatedManifest = {
-      ...manifest,
-      updatedAt: new Date().toISOString(),
-      method: 'selected_images_and_key_icons_renamed',
-      downloadedAssets: renamedAssets
-    };
-    
-    fs.writeFileSync(manifestPath, JSON.stringify(updatedManifest, null, 2));
-    
-    console.log(`\n📊 RENAME RESULTS:`);
-    console.log(`✅ Successfully renamed: ${renamedAssets.length} assets`);
-    console.log(`📋 Updated manifest: downloaded-assets.json`);
-    
-    // List the new filenames
-    console.log(`\n📁 New Asset Names:`);
-    console.log(`${'='.repeat(50)}`);
-    
-    const images = renamedAssets.filter(a => a.assetType === 'image');
-    const icons = renamedAssets.filter(a => a.assetType === 'icon');
-    
-    if (images.length > 0) {
-      console.log(`\n🖼️ Images (${images.length}):`);
-      images.forEach(asset => {
-        console.log(`   • ${asset.filename} - ${asset.nodeName}`);
+      moves.forEach((op) => {
+        fs.renameSync(path.join(dir, `${op.oldFilename}.renaming`), path.join(dir, op.newFilename));
       });
     }
-    
-    if (icons.length > 0) {
-      console.log(`\n🎨 Icons (${icons.length}):`);
-      icons.forEach(asset => {
-        console.log(`   • ${asset.filename} - ${asset.nodeName}`);
-      });
+
+    moves.forEach((op) => {
+      console.log(`${dryRun ? '📝' : '✅'} ${op.oldFilename} → ${op.newFilename}`);
+      if (!dryRun) op.asset.filename = op.newFilename;
+    });
+
+    if (!dryRun) {
+      const byKey = new Map(manifest.assets.map(asset => [asset.key, asset]));
+      downloaded
+        .filter(asset => asset.duplicateOf && byKey.has(asset.duplicateOf))
+        .forEach((asset) => {
+          asset.filename = byKey.get(asset.duplicateOf).filename;
+        });
+      const removed = dedupeByContent(manifest, dir);
+      if (removed > 0) console.log(`🔁 ${removed} duplicate files removed`);
+
+      manifest.updatedAt = new Date().toISOString();
+      fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
     }
-    
-    return updatedManifest;
-    
+
+    console.log(`\n📊 RENAME RESULTS:`);
+    console.log(`✅ ${dryRun ? 'Would rename' : 'Successfully renamed'}: ${moves.length} assets`);
+    console.log(`📋 ${dryRun ? 'Manifest left unchanged' : 'Updated manifest'}: ${path.basename(manifestPath)}`);
+
+    return manifest;
+
   } catch (error) {
-    console.error('💥 Error renaming assets:', error);
+    console.error('❌ Error renaming assets:', error.message);
     throw error;
   }
 }
 
-// Run the rename operation
-renameAssets().catch(console.error);
\ No newline at end of file
+module.exports = { renameAssets };
+
+// Run the rename operation when invoked directly
+if (require.main === module) {
+  renameAssets().catch(() => {
+    process.exitCode = 1;
+  });
+}
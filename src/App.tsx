@@ -1,39 +1,32 @@
-import { useEffect, useState } from "react";
-import type { Schema } from "../amplify/data/resource";
-import { generateClient } from "aws-amplify/data";
-
-const client = generateClient<Schema>();
+import "@aws-amplify/ui-react/styles.css";
+import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
+import { SignedIn } from "./components/SignedIn";
+import { AdmissionResults } from "./registration/AdmissionResults";
+import { BagrutCalculator } from "./registration/BagrutCalculator";
+import { EMPTY_DRAFT } from "./registration/draft";
+import { REGISTRATION_STEPS } from "./registration/steps";
+import { Wizard } from "./wizard/Wizard";
+import { userDraftKey } from "./wizard/usePersistentDraft";
+import "./App.css";
 
 function App() {
-  const [todos, setTodos] = useState<Array<Schema["Todo"]["type"]>>([]);
-
-  useEffect(() => {
-    client.models.Todo.observeQuery().subscribe({
-      next: (data) => setTodos([...data.items]),
-    });
-  }, []);
-
-  function createTodo() {
-    client.models.Todo.create({ content: window.prompt("Todo content") });
-  }
-
   return (
-    <main>
-      <h1>My todos</h1>
-      <button onClick={createTodo}>+ new</button>
-      <ul>
-        {todos.map((todo) => (
-          <li key={todo.id}>{todo.content}</li>
-        ))}
-      </ul>
-      <div>
-        🥳 App successfully hosted. Try creating a new todo.
-        <br />
-        <a href="https://docs.amplify.aws/react/start/quickstart/#make-frontend-updates">
-          Review next step of this tutorial.
-        </a>
-      </div>
-    </main>
+    <BrowserRouter>
+      <Routes>
+        <Route
+          path="/register/:stepPath?"
+          element={
+            // Uploads go to the applicant's identity folder and the parser checks it, so registering needs a signed-in user
+            <SignedIn>
+              {(userId) => <Wizard steps={REGISTRATION_STEPS} initialDraft={EMPTY_DRAFT} storageKey={userDraftKey("registration-draft-v1", userId)} basePath="/register" />}
+            </SignedIn>
+          }
+        />
+        <Route path="/bagrut" element={<BagrutCalculator />} />
+        <Route path="/results" element={<SignedIn>{(userId) => <AdmissionResults storageKey={userDraftKey("admission-inputs-v1", userId)} />}</SignedIn>} />
+        <Route path="*" element={<Navigate to="/register" replace />} />
+      </Routes>
+    </BrowserRouter>
   );
 }
 
@@ -0,0 +1,63 @@
+import { Link } from "react-router-dom";
+
+export type ProgressStatus = "completed" | "current" | "available" | "locked";
+
+export interface ProgressItem {
+  key: string;
+  label: string;
+  status: ProgressStatus;
+  /** Where the item links to; locked and current items are not links */
+  to?: string;
+}
+
+const STATUS_LABELS: Record<ProgressStatus, string> = {
+  completed: "הושלם",
+  current: "שלב נוכחי",
+  available: "פתוח",
+  locked: "נעול",
+};
+
+const MARKER_CLASSES: Record<ProgressStatus, string> = {
+  completed: "bg-green-700 text-white",
+  current: "bg-violet-700 text-white",
+  available: "border border-violet-700 text-violet-700",
+  locked: "border border-gray-400 text-gray-500",
+};
+
+/**
+ * Numbered header of the registration stages. Completed and available
+ * stages link back to their first screen; locked ones cannot be opened
+ * until the stages before them are done.
+ */
+export function ProgressSteps({ items }: { items: ProgressItem[] }) {
+  return (
+    <nav aria-label="שלבי ההרשמה">
+      <ol className="flex flex-wrap gap-4">
+        {items.map((item, index) => {
+          const content = (
+            <>
+              <span className={`inline-flex h-8 w-8 items-center justify-center rounded-full ${MARKER_CLASSES[item.status]}`} aria-hidden="true">
+                {item.status === "completed" ? "✓" : index + 1}
+              </span>
+              <span className={item.status === "current" ? "font-bold" : undefined}>{item.label}</span>
+              <span className="sr-only"> ({STATUS_LABELS[item.status]})</span>
+            </>
+          );
+          return (
+            <li key={item.key} className="flex items-center gap-2" aria-current={item.status === "current" ? "step" : undefined}>
+              {item.to && (item.status === "completed" || item.status === "available") ? (
+                <Link to={item.to} className="flex items-center gap-2">
+                  {content}
+                </Link>
+              ) : (
+                <span className="flex items-center gap-2" aria-disabled={item.status === "locked" || undefined}>
+                  {content}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
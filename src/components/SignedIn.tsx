@@ -0,0 +1,41 @@
+import { Authenticator } from "@aws-amplify/ui-react";
+import { Fragment, type ReactNode } from "react";
+import { clearUserDrafts } from "../wizard/usePersistentDraft";
+
+interface SignedInProps {
+  /** Rendered once someone is signed in, with their Cognito user ID */
+  children: (userId: string) => ReactNode;
+}
+
+/**
+ * Sign-in gate for the pages that keep an applicant's details. Signing out
+ * deletes the drafts saved for that user, so a shared browser does not hand
+ * them to whoever signs in next.
+ */
+export function SignedIn({ children }: SignedInProps) {
+  return (
+    <Authenticator>
+      {({ user, signOut }) =>
+        user ? (
+          // A different user gets fresh components, which load their own drafts
+          <Fragment key={user.userId}>
+            <div dir="rtl" className="flex justify-end">
+              <button
+                type="button"
+                onClick={() => {
+                  clearUserDrafts(user.userId);
+                  signOut?.();
+                }}
+              >
+                יציאה
+              </button>
+            </div>
+            {children(user.userId)}
+          </Fragment>
+        ) : (
+          <></>
+        )
+      }
+    </Authenticator>
+  );
+}
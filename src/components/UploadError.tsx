@@ -0,0 +1,31 @@
+interface UploadErrorProps {
+  message: string;
+  onRetry?: () => void;
+  onDismiss?: () => void;
+  dismissLabel?: string;
+}
+
+/** "שגיאה כללית - העלאת מסמך": what went wrong with an upload and the ways forward */
+export function UploadError({ message, onRetry, onDismiss, dismissLabel = "ביטול" }: UploadErrorProps) {
+  return (
+    <div role="alert" className="flex flex-col items-center gap-4 rounded border border-red-300 bg-red-50 p-6 text-center">
+      <span aria-hidden="true" className="text-3xl">
+        ⚠️
+      </span>
+      <h2 className="font-bold">אופס, משהו השתבש בהעלאת המסמך</h2>
+      <p>{message}</p>
+      <div className="flex gap-4">
+        {onRetry && (
+          <button type="button" onClick={onRetry}>
+            נסו שוב
+          </button>
+        )}
+        {onDismiss && (
+          <button type="button" onClick={onDismiss}>
+            {dismissLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,6 +5,9 @@ import "./index.css";
 import { Amplify } from "aws-amplify";
 import outputs from "../amplify_outputs.json";
 
+// Token custom properties, once `npm run figma -- build-tokens` has written them
+import.meta.glob("./styles/tokens.css", { eager: true });
+
 Amplify.configure(outputs);
 
 ReactDOM.createRoot(document.getElementById("root")!).render(
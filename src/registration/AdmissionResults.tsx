@@ -0,0 +1,135 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { usePersistentDraft } from "../wizard/usePersistentDraft";
+import { LIKELIHOODS, rankPrograms, type AdmissionOutcome, type Likelihood } from "./admission";
+import { DEGREE_LEVEL_LABELS } from "./draft";
+import { usePrograms } from "./usePrograms";
+
+const INITIAL_INPUTS = { bagrutAverage: "", psychometric: "", degreeLevel: "BACHELOR" };
+
+// Long enough for the "calculating" frame to register before the reveal
+const CALCULATING_MS = 1200;
+const REVEAL_STAGGER_MS = 120;
+
+const LIKELIHOOD_LABELS: Record<Likelihood, string> = {
+  likely: "סיכוי גבוה",
+  possible: "סיכוי בינוני",
+  unlikely: "סיכוי נמוך",
+  incomplete: "חסרים נתונים",
+  ineligible: "לא עומד בתנאי הסף",
+};
+
+const LIKELIHOOD_CLASSES: Record<Likelihood, string> = {
+  likely: "bg-green-100 text-green-800",
+  possible: "bg-yellow-100 text-yellow-800",
+  unlikely: "bg-red-100 text-red-800",
+  incomplete: "bg-gray-100 text-gray-700",
+  ineligible: "bg-gray-200 text-gray-800",
+};
+
+function parseNumber(value: string): number | null {
+  return value.trim() === "" || Number.isNaN(Number(value)) ? null : Number(value);
+}
+
+function ResultCard({ outcome, index }: { outcome: AdmissionOutcome; index: number }) {
+  const fill = outcome.score !== null && outcome.threshold != null ? Math.min(100, Math.round((outcome.score / outcome.threshold) * 100)) : null;
+
+  return (
+    <article className="result-reveal flex flex-col gap-2 rounded border p-4" style={{ animationDelay: `${index * REVEAL_STAGGER_MS}ms` }}>
+      <header className="flex items-center justify-between gap-4">
+        <h2 className="font-bold">
+          {outcome.name}
+          {outcome.faculty && <span className="block text-sm font-normal">{outcome.faculty}</span>}
+        </h2>
+        <span className={`rounded-full px-3 py-1 text-sm ${LIKELIHOOD_CLASSES[outcome.likelihood]}`}>{LIKELIHOOD_LABELS[outcome.likelihood]}</span>
+      </header>
+      {fill !== null && (
+        <div
+          role="meter"
+          aria-label="סכם ביחס לסף הקבלה"
+          aria-valuemin={0}
+          aria-valuemax={outcome.threshold ?? undefined}
+          aria-valuenow={outcome.score ?? undefined}
+          className="h-2 overflow-hidden rounded bg-gray-200"
+        >
+          <div className="result-meter h-full bg-violet-700" style={{ width: `${fill}%`, animationDelay: `${index * REVEAL_STAGGER_MS}ms` }} />
+        </div>
+      )}
+      <ul className="list-disc pr-6 text-sm">
+        {outcome.factors.map((factor) => (
+          <li key={factor.message} className={factor.decisive ? "font-bold" : undefined}>
+            {factor.message}
+          </li>
+        ))}
+      </ul>
+    </article>
+  );
+}
+
+/**
+ * "סיכויי קבלה לכלל התחומים": acceptance chances for every active program
+ * of a degree level, revealed one by one after a short calculating state.
+ */
+export function AdmissionResults({ storageKey }: { storageKey: string }) {
+  const { values, update } = usePersistentDraft(storageKey, INITIAL_INPUTS);
+  const { programs, error } = usePrograms(values.degreeLevel);
+  const [phase, setPhase] = useState<"input" | "calculating" | "revealed">("input");
+
+  useEffect(() => {
+    if (phase !== "calculating") return;
+    const timer = setTimeout(() => setPhase("revealed"), CALCULATING_MS);
+    return () => clearTimeout(timer);
+  }, [phase]);
+
+  const outcomes = rankPrograms(programs, { bagrutAverage: parseNumber(values.bagrutAverage), psychometric: parseNumber(values.psychometric) });
+  const counts = LIKELIHOODS.map((likelihood) => [likelihood, outcomes.filter((outcome) => outcome.likelihood === likelihood).length] as const).filter(([, count]) => count > 0);
+
+  return (
+    <main dir="rtl" className="flex flex-col gap-6 text-right">
+      <h1>סיכויי קבלה לכלל התחומים</h1>
+      <form
+        className="flex flex-col gap-4"
+        onSubmit={(event) => {
+          event.preventDefault();
+          setPhase("calculating");
+        }}
+      >
+        <label className="flex flex-col gap-1">
+          סוג התואר
+          <select className="rounded border p-2" value={values.degreeLevel} onChange={(event) => update({ degreeLevel: event.target.value })}>
+            {Object.entries(DEGREE_LEVEL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          ממוצע בגרות משוקלל
+          <input className="rounded border p-2" type="number" step="0.01" value={values.bagrutAverage} onChange={(event) => update({ bagrutAverage: event.target.value })} />
+          <Link to="/bagrut" className="text-sm">
+            לחישוב ממוצע הבגרות
+          </Link>
+        </label>
+        <label className="flex flex-col gap-1">
+          ציון פסיכומטרי
+          <input className="rounded border p-2" type="number" min={200} max={800} value={values.psychometric} onChange={(event) => update({ psychometric: event.target.value })} />
+        </label>
+        <button type="submit">חישוב תוצאות</button>
+      </form>
+
+      {error && <p role="alert">{error}</p>}
+      {phase === "calculating" && <p role="status">מחשבים את סיכויי הקבלה…</p>}
+      {phase === "revealed" && (
+        <section aria-labelledby="results-title" className="flex flex-col gap-4">
+          <h2 id="results-title" role="status">
+            {counts.map(([likelihood, count]) => `${LIKELIHOOD_LABELS[likelihood]}: ${count}`).join(" · ") || "אין מסלולים פתוחים ברמה זו"}
+          </h2>
+          {outcomes.map((outcome, index) => (
+            <ResultCard key={outcome.programId} outcome={outcome} index={index} />
+          ))}
+        </section>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,22 @@
+import { useState } from "react";
+import { BAGRUT_SUBJECTS, type BagrutEntry } from "./bagrut";
+import { BagrutGradesTable } from "./BagrutGradesTable";
+
+// Mandatory subjects are listed up front at their minimum units
+const INITIAL_ENTRIES: BagrutEntry[] = BAGRUT_SUBJECTS.filter((subject) => subject.mandatory).map((subject) => ({
+  subject: subject.code,
+  units: subject.minUnits ?? subject.maxUnits,
+  grade: NaN,
+}));
+
+/** "חישוב בגרויות" screen: the grade table on its own, for checking an average before registering */
+export function BagrutCalculator() {
+  const [entries, setEntries] = useState(INITIAL_ENTRIES);
+
+  return (
+    <main dir="rtl" className="flex flex-col gap-6 text-right">
+      <h1>חישוב ממוצע בגרות</h1>
+      <BagrutGradesTable entries={entries} onChange={setEntries} />
+    </main>
+  );
+}
@@ -0,0 +1,162 @@
+import { calculateBagrutAverage, DEFAULT_BAGRUT_CONFIG, type BagrutConfig, type BagrutEntry, type BagrutRow } from "./bagrut";
+
+interface BagrutGradesTableProps {
+  entries: BagrutEntry[];
+  onChange: (entries: BagrutEntry[]) => void;
+  config?: BagrutConfig;
+}
+
+const REASON_LABELS: Record<BagrutRow["reason"], string> = {
+  mandatory: "מקצוע חובה",
+  "minimum-units": "נדרש להשלמת יחידות",
+  "raises-average": "משפר את הממוצע",
+  "lowers-average": "לא נכלל, מוריד את הממוצע",
+  invalid: "לא נכלל, נתונים חסרים",
+};
+
+function numberValue(value: number | undefined): string {
+  return value === undefined || Number.isNaN(value) ? "" : String(value);
+}
+
+function unitOptions(min = 1, max: number): number[] {
+  return Array.from({ length: max - min + 1 }, (_, index) => min + index);
+}
+
+/**
+ * Subject-by-subject Bagrut entry. The average, each subject's bonus and
+ * whether it counts are recomputed on every change.
+ */
+export function BagrutGradesTable({ entries, onChange, config = DEFAULT_BAGRUT_CONFIG }: BagrutGradesTableProps) {
+  const result = calculateBagrutAverage(entries, config);
+  const subjects = new Map(config.subjects.map((subject) => [subject.code, subject]));
+  const unused = config.subjects.filter((subject) => !entries.some((entry) => entry.subject === subject.code));
+
+  const updateEntry = (index: number, changes: Partial<BagrutEntry>) => onChange(entries.map((entry, current) => (current === index ? { ...entry, ...changes } : entry)));
+  const removeEntry = (index: number) => onChange(entries.filter((_, current) => current !== index));
+  const addEntry = (code: string) => {
+    const subject = subjects.get(code);
+    if (subject) onChange([...entries, { subject: code, units: subject.minUnits ?? subject.maxUnits, grade: NaN }]);
+  };
+
+  return (
+    <div dir="rtl" className="flex flex-col gap-4 text-right">
+      <table className="w-full">
+        <caption className="sr-only">ציוני בגרות</caption>
+        <thead>
+          <tr>
+            <th scope="col">מקצוע</th>
+            <th scope="col">יחידות לימוד</th>
+            <th scope="col">ציון</th>
+            <th scope="col">ציון שיפור</th>
+            <th scope="col">בונוס</th>
+            <th scope="col">ציון משוקלל</th>
+            <th scope="col">
+              <span className="sr-only">פעולות</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry, index) => {
+            const subject = subjects.get(entry.subject);
+            const row = result.rows[index];
+            const name = subject?.name ?? entry.subject;
+            return (
+              <tr key={entry.subject} className={row.included ? undefined : "text-gray-500"}>
+                <th scope="row">
+                  {name}
+                  <span className="block text-sm font-normal">{REASON_LABELS[row.reason]}</span>
+                </th>
+                <td>
+                  <select
+                    aria-label={`יחידות לימוד ב${name}`}
+                    value={entry.units}
+                    onChange={(event) => updateEntry(index, { units: Number(event.target.value) })}
+                  >
+                    {unitOptions(subject?.minUnits, subject?.maxUnits ?? 5).map((units) => (
+                      <option key={units} value={units}>
+                        {units}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    aria-label={`ציון ב${name}`}
+                    className="w-20 rounded border p-1"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={numberValue(entry.grade)}
+                    onChange={(event) => updateEntry(index, { grade: event.target.value === "" ? NaN : Number(event.target.value) })}
+                  />
+                </td>
+                <td>
+                  <input
+                    aria-label={`ציון שיפור ב${name}`}
+                    className="w-20 rounded border p-1"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={numberValue(entry.improvedGrade)}
+                    onChange={(event) => updateEntry(index, { improvedGrade: event.target.value === "" ? undefined : Number(event.target.value) })}
+                  />
+                  <select
+                    aria-label={`יחידות לימוד בשיפור ב${name}`}
+                    value={entry.improvedUnits ?? ""}
+                    onChange={(event) => updateEntry(index, { improvedUnits: event.target.value === "" ? undefined : Number(event.target.value) })}
+                  >
+                    <option value="">אותן יחידות</option>
+                    {unitOptions(subject?.minUnits, subject?.maxUnits ?? 5).map((units) => (
+                      <option key={units} value={units}>
+                        {units} יח״ל
+                      </option>
+                    ))}
+                  </select>
+                  {row.usedImprovement && <span className="block text-sm">ציון השיפור נלקח בחשבון</span>}
+                </td>
+                <td>{row.bonus > 0 ? `+${row.bonus}` : "—"}</td>
+                <td>{Number.isNaN(row.weightedGrade) ? "—" : row.weightedGrade}</td>
+                <td>
+                  {!subject?.mandatory && (
+                    <button type="button" aria-label={`הסרת ${name}`} onClick={() => removeEntry(index)}>
+                      ✕
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {unused.length > 0 && (
+        <label className="flex items-center gap-2">
+          הוספת מקצוע
+          <select value="" onChange={(event) => addEntry(event.target.value)}>
+            <option value="">בחירה</option>
+            {unused.map((subject) => (
+              <option key={subject.code} value={subject.code}>
+                {subject.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <output aria-live="polite" className="flex flex-col gap-1">
+        <span className="text-xl font-bold">ממוצע בגרות משוקלל: {result.average ?? "—"}</span>
+        <span>
+          ללא בונוסים: {result.averageWithoutBonus ?? "—"} · {result.totalUnits} יחידות לימוד
+        </span>
+      </output>
+
+      {result.issues.length > 0 && (
+        <ul className="list-disc pr-6 text-sm text-red-700">
+          {result.issues.map((issue) => (
+            <li key={`${issue.subject}-${issue.message}`}>{issue.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import type { StepProps } from "../wizard/types";
+import type { RegistrationDraft } from "./draft";
+
+export function EndStep({ draft }: StepProps<RegistrationDraft>) {
+  return (
+    <div className="flex flex-col gap-4">
+      <p>
+        תודה {draft.firstName}, הבקשה נשלחה לוועדת הקבלה. מספר הבקשה: {draft.applicationId}.
+      </p>
+      <p>דמי ההרשמה, אם נדרשים לתחום שבחרת, רשומים כממתינים לתשלום.</p>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import { StepFields } from "../wizard/StepFields";
+import type { StepProps } from "../wizard/types";
+import type { RegistrationDraft } from "./draft";
+
+export function IntroStep(props: StepProps<RegistrationDraft>) {
+  return (
+    <div className="flex flex-col gap-4">
+      <p>ברוכים הבאים להרשמה! לפני שמתחילים, הנה כמה דברים שרצינו לספר לך:</p>
+      <ul className="list-disc pr-6">
+        <li>ההרשמה נשמרת תוך כדי מילוי, ואפשר לחזור ולהמשיך בכל שלב.</li>
+        <li>כדאי להכין תעודת זהות, ציוני בגרות ופרטי תשלום.</li>
+      </ul>
+      <StepFields {...props} />
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { StepFields } from "../wizard/StepFields";
+import type { StepProps } from "../wizard/types";
+import type { RegistrationDraft } from "./draft";
+import { usePrograms } from "./usePrograms";
+
+export function PaymentStep(props: StepProps<RegistrationDraft>) {
+  const { programs } = usePrograms(props.draft.degreeLevel);
+  const program = programs.find((candidate) => candidate.id === props.draft.programId);
+
+  return (
+    <div className="flex flex-col gap-4">
+      {program && (
+        <p>
+          דמי הרשמה ל{program.name}: {program.applicationFee != null ? `₪${program.applicationFee}` : "ללא תשלום"}
+        </p>
+      )}
+      <StepFields {...props} />
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { StepFields } from "../wizard/StepFields";
+import type { StepProps } from "../wizard/types";
+import type { RegistrationDraft } from "./draft";
+import { PsychometricUpload, type PsychometricFileResult } from "./PsychometricUpload";
+
+function text(value: number | string | null | undefined): string {
+  return value == null ? "" : String(value);
+}
+
+/** "ציונים נוספים ופסיכומטרי": scores typed in, or read from the uploaded results file */
+export function PsychometricStep(props: StepProps<RegistrationDraft>) {
+  const { onChange } = props;
+
+  const prefill = (result: PsychometricFileResult) =>
+    onChange({
+      psychometricTotal: text(result.total),
+      psychometricVerbal: text(result.verbal),
+      psychometricQuantitative: text(result.quantitative),
+      psychometricEnglish: text(result.english),
+      psychometricDate: text(result.testDate),
+      psychometricFile: result.path,
+    });
+
+  return (
+    <div className="flex flex-col gap-4">
+      <p>אפשר להעלות את גיליון התוצאות ולמלא את הציונים ממנו, או להזין אותם ידנית.</p>
+      <PsychometricUpload onParsed={prefill} onManualEntry={() => document.querySelector<HTMLElement>('[name="psychometricTotal"]')?.focus()} />
+      <StepFields {...props} />
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useRef, useState } from "react";
+import { generateClient } from "aws-amplify/data";
+import { isCancelError, uploadData, type UploadDataWithPathOutput } from "aws-amplify/storage";
+import type { Schema } from "../../amplify/data/resource";
+import { PSYCHOMETRIC_UPLOAD_LIMITS } from "../../amplify/functions/parse-psychometric/limits";
+import { UploadError } from "../components/UploadError";
+
+// The parser reads from the caller's identity folder, so it is called with identity pool credentials
+const client = generateClient<Schema>({ authMode: "identityPool" });
+
+export type PsychometricFileResult = NonNullable<Schema["parsePsychometricFile"]["returnType"]>;
+
+type UploadState =
+  | { phase: "idle" }
+  | { phase: "uploading"; progress: number }
+  | { phase: "parsing" }
+  | { phase: "done"; fileName: string }
+  | { phase: "error"; code: string };
+
+const ERROR_MESSAGES: Record<string, string> = {
+  TOO_LARGE: `הקובץ גדול מדי. ניתן להעלות קובץ עד ${PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes / 1024 / 1024}MB.`,
+  UNSUPPORTED_TYPE: "ניתן להעלות קובץ PDF או CSV בלבד.",
+  UNREADABLE: "לא הצלחנו לקרוא את הקובץ. ודאו שזה קובץ התוצאות המקורי.",
+  SCORES_NOT_FOUND: "לא מצאנו בקובץ ציון פסיכומטרי. ודאו שהעליתם את גיליון התוצאות.",
+  OUT_OF_RANGE: "הציונים בקובץ אינם בטווח האפשרי. ניתן להזין אותם ידנית.",
+  UPLOAD_FAILED: "ההעלאה נכשלה. בדקו את החיבור לאינטרנט ונסו שוב.",
+  PARSE_FAILED: "לא הצלחנו לעבד את הקובץ כרגע. נסו שוב בעוד מספר דקות.",
+};
+
+function fileError(file: File): string | undefined {
+  const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+  const types: readonly string[] = PSYCHOMETRIC_UPLOAD_LIMITS.contentTypes;
+  const extensions: readonly string[] = PSYCHOMETRIC_UPLOAD_LIMITS.extensions;
+  if (!types.includes(file.type) && !extensions.includes(extension)) return "UNSUPPORTED_TYPE";
+  if (file.size > PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes) return "TOO_LARGE";
+  return undefined;
+}
+
+function storageName(fileName: string): string {
+  return fileName.replace(/[^\w.-]+/g, "_");
+}
+
+/**
+ * Upload of the psychometric results file to the applicant's private
+ * folder, followed by server-side parsing. Shows upload progress, retries
+ * whichever of the two failed, and hands the scores to `onParsed`.
+ */
+export function PsychometricUpload({ onParsed, onManualEntry }: { onParsed: (result: PsychometricFileResult) => void; onManualEntry: () => void }) {
+  const [state, setState] = useState<UploadState>({ phase: "idle" });
+  const fileRef = useRef<File>();
+  const pathRef = useRef<string>();
+  const taskRef = useRef<UploadDataWithPathOutput>();
+
+  async function parse(path: string, fileName: string) {
+    setState({ phase: "parsing" });
+    try {
+      const { data, errors } = await client.queries.parsePsychometricFile({ path });
+      if (errors?.length || !data) {
+        setState({ phase: "error", code: "PARSE_FAILED" });
+      } else if (data.errorCode) {
+        setState({ phase: "error", code: data.errorCode });
+      } else {
+        setState({ phase: "done", fileName });
+        onParsed(data);
+      }
+    } catch {
+      setState({ phase: "error", code: "PARSE_FAILED" });
+    }
+  }
+
+  async function upload(file: File) {
+    fileRef.current = file;
+    pathRef.current = undefined;
+    const invalid = fileError(file);
+    if (invalid) {
+      setState({ phase: "error", code: invalid });
+      return;
+    }
+
+    setState({ phase: "uploading", progress: 0 });
+    try {
+      taskRef.current = uploadData({
+        path: ({ identityId }) => `documents/${identityId}/psychometric/${Date.now()}-${storageName(file.name)}`,
+        data: file,
+        options: {
+          contentType: file.type || undefined,
+          onProgress: ({ transferredBytes, totalBytes }) => {
+            setState({ phase: "uploading", progress: totalBytes ? Math.round((transferredBytes / totalBytes) * 100) : 0 });
+          },
+        },
+      });
+      const { path } = await taskRef.current.result;
+      pathRef.current = path;
+    } catch (error) {
+      setState(isCancelError(error) ? { phase: "idle" } : { phase: "error", code: "UPLOAD_FAILED" });
+      return;
+    } finally {
+      taskRef.current = undefined;
+    }
+    await parse(pathRef.current, file.name);
+  }
+
+  function retry() {
+    if (pathRef.current && fileRef.current) parse(pathRef.current, fileRef.current.name);
+    else if (fileRef.current) upload(fileRef.current);
+  }
+
+  if (state.phase === "error") {
+    return (
+      <UploadError
+        message={ERROR_MESSAGES[state.code] ?? ERROR_MESSAGES.PARSE_FAILED}
+        onRetry={["TOO_LARGE", "UNSUPPORTED_TYPE"].includes(state.code) ? undefined : retry}
+        onDismiss={() => {
+          setState({ phase: "idle" });
+          onManualEntry();
+        }}
+        dismissLabel="הזנה ידנית"
+      />
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-2 rounded border border-dashed p-4">
+      <label htmlFor="psychometric-file">העלאת קובץ פסיכומטרי</label>
+      <input
+        id="psychometric-file"
+        type="file"
+        accept={[...PSYCHOMETRIC_UPLOAD_LIMITS.extensions, ...PSYCHOMETRIC_UPLOAD_LIMITS.contentTypes].join(",")}
+        disabled={state.phase === "uploading" || state.phase === "parsing"}
+        aria-describedby="psychometric-file-hint"
+        onChange={(event) => {
+          const file = event.target.files?.[0];
+          event.target.value = "";
+          if (file) upload(file);
+        }}
+      />
+      <p id="psychometric-file-hint" className="text-sm">
+        גיליון התוצאות מהמרכז הארצי לבחינות ולהערכה, PDF או CSV, עד {PSYCHOMETRIC_UPLOAD_LIMITS.maxBytes / 1024 / 1024}MB
+      </p>
+      {state.phase === "uploading" && (
+        <div className="flex items-center gap-2">
+          <progress max={100} value={state.progress} aria-label="התקדמות ההעלאה" />
+          <span>{state.progress}%</span>
+          <button type="button" onClick={() => taskRef.current?.cancel()}>
+            ביטול
+          </button>
+        </div>
+      )}
+      {state.phase === "parsing" && <p role="status">קוראים את הציונים מהקובץ…</p>}
+      {state.phase === "done" && <p role="status">הציונים מהקובץ {state.fileName} מולאו למטה. אפשר לתקן אותם במידת הצורך.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import type { StepProps } from "../wizard/types";
+import type { RegistrationDraft } from "./draft";
+import { usePrograms } from "./usePrograms";
+
+/** Program choice among the active programs of the chosen degree level */
+export function SubjectStep({ draft, errors, onChange }: StepProps<RegistrationDraft>) {
+  const { programs, error } = usePrograms(draft.degreeLevel);
+  const fieldError = errors.programId;
+
+  return (
+    <fieldset className="flex flex-col gap-2" aria-invalid={fieldError ? true : undefined} aria-describedby={fieldError ? "programId-error" : undefined}>
+      <legend>תחום הלימוד</legend>
+      {error && <p role="alert">{error}</p>}
+      {programs.length === 0 && !error && <p>אין כרגע מסלולים פתוחים להרשמה ברמה זו.</p>}
+      {programs.map((program) => (
+        <label key={program.id} className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="programId"
+            value={program.id}
+            checked={draft.programId === program.id}
+            onChange={() => onChange({ programId: program.id })}
+          />
+          {program.name}
+          {program.faculty && ` · ${program.faculty}`}
+        </label>
+      ))}
+      {fieldError && (
+        <p id="programId-error" className="text-sm text-red-700">
+          {fieldError}
+        </p>
+      )}
+    </fieldset>
+  );
+}
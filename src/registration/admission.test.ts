@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { evaluateProgram, rankPrograms, type AdmissionProgram } from "./admission";
+
+// Sechem = 0.2 × Bagrut + 0.1 × psychometric: 100 Bagrut and 700 psychometric score 90
+const FORMULA: AdmissionProgram = {
+  id: "cs",
+  name: "מדעי המחשב",
+  bagrutWeight: 0.2,
+  psychometricWeight: 0.1,
+  minimumScore: 80,
+  acceptanceScore: 90,
+};
+
+function evaluate(program: Partial<AdmissionProgram>, bagrutAverage: number | null, psychometric: number | null) {
+  return evaluateProgram({ ...FORMULA, ...program }, { bagrutAverage, psychometric });
+}
+
+function decisive(program: Partial<AdmissionProgram>, bagrutAverage: number | null, psychometric: number | null) {
+  return evaluate(program, bagrutAverage, psychometric).factors.find((factor) => factor.decisive)?.input;
+}
+
+describe("evaluateProgram", () => {
+  it.each([
+    ["no Bagrut average", {}, null, 700, "incomplete", "bagrut"],
+    ["a Bagrut average under the minimum", { minimumBagrut: 90 }, 85, 700, "ineligible", "bagrut"],
+    ["a Bagrut-only average", { bagrutOnlyAverage: 105 }, 110, null, "likely", "bagrut"],
+    ["no psychometric score where one is required", {}, 100, null, "incomplete", "psychometric"],
+    ["no psychometric score where none is required", { requiresPsychometric: false }, 100, null, "possible", undefined],
+    ["a psychometric score under the minimum", { minimumPsychometric: 650 }, 110, 600, "ineligible", "psychometric"],
+    ["no published formula", { bagrutWeight: null, psychometricWeight: null }, 100, 700, "possible", undefined],
+    ["no published threshold", { minimumScore: null, acceptanceScore: null }, 100, 700, "possible", undefined],
+    ["a score at the acceptance threshold", {}, 100, 700, "likely", "threshold"],
+    ["a score in the waiting range", {}, 100, 600, "possible", "threshold"],
+    ["a score under the minimum", {}, 100, 500, "unlikely", "threshold"],
+  ] as const)("with %s is %s", (_, program, bagrut, psychometric, likelihood, input) => {
+    expect(evaluate(program, bagrut, psychometric).likelihood).toBe(likelihood);
+    expect(decisive(program, bagrut, psychometric)).toBe(input);
+  });
+
+  it("adds the offset and measures the margin from the acceptance threshold", () => {
+    const outcome = evaluate({ scoreOffset: -5 }, 100, 700);
+    expect(outcome).toMatchObject({ score: 85, threshold: 90, margin: -5, likelihood: "possible" });
+    expect(outcome.factors.map((factor) => factor.points)).toEqual([20, 70, -5, undefined]);
+  });
+
+  it("uses whichever threshold is published for both", () => {
+    expect(evaluate({ minimumScore: null }, 100, 650)).toMatchObject({ score: 85, threshold: 90, likelihood: "unlikely" });
+    expect(evaluate({ acceptanceScore: null }, 100, 650)).toMatchObject({ score: 85, threshold: 80, likelihood: "likely" });
+  });
+
+  it("names the points still missing in both inputs", () => {
+    const message = evaluate({}, 100, 600).factors.at(-1)!.message;
+    expect(message).toContain("חסרות 10 נקודות");
+    expect(message).toContain("100 נקודות בפסיכומטרי");
+    expect(message).toContain("50 נקודות בממוצע הבגרות");
+  });
+
+  it("measures a Bagrut-only acceptance against the Bagrut-only average", () => {
+    expect(evaluate({ bagrutOnlyAverage: 105 }, 110, null)).toMatchObject({ score: null, threshold: 105, margin: 5 });
+  });
+
+  it("prefers the psychometric formula to a Bagrut-only average the applicant does not reach", () => {
+    expect(evaluate({ bagrutOnlyAverage: 115 }, 100, 700)).toMatchObject({ likelihood: "likely", score: 90, margin: 0 });
+  });
+});
+
+describe("rankPrograms", () => {
+  const programs: AdmissionProgram[] = [
+    { ...FORMULA, id: "waiting", name: "ב", acceptanceScore: 95 },
+    { ...FORMULA, id: "missing", name: "א", minimumPsychometric: 750 },
+    { ...FORMULA, id: "clear", name: "ג", acceptanceScore: 85 },
+    { ...FORMULA, id: "bagrut-only", name: "ד", bagrutOnlyAverage: 97 },
+    { ...FORMULA, id: "edge", name: "ה" },
+  ];
+
+  it("orders by likelihood, then by margin", () => {
+    expect(rankPrograms(programs, { bagrutAverage: 100, psychometric: 700 }).map((outcome) => outcome.programId)).toEqual([
+      "clear",
+      "bagrut-only",
+      "edge",
+      "waiting",
+      "missing",
+    ]);
+  });
+
+  it("breaks ties by name", () => {
+    const ties = [
+      { ...FORMULA, id: "second", name: "ב" },
+      { ...FORMULA, id: "first", name: "א" },
+    ];
+    expect(rankPrograms(ties, { bagrutAverage: 100, psychometric: 700 }).map((outcome) => outcome.programId)).toEqual(["first", "second"]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Acceptance chances per program from the applicant's Bagrut average and
+ * psychometric total. Each program carries its own admission score
+ * (sechem) formula and thresholds in the data model; the engine applies
+ * them and records which input decided the outcome, so the results screen
+ * can explain it.
+ */
+
+export interface AdmissionProgram {
+  id: string;
+  name: string;
+  faculty?: string | null;
+  bagrutWeight?: number | null;
+  psychometricWeight?: number | null;
+  scoreOffset?: number | null;
+  minimumScore?: number | null;
+  acceptanceScore?: number | null;
+  minimumBagrut?: number | null;
+  minimumPsychometric?: number | null;
+  bagrutOnlyAverage?: number | null;
+  requiresPsychometric?: boolean | null;
+}
+
+export interface AdmissionInputs {
+  bagrutAverage: number | null;
+  psychometric: number | null;
+}
+
+/** Most to least favourable; the order results are ranked in */
+export const LIKELIHOODS = ["likely", "possible", "unlikely", "incomplete", "ineligible"] as const;
+
+export type Likelihood = (typeof LIKELIHOODS)[number];
+
+export interface AdmissionFactor {
+  input: "bagrut" | "psychometric" | "offset" | "threshold";
+  message: string;
+  /** Points this input adds to the admission score */
+  points?: number;
+  /** The factor that settled the outcome */
+  decisive?: boolean;
+}
+
+export interface AdmissionOutcome {
+  programId: string;
+  name: string;
+  faculty?: string | null;
+  likelihood: Likelihood;
+  score: number | null;
+  /** Threshold the score is compared with for acceptance */
+  threshold: number | null;
+  /**
+   * Score minus threshold; negative when points are missing. A Bagrut-only
+   * acceptance has no score, so its margin is the Bagrut average minus
+   * `threshold`, the program's Bagrut-only average.
+   */
+  margin: number | null;
+  factors: AdmissionFactor[];
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+export function evaluateProgram(program: AdmissionProgram, inputs: AdmissionInputs): AdmissionOutcome {
+  const { bagrutAverage: bagrut, psychometric } = inputs;
+  const factors: AdmissionFactor[] = [];
+  const outcome = (likelihood: Likelihood, score: number | null = null, threshold: number | null = null, compared = score): AdmissionOutcome => ({
+    programId: program.id,
+    name: program.name,
+    faculty: program.faculty,
+    likelihood,
+    score,
+    threshold,
+    margin: compared !== null && threshold !== null ? round(compared - threshold) : null,
+    factors,
+  });
+
+  if (bagrut === null) {
+    factors.push({ input: "bagrut", message: "יש להזין ממוצע בגרות", decisive: true });
+    return outcome("incomplete");
+  }
+  if (program.minimumBagrut != null && bagrut < program.minimumBagrut) {
+    factors.push({ input: "bagrut", message: `ממוצע הבגרות ${bagrut} נמוך מהמינימום לתכנית (${program.minimumBagrut})`, decisive: true });
+    return outcome("ineligible");
+  }
+  if (program.bagrutOnlyAverage != null && bagrut >= program.bagrutOnlyAverage) {
+    factors.push({ input: "bagrut", message: `ממוצע בגרות ${program.bagrutOnlyAverage} ומעלה מתקבל גם ללא ציון פסיכומטרי`, decisive: true });
+    return outcome("likely", null, program.bagrutOnlyAverage, bagrut);
+  }
+  if (psychometric === null) {
+    const alternative = program.bagrutOnlyAverage != null ? `, או ממוצע בגרות של ${program.bagrutOnlyAverage} לפחות` : "";
+    if (program.requiresPsychometric !== false) {
+      factors.push({ input: "psychometric", message: `נדרש ציון פסיכומטרי${alternative}`, decisive: true });
+      return outcome("incomplete");
+    }
+    factors.push({ input: "bagrut", message: "התכנית אינה מחייבת ציון פסיכומטרי ואין לה סף קבלה לפי בגרות בלבד; ההחלטה נקבעת בוועדה" });
+    return outcome("possible");
+  }
+  if (program.minimumPsychometric != null && psychometric < program.minimumPsychometric) {
+    factors.push({ input: "psychometric", message: `הציון הפסיכומטרי ${psychometric} נמוך מהמינימום לתכנית (${program.minimumPsychometric})`, decisive: true });
+    return outcome("ineligible");
+  }
+  if (program.bagrutWeight == null && program.psychometricWeight == null) {
+    factors.push({ input: "threshold", message: "לתכנית לא פורסמה נוסחת סכם" });
+    return outcome("possible");
+  }
+
+  const bagrutWeight = program.bagrutWeight ?? 0;
+  const psychometricWeight = program.psychometricWeight ?? 0;
+  const bagrutPoints = round(bagrutWeight * bagrut);
+  const psychometricPoints = round(psychometricWeight * psychometric);
+  const score = round(bagrutPoints + psychometricPoints + (program.scoreOffset ?? 0));
+  const inputPoints = bagrutPoints + psychometricPoints;
+  const share = (points: number) => (inputPoints > 0 ? Math.round((points / inputPoints) * 100) : 0);
+  factors.push(
+    { input: "bagrut", points: bagrutPoints, message: `ממוצע הבגרות ${bagrut} תורם ${bagrutPoints} נקודות (${share(bagrutPoints)}% מהסכם)` },
+    { input: "psychometric", points: psychometricPoints, message: `הציון הפסיכומטרי ${psychometric} תורם ${psychometricPoints} נקודות (${share(psychometricPoints)}% מהסכם)` }
+  );
+  if (program.scoreOffset) {
+    factors.push({ input: "offset", points: program.scoreOffset, message: `קבוע הנוסחה: ${program.scoreOffset}` });
+  }
+
+  const acceptance = program.acceptanceScore ?? program.minimumScore;
+  const minimum = program.minimumScore ?? program.acceptanceScore;
+  if (acceptance == null || minimum == null) {
+    factors.push({ input: "threshold", message: `סכם ${score}; לתכנית לא פורסם סף קבלה` });
+    return outcome("possible", score);
+  }
+
+  if (score >= acceptance) {
+    factors.push({ input: "threshold", message: `סכם ${score} עובר את סף הקבלה (${acceptance})`, decisive: true });
+    return outcome("likely", score, acceptance);
+  }
+
+  const gap = round(acceptance - score);
+  const equivalents = [
+    psychometricWeight > 0 && `${Math.ceil(gap / psychometricWeight)} נקודות בפסיכומטרי`,
+    bagrutWeight > 0 && `${round(gap / bagrutWeight)} נקודות בממוצע הבגרות`,
+  ].filter(Boolean);
+  const missing = `חסרות ${gap} נקודות לסף הקבלה (${acceptance})${equivalents.length > 0 ? `, שהן ${equivalents.join(" או ")}` : ""}`;
+  if (score >= minimum) {
+    factors.push({ input: "threshold", message: `סכם ${score} בטווח ההמתנה, בין ${minimum} ל-${acceptance}. ${missing}`, decisive: true });
+    return outcome("possible", score, acceptance);
+  }
+  factors.push({ input: "threshold", message: `סכם ${score} נמוך מהסף המינימלי (${minimum}). ${missing}`, decisive: true });
+  return outcome("unlikely", score, acceptance);
+}
+
+/**
+ * Every program's outcome, best chances first: by likelihood band, then
+ * by how far the score clears (or misses) the acceptance threshold.
+ */
+export function rankPrograms(programs: AdmissionProgram[], inputs: AdmissionInputs): AdmissionOutcome[] {
+  return programs
+    .map((program) => evaluateProgram(program, inputs))
+    .sort(
+      (a, b) =>
+        LIKELIHOODS.indexOf(a.likelihood) - LIKELIHOODS.indexOf(b.likelihood) ||
+        (b.margin ?? -Infinity) - (a.margin ?? -Infinity) ||
+        a.name.localeCompare(b.name, "he")
+    );
+}
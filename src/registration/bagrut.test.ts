@@ -0,0 +1,168 @@
+import { describe, expect, it } from "vitest";
+import { BAGRUT_SUBJECTS, BONUS_RULES, bonusFor, calculateBagrutAverage, DEFAULT_BAGRUT_CONFIG, type BagrutConfig, type BagrutEntry } from "./bagrut";
+
+const MANDATORY: BagrutEntry[] = [
+  { subject: "hebrew", units: 2, grade: 90 },
+  { subject: "math", units: 5, grade: 85 },
+  { subject: "english", units: 5, grade: 90 },
+  { subject: "history", units: 2, grade: 80 },
+  { subject: "civics", units: 2, grade: 88 },
+  { subject: "literature", units: 2, grade: 75 },
+  { subject: "bible", units: 2, grade: 70 },
+];
+
+function row(entries: BagrutEntry[], subject: string, config?: BagrutConfig) {
+  return calculateBagrutAverage(entries, config).rows.find((candidate) => candidate.subject === subject)!;
+}
+
+describe("bonusFor", () => {
+  const subjects = BAGRUT_SUBJECTS.map((subject) => subject.code);
+
+  it.each([
+    ["math", 5, 35],
+    ["english", 5, 25],
+    ["math", 4, 12.5],
+    ["english", 4, 12.5],
+    ["physics", 5, 20],
+    ["bible", 5, 20],
+    ["physics", 4, 10],
+    ["history", 4, 10],
+    ["math", 3, 0],
+    ["physics", 3, 0],
+    ["hebrew", 2, 0],
+    ["arts", 1, 0],
+  ])("%s at %i units gets %d", (subject, units, bonus) => {
+    expect(bonusFor(subject, units, 80)).toBe(bonus);
+  });
+
+  it("gives every known subject exactly the bonus of its most specific rule", () => {
+    subjects.forEach((subject) => {
+      [1, 2, 3, 4, 5].forEach((units) => {
+        const specific = BONUS_RULES.find((rule) => rule.units === units && rule.subjects?.includes(subject));
+        const general = BONUS_RULES.find((rule) => rule.units === units && !rule.subjects);
+        expect(bonusFor(subject, units, 80)).toBe(specific?.bonus ?? general?.bonus ?? 0);
+      });
+    });
+  });
+
+  it("prefers a subject rule over a general rule listed before it", () => {
+    const bonusRules = [
+      { units: 5, bonus: 20 },
+      { units: 5, subjects: ["math"], bonus: 30 },
+    ];
+    expect(bonusFor("math", 5, 80, { bonusRules, bonusMinGrade: 60 })).toBe(30);
+    expect(bonusFor("physics", 5, 80, { bonusRules, bonusMinGrade: 60 })).toBe(20);
+  });
+
+  it.each([
+    [59, 0],
+    [59.9, 0],
+    [60, 35],
+    [100, 35],
+    [NaN, 0],
+  ])("applies bonusMinGrade 60 to a grade of %d", (grade, bonus) => {
+    expect(bonusFor("math", 5, grade)).toBe(bonus);
+  });
+
+  it("uses the configured bonusMinGrade", () => {
+    expect(bonusFor("math", 5, 65, { ...DEFAULT_BAGRUT_CONFIG, bonusMinGrade: 70 })).toBe(0);
+    expect(bonusFor("math", 5, 70, { ...DEFAULT_BAGRUT_CONFIG, bonusMinGrade: 70 })).toBe(35);
+  });
+});
+
+describe("improvement exams", () => {
+  it.each<[string, BagrutEntry, { units: number; grade: number; bonus: number; usedImprovement: boolean }]>([
+    ["higher grade at the same units", { subject: "physics", units: 5, grade: 70, improvedGrade: 85 }, { units: 5, grade: 85, bonus: 20, usedImprovement: true }],
+    ["lower grade is ignored", { subject: "physics", units: 5, grade: 85, improvedGrade: 70 }, { units: 5, grade: 85, bonus: 20, usedImprovement: false }],
+    ["equal grade counts as the improvement", { subject: "physics", units: 5, grade: 80, improvedGrade: 80 }, { units: 5, grade: 80, bonus: 20, usedImprovement: true }],
+    ["more units win through the bonus", { subject: "math", units: 4, grade: 95, improvedGrade: 80, improvedUnits: 5 }, { units: 5, grade: 80, bonus: 35, usedImprovement: true }],
+    ["more units below bonusMinGrade lose", { subject: "math", units: 4, grade: 95, improvedGrade: 55, improvedUnits: 5 }, { units: 4, grade: 95, bonus: 12.5, usedImprovement: false }],
+    ["missing original grade takes the improvement", { subject: "physics", units: 5, grade: NaN, improvedGrade: 75 }, { units: 5, grade: 75, bonus: 20, usedImprovement: true }],
+  ])("%s", (_, entry, expected) => {
+    expect(row([entry], entry.subject)).toMatchObject(expected);
+  });
+
+  it("weights the average by the units of the improvement", () => {
+    const entries = [...MANDATORY.filter((entry) => entry.subject !== "math"), { subject: "math", units: 4, grade: 90, improvedGrade: 90, improvedUnits: 5 }];
+    const result = calculateBagrutAverage(entries);
+    expect(row(entries, "math")).toMatchObject({ units: 5, weightedGrade: 125 });
+    expect(result.totalUnits).toBe(20);
+    // As the mandatory set, with math at 5 units and 125 instead of 120
+    expect(result.average).toBe(100.3);
+  });
+
+  it("flags improvement units outside the subject's range", () => {
+    const result = calculateBagrutAverage([{ subject: "hebrew", units: 2, grade: 80, improvedGrade: 90, improvedUnits: 3 }]);
+    expect(result.rows[0].reason).toBe("invalid");
+    expect(result.issues.some((issue) => issue.subject === "hebrew")).toBe(true);
+  });
+});
+
+describe("calculateBagrutAverage", () => {
+  it("averages the mandatory subjects with bonuses, weighted by units", () => {
+    const result = calculateBagrutAverage(MANDATORY);
+    // 2×90 + 5×120 + 5×115 + 2×80 + 2×88 + 2×75 + 2×70 = 1981 over 20 units
+    expect(result.average).toBe(99.05);
+    expect(result.averageWithoutBonus).toBe(84.05);
+    expect(result.totalUnits).toBe(20);
+    expect(result.issues).toEqual([]);
+  });
+
+  it("counts electives in until minimumUnits is reached, even when they lower the average", () => {
+    const entries: BagrutEntry[] = [
+      { subject: "hebrew", units: 2, grade: 100 },
+      { subject: "arts", units: 5, grade: 60 },
+      { subject: "music", units: 3, grade: 55 },
+    ];
+    const config = { ...DEFAULT_BAGRUT_CONFIG, subjects: BAGRUT_SUBJECTS.map((subject) => (subject.code === "hebrew" ? subject : { ...subject, mandatory: false })), minimumUnits: 10 };
+    const result = calculateBagrutAverage(entries, config);
+    expect(result.rows.map((candidate) => [candidate.subject, candidate.included, candidate.reason])).toEqual([
+      ["hebrew", true, "mandatory"],
+      ["arts", true, "minimum-units"],
+      ["music", true, "minimum-units"],
+    ]);
+    expect(result.totalUnits).toBe(10);
+  });
+
+  it("stops adding electives past minimumUnits unless they raise the average", () => {
+    const entries: BagrutEntry[] = [
+      ...MANDATORY,
+      { subject: "physics", units: 5, grade: 95 },
+      { subject: "arts", units: 2, grade: 70 },
+      { subject: "chemistry", units: 5, grade: 90 },
+    ];
+    const result = calculateBagrutAverage(entries);
+    expect(row(entries, "physics")).toMatchObject({ included: true, reason: "raises-average", weightedGrade: 115 });
+    expect(row(entries, "chemistry")).toMatchObject({ included: true, reason: "raises-average", weightedGrade: 110 });
+    expect(row(entries, "arts")).toMatchObject({ included: false, reason: "lowers-average" });
+    // 1981 + 575 + 550 over 30 units
+    expect(result.average).toBe(103.53);
+    expect(result.totalUnits).toBe(30);
+  });
+
+  it("compares each elective with the average including the better electives before it", () => {
+    // Mandatory average 99.05; physics lifts it to 103.24, so a 100 in chemistry no longer raises it
+    const entries: BagrutEntry[] = [...MANDATORY, { subject: "chemistry", units: 5, grade: 80 }, { subject: "physics", units: 5, grade: 100 }];
+    expect(row(entries, "physics").reason).toBe("raises-average");
+    expect(row(entries, "chemistry")).toMatchObject({ included: false, reason: "lowers-average" });
+  });
+
+  it("reports missing mandatory subjects, duplicates, invalid entries and too few units", () => {
+    const result = calculateBagrutAverage([
+      { subject: "math", units: 5, grade: 90 },
+      { subject: "math", units: 4, grade: 80 },
+      { subject: "english", units: 6, grade: 90 },
+      { subject: "unknown", units: 3, grade: 90 },
+    ]);
+    const messages = result.issues.map((issue) => issue.message);
+    expect(messages).toContain("חסר ציון במקצוע חובה: עברית: הבנה, הבעה ולשון");
+    expect(messages).toContain("מתמטיקה מופיע יותר מפעם אחת");
+    expect(result.rows.find((candidate) => candidate.subject === "english")?.reason).toBe("invalid");
+    expect(result.rows.find((candidate) => candidate.subject === "unknown")?.reason).toBe("invalid");
+    expect(messages.some((message) => message.startsWith("נדרשות לפחות 20"))).toBe(true);
+  });
+
+  it("has no average without valid entries", () => {
+    expect(calculateBagrutAverage([{ subject: "math", units: 5, grade: NaN }])).toMatchObject({ average: null, averageWithoutBonus: null, totalUnits: 0 });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Bagrut (matriculation) average as the university computes it for
+ * admission: each subject's grade plus its bonus for the units studied,
+ * weighted by units. Mandatory subjects always count; electives count
+ * only while they raise the average, once the minimum number of units is
+ * reached. The subject list and bonus table change between admission
+ * years, so both are passed in as configuration.
+ */
+
+export interface BagrutSubject {
+  code: string;
+  name: string;
+  mandatory?: boolean;
+  minUnits?: number;
+  maxUnits: number;
+}
+
+export interface BonusRule {
+  units: number;
+  bonus: number;
+  /** Subjects the rule is limited to; a rule without them applies to every subject */
+  subjects?: string[];
+}
+
+export interface BagrutConfig {
+  subjects: BagrutSubject[];
+  bonusRules: BonusRule[];
+  /** Grades below this get no bonus */
+  bonusMinGrade: number;
+  /** Electives are added regardless of their grade until this many units count */
+  minimumUnits: number;
+}
+
+export interface BagrutEntry {
+  subject: string;
+  units: number;
+  grade: number;
+  /** Grade of an improvement exam (שיפור ציון), possibly at more units */
+  improvedGrade?: number;
+  improvedUnits?: number;
+}
+
+export interface BagrutRow {
+  subject: string;
+  name: string;
+  units: number;
+  grade: number;
+  bonus: number;
+  /** Grade plus bonus, the value that enters the average */
+  weightedGrade: number;
+  usedImprovement: boolean;
+  included: boolean;
+  reason: "mandatory" | "minimum-units" | "raises-average" | "lowers-average" | "invalid";
+}
+
+export interface BagrutIssue {
+  subject: string;
+  message: string;
+}
+
+export interface BagrutResult {
+  /** Weighted average with bonuses, rounded to two decimals; null without counted subjects */
+  average: number | null;
+  averageWithoutBonus: number | null;
+  totalUnits: number;
+  rows: BagrutRow[];
+  issues: BagrutIssue[];
+}
+
+export const BAGRUT_SUBJECTS: BagrutSubject[] = [
+  { code: "hebrew", name: "עברית: הבנה, הבעה ולשון", mandatory: true, minUnits: 2, maxUnits: 2 },
+  { code: "math", name: "מתמטיקה", mandatory: true, minUnits: 3, maxUnits: 5 },
+  { code: "english", name: "אנגלית", mandatory: true, minUnits: 3, maxUnits: 5 },
+  { code: "history", name: "היסטוריה", mandatory: true, minUnits: 2, maxUnits: 5 },
+  { code: "civics", name: "אזרחות", mandatory: true, minUnits: 2, maxUnits: 5 },
+  { code: "literature", name: "ספרות", mandatory: true, minUnits: 2, maxUnits: 5 },
+  { code: "bible", name: "תנ״ך", mandatory: true, minUnits: 2, maxUnits: 5 },
+  { code: "physics", name: "פיזיקה", maxUnits: 5 },
+  { code: "chemistry", name: "כימיה", maxUnits: 5 },
+  { code: "biology", name: "ביולוגיה", maxUnits: 5 },
+  { code: "computer-science", name: "מדעי המחשב", maxUnits: 5 },
+  { code: "arabic", name: "ערבית", maxUnits: 5 },
+  { code: "french", name: "צרפתית", maxUnits: 5 },
+  { code: "geography", name: "גאוגרפיה", maxUnits: 5 },
+  { code: "social-studies", name: "סוציולוגיה", maxUnits: 5 },
+  { code: "psychology", name: "פסיכולוגיה", maxUnits: 5 },
+  { code: "arts", name: "אמנות", maxUnits: 5 },
+  { code: "music", name: "מוזיקה", maxUnits: 5 },
+  { code: "physical-education", name: "חינוך גופני", maxUnits: 5 },
+];
+
+export const BONUS_RULES: BonusRule[] = [
+  { units: 5, subjects: ["math"], bonus: 35 },
+  { units: 5, subjects: ["english"], bonus: 25 },
+  { units: 4, subjects: ["math", "english"], bonus: 12.5 },
+  { units: 5, bonus: 20 },
+  { units: 4, bonus: 10 },
+];
+
+export const DEFAULT_BAGRUT_CONFIG: BagrutConfig = {
+  subjects: BAGRUT_SUBJECTS,
+  bonusRules: BONUS_RULES,
+  bonusMinGrade: 60,
+  minimumUnits: 20,
+};
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Bonus for `units` of `subject` at `grade`. A rule naming the subject
+ * wins over a general rule for the same units, whatever their order.
+ */
+export function bonusFor(subject: string, units: number, grade: number, config: Pick<BagrutConfig, "bonusRules" | "bonusMinGrade"> = DEFAULT_BAGRUT_CONFIG): number {
+  if (!(grade >= config.bonusMinGrade)) return 0;
+  const candidates = config.bonusRules.filter((rule) => rule.units === units && (!rule.subjects || rule.subjects.includes(subject)));
+  const rule = candidates.find((candidate) => candidate.subjects) ?? candidates[0];
+  return rule?.bonus ?? 0;
+}
+
+function entryIssues(entry: BagrutEntry, subject: BagrutSubject | undefined): string[] {
+  if (!subject) return ["מקצוע לא מוכר"];
+  const issues: string[] = [];
+  const unitsOk = (units: number) => Number.isInteger(units) && units >= (subject.minUnits ?? 1) && units <= subject.maxUnits;
+  const gradeOk = (grade: number) => Number.isFinite(grade) && grade >= 0 && grade <= 100;
+  if (!unitsOk(entry.units)) issues.push(`מספר היחידות ב${subject.name} צריך להיות בין ${subject.minUnits ?? 1} ל-${subject.maxUnits}`);
+  if (!gradeOk(entry.grade)) issues.push(`הציון ב${subject.name} צריך להיות בין 0 ל-100`);
+  if (entry.improvedGrade !== undefined && !gradeOk(entry.improvedGrade)) issues.push(`ציון השיפור ב${subject.name} צריך להיות בין 0 ל-100`);
+  if (entry.improvedUnits !== undefined && !unitsOk(entry.improvedUnits)) issues.push(`מספר היחידות בשיפור ב${subject.name} אינו תקין`);
+  return issues;
+}
+
+function score({ grade, bonus }: { grade: number; bonus: number }): number {
+  return Number.isFinite(grade) ? grade + bonus : -Infinity;
+}
+
+/**
+ * The better of the original result and the improvement exam: the one
+ * with the higher grade after bonus, the improvement on a tie.
+ */
+function bestAttempt(entry: BagrutEntry, config: BagrutConfig) {
+  const original = { units: entry.units, grade: entry.grade, usedImprovement: false };
+  const attempts = [original];
+  if (entry.improvedGrade !== undefined) {
+    attempts.push({ units: entry.improvedUnits ?? entry.units, grade: entry.improvedGrade, usedImprovement: true });
+  }
+  return attempts
+    .map((attempt) => ({ ...attempt, bonus: bonusFor(entry.subject, attempt.units, attempt.grade, config) }))
+    .reduce((best, attempt) => (score(attempt) >= score(best) ? attempt : best));
+}
+
+export function calculateBagrutAverage(entries: BagrutEntry[], config: BagrutConfig = DEFAULT_BAGRUT_CONFIG): BagrutResult {
+  const subjects = new Map(config.subjects.map((subject) => [subject.code, subject]));
+  const issues: BagrutIssue[] = [];
+  const rows: BagrutRow[] = entries.map((entry) => {
+    const subject = subjects.get(entry.subject);
+    const problems = entryIssues(entry, subject);
+    problems.forEach((message) => issues.push({ subject: entry.subject, message }));
+    const attempt = bestAttempt(entry, config);
+    return {
+      subject: entry.subject,
+      name: subject?.name ?? entry.subject,
+      units: attempt.units,
+      grade: attempt.grade,
+      bonus: attempt.bonus,
+      weightedGrade: attempt.grade + attempt.bonus,
+      usedImprovement: attempt.usedImprovement,
+      included: problems.length === 0 && Boolean(subject?.mandatory),
+      reason: problems.length > 0 ? "invalid" : subject?.mandatory ? "mandatory" : "lowers-average",
+    };
+  });
+
+  const seen = new Set<string>();
+  entries.forEach((entry) => {
+    if (seen.has(entry.subject)) issues.push({ subject: entry.subject, message: `${subjects.get(entry.subject)?.name ?? entry.subject} מופיע יותר מפעם אחת` });
+    seen.add(entry.subject);
+  });
+  config.subjects
+    .filter((subject) => subject.mandatory && !seen.has(subject.code))
+    .forEach((subject) => issues.push({ subject: subject.code, message: `חסר ציון במקצוע חובה: ${subject.name}` }));
+
+  let units = 0;
+  let points = 0;
+  rows.filter((row) => row.included).forEach((row) => {
+    units += row.units;
+    points += row.units * row.weightedGrade;
+  });
+
+  // Best electives first, so each one is compared against the highest average reachable so far
+  rows
+    .filter((row) => row.reason === "lowers-average")
+    .sort((a, b) => b.weightedGrade - a.weightedGrade)
+    .forEach((row) => {
+      if (units < config.minimumUnits) {
+        row.included = true;
+        row.reason = "minimum-units";
+      } else if (row.weightedGrade > points / units) {
+        row.included = true;
+        row.reason = "raises-average";
+      } else {
+        return;
+      }
+      units += row.units;
+      points += row.units * row.weightedGrade;
+    });
+
+  const counted = rows.filter((row) => row.included);
+  const rawPoints = counted.reduce((sum, row) => sum + row.units * row.grade, 0);
+  if (units > 0 && units < config.minimumUnits) {
+    issues.push({ subject: "", message: `נדרשות לפחות ${config.minimumUnits} יחידות לימוד; הוזנו ${units}` });
+  }
+
+  return {
+    average: units > 0 ? round(points / units) : null,
+    averageWithoutBonus: units > 0 ? round(rawPoints / units) : null,
+    totalUnits: units,
+    rows,
+    issues,
+  };
+}
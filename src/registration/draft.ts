@@ -0,0 +1,72 @@
+import type { Schema } from "../../amplify/data/resource";
+
+type DegreeLevel = NonNullable<Schema["Program"]["type"]["degreeLevel"]>;
+
+export type RegistrationDraft = {
+  language: string;
+  degreeLevel: string;
+  programId: string;
+  referralSource: string;
+  referralDetails: string;
+  idType: string;
+  idNumber: string;
+  firstName: string;
+  lastName: string;
+  firstNameEn: string;
+  lastNameEn: string;
+  birthDate: string;
+  email: string;
+  phone: string;
+  city: string;
+  address: string;
+  schoolName: string;
+  schoolSymbol: string;
+  graduationYear: string;
+  psychometricTotal: string;
+  psychometricVerbal: string;
+  psychometricQuantitative: string;
+  psychometricEnglish: string;
+  psychometricDate: string;
+  /** Storage path of the results file the scores were read from; empty when typed in */
+  psychometricFile: string;
+  acceptedTerms: boolean;
+  /** Set once the application is submitted */
+  applicationId: string;
+};
+
+export const EMPTY_DRAFT: RegistrationDraft = {
+  language: "he",
+  degreeLevel: "BACHELOR",
+  programId: "",
+  referralSource: "",
+  referralDetails: "",
+  idType: "ID",
+  idNumber: "",
+  firstName: "",
+  lastName: "",
+  firstNameEn: "",
+  lastNameEn: "",
+  birthDate: "",
+  email: "",
+  phone: "",
+  city: "",
+  address: "",
+  schoolName: "",
+  schoolSymbol: "",
+  graduationYear: "",
+  psychometricTotal: "",
+  psychometricVerbal: "",
+  psychometricQuantitative: "",
+  psychometricEnglish: "",
+  psychometricDate: "",
+  psychometricFile: "",
+  acceptedTerms: false,
+  applicationId: "",
+};
+
+export const DEGREE_LEVEL_LABELS: Record<DegreeLevel, string> = {
+  PRE_ACADEMIC: "מכינה",
+  BACHELOR: "תואר ראשון",
+  MASTER: "תואר שני",
+  DOCTORATE: "דוקטורט",
+};
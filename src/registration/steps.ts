@@ -0,0 +1,210 @@
+import type { WizardStep } from "../wizard/types";
+import { DEGREE_LEVEL_LABELS, type RegistrationDraft } from "./draft";
+import { EndStep } from "./EndStep";
+import { IntroStep } from "./IntroStep";
+import { PaymentStep } from "./PaymentStep";
+import { PsychometricStep } from "./PsychometricStep";
+import { SubjectStep } from "./SubjectStep";
+import { submitRegistration } from "./submit";
+import { ageOn, isValidEmail, isValidIsraeliId, isValidIsraeliPhone } from "./validators";
+
+const MINIMUM_AGE = 16;
+
+function scoreInRange(min: number, max: number) {
+  return (value: string | boolean) => {
+    const score = Number(value);
+    return Number.isInteger(score) && score >= min && score <= max ? undefined : `ציון בין ${min} ל-${max}`;
+  };
+}
+
+/**
+ * Registration flow in the order of the designs ("הרשמה תואר ראשון"),
+ * one entry per numbered screen. `id` is the screen number in Figma.
+ */
+export const REGISTRATION_STEPS: WizardStep<RegistrationDraft>[] = [
+  {
+    id: "1.0",
+    path: "intro",
+    title: "ברוכים הבאים להרשמה",
+    stage: "פתיחה",
+    component: IntroStep,
+    fields: [
+      {
+        name: "language",
+        label: "באיזו שפה נוח לך?",
+        type: "select",
+        required: true,
+        options: [
+          { value: "he", label: "עברית" },
+          { value: "ar", label: "العربية" },
+          { value: "en", label: "English" },
+        ],
+      },
+    ],
+    nextLabel: "אני רוצה להירשם!",
+  },
+  {
+    id: "2.0",
+    path: "degree",
+    title: "מה תרצו ללמוד?",
+    stage: "תחום לימוד",
+    fields: [
+      {
+        name: "degreeLevel",
+        label: "סוג התואר",
+        type: "select",
+        required: true,
+        options: Object.entries(DEGREE_LEVEL_LABELS).map(([value, label]) => ({ value, label })),
+      },
+    ],
+  },
+  {
+    id: "2.1",
+    path: "subject",
+    title: "בחירת תחום לימוד",
+    stage: "תחום לימוד",
+    component: SubjectStep,
+    fields: [{ name: "programId", label: "תחום הלימוד", required: true }],
+  },
+  {
+    id: "2.2",
+    path: "reference",
+    title: "איך שמעת עלינו?",
+    stage: "תחום לימוד",
+    fields: [
+      {
+        name: "referralSource",
+        label: "מקור ההפניה",
+        type: "select",
+        required: true,
+        options: [
+          { value: "friends", label: "חברים או משפחה" },
+          { value: "social", label: "רשתות חברתיות" },
+          { value: "search", label: "חיפוש באינטרנט" },
+          { value: "fair", label: "יום פתוח או יריד" },
+          { value: "other", label: "אחר" },
+        ],
+      },
+      { name: "referralDetails", label: "פרטים נוספים" },
+    ],
+    validate: (draft) => (draft.referralSource === "other" && !draft.referralDetails.trim() ? { referralDetails: "נא לפרט" } : {}),
+  },
+  {
+    id: "3.0",
+    path: "details",
+    title: "פרטים אישיים",
+    stage: "פרטים אישיים",
+    fields: [
+      {
+        name: "idType",
+        label: "סוג תעודה",
+        type: "select",
+        required: true,
+        options: [
+          { value: "ID", label: "תעודת זהות" },
+          { value: "PASSPORT", label: "דרכון" },
+        ],
+      },
+      {
+        name: "idNumber",
+        label: "מספר תעודה",
+        required: true,
+        hint: "תעודת זהות: 9 ספרות כולל ספרת ביקורת",
+        validate: (value, draft) => (draft.idType === "ID" && !isValidIsraeliId(String(value)) ? "מספר תעודת הזהות אינו תקין" : undefined),
+      },
+    ],
+  },
+  {
+    id: "3.4",
+    path: "details-by-id",
+    title: "פרטים לפי תעודה מזהה",
+    stage: "פרטים אישיים",
+    fields: [
+      { name: "firstName", label: "שם פרטי", required: true, autoComplete: "given-name" },
+      { name: "lastName", label: "שם משפחה", required: true, autoComplete: "family-name" },
+      { name: "firstNameEn", label: "שם פרטי באנגלית", validate: (value) => (/^[A-Za-z' -]+$/.test(String(value)) ? undefined : "יש להזין אותיות באנגלית") },
+      { name: "lastNameEn", label: "שם משפחה באנגלית", validate: (value) => (/^[A-Za-z' -]+$/.test(String(value)) ? undefined : "יש להזין אותיות באנגלית") },
+      {
+        name: "birthDate",
+        label: "תאריך לידה",
+        type: "date",
+        required: true,
+        autoComplete: "bday",
+        validate: (value) => (ageOn(String(value)) < MINIMUM_AGE ? `ההרשמה מגיל ${MINIMUM_AGE}` : undefined),
+      },
+    ],
+  },
+  {
+    id: "4.0",
+    path: "contact",
+    title: "פרטי התקשרות",
+    stage: "פרטי התקשרות",
+    fields: [
+      { name: "email", label: "דואר אלקטרוני", type: "email", required: true, autoComplete: "email", validate: (value) => (isValidEmail(String(value)) ? undefined : "כתובת הדואר אינה תקינה") },
+      { name: "phone", label: "טלפון נייד", type: "tel", required: true, autoComplete: "tel", validate: (value) => (isValidIsraeliPhone(String(value)) ? undefined : "מספר הטלפון אינו תקין") },
+      { name: "city", label: "יישוב", required: true, autoComplete: "address-level2" },
+      { name: "address", label: "כתובת", autoComplete: "street-address" },
+    ],
+  },
+  {
+    id: "5.0",
+    path: "school",
+    title: "בית ספר תיכון",
+    stage: "השכלה",
+    fields: [
+      { name: "schoolName", label: "שם בית הספר", required: true },
+      { name: "schoolSymbol", label: "סמל מוסד", validate: (value) => (/^\d{6}$/.test(String(value)) ? undefined : "סמל מוסד הוא 6 ספרות") },
+      {
+        name: "graduationYear",
+        label: "שנת סיום",
+        type: "number",
+        required: true,
+        validate: (value) => {
+          const year = Number(value);
+          return Number.isInteger(year) && year >= 1950 && year <= new Date().getFullYear() + 1 ? undefined : "שנת הסיום אינה תקינה";
+        },
+      },
+    ],
+  },
+  {
+    id: "5.1",
+    path: "scores",
+    title: "ציונים נוספים ופסיכומטרי",
+    stage: "השכלה",
+    component: PsychometricStep,
+    fields: [
+      { name: "psychometricTotal", label: "ציון פסיכומטרי כללי", type: "number", validate: scoreInRange(200, 800) },
+      { name: "psychometricVerbal", label: "חשיבה מילולית", type: "number", validate: scoreInRange(50, 150) },
+      { name: "psychometricQuantitative", label: "חשיבה כמותית", type: "number", validate: scoreInRange(50, 150) },
+      { name: "psychometricEnglish", label: "אנגלית", type: "number", validate: scoreInRange(50, 150) },
+      { name: "psychometricDate", label: "מועד הבחינה", type: "date" },
+    ],
+    validate: (draft) => {
+      if (!draft.psychometricTotal) {
+        return draft.psychometricVerbal || draft.psychometricQuantitative || draft.psychometricEnglish || draft.psychometricDate
+          ? { psychometricTotal: "יש להזין גם את הציון הכללי" }
+          : {};
+      }
+      // A saved score is dated, so admissions can tell which sitting it is from
+      return draft.psychometricDate ? {} : { psychometricDate: "יש להזין את מועד הבחינה" };
+    },
+  },
+  {
+    id: "6.0",
+    path: "payment",
+    title: "תשלום דמי הרשמה",
+    stage: "תשלום",
+    component: PaymentStep,
+    fields: [{ name: "acceptedTerms", label: "קראתי ואני מסכים/ה לתקנון ההרשמה", type: "checkbox", required: true }],
+    onComplete: submitRegistration,
+    failureMessage: "לא הצלחנו לשלוח את הבקשה. הפרטים נשמרו, נסו שוב בעוד מספר דקות.",
+    nextLabel: "שליחת הבקשה",
+  },
+  {
+    id: "7.0",
+    path: "end",
+    title: "הבקשה נשלחה",
+    stage: "סיום",
+    component: EndStep,
+  },
+];
@@ -0,0 +1,133 @@
+import { generateClient } from "aws-amplify/data";
+import type { Schema } from "../../amplify/data/resource";
+import type { RegistrationDraft } from "./draft";
+
+const client = generateClient<Schema>();
+
+type Saved<T> = Promise<{ data: T | null; errors?: { message: string }[] }>;
+
+// The data client reports failures in `errors` instead of rejecting
+async function saved<T>(request: Saved<T>): Promise<T> {
+  const { data, errors } = await request;
+  if (errors?.length || !data) {
+    throw new Error(errors?.map((error) => error.message).join("; ") || "The record was not saved");
+  }
+  return data;
+}
+
+const optional = (value: string) => value.trim() || undefined;
+const optionalNumber = (value: string) => (value.trim() === "" ? undefined : Number(value));
+
+/**
+ * Academic year an application filed on `date` is for. The Israeli year
+ * starts in October, and from October on applications are for the next one.
+ */
+export function academicYear(date = new Date()): string {
+  const start = date.getMonth() >= 9 ? date.getFullYear() + 1 : date.getFullYear();
+  return `${start}-${start + 1}`;
+}
+
+async function saveApplicant(draft: RegistrationDraft) {
+  const details = {
+    nationalId: draft.idNumber,
+    firstName: draft.firstName,
+    lastName: draft.lastName,
+    firstNameEn: optional(draft.firstNameEn),
+    lastNameEn: optional(draft.lastNameEn),
+    email: draft.email,
+    phone: optional(draft.phone),
+    birthDate: optional(draft.birthDate),
+    city: optional(draft.city),
+    address: optional(draft.address),
+  };
+  // Owner auth only lists the caller's own records: one applicant per user
+  const { data: existing } = await client.models.Applicant.list();
+  return existing[0] ? saved(client.models.Applicant.update({ id: existing[0].id, ...details })) : saved(client.models.Applicant.create(details));
+}
+
+async function savePsychometric(draft: RegistrationDraft, applicantId: string, applicationId: string) {
+  const total = Number(draft.psychometricTotal);
+  const { data: scores } = await client.models.PsychometricScore.list({
+    filter: { applicantId: { eq: applicantId }, testDate: { eq: draft.psychometricDate }, total: { eq: total } },
+  });
+  if (scores.length > 0) return;
+
+  // Scores read from an uploaded results file keep the file, so admissions can check them against it
+  let documentId: string | undefined;
+  if (draft.psychometricFile) {
+    const { data: documents } = await client.models.UploadedDocument.list({ filter: { storagePath: { eq: draft.psychometricFile } } });
+    const document =
+      documents[0] ??
+      (await saved(
+        client.models.UploadedDocument.create({
+          applicantId,
+          applicationId,
+          type: "PSYCHOMETRIC_REPORT",
+          status: "UPLOADED",
+          storagePath: draft.psychometricFile,
+          fileName: draft.psychometricFile.split("/").pop(),
+        })
+      ));
+    documentId = document.id;
+  }
+
+  await saved(
+    client.models.PsychometricScore.create({
+      applicantId,
+      testDate: draft.psychometricDate,
+      total,
+      verbal: optionalNumber(draft.psychometricVerbal),
+      quantitative: optionalNumber(draft.psychometricQuantitative),
+      english: optionalNumber(draft.psychometricEnglish),
+      documentId,
+    })
+  );
+}
+
+/**
+ * Save the registration as the applicant's records: their details, school,
+ * psychometric score and the results file it was read from, an Application
+ * for the chosen program moved to SUBMITTED, and a pending Payment for the
+ * program's fee. Resolves with the draft changes to keep (the application
+ * ID).
+ *
+ * Safe to retry: records saved by an earlier attempt are reused, and an
+ * application that was already submitted is left as it is.
+ */
+export async function submitRegistration(draft: RegistrationDraft): Promise<Partial<RegistrationDraft>> {
+  const applicant = await saveApplicant(draft);
+
+  const { data: applications } = await client.models.Application.list({
+    filter: { applicantId: { eq: applicant.id }, programId: { eq: draft.programId } },
+  });
+  let application = applications[0];
+  if (application?.status && application.status !== "DRAFT") {
+    return { applicationId: application.id };
+  }
+
+  application ??= await saved(client.models.Application.create({ applicantId: applicant.id, programId: draft.programId, academicYear: academicYear() }));
+
+  const { data: schools } = await client.models.SchoolHistory.list({ filter: { applicantId: { eq: applicant.id } } });
+  if (schools.length === 0) {
+    await saved(
+      client.models.SchoolHistory.create({
+        applicantId: applicant.id,
+        schoolName: draft.schoolName,
+        schoolSymbol: optional(draft.schoolSymbol),
+        endYear: optionalNumber(draft.graduationYear),
+      })
+    );
+  }
+  if (draft.psychometricTotal) {
+    await savePsychometric(draft, applicant.id, application.id);
+  }
+
+  const program = await saved(client.models.Program.get({ id: draft.programId }));
+  const { data: payments } = await client.models.Payment.list({ filter: { applicationId: { eq: application.id } } });
+  if (program.applicationFee && payments.length === 0) {
+    await saved(client.models.Payment.create({ applicationId: application.id, amount: program.applicationFee, currency: "ILS" }));
+  }
+
+  await saved(client.mutations.changeApplicationStatus({ id: application.id, status: "SUBMITTED" }));
+  return { applicationId: application.id };
+}
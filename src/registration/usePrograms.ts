@@ -0,0 +1,26 @@
+import { useEffect, useState } from "react";
+import type { Schema } from "../../amplify/data/resource";
+import { generateClient } from "aws-amplify/data";
+
+// Programs are readable by guests, so the catalog shows before sign-in
+const client = generateClient<Schema>({ authMode: "identityPool" });
+
+export type Program = Schema["Program"]["type"];
+
+/** Active programs, optionally of one degree level, kept up to date */
+export function usePrograms(degreeLevel?: string) {
+  const [programs, setPrograms] = useState<Program[]>([]);
+  const [error, setError] = useState<string>();
+
+  useEffect(() => {
+    const subscription = client.models.Program.observeQuery({
+      filter: degreeLevel ? { active: { eq: true }, degreeLevel: { eq: degreeLevel } } : { active: { eq: true } },
+    }).subscribe({
+      next: (data) => setPrograms([...data.items]),
+      error: (err: Error) => setError(err.message),
+    });
+    return () => subscription.unsubscribe();
+  }, [degreeLevel]);
+
+  return { programs, error };
+}
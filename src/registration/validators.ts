@@ -0,0 +1,35 @@
+/**
+ * Israeli ID number (teudat zehut) check digit: digits alternately
+ * weighted 1 and 2, two-digit products summed digit by digit, total a
+ * multiple of 10. Shorter numbers are left-padded with zeros.
+ */
+export function isValidIsraeliId(value: string): boolean {
+  const digits = value.trim();
+  if (!/^\d{5,9}$/.test(digits)) return false;
+  const sum = digits
+    .padStart(9, "0")
+    .split("")
+    .reduce((total, digit, index) => {
+      const product = Number(digit) * ((index % 2) + 1);
+      return total + (product > 9 ? product - 9 : product);
+    }, 0);
+  return sum % 10 === 0;
+}
+
+export function isValidEmail(value: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+}
+
+/** Israeli mobile or landline, with or without the +972 prefix */
+export function isValidIsraeliPhone(value: string): boolean {
+  const digits = value.replace(/[\s-]/g, "").replace(/^\+972/, "0");
+  return /^0(5\d|[2-489]|7\d)\d{7}$/.test(digits);
+}
+
+export function ageOn(birthDate: string, date = new Date()): number {
+  const birth = new Date(birthDate);
+  let age = date.getFullYear() - birth.getFullYear();
+  const month = date.getMonth() - birth.getMonth();
+  if (month < 0 || (month === 0 && date.getDate() < birth.getDate())) age -= 1;
+  return age;
+}
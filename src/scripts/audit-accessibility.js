@@ -0,0 +1,118 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { TARGET_SIZE, WCAG_CONTRAST, auditFrame } from './lib/accessibility-audit.js';
+import { screensOf } from './lib/prototype-flow.js';
+
+/**
+ * Accessibility audit of the screens on a page: text contrast against
+ * WCAG AA/AAA, touch target sizes, field labels, alt text and the heading
+ * outline of each frame.
+ *
+ *   npm run figma -- audit
+ *   npm run figma -- audit --node 5584:558165
+ *
+ * A page or section is audited screen by screen; any other node is
+ * audited as one frame.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
+const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_NODE_ID = '2033:13526';
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/accessibility-audit.json');
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+function countBy(findings, key) {
+  const counts = {};
+  findings.forEach((finding) => {
+    counts[finding[key]] = (counts[finding[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Fetch `nodeId`, audit each of its screens and write the report to JSON.
+ */
+export async function auditAccessibility({
+  fileKey = FILE_KEY,
+  nodeId = DEFAULT_NODE_ID,
+  depth,
+  out = DEFAULT_OUTPUT,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`♿ Auditing accessibility of ${nodeId}...`);
+
+    const response = await figma.getFileNodes(fileKey, [nodeId], { depth });
+    const entry = response.nodes?.[nodeId];
+    const root = entry?.document;
+    if (!root) {
+      throw new Error(`Node with ID ${nodeId} not found`);
+    }
+
+    const styleNames = Object.fromEntries(Object.entries(entry.styles || {}).map(([id, style]) => [id, style.name]));
+    const frames = ['CANVAS', 'SECTION'].includes(root.type) ? screensOf(root) : [root];
+    const background = root.type === 'CANVAS' && root.backgroundColor ? root.backgroundColor : undefined;
+    const reports = frames.map(frame => auditFrame(frame, { background, styleNames }));
+    const findings = reports.flatMap(report => report.findings);
+
+    const outputData = {
+      extractedAt: new Date().toISOString(),
+      fileKey: fileKey,
+      nodeId: nodeId,
+      name: root.name,
+      thresholds: { contrast: WCAG_CONTRAST, targetSize: TARGET_SIZE },
+      summary: {
+        frames: reports.length,
+        bySeverity: { error: 0, warning: 0, info: 0, ...countBy(findings, 'severity') },
+        byRule: countBy(findings, 'rule')
+      },
+      frames: reports
+    };
+
+    console.log(`\n📊 ACCESSIBILITY (${reports.length} frames):`);
+    reports.forEach((report) => {
+      const { error, warning, info } = report.summary;
+      console.log(`   🖼️  ${report.name}: ${error} errors, ${warning} warnings, ${info} notes`);
+      report.findings
+        .filter(finding => finding.severity === 'error')
+        .slice(0, 5)
+        .forEach(finding => console.log(`      ${SEVERITY_ICONS.error} ${finding.rule} ${finding.nodeId} "${finding.text || finding.name}": ${finding.message}`));
+      if (report.summary.error > 5) console.log(`      … ${report.summary.error - 5} more errors in the report`);
+      if (report.headings.length > 0) {
+        console.log(`      📑 ${report.headings.map(heading => `h${heading.level} ${heading.text.replace(/\s+/g, ' ').slice(0, 30)}`).join(' · ')}`);
+      }
+    });
+    const { error, warning, info } = outputData.summary.bySeverity;
+    console.log(`\n   Total: ${SEVERITY_ICONS.error} ${error}  ${SEVERITY_ICONS.warning} ${warning}  ${SEVERITY_ICONS.info} ${info}`);
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${out}`);
+    } else {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(outputData, null, 2));
+      console.log(`✅ Audit saved to: ${out}`);
+    }
+
+    return outputData;
+
+  } catch (error) {
+    console.error('❌ Error auditing accessibility:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/audit-accessibility.js [nodeId]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  auditAccessibility({ nodeId: process.argv[2] || DEFAULT_NODE_ID }).catch(() => {
+    process.exitCode = 1;
+  });
+}
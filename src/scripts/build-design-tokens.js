@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { renderCss, renderTailwindTheme, renderTypeScript, resolveTokens } from './lib/design-tokens.js';
+
+/**
+ * Build design tokens from figma-variables.json.
+ *
+ * - src/styles/tokens.css: :root custom properties, plus a
+ *   [data-<collection>="<mode>"] block for each non-default mode
+ * - src/styles/tailwind-tokens.js: theme.extend entries (var() references)
+ *   spread into tailwind.config.js
+ * - src/styles/tokens.ts: resolved default-mode values and var() references
+ * - src/files/design-tokens.json: resolved token index used when mapping
+ *   extracted styles back to tokens
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_INPUT = path.join(__dirname, '../files/figma-variables.json');
+const DEFAULT_STYLES_DIR = path.join(__dirname, '../styles');
+const DEFAULT_INDEX = path.join(__dirname, '../files/design-tokens.json');
+
+const GENERATED_NOTE = 'Generated from figma-variables.json by src/scripts/build-design-tokens.js. Do not edit by hand.';
+
+/**
+ * Render every output for a variables export without touching the disk.
+ * Returns { files: [{ path, content }], tokens, collections, warnings }.
+ */
+export function renderDesignTokens(data, { stylesDir = DEFAULT_STYLES_DIR, indexPath = DEFAULT_INDEX } = {}) {
+  const resolved = resolveTokens(data);
+
+  const index = {
+    fileKey: data.fileKey || null,
+    generatedFrom: data.lastUpdated || null,
+    collections: resolved.collections,
+    tokens: resolved.tokens
+  };
+
+  return {
+    ...resolved,
+    files: [
+      { path: path.join(stylesDir, 'tokens.css'), content: renderCss(resolved, `/* ${GENERATED_NOTE} */`) },
+      { path: path.join(stylesDir, 'tailwind-tokens.js'), content: renderTailwindTheme(resolved, `// ${GENERATED_NOTE}`) },
+      { path: path.join(stylesDir, 'tokens.ts'), content: renderTypeScript(resolved, `// ${GENERATED_NOTE}`) },
+      { path: indexPath, content: `${JSON.stringify(index, null, 2)}\n` }
+    ]
+  };
+}
+
+export async function buildDesignTokens({
+  input = DEFAULT_INPUT,
+  stylesDir = DEFAULT_STYLES_DIR,
+  indexPath = DEFAULT_INDEX,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`🎨 Building design tokens from ${input}...`);
+
+    if (!fs.existsSync(input)) {
+      throw new Error(`${input} not found - run "npm run figma -- tokens" first`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    if (!data.variables) {
+      throw new Error(`${input} has no "variables" - expected output of get-figma-variables.js`);
+    }
+
+    const result = renderDesignTokens(data, { stylesDir, indexPath });
+
+    const counts = {};
+    result.tokens.forEach((token) => {
+      counts[token.category] = (counts[token.category] || 0) + 1;
+    });
+    Object.entries(counts).forEach(([category, count]) => {
+      console.log(`   ${category.padEnd(14)} ${count}`);
+    });
+    result.collections.forEach((collection) => {
+      console.log(`📚 ${collection.name}: ${collection.modes.join(', ')} (default ${collection.defaultMode})`);
+    });
+    result.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    result.files.forEach((file) => {
+      if (dryRun) {
+        console.log(`📝 Dry run - not writing ${file.path}`);
+      } else {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.writeFileSync(file.path, file.content);
+        console.log(`✅ ${file.path}`);
+      }
+    });
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error building design tokens:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/build-design-tokens.js [figma-variables.json]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  buildDesignTokens(process.argv[2] ? { input: path.resolve(process.argv[2]) } : {}).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { CHANGE_KINDS, diffStructures } from './lib/structure-diff.js';
+import { createTokenMatcher, loadDesignTokens } from './lib/token-matcher.js';
+import { extractNodeStructure } from './get-figma-node-structure.js';
+
+/**
+ * Report what changed between two extracted structures, or between two
+ * versions of the Figma file:
+ *
+ *   npm run figma -- diff old/figma-node-structure.json src/files/figma-node-structure.json
+ *   npm run figma -- diff --node 2033:13526 --from 2262901076877750558 --format html
+ *
+ * Without files or --from, the two newest versions of the file are
+ * compared. The summary goes to the console and the full report to
+ * src/files/figma-changes.<format>.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
+const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_NODE_ID = '2033:13526';
+const DEFAULT_OUT_DIR = path.join(__dirname, '../files');
+
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+const HEADINGS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  renamed: 'Renamed',
+  text: 'Text copy',
+  styles: 'Styles',
+  components: 'Component swaps'
+};
+
+const ICONS = { added: '➕', removed: '➖', moved: '↕️ ', renamed: '🏷️ ', text: '✏️ ', styles: '🎨', components: '🔄' };
+
+function quote(text) {
+  return text === null ? '(none)' : `"${String(text).replace(/\n/g, ' ↵ ')}"`;
+}
+
+function variantText(variant) {
+  return Object.entries(variant).map(([name, value]) => `${name}=${value}`).join(', ');
+}
+
+function componentText({ componentId, variant }) {
+  const values = variantText(variant);
+  return values ? `${componentId} (${values})` : componentId;
+}
+
+/**
+ * One line per change, shared by the console and the Markdown report.
+ */
+export function describeChange(change) {
+  switch (change.kind) {
+    case 'added':
+    case 'removed':
+      return `${change.path} (${change.type}${change.nested > 0 ? `, ${change.nested} nested` : ''})`;
+    case 'moved':
+      return change.detail === 'order'
+        ? `${change.path}: position ${change.before + 1} → ${change.after + 1}`
+        : `${change.name}: ${change.before ?? '(top level)'} → ${change.after ?? '(top level)'}`;
+    case 'renamed':
+      return `${quote(change.before)} → ${quote(change.after)} (${change.path})`;
+    case 'text':
+      return `${change.path}: ${quote(change.before)} → ${quote(change.after)}`;
+    case 'styles': {
+      const { addedClasses, removedClasses, properties } = change.detail;
+      const parts = [
+        ...removedClasses.map(token => `-${token}`),
+        ...addedClasses.map(token => `+${token}`),
+        ...(properties.length > 0 ? [`changed ${properties.join(', ')}`] : [])
+      ];
+      return `${change.path}: ${parts.join(' ')}`;
+    }
+    case 'components':
+      return `${change.path}: ${componentText(change.before)} → ${componentText(change.after)}`;
+    default:
+      return change.path;
+  }
+}
+
+export function renderMarkdown({ changes, summary }, { from, to }) {
+  const lines = [
+    '# Figma changes',
+    '',
+    `From **${from.label}** to **${to.label}**`,
+    '',
+    '| Change | Count |',
+    '| --- | ---: |',
+    ...CHANGE_KINDS.map(kind => `| ${HEADINGS[kind]} | ${summary[kind]} |`)
+  ];
+
+  CHANGE_KINDS.filter(kind => summary[kind] > 0).forEach((kind) => {
+    lines.push('', `## ${HEADINGS[kind]} (${summary[kind]})`, '');
+    changes
+      .filter(change => change.kind === kind)
+      .forEach(change => lines.push(`- ${describeChange(change).replace(/([|*_`])/g, '\\$1')} \`${change.id}\``));
+  });
+
+  if (changes.length === 0) lines.push('', 'No changes.');
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Copy and layer names are mostly Hebrew; dir="auto" keeps each one readable
+function bidi(text) {
+  return text === null ? '<em>(none)</em>' : `<bdi dir="auto">${escapeHtml(text)}</bdi>`;
+}
+
+function htmlItem(change) {
+  const where = `<span class="path">${bidi(change.path)}</span> <code>${escapeHtml(change.id)}</code>`;
+  switch (change.kind) {
+    case 'text':
+    case 'renamed':
+      return `${where}<br><del>${bidi(change.before)}</del> → <ins>${bidi(change.after)}</ins>`;
+    case 'styles': {
+      const { addedClasses, removedClasses, properties } = change.detail;
+      return [
+        where,
+        '<br>',
+        ...removedClasses.map(token => `<del><code>${escapeHtml(token)}</code></del> `),
+        ...addedClasses.map(token => `<ins><code>${escapeHtml(token)}</code></ins> `),
+        properties.length > 0 ? `changed ${escapeHtml(properties.join(', '))}` : ''
+      ].join('');
+    }
+    case 'moved':
+      return change.detail === 'order'
+        ? `${where}<br>position ${change.before + 1} → ${change.after + 1}`
+        : `${where}<br>${bidi(change.before ?? '(top level)')} → ${bidi(change.after ?? '(top level)')}`;
+    case 'components':
+      return `${where}<br>${escapeHtml(componentText(change.before))} → ${escapeHtml(componentText(change.after))}`;
+    default:
+      return `${where} ${escapeHtml(change.type)}${change.nested > 0 ? `, ${change.nested} nested` : ''}`;
+  }
+}
+
+export function renderHtml({ changes, summary }, { from, to }) {
+  const sections = CHANGE_KINDS.filter(kind => summary[kind] > 0).map(kind => [
+    `<h2>${HEADINGS[kind]} (${summary[kind]})</h2>`,
+    '<ul>',
+    ...changes.filter(change => change.kind === kind).map(change => `  <li>${htmlItem(change)}</li>`),
+    '</ul>'
+  ].join('\n'));
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Figma changes</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #1f2937; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #e5e7eb; padding: 0.25rem 0.75rem; text-align: start; }
+  li { margin-bottom: 0.5rem; }
+  .path { font-weight: 600; }
+  code { color: #6b7280; }
+  del { background: #fee2e2; }
+  ins { background: #dcfce7; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>Figma changes</h1>
+<p>From <strong>${escapeHtml(from.label)}</strong> to <strong>${escapeHtml(to.label)}</strong></p>
+<table>
+${CHANGE_KINDS.map(kind => `  <tr><th>${HEADINGS[kind]}</th><td>${summary[kind]}</td></tr>`).join('\n')}
+</table>
+${sections.join('\n') || '<p>No changes.</p>'}
+</body>
+</html>
+`;
+}
+
+function readStructure(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const details = [data.version && `version ${data.version}`, data.lastModified].filter(Boolean).join(', ');
+  return { data, label: `${path.basename(file)}${details ? ` (${details})` : ''}` };
+}
+
+function versionLabel(version) {
+  const name = version.label || version.id;
+  return `${name} (${version.created_at}${version.user?.handle ? ` by ${version.user.handle}` : ''})`;
+}
+
+/**
+ * Fetch `nodeId` at two versions of the file and extract both the way
+ * `npm run figma -- structure` does.
+ */
+async function fetchVersions({ fileKey, nodeId, depth, fromVersion, toVersion }) {
+  const { versions = [] } = await figma.getFileVersions(fileKey);
+  const find = id => versions.find(version => version.id === id) || { id, created_at: 'unknown date' };
+  const to = toVersion ? find(toVersion) : versions[0];
+  const from = fromVersion ? find(fromVersion) : versions[versions.indexOf(to) + 1];
+  if (!to || !from) {
+    throw new Error(`The file has ${versions.length} version(s); pass --from to pick one to compare with`);
+  }
+
+  const matcher = createTokenMatcher({ tokens: loadDesignTokens() });
+  const fetchAt = async (version) => {
+    console.log(`🔍 Fetching ${nodeId} at version ${version.id}...`);
+    const response = await figma.getFileNodes(fileKey, [nodeId], { depth, version: version.id });
+    const node = response.nodes?.[nodeId]?.document;
+    if (!node) {
+      throw new Error(`Node with ID ${nodeId} not found in version ${version.id}`);
+    }
+    return { data: { structure: extractNodeStructure(node, 0, { matcher }) }, label: versionLabel(version) };
+  };
+
+  return { before: await fetchAt(from), after: await fetchAt(to) };
+}
+
+/**
+ * Compare two structures and write the report. Pass `beforeFile` and
+ * `afterFile` for extracted JSON, otherwise versions of `nodeId` are
+ * fetched (`fromVersion` defaults to the one before `toVersion`, which
+ * defaults to the newest).
+ */
+export async function diffFigmaStructures({
+  beforeFile,
+  afterFile,
+  fileKey = FILE_KEY,
+  nodeId = DEFAULT_NODE_ID,
+  depth = 10,
+  fromVersion,
+  toVersion,
+  format = 'md',
+  out = path.join(DEFAULT_OUT_DIR, `figma-changes.${format}`),
+  dryRun = false
+} = {}) {
+  try {
+    const { before, after } = beforeFile && afterFile
+      ? { before: readStructure(beforeFile), after: readStructure(afterFile) }
+      : await fetchVersions({ fileKey, nodeId, depth, fromVersion, toVersion });
+
+    console.log(`🔎 Comparing ${before.label} → ${after.label}...`);
+    const diff = diffStructures(before.data, after.data);
+    const meta = { from: { label: before.label }, to: { label: after.label } };
+
+    console.log(`\n📊 CHANGES (${diff.nodes.before} → ${diff.nodes.after} nodes):`);
+    CHANGE_KINDS.forEach((kind) => {
+      const ofKind = diff.changes.filter(change => change.kind === kind);
+      console.log(`   ${ICONS[kind]} ${ofKind.length} ${HEADINGS[kind].toLowerCase()}`);
+      ofKind.slice(0, 10).forEach(change => console.log(`      ${describeChange(change)}`));
+      if (ofKind.length > 10) console.log(`      … ${ofKind.length - 10} more in the report`);
+    });
+
+    const report = format === 'json'
+      ? `${JSON.stringify({ ...meta, ...diff }, null, 2)}\n`
+      : format === 'html' ? renderHtml(diff, meta) : renderMarkdown(diff, meta);
+
+    if (dryRun) {
+      console.log(`\n📝 Dry run - not writing ${out}`);
+    } else {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, report);
+      console.log(`\n✅ Report written to ${out}`);
+    }
+
+    return { ...meta, ...diff, report };
+  } catch (error) {
+    console.error('❌ Error comparing structures:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/diff-figma-structure.js [before.json after.json]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [beforeFile, afterFile] = process.argv.slice(2).map(file => path.resolve(file));
+  diffFigmaStructures({ beforeFile, afterFile }).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -1,8 +1,12 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { auditFrame } from './lib/accessibility-audit.js';
+import { groupByCategory, resolveTokens } from './lib/design-tokens.js';
+import { screensOf } from './lib/prototype-flow.js';
+import { BREAKPOINTS, findBreakpointFrames, matchFrames } from './lib/responsive-layouts.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -11,46 +15,7 @@ const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
 const NODE_ID = process.argv[2] || '2033:13526';
 
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
 
 // Enhanced extraction with missing data
 async function getEnhancedDesignData() {
@@ -58,7 +23,7 @@ async function getEnhancedDesignData() {
     console.log('🚀 Starting enhanced Figma extraction...');
     
     // 1. Get main node structure
-    const nodeData = await makeRequest(`/v1/files/${FILE_KEY}/nodes?ids=${NODE_ID}&depth=10`);
+    const nodeData = await figma.getFileNodes(FILE_KEY, [NODE_ID], { depth: 10 });
     
     // 2. Get design tokens/variables
     console.log('🎨 Fetching design tokens...');
@@ -68,9 +33,9 @@ async function getEnhancedDesignData() {
     console.log('🧩 Fetching component variants...');
     const componentSets = await getComponentSets();
     
-    // 4. Get responsive data (if available)
-    console.log('📱 Fetching responsive constraints...');
-    const responsiveData = await getResponsiveData();
+    // 4. Pair the frames drawn at several breakpoints
+    console.log('📱 Matching breakpoint frames...');
+    const responsiveData = getResponsiveData(nodeData.nodes[NODE_ID].document);
     
     // 5. Extract accessibility information
     console.log('♿ Processing accessibility data...');
@@ -121,53 +86,24 @@ async function getEnhancedDesignData() {
 
 async function getDesignTokens() {
   try {
-    const response = await makeRequest(`/v1/files/${FILE_KEY}/variables/local`);
+    const response = await figma.getLocalVariables(FILE_KEY);
     
     if (response.meta && response.meta.variables) {
-      const variables = response.meta.variables;
-      const designTokens = {
-        colors: {},
-        spacing: {},
-        typography: {},
-        borderRadius: {},
-        shadows: {}
-      };
-      
-      Object.entries(variables).forEach(([id, variable]) => {
-        const name = variable.name.toLowerCase();
-        
-        // Categorize variables
-        if (name.includes('color') || name.includes('bg') || name.includes('text')) {
-          designTokens.colors[variable.name] = {
-            id: id,
-            values: variable.valuesByMode,
-            type: variable.resolvedType
-          };
-        } else if (name.includes('spacing') || name.includes('gap') || name.includes('margin') || name.includes('padding')) {
-          designTokens.spacing[variable.name] = {
-            id: id,
-            values: variable.valuesByMode,
-            type: variable.resolvedType
-          };
-        } else if (name.includes('font') || name.includes('text') || name.includes('size')) {
-          designTokens.typography[variable.name] = {
-            id: id,
-            values: variable.valuesByMode,
-            type: variable.resolvedType
-          };
-        } else if (name.includes('radius') || name.includes('corner')) {
-          designTokens.borderRadius[variable.name] = {
-            id: id,
-            values: variable.valuesByMode,
-            type: variable.resolvedType
-          };
-        } else if (name.includes('shadow') || name.includes('elevation')) {
-          designTokens.shadows[variable.name] = {
-            id: id,
-            values: variable.valuesByMode,
-            type: variable.resolvedType
+      // Same categories and alias resolution as the token build step
+      const { tokens, warnings } = resolveTokens(response.meta);
+      warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+      const designTokens = {};
+      Object.entries(groupByCategory(tokens)).forEach(([category, entries]) => {
+        designTokens[category] = {};
+        Object.values(entries).forEach((token) => {
+          designTokens[category][token.name] = {
+            id: token.id,
+            cssVar: token.cssVar,
+            values: token.modes,
+            type: token.type
           };
-        }
+        });
       });
       
       return designTokens;
@@ -183,7 +119,7 @@ async function getDesignTokens() {
 async function getComponentSets() {
   try {
     // Get file data to access components
-    const fileData = await makeRequest(`/v1/files/${FILE_KEY}`);
+    const fileData = await figma.getFile(FILE_KEY);
     
     const componentSets = {};
     
@@ -223,88 +159,27 @@ async function getComponentSets() {
   }
 }
 
-async function getResponsiveData() {
-  // Since Figma doesn't directly provide responsive data via API,
-  // we'll create a structure for common responsive breakpoints
+// Breakpoint frames under the node and how they pair up; `npm run figma -- responsive` merges their classes
+function getResponsiveData(node) {
+  const frames = findBreakpointFrames(node);
+  const { groups, unmatched } = matchFrames(frames);
+  const frameRef = frame => ({ id: frame.id, name: frame.name, width: frame.width });
+
   return {
-    breakpoints: {
-      mobile: { width: 320, maxWidth: 767 },
-      tablet: { width: 768, maxWidth: 1023 },
-      desktop: { width: 1024, maxWidth: 1440 },
-      large: { width: 1441, maxWidth: null }
-    },
-    constraints: {
-      // These would need to be manually mapped or extracted from design system
-      // For now, providing structure for future enhancement
-      defaultConstraints: {
-        horizontal: 'LEFT_RIGHT',
-        vertical: 'TOP_BOTTOM'
-      }
-    },
-    autoLayout: {
-      // Structure for auto-layout responsive behavior
-      responsive: true,
-      direction: 'VERTICAL',
-      spacing: 'BETWEEN'
-    }
+    breakpoints: Object.fromEntries(BREAKPOINTS.map(({ name, prefix, minWidth, maxWidth }) => [name, { prefix, min: minWidth, max: maxWidth }])),
+    screens: groups.map(group => ({
+      name: group.name,
+      matchedBy: group.matchedBy,
+      frames: Object.fromEntries(Object.entries(group.frames).map(([breakpoint, frame]) => [breakpoint, frameRef(frame)]))
+    })),
+    singleBreakpoint: unmatched.map(frame => ({ ...frameRef(frame), breakpoint: frame.breakpoint }))
   };
 }
 
+// Same checks as `npm run figma -- audit`, for each screen under the node
 function extractAccessibilityInfo(node) {
-  const accessibilityData = {
-    altTexts: {},
-    ariaLabels: {},
-    focusable: [],
-    headingStructure: [],
-    interactiveElements: []
-  };
-  
-  function processNodeForA11y(node, depth = 0) {
-    // Extract alt text for images
-    if (node.type === 'RECTANGLE' && node.fills) {
-      const imageFill = node.fills.find(fill => fill.type === 'IMAGE');
-      if (imageFill) {
-        accessibilityData.altTexts[node.id] = {
-          suggested: `Image: ${node.name}`,
-          node: node.name,
-          type: 'IMAGE'
-        };
-      }
-    }
-    
-    // Extract text that might be headings
-    if (node.type === 'TEXT' && node.fontSize && node.fontSize >= 18) {
-      accessibilityData.headingStructure.push({
-        id: node.id,
-        text: node.characters || '',
-        level: node.fontSize >= 32 ? 1 : node.fontSize >= 24 ? 2 : 3,
-        fontSize: node.fontSize
-      });
-    }
-    
-    // Identify interactive elements
-    if (node.type === 'INSTANCE' || (node.name && (
-      node.name.toLowerCase().includes('button') ||
-      node.name.toLowerCase().includes('cta') ||
-      node.name.toLowerCase().includes('link')
-    ))) {
-      accessibilityData.interactiveElements.push({
-        id: node.id,
-        name: node.name,
-        type: node.type,
-        suggestedRole: node.name.toLowerCase().includes('button') ? 'button' : 'link'
-      });
-    }
-    
-    // Process children
-    if (node.children) {
-      node.children.forEach(child => processNodeForA11y(child, depth + 1));
-    }
-  }
-  
-  processNodeForA11y(node);
-  
-  return accessibilityData;
+  const frames = ['CANVAS', 'SECTION'].includes(node.type) ? screensOf(node) : [node];
+  return frames.map(frame => auditFrame(frame));
 }
 
 async function getInteractionData() {
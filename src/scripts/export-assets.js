@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import {
+  MANIFEST_VERSION,
+  OPTIMIZED_DIR,
+  collectAssets,
+  diffAssets,
+  downloadFile,
+  findOrphans,
+  isUpToDate,
+  mapWithConcurrency,
+  nodeChanged,
+  readManifest,
+  writeManifest
+} from './lib/asset-export.js';
+import { assignFilenames, dedupeByContent, loadNameOverrides } from './lib/asset-names.js';
+import { slugify } from './lib/design-tokens.js';
+import { cleanSvg } from './lib/svg-icons.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
+const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_NODE_ID = '5584:558165';
+const DEFAULT_OUT_DIR = path.join(__dirname, '../assets');
+
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Download URLs for the given assets: image fills from the file's image
+ * fill table, everything else rendered by /v1/images in batches.
+ */
+async function resolveUrls(fileKey, assets, { scale, batchSize }) {
+  const urls = {};
+
+  if (assets.some(asset => asset.kind === 'image-fill')) {
+    const response = await figma.getImageFills(fileKey);
+    const images = response.meta?.images || {};
+    assets
+      .filter(asset => asset.kind === 'image-fill')
+      .forEach((asset) => {
+        if (images[asset.ref]) urls[asset.key] = images[asset.ref];
+      });
+  }
+
+  // One /v1/images call per format; SVG ignores the scale
+  const renders = assets.filter(asset => asset.kind === 'render');
+  for (const renderFormat of new Set(renders.map(asset => asset.format))) {
+    const sameFormat = renders.filter(asset => asset.format === renderFormat);
+    for (const batch of chunk(sameFormat, batchSize)) {
+      const response = await figma.getImages(fileKey, batch.map(asset => asset.nodeId), {
+        format: renderFormat,
+        scale: renderFormat === 'svg' ? undefined : scale
+      });
+      batch.forEach((asset) => {
+        const url = response.images?.[asset.nodeId];
+        if (url) urls[asset.key] = url;
+      });
+    }
+  }
+
+  return urls;
+}
+
+// Icons are stored cleaned so the file and the generated component match
+function writeCleanSvg(file, entry) {
+  const { svg } = cleanSvg(fs.readFileSync(file, 'utf8'), { idPrefix: slugify(entry.nodeName) || 'icon' });
+  fs.writeFileSync(file, svg);
+  return { bytes: Buffer.byteLength(svg), sha256: crypto.createHash('sha256').update(svg).digest('hex') };
+}
+
+// Delete an entry's file and optimized variants unless a remaining entry still uses them
+function removeAssetFiles(entry, remaining, outDir) {
+  if (entry.filename && !remaining.some(other => other.filename === entry.filename)) {
+    fs.rmSync(path.join(outDir, entry.filename), { force: true });
+  }
+  const kept = new Set(remaining.flatMap(other => (other.optimized?.variants || []).map(variant => variant.filename)));
+  (entry.optimized?.variants || [])
+    .filter(variant => !kept.has(variant.filename))
+    .forEach(variant => fs.rmSync(path.join(outDir, OPTIMIZED_DIR, variant.filename), { force: true }));
+}
+
+function printSyncSummary({ added, changed, stale, unchanged, removed }, dryRun) {
+  const list = entries => entries.forEach(entry => console.log(`      ${entry.filename || entry.key} (${entry.ref || entry.nodeId})`));
+  console.log(`\n📊 ${dryRun ? 'SYNC PLAN' : 'SYNC SUMMARY'}:`);
+  console.log(`   ➕ ${added.length} added`);
+  list(added);
+  console.log(`   ✏️  ${changed.length} changed in Figma`);
+  list(changed);
+  if (stale.length > 0) {
+    console.log(`   🔁 ${stale.length} ${dryRun ? 'to download again' : 'downloaded again'} (missing, modified or renamed file)`);
+    list(stale);
+  }
+  console.log(`   🗑️  ${removed.length} ${dryRun ? 'to remove' : 'removed'} (no longer in the design)`);
+  list(removed);
+  console.log(`   ✓ ${unchanged.length} unchanged`);
+}
+
+/**
+ * Sync the assets under a node into `outDir` and record them in
+ * assets-manifest.json. Only assets that are new, edited in Figma or
+ * missing on disk are downloaded; assets deleted from the design are
+ * removed with their files. Interrupted downloads resume, so a failed run
+ * can simply be started again. With dryRun the plan is printed instead.
+ */
+export async function exportAssets({
+  fileKey = FILE_KEY,
+  nodeId = DEFAULT_NODE_ID,
+  depth = 5,
+  outDir = DEFAULT_OUT_DIR,
+  strategies = ['fills', 'icons'],
+  nodeIds = [],
+  format = 'png',
+  scale = 2,
+  concurrency = 4,
+  batchSize = 50,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`🎯 Syncing ${strategies.join(' + ')} assets from node ${nodeId}...`);
+
+    const nodeData = await figma.getFileNodes(fileKey, [nodeId], { depth });
+    if (!nodeData.nodes || !nodeData.nodes[nodeId]) {
+      throw new Error(`Node with ID ${nodeId} not found`);
+    }
+
+    const root = nodeData.nodes[nodeId].document;
+    console.log(`📁 Found "${root.name}" (${root.type})`);
+
+    const previous = readManifest(outDir);
+    const previousByKey = new Map((previous?.assets || []).map(entry => [entry.key, entry]));
+    if (previous?.figmaVersion && previous.figmaVersion === nodeData.version) {
+      console.log(`🕒 File unchanged since the last sync (version ${nodeData.version})`);
+    } else if (previous?.figmaVersion) {
+      console.log(`🕒 File changed since the last sync (version ${previous.figmaVersion} → ${nodeData.version})`);
+    }
+
+    const { assets, missing } = collectAssets(root, { strategies, nodeIds, maxDepth: depth });
+
+    // Requested nodes outside the scanned tree are fetched on their own
+    if (missing.length > 0) {
+      const extra = await figma.getFileNodes(fileKey, missing, { depth: 1 });
+      missing.forEach((id) => {
+        const node = extra.nodes?.[id]?.document;
+        if (!node) {
+          console.warn(`⚠️  Node ${id} not found, skipping`);
+          return;
+        }
+        assets.push(...collectAssets(node, { strategies: ['nodes'], nodeIds: [id], maxDepth: 0 }).assets);
+      });
+    }
+
+    // Icon instances are often named after their container ("Icons"); the component says what they show
+    const { components = {}, componentSets = {} } = nodeData.nodes[nodeId];
+    assets.forEach((asset) => {
+      const component = components[asset.componentId];
+      if (component?.name) asset.componentName = component.name;
+      if (componentSets[component?.componentSetId]?.name) asset.componentSetName = componentSets[component.componentSetId].name;
+    });
+
+    const counts = assets.reduce((acc, asset) => ({ ...acc, [asset.kind]: (acc[asset.kind] || 0) + 1 }), {});
+    console.log(`📸 Found ${assets.length} assets (${Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ') || 'none'})`);
+
+    const removed = findOrphans(previous?.assets || [], assets, { rootNodeId: root.id, strategies, nodeIds });
+    const released = new Set(removed.map(entry => entry.key));
+    const edited = new Set(assets.filter(asset => nodeChanged(asset, previousByKey.get(asset.key))).map(asset => asset.key));
+
+    // Known duplicates keep pointing at the file they share, as long as neither side changed
+    const isKnownDuplicate = (asset) => {
+      const known = previousByKey.get(asset.key);
+      return known?.duplicateOf && isUpToDate(known, outDir) && !edited.has(asset.key)
+        && !edited.has(known.duplicateOf) && !released.has(known.duplicateOf);
+    };
+    const filenames = assignFilenames(assets.filter(asset => !isKnownDuplicate(asset)), {
+      dir: outDir,
+      format,
+      overrides: loadNameOverrides(outDir),
+      previous: previousByKey,
+      released
+    });
+
+    // lastModified is the file's lastModified from the sync that first saw the asset or its last edit
+    const entries = assets.map(asset => ({
+      ...asset,
+      rootNodeId: root.id,
+      format: asset.kind === 'image-fill' ? 'original' : asset.format || format,
+      scale: asset.kind === 'image-fill' || asset.format === 'svg' ? 1 : scale,
+      filename: filenames.get(asset.key) || previousByKey.get(asset.key).filename,
+      lastModified: (!edited.has(asset.key) && previousByKey.get(asset.key)?.lastModified) || nodeData.lastModified
+    }));
+
+    const diff = { ...diffAssets(entries, previousByKey, outDir), removed };
+    const pending = [...diff.added, ...diff.changed, ...diff.stale];
+    console.log(`📦 ${pending.length} to download, ${diff.unchanged.length} already up to date, ${removed.length} to remove`);
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${pending.length} assets to ${outDir} or removing ${removed.length}`);
+      printSyncSummary(diff, true);
+      return { dryRun: true, assets: entries, pending, diff };
+    }
+
+    // Entries from other roots stay in the manifest; this run's entries replace their own keys
+    const current = new Set(entries.map(entry => entry.key));
+    const manifest = {
+      version: MANIFEST_VERSION,
+      fileKey,
+      figmaVersion: nodeData.version,
+      lastModified: nodeData.lastModified,
+      updatedAt: new Date().toISOString(),
+      assets: [
+        ...(previous?.assets || []).filter(entry => !current.has(entry.key) && !released.has(entry.key)),
+        ...entries.map(entry => (pending.includes(entry) ? { ...entry, status: 'pending' } : { ...previousByKey.get(entry.key), ...entry }))
+      ]
+    };
+    removed.forEach(entry => removeAssetFiles(entry, manifest.assets, outDir));
+    const byKey = new Map(manifest.assets.map(entry => [entry.key, entry]));
+
+    const save = (entry, changes) => {
+      Object.assign(byKey.get(entry.key), changes);
+      writeManifest(outDir, manifest);
+    };
+    writeManifest(outDir, manifest);
+
+    const urls = await resolveUrls(fileKey, pending, { scale, batchSize });
+
+    await mapWithConcurrency(pending, concurrency, async (entry) => {
+      const url = urls[entry.key];
+      if (!url) {
+        console.log(`⚠ No URL available for ${entry.nodeName} (${entry.ref || entry.nodeId})`);
+        save(entry, { status: 'failed', error: 'no_url' });
+        return;
+      }
+
+      try {
+        const file = path.join(outDir, entry.filename);
+        let { bytes, sha256, resumed } = await downloadFile(url, file, { version: `${entry.nodeHash || entry.ref}@${scale}` });
+        if (entry.format === 'svg') {
+          ({ bytes, sha256 } = writeCleanSvg(file, entry));
+        }
+        save(entry, { status: 'downloaded', bytes, sha256, downloadedAt: new Date().toISOString(), error: undefined });
+        console.log(`✓ ${resumed ? 'Resumed' : 'Downloaded'}: ${entry.filename}`);
+      } catch (error) {
+        const reason = error.status === 403 ? 'expired_url' : error.message;
+        save(entry, { status: 'failed', error: reason });
+        console.log(`✗ Failed to download ${entry.filename}: ${reason}`);
+      }
+    });
+
+    // Identical downloads share one file; files this run renamed away from are removed
+    const duplicates = dedupeByContent(manifest, outDir);
+    const used = new Set(manifest.assets.map(entry => entry.filename));
+    entries.forEach((entry) => {
+      const old = previousByKey.get(entry.key)?.filename;
+      if (old && !used.has(old)) fs.rmSync(path.join(outDir, old), { force: true });
+    });
+    writeManifest(outDir, manifest);
+    if (duplicates > 0) {
+      console.log(`🔁 ${duplicates} duplicate files removed`);
+    }
+    printSyncSummary(diff, false);
+
+    const failed = entries.filter(entry => byKey.get(entry.key).status === 'failed');
+    console.log(`\n✅ ${entries.length - failed.length}/${entries.length} assets in ${outDir}`);
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} failed - run the export again to retry them`);
+    }
+
+    return manifest;
+  } catch (error) {
+    console.error('❌ Error exporting assets:', error.message);
+    throw error;
+  }
+}
+
+// Run the export when invoked directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  exportAssets().catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -1,436 +1,182 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { slugify } from './lib/design-tokens.js';
+import { interactionStatesFor } from './lib/interaction-states.js';
+import { createTokenMatcher, loadDesignTokens } from './lib/token-matcher.js';
+import { extractNodeStructure } from './get-figma-node-structure.js';
+
+/**
+ * Interaction states of the file's components, read from the variants of
+ * each COMPONENT_SET (State=Default/Hover/Pressed/Focus/Disabled). For
+ * every state the classes that differ from the default variant are kept
+ * as Tailwind `hover:` / `active:` / `focus-visible:` / `disabled:`
+ * classes, so each component gets the states its designer drew.
+ */
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/interaction-states.json');
 
-// Keywords that indicate interactive elements
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+// Names of components that are likely meant to react to the pointer or keyboard
 const INTERACTIVE_KEYWORDS = [
-  'button', 'btn', 'cta', 'link', 'hover', 'active', 'pressed', 'disabled',
-  'focus', 'click', 'tap', 'input', 'field', 'form', 'checkbox', 'radio',
-  'toggle', 'switch', 'dropdown', 'menu', 'nav', 'navigation'
+  'button', 'btn', 'cta', 'link', 'input', 'field', 'checkbox', 'radio',
+  'toggle', 'switch', 'dropdown', 'select', 'tab', 'chip'
 ];
 
-// State keywords
-const STATE_KEYWORDS = {
-  hover: ['hover', 'over', 'rollover'],
-  active: ['active', 'pressed', 'down', 'click'],
-  focus: ['focus', 'focused', 'highlight'],
-  disabled: ['disabled', 'inactive', 'gray', 'grey']
-};
-
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
-
-function identifyInteractiveElements(node, interactives = []) {
-  const name = node.name.toLowerCase();
-  
-  // Check if this is an interactive element
-  const isInteractive = INTERACTIVE_KEYWORDS.some(keyword => 
-    name.includes(keyword)
-  ) || node.type === 'INSTANCE';
-  
-  if (isInteractive) {
-    const elementInfo = {
-      id: node.id,
-      name: node.name,
-      type: node.type,
-      componentId: node.componentId,
-      bounds: node.absoluteBoundingBox,
-      states: identifyStates(name),
-      styling: extractStyling(node),
-      interactionType: determineInteractionType(name)
-    };
-    
-    interactives.push(elementInfo);
-  }
-  
-  if (node.children) {
-    node.children.forEach(child => identifyInteractiveElements(child, interactives));
-  }
-  
-  return interactives;
-}
-
-function identifyStates(name) {
-  const states = {
-    default: true,
-    hover: false,
-    active: false,
-    focus: false,
-    disabled: false
-  };
-  
-  Object.entries(STATE_KEYWORDS).forEach(([state, keywords]) => {
-    if (keywords.some(keyword => name.includes(keyword))) {
-      states[state] = true;
-    }
-  });
-  
-  return states;
-}
-
-function extractStyling(node) {
-  const styling = {};
-  
-  // Background color
-  if (node.fills && node.fills.length > 0) {
-    const solidFill = node.fills.find(fill => fill.type === 'SOLID');
-    if (solidFill && solidFill.color) {
-      const { r, g, b } = solidFill.color;
-      styling.backgroundColor = {
-        r: Math.round(r * 255),
-        g: Math.round(g * 255),
-        b: Math.round(b * 255),
-        alpha: solidFill.opacity || 1
-      };
-    }
-  }
-  
-  // Border
-  if (node.strokes && node.strokes.length > 0) {
-    const stroke = node.strokes[0];
-    if (stroke.color) {
-      const { r, g, b } = stroke.color;
-      styling.border = {
-        width: node.strokeWeight || 1,
-        color: {
-          r: Math.round(r * 255),
-          g: Math.round(g * 255),
-          b: Math.round(b * 255),
-          alpha: stroke.opacity || 1
-        }
-      };
-    }
-  }
-  
-  // Border radius
-  if (node.cornerRadius !== undefined) {
-    styling.borderRadius = node.cornerRadius;
-  }
-  
-  // Shadow
-  if (node.effects && node.effects.length > 0) {
-    const shadow = node.effects.find(effect => effect.type === 'DROP_SHADOW');
-    if (shadow) {
-      styling.shadow = {
-        x: shadow.offset?.x || 0,
-        y: shadow.offset?.y || 0,
-        blur: shadow.radius || 0,
-        color: shadow.color || { r: 0, g: 0, b: 0, a: 0.25 }
-      };
-    }
-  }
-  
-  return styling;
-}
-
-function determineInteractionType(name) {
-  if (name.includes('button') || name.includes('btn') || name.includes('cta')) {
-    return 'button';
-  } else if (name.includes('link')) {
-    return 'link';
-  } else if (name.includes('input') || name.includes('field')) {
-    return 'input';
-  } else if (name.includes('checkbox')) {
-    return 'checkbox';
-  } else if (name.includes('radio')) {
-    return 'radio';
-  } else if (name.includes('toggle') || name.includes('switch')) {
-    return 'toggle';
-  } else if (name.includes('dropdown') || name.includes('select')) {
-    return 'dropdown';
+function findComponentSets(node, sets = []) {
+  if (node.type === 'COMPONENT_SET') {
+    sets.push(node);
+    return sets;
   }
-  
-  return 'interactive';
+  (node.children || []).forEach(child => findComponentSets(child, sets));
+  return sets;
 }
 
-function groupByComponent(interactives) {
-  const grouped = {};
-  
-  interactives.forEach(element => {
-    const key = element.componentId || element.name.replace(/\s+(hover|active|focus|disabled).*$/i, '');
-    
-    if (!grouped[key]) {
-      grouped[key] = {
-        baseComponent: key,
-        elements: [],
-        states: {
-          default: null,
-          hover: null,
-          active: null,
-          focus: null,
-          disabled: null
-        }
-      };
-    }
-    
-    grouped[key].elements.push(element);
-    
-    // Try to identify which state this element represents
-    Object.keys(grouped[key].states).forEach(state => {
-      if (element.states[state] && state !== 'default') {
-        grouped[key].states[state] = element;
-      } else if (state === 'default' && Object.values(element.states).filter(Boolean).length === 1) {
-        grouped[key].states.default = element;
-      }
+// Classes per set, keyed by set name plus the other variant values when there are several groups
+function tailwindIndex(components) {
+  const index = {};
+  Object.values(components).forEach((component) => {
+    component.variants.forEach((variant) => {
+      const key = slugify(component.variants.length > 1 && variant.key ? `${component.name} ${variant.key}` : component.name);
+      index[key] = variant.classes;
     });
   });
-  
-  return grouped;
+  return index;
 }
 
-function generateInteractionCSS(groupedElements) {
-  const css = {};
-  
-  Object.entries(groupedElements).forEach(([componentKey, group]) => {
-    const className = `.${componentKey.toLowerCase().replace(/\s+/g, '-')}`;
-    css[className] = {};
-    
-    // Default state
-    if (group.states.default) {
-      css[className] = convertStylingToCSS(group.states.default.styling);
-    }
-    
-    // Hover state
-    if (group.states.hover) {
-      css[`${className}:hover`] = convertStylingToCSS(group.states.hover.styling);
-    } else if (group.states.default) {
-      // Generate hover state if not provided
-      css[`${className}:hover`] = generateHoverState(group.states.default.styling);
-    }
-    
-    // Active state
-    if (group.states.active) {
-      css[`${className}:active`] = convertStylingToCSS(group.states.active.styling);
+function generateRecommendations(components, withoutStates) {
+  const recommendations = [];
+
+  Object.values(components).forEach((component) => {
+    if (!component.states.includes('focus')) {
+      recommendations.push({
+        type: 'accessibility',
+        message: `"${component.name}" has no Focus variant; keyboard users need a visible focus style`,
+        component: component.name,
+        priority: 'high'
+      });
     }
-    
-    // Focus state
-    if (group.states.focus) {
-      css[`${className}:focus`] = convertStylingToCSS(group.states.focus.styling);
-    } else {
-      // Default focus ring
-      css[`${className}:focus`] = {
-        outline: '2px solid #3b82f6',
-        outlineOffset: '2px'
-      };
+    if (!component.states.includes('default')) {
+      recommendations.push({
+        type: 'info',
+        message: `"${component.name}" has no Default ${component.stateProperty}; the first variant is used as the base`,
+        component: component.name,
+        priority: 'low'
+      });
     }
-    
-    // Disabled state
-    if (group.states.disabled) {
-      css[`${className}:disabled`] = convertStylingToCSS(group.states.disabled.styling);
+    if (component.unmapped.length > 0) {
+      recommendations.push({
+        type: 'info',
+        message: `"${component.name}" ${component.stateProperty} values ${component.unmapped.join(', ')} are not interaction states and were skipped`,
+        component: component.name,
+        priority: 'low'
+      });
     }
+    component.variants.forEach((variant) => {
+      variant.warnings.forEach(warning => recommendations.push({
+        type: 'warning',
+        message: `"${component.name}"${variant.key ? ` (${variant.key})` : ''} ${warning}`,
+        component: component.name,
+        priority: 'medium'
+      }));
+    });
   });
-  
-  return css;
-}
 
-function convertStylingToCSS(styling) {
-  const css = {};
-  
-  if (styling.backgroundColor) {
-    const { r, g, b, alpha } = styling.backgroundColor;
-    css.backgroundColor = alpha < 1 ? 
-      `rgba(${r}, ${g}, ${b}, ${alpha})` : 
-      `rgb(${r}, ${g}, ${b})`;
-  }
-  
-  if (styling.border) {
-    const { width, color } = styling.border;
-    const { r, g, b, alpha } = color;
-    css.border = `${width}px solid ${alpha < 1 ? 
-      `rgba(${r}, ${g}, ${b}, ${alpha})` : 
-      `rgb(${r}, ${g}, ${b})`}`;
-  }
-  
-  if (styling.borderRadius !== undefined) {
-    css.borderRadius = `${styling.borderRadius}px`;
-  }
-  
-  if (styling.shadow) {
-    const { x, y, blur, color } = styling.shadow;
-    const { r, g, b, a } = color;
-    css.boxShadow = `${x}px ${y}px ${blur}px rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
-  }
-  
-  // Add transition for smooth interactions
-  css.transition = 'all 0.2s ease-in-out';
-  
-  return css;
-}
+  withoutStates
+    .filter(set => INTERACTIVE_KEYWORDS.some(keyword => set.name.toLowerCase().includes(keyword)))
+    .forEach(set => recommendations.push({
+      type: 'suggestion',
+      message: `"${set.name}" looks interactive but has no State property; add State=Default/Hover/Focus/Disabled variants`,
+      component: set.name,
+      priority: 'medium'
+    }));
 
-function generateHoverState(baseStyling) {
-  const hoverCSS = {};
-  
-  // Slightly darken or lighten the background
-  if (baseStyling.backgroundColor) {
-    const { r, g, b, alpha } = baseStyling.backgroundColor;
-    const factor = r + g + b > 384 ? 0.9 : 1.1; // Darken light colors, lighten dark colors
-    hoverCSS.backgroundColor = alpha < 1 ? 
-      `rgba(${Math.round(r * factor)}, ${Math.round(g * factor)}, ${Math.round(b * factor)}, ${alpha})` : 
-      `rgb(${Math.round(r * factor)}, ${Math.round(g * factor)}, ${Math.round(b * factor)})`;
-  }
-  
-  // Add subtle scale or shadow effect
-  hoverCSS.transform = 'translateY(-1px)';
-  if (baseStyling.shadow) {
-    hoverCSS.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.15)';
-  }
-  
-  return hoverCSS;
+  return recommendations;
 }
 
-async function extractInteractionStates() {
+/**
+ * Read the component sets of the file and write their interaction states
+ * and Tailwind classes to JSON.
+ */
+export async function extractInteractionStates({ fileKey = FILE_KEY, out = DEFAULT_OUTPUT, dryRun = false } = {}) {
   try {
-    console.log('✨ Extracting interaction states...');
-    
-    // Get file data
-    const fileData = await makeRequest(`/v1/files/${FILE_KEY}`);
-    
-    // Find interactive elements
-    const interactiveElements = identifyInteractiveElements(fileData.document);
-    console.log(`🎯 Found ${interactiveElements.length} interactive elements`);
-    
-    // Group by component/state
-    const groupedElements = groupByComponent(interactiveElements);
-    console.log(`🧩 Grouped into ${Object.keys(groupedElements).length} component groups`);
-    
-    // Generate CSS for interactions
-    const interactionCSS = generateInteractionCSS(groupedElements);
-    
-    // Generate Tailwind classes
-    const tailwindInteractions = generateTailwindInteractions(groupedElements);
-    
+    console.log('✨ Extracting interaction states from component variants...');
+
+    const fileData = await figma.getFile(fileKey);
+    const sets = findComponentSets(fileData.document);
+    console.log(`🧩 Found ${sets.length} component sets`);
+
+    const matcher = createTokenMatcher({ tokens: loadDesignTokens() });
+    const components = {};
+    const withoutStates = [];
+
+    sets.forEach((set) => {
+      const result = interactionStatesFor(set, component => extractNodeStructure(component, 0, { matcher, parent: set }));
+      if (result) {
+        components[set.name] = result;
+      } else {
+        withoutStates.push(set);
+      }
+    });
+
+    // Variant component ID -> where its classes are, for code generation from instances
+    const byComponentId = {};
+    Object.values(components).forEach((component) => {
+      component.variants.forEach((variant) => {
+        variant.componentIds.forEach((id) => {
+          byComponentId[id] = { component: component.name, variant: variant.key };
+        });
+      });
+    });
+
     const outputData = {
       extractedAt: new Date().toISOString(),
-      fileKey: FILE_KEY,
-      interactiveElements: interactiveElements,
-      groupedByComponent: groupedElements,
-      generatedCSS: interactionCSS,
-      tailwindClasses: tailwindInteractions,
-      recommendations: generateInteractionRecommendations(interactiveElements)
+      fileKey: fileKey,
+      components,
+      byComponentId,
+      tailwindClasses: tailwindIndex(components),
+      recommendations: generateRecommendations(components, withoutStates)
     };
-    
-    // Save interaction data
-    const filesDir = path.join(__dirname, '../files');
-    if (!fs.existsSync(filesDir)) {
-      fs.mkdirSync(filesDir, { recursive: true });
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${out}`);
+    } else {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(outputData, null, 2));
+      console.log(`✅ Interaction states saved to: ${out}`);
     }
-    
-    const outputPath = path.join(filesDir, 'interaction-states.json');
-    fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
-    
-    console.log(`✅ Interaction states saved to: ${outputPath}`);
-    
-    // Print summary
+
     console.log('\n📊 Interaction Summary:');
-    Object.entries(groupedElements).forEach(([component, group]) => {
-      const stateCount = Object.values(group.states).filter(Boolean).length;
-      console.log(`   ${component}: ${stateCount} states defined`);
+    Object.values(components).forEach((component) => {
+      const states = component.states.filter(state => state !== 'default');
+      console.log(`   ${component.name}: ${states.length > 0 ? states.join(', ') : 'no states'} (${component.stateProperty})`);
+      component.variants.forEach((variant) => {
+        if (variant.classes.root) console.log(`      ${variant.key || 'root'}: ${variant.classes.root}`);
+      });
     });
-    
+    if (withoutStates.length > 0) {
+      console.log(`   ${withoutStates.length} component sets without a state property`);
+    }
+
+    return outputData;
+
   } catch (error) {
     console.error('❌ Error:', error.message);
+    throw error;
   }
 }
 
-function generateTailwindInteractions(groupedElements) {
-  const tailwind = {};
-  
-  Object.entries(groupedElements).forEach(([componentKey, group]) => {
-    const className = componentKey.toLowerCase().replace(/\s+/g, '-');
-    tailwind[className] = {
-      base: 'transition-all duration-200 ease-in-out',
-      hover: 'hover:shadow-lg hover:-translate-y-0.5',
-      active: 'active:scale-95',
-      focus: 'focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2',
-      disabled: 'disabled:opacity-50 disabled:cursor-not-allowed'
-    };
+// Run directly: node src/scripts/extract-interaction-states.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  extractInteractionStates().catch(() => {
+    process.exitCode = 1;
   });
-  
-  return tailwind;
 }
-
-function generateInteractionRecommendations(interactiveElements) {
-  const recommendations = [];
-  
-  const stateVariations = {};
-  interactiveElements.forEach(element => {
-    const baseName = element.name.replace(/\s+(hover|active|focus|disabled).*$/i, '');
-    if (!stateVariations[baseName]) {
-      stateVariations[baseName] = [];
-    }
-    stateVariations[baseName].push(element);
-  });
-  
-  Object.entries(stateVariations).forEach(([baseName, variations]) => {
-    if (variations.length === 1) {
-      recommendations.push({
-        type: 'suggestion',
-        message: `Consider creating hover and focus states for "${baseName}"`,
-        component: baseName,
-        priority: 'medium'
-      });
-    }
-  });
-  
-  const buttonCount = interactiveElements.filter(el => 
-    el.interactionType === 'button'
-  ).length;
-  
-  if (buttonCount > 0) {
-    recommendations.push({
-      type: 'info',
-      message: `Found ${buttonCount} buttons. Ensure all have proper focus states for accessibility.`,
-      priority: 'high'
-    });
-  }
-  
-  return recommendations;
-}
-
-extractInteractionStates();
\ No newline at end of file
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { buildFlowGraph, renderMermaid } from './lib/prototype-flow.js';
+
+/**
+ * Prototype navigation of a page: which screen each hotspot leads to, on
+ * which trigger and with which animation, as JSON and a Mermaid diagram.
+ *
+ *   npm run figma -- flow
+ *   npm run figma -- flow --node 2033:13526 --routes
+ *
+ * With --routes a react-router route table with one placeholder route per
+ * screen is written too, as a starting point for the app's screens.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
+const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_NODE_ID = '2033:13526'; // הרשמה תואר ראשון (28+)
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/prototype-flow.json');
+const DEFAULT_ROUTES_OUTPUT = path.join(__dirname, '../routes/figma-routes.tsx');
+
+const GENERATED_HEADER = '// Generated from prototype-flow.json by src/scripts/extract-prototype-flow.js. Do not edit by hand.';
+
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+function literal(value) {
+  return Array.isArray(value)
+    ? `[${value.map(literal).join(', ')}]`
+    : `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Route table for react-router: every screen gets a route at its path with
+ * a placeholder element, overlays become child routes of the screen that
+ * opens them, and `handle` keeps the Figma ID and the paths each screen
+ * links to.
+ */
+export function renderRoutes(graph) {
+  const byId = new Map(graph.screens.map(screen => [screen.id, screen]));
+  const linksFrom = id => [...new Set(graph.edges.filter(edge => edge.from === id && edge.to && edge.to !== id).map(edge => byId.get(edge.to).path))];
+
+  const route = (screen, parent, indent) => {
+    const pad = ' '.repeat(indent);
+    const overlays = graph.screens.filter(other => other.openedFrom === screen.id);
+    const routePath = parent ? screen.path.slice(parent.path.length).replace(/^\//, '') : screen.path;
+    const lines = [
+      `${pad}{`,
+      `${pad}  path: ${literal(routePath)},`,
+      `${pad}  element: <Placeholder name={${literal(screen.name)}} />,`,
+      `${pad}  handle: { figmaId: ${literal(screen.id)}, kind: ${literal(screen.kind)}, next: ${literal(linksFrom(screen.id))} },`
+    ];
+    if (overlays.length > 0) {
+      lines.push(`${pad}  children: [`, overlays.map(overlay => route(overlay, screen, indent + 4)).join(',\n'), `${pad}  ]`);
+    } else {
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+    }
+    lines.push(`${pad}}`);
+    return lines.join('\n');
+  };
+
+  return `${GENERATED_HEADER}
+import { Outlet, type RouteObject } from 'react-router-dom';
+
+// Stand-in until the screen has a component of its own
+// eslint-disable-next-line react-refresh/only-export-components
+function Placeholder({ name }: { name: string }) {
+  return (
+    <main dir="rtl" className="p-8">
+      <h1>{name}</h1>
+      <Outlet />
+    </main>
+  );
+}
+
+export const routes: RouteObject[] = [
+${graph.screens.filter(screen => !screen.openedFrom).map(screen => route(screen, null, 2)).join(',\n')}
+];
+`;
+}
+
+function edgeText(edge, byId) {
+  const target = edge.to ? byId.get(edge.to).name : edge.url || edge.kind;
+  const transition = edge.transition && edge.transition.type !== 'INSTANT'
+    ? ` [${edge.transition.type.toLowerCase()}${edge.transition.durationMs ? ` ${edge.transition.durationMs}ms` : ''}]`
+    : '';
+  return `${edge.hotspot.name} --${edge.trigger.type.replace(/^ON_/, '').toLowerCase()}/${edge.kind}--> ${target}${transition}`;
+}
+
+/**
+ * Fetch `nodeId` (a page, or any node whose children are screens), build
+ * its navigation graph and write it as JSON plus a .mmd diagram next to it.
+ */
+export async function extractPrototypeFlow({
+  fileKey = FILE_KEY,
+  nodeId = DEFAULT_NODE_ID,
+  depth,
+  out = DEFAULT_OUTPUT,
+  routes = false,
+  routesOut = DEFAULT_ROUTES_OUTPUT,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`🧭 Extracting prototype flow for ${nodeId}...`);
+
+    const response = await figma.getFileNodes(fileKey, [nodeId], { depth });
+    const page = response.nodes?.[nodeId]?.document;
+    if (!page) {
+      throw new Error(`Node with ID ${nodeId} not found`);
+    }
+
+    const graph = buildFlowGraph(page);
+    const byId = new Map(graph.screens.map(screen => [screen.id, screen]));
+    const outputData = {
+      extractedAt: new Date().toISOString(),
+      fileKey: fileKey,
+      nodeId: nodeId,
+      name: page.name,
+      ...graph
+    };
+    const mermaid = renderMermaid(graph);
+    const mermaidOut = out.replace(/\.json$/, '') + '.mmd';
+
+    console.log(`\n📊 FLOW (${graph.screens.length} screens, ${graph.edges.length} interactions):`);
+    graph.flows.forEach((flow) => {
+      console.log(`   ▶️  ${flow.name}${flow.inferred ? ' (inferred start)' : ''}: ${flow.screens.map(id => byId.get(id).name).join(' → ')}`);
+    });
+    graph.screens.forEach((screen) => {
+      const outgoing = graph.edges.filter(edge => edge.from === screen.id);
+      console.log(`   ${screen.kind === 'overlay' ? '🪟' : '🖼️ '} ${screen.name} ${screen.path}${outgoing.length === 0 ? ' (no interactions)' : ''}`);
+      outgoing.forEach(edge => console.log(`      ${edgeText(edge, byId)}`));
+    });
+    if (graph.unreachable.length > 0) {
+      console.log(`   ⚠️  Not reachable from a starting point: ${graph.unreachable.map(id => byId.get(id).name).join(', ')}`);
+    }
+    const dangling = graph.edges.filter(edge => edge.destinationId && !edge.to);
+    if (dangling.length > 0) {
+      console.log(`   ⚠️  ${dangling.length} interactions lead outside ${page.name}`);
+    }
+
+    const files = [[out, JSON.stringify(outputData, null, 2)], [mermaidOut, mermaid]];
+    if (routes) files.push([routesOut, renderRoutes(graph)]);
+
+    if (dryRun) {
+      files.forEach(([file]) => console.log(`📝 Dry run - not writing ${file}`));
+    } else {
+      files.forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        console.log(`✅ Saved ${file}`);
+      });
+    }
+
+    return { ...outputData, mermaid };
+
+  } catch (error) {
+    console.error('❌ Error extracting prototype flow:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/extract-prototype-flow.js [nodeId]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  extractPrototypeFlow({ nodeId: process.argv[2] || DEFAULT_NODE_ID }).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -1,8 +1,8 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -10,46 +10,7 @@ dotenv.config({ path: path.join(__dirname, '../../.env') });
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
 
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
 
 function extractNodeStructure(node, depth = 0) {
   const structure = {
@@ -123,7 +84,7 @@ async function getFileStructure() {
     console.log('🔍 Fetching Figma file structure...');
     
     // Get basic file info with depth=1 to get pages
-    const response = await makeRequest(`/v1/files/${FILE_KEY}?depth=1`);
+    const response = await figma.getFile(FILE_KEY, { depth: 1 });
     
     if (!response.document) {
       throw new Error('No document found in response');
@@ -157,7 +118,7 @@ async function getFileStructure() {
         console.log(`     🔍 Fetching detailed structure for page: ${page.name}`);
         
         try {
-          const pageResponse = await makeRequest(`/v1/files/${FILE_KEY}/nodes?ids=${page.id}&depth=3`);
+          const pageResponse = await figma.getFileNodes(FILE_KEY, [page.id], { depth: 3 });
           
           if (pageResponse.nodes && pageResponse.nodes[page.id]) {
             const detailedPage = pageResponse.nodes[page.id];
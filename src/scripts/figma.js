@@ -0,0 +1,589 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { FigmaAuthError, FigmaCacheMissError, FigmaNotFoundError } from './lib/figma-client.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+/**
+ * Single entry point for the Figma tooling.
+ *
+ *   npm run figma -- <command> [options]
+ *
+ * Each subcommand is a thin wrapper around the exported function of the
+ * original script, so `node src/scripts/<script>.js` keeps working as well.
+ */
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  CACHE_MISS: 5
+};
+
+// Raised for bad flags or arguments; reported with the help text
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Accepted by every command
+const COMMON_FLAGS = ['offline', 'help'];
+
+// Where commands that take --file find the key when it is left out
+const FILE_KEY_ENV = ['FIGMA_FILE_ID'];
+
+export const FLAGS = {
+  file: { type: 'string', short: 'f', description: 'Figma file key (defaults to the key in .env)' },
+  node: { type: 'string', short: 'n', description: 'Target node ID, e.g. 5584:558165' },
+  depth: { type: 'string', short: 'd', description: 'Maximum tree depth to fetch' },
+  out: { type: 'string', short: 'o', description: 'Output file (or directory for assets)' },
+  format: { type: 'string', description: 'Output format (see command)' },
+  input: { type: 'string', short: 'i', description: 'Input JSON for commands that work on extracted data' },
+  'dry-run': { type: 'boolean', description: 'Fetch and report without writing files' },
+  tolerance: { type: 'string', description: 'Token match tolerance, e.g. color=0.03,spacing=2,radius=1' },
+  strategy: { type: 'string', description: 'Asset strategies, comma separated: fills, icons, nodes' },
+  scale: { type: 'string', description: 'Render scale for exported images (0.01-4)' },
+  concurrency: { type: 'string', description: 'Parallel downloads' },
+  from: { type: 'string', description: 'Figma version ID to compare from' },
+  to: { type: 'string', description: 'Figma version ID to compare to (default newest)' },
+  routes: { type: 'boolean', description: 'Also write a react-router route table' },
+  port: { type: 'string', short: 'p', description: 'Port for the mock API server' },
+  offline: { type: 'boolean', description: 'Replay recorded responses from .figma-cache, no network' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+// Relative paths in flags are resolved from where the command was started
+function resolvePath(value) {
+  return value === undefined ? undefined : path.resolve(value);
+}
+
+function parseDepth(value) {
+  if (value === undefined) return undefined;
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new UsageError(`--depth must be a positive integer, got "${value}"`);
+  }
+  return depth;
+}
+
+function parseFormat(value, allowed) {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value)) {
+    throw new UsageError(`--format must be one of ${allowed.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+// "color=0.03,spacing=2" -> { color: 0.03, spacing: 2 }
+function parseTolerance(value) {
+  if (value === undefined) return undefined;
+  const tolerance = {};
+  value.split(',').forEach((pair) => {
+    const [key, amount] = pair.split('=');
+    if (!['color', 'spacing', 'radius'].includes(key) || !(Number(amount) >= 0)) {
+      throw new UsageError(`--tolerance expects color=<n>,spacing=<px>,radius=<px>, got "${value}"`);
+    }
+    tolerance[key] = Number(amount);
+  });
+  return tolerance;
+}
+
+// "fills,icons" -> ['fills', 'icons']
+function parseStrategies(value) {
+  if (value === undefined) return undefined;
+  const strategies = value.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = strategies.find(name => !['fills', 'icons', 'nodes'].includes(name));
+  if (unknown || strategies.length === 0) {
+    throw new UsageError(`--strategy must list fills, icons or nodes, got "${value}"`);
+  }
+  return strategies;
+}
+
+function parseNumber(name, value, { min, max, integer = false }) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new UsageError(`--${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}, got "${value}"`);
+  }
+  return number;
+}
+
+// Drop unset flags so each script falls back to its own defaults
+function defined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// Checked before the command loads, so a missing key never reaches the API as /v1/files/undefined
+function requireFileKey(command, values, args) {
+  const needed = command.flags.includes('file') && (command.needsFileKey?.(args) ?? true);
+  const names = command.fileKeyEnv || FILE_KEY_ENV;
+  if (needed && !values.file && !names.some(name => process.env[name])) {
+    throw new UsageError(`No file key: pass --file or set ${names.join(' or ')} in .env`);
+  }
+}
+
+/**
+ * Subcommand table. `flags` lists the options a command accepts besides
+ * --offline and --help; commands with `usage` also take positional
+ * arguments. `run` receives the parsed values and those arguments.
+ * Commands with a --file flag call the API and need a file key, from the
+ * flag or from the `fileKeyEnv` variables (default FIGMA_FILE_ID), unless
+ * `needsFileKey(args)` says otherwise.
+ */
+export const COMMANDS = {
+  structure: {
+    summary: 'Extract a node tree with styles to src/files/figma-node-structure.json',
+    flags: ['file', 'node', 'depth', 'out', 'tolerance', 'dry-run'],
+    async run(values) {
+      const { getNodeStructure } = await import('./get-figma-node-structure.js');
+      return getNodeStructure(defined({
+        fileKey: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        out: resolvePath(values.out),
+        tolerance: parseTolerance(values.tolerance),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  assets: {
+    summary: 'Sync image fills, icons (SVG when drawn from vectors) or given nodes into src/assets',
+    usage: '[nodeId...]',
+    flags: ['file', 'node', 'depth', 'out', 'format', 'strategy', 'scale', 'concurrency', 'dry-run'],
+    formats: ['png', 'jpg', 'svg', 'pdf'],
+    flagHelp: {
+      node: 'Node to scan for assets (default 5584:558165)',
+      strategy: 'fills, icons and/or nodes (default fills,icons; nodes when IDs are given)'
+    },
+    async run(values, nodeIds) {
+      const { exportAssets } = await import('./export-assets.js');
+      const strategies = parseStrategies(values.strategy) || (nodeIds.length > 0 ? ['nodes'] : undefined);
+      if (strategies?.includes('nodes') && nodeIds.length === 0) {
+        throw new UsageError('The nodes strategy needs node IDs, e.g. assets 1:2 3:4');
+      }
+      return exportAssets(defined({
+        fileKey: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        outDir: resolvePath(values.out),
+        strategies,
+        nodeIds,
+        format: parseFormat(values.format, this.formats),
+        scale: parseNumber('scale', values.scale, { min: 0.01, max: 4 }),
+        concurrency: parseNumber('concurrency', values.concurrency, { min: 1, max: 16, integer: true }),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  tokens: {
+    summary: 'Fetch local variables to src/files/figma-variables.json',
+    flags: ['file', 'out', 'dry-run'],
+    fileKeyEnv: ['FIGMA_VARIABLES_FILE_KEY', 'FIGMA_FILE_ID'],
+    async run(values) {
+      const { getVariables } = await import('./get-figma-variables.js');
+      return getVariables(defined({
+        fileKey: values.file,
+        out: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  'build-tokens': {
+    summary: 'Build tokens.css, the Tailwind theme and tokens.ts from figma-variables.json',
+    flags: ['input', 'out', 'dry-run'],
+    flagHelp: {
+      input: 'Variables export (default src/files/figma-variables.json)',
+      out: 'Directory for tokens.css, tailwind-tokens.js and tokens.ts (default src/styles)'
+    },
+    async run(values) {
+      const { buildDesignTokens } = await import('./build-design-tokens.js');
+      return buildDesignTokens(defined({
+        input: resolvePath(values.input),
+        stylesDir: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  interactions: {
+    summary: 'Derive hover/pressed/focus/disabled classes from component set variants to src/files/interaction-states.json',
+    flags: ['file', 'out', 'dry-run'],
+    async run(values) {
+      const { extractInteractionStates } = await import('./extract-interaction-states.js');
+      return extractInteractionStates(defined({
+        fileKey: values.file,
+        out: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  audit: {
+    summary: 'Check contrast, touch targets, labels, alt text and headings to src/files/accessibility-audit.json',
+    flags: ['file', 'node', 'depth', 'out', 'dry-run'],
+    flagHelp: {
+      node: 'Page, section or frame to audit (default 2033:13526)'
+    },
+    async run(values) {
+      const { auditAccessibility } = await import('./audit-accessibility.js');
+      return auditAccessibility(defined({
+        fileKey: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        out: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  responsive: {
+    summary: 'Match mobile/tablet/desktop frames and merge them with md:/lg: classes to src/files/responsive-layouts.json',
+    flags: ['file', 'node', 'out', 'dry-run'],
+    flagHelp: {
+      node: 'Only look for frames under this page or section (default whole file)'
+    },
+    async run(values) {
+      const { getResponsiveLayouts } = await import('./get-responsive-layouts.js');
+      return getResponsiveLayouts(defined({
+        fileKey: values.file,
+        nodeId: values.node,
+        out: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  hierarchy: {
+    summary: 'Print and save the node hierarchy to src/assets/node-hierarchy.json',
+    flags: ['file', 'node', 'depth', 'out', 'format', 'dry-run'],
+    formats: ['json', 'text'],
+    async run(values) {
+      const { default: hierarchy } = await import('../../scripts/get-node-hierarchy.cjs');
+      return hierarchy.getNodeHierarchy(defined({
+        fileId: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        out: resolvePath(values.out),
+        format: parseFormat(values.format, this.formats),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  rename: {
+    summary: 'Give downloaded assets readable file names (local, no API calls)',
+    flags: ['out', 'dry-run'],
+    async run(values) {
+      const { default: rename } = await import('../../scripts/rename-assets.cjs');
+      return rename.renameAssets(defined({
+        dir: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  components: {
+    summary: 'Generate TSX components from figma-node-structure.json into src/components/figma',
+    flags: ['input', 'depth', 'out', 'dry-run'],
+    flagHelp: {
+      depth: 'Deepest level at which named frames become components (default 2)',
+      out: 'Output directory',
+      'dry-run': 'Generate and report without writing files'
+    },
+    async run(values) {
+      const { generateComponents } = await import('./generate-components.js');
+      return generateComponents(defined({
+        input: resolvePath(values.input),
+        outDir: resolvePath(values.out),
+        maxDepth: parseDepth(values.depth),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  optimize: {
+    summary: 'Write AVIF/WebP 1x-3x variants and placeholders for exported images, plus <ResponsiveImage>',
+    flags: ['input', 'out', 'format', 'dry-run'],
+    formats: ['avif,webp', 'webp', 'avif', 'none'],
+    flagHelp: {
+      input: 'Assets directory with assets-manifest.json (default src/assets)',
+      out: 'Directory for ResponsiveImage.tsx and images.ts (default src/components/images)',
+      format: 'Modern formats to add next to the PNG/JPEG fallback'
+    },
+    async run(values) {
+      const { optimizeAssets } = await import('./optimize-assets.js');
+      const format = parseFormat(values.format, this.formats);
+      return optimizeAssets(defined({
+        assetsDir: resolvePath(values.input),
+        componentsDir: resolvePath(values.out),
+        formats: format === undefined ? undefined : format.split(',').filter(name => name !== 'none'),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  icons: {
+    summary: 'Generate React icon components from the SVG icons in src/assets into src/components/icons',
+    flags: ['input', 'out', 'dry-run'],
+    flagHelp: {
+      input: 'Assets directory with assets-manifest.json (default src/assets)',
+      out: 'Output directory'
+    },
+    async run(values) {
+      const { generateIcons } = await import('./generate-icons.js');
+      return generateIcons(defined({
+        assetsDir: resolvePath(values.input),
+        outDir: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  diff: {
+    summary: 'Report added, removed, moved, restyled and swapped nodes between two structures or versions',
+    usage: '[before.json after.json]',
+    flags: ['file', 'node', 'depth', 'from', 'to', 'out', 'format', 'dry-run'],
+    formats: ['md', 'html', 'json'],
+    flagHelp: {
+      node: 'Node to compare between versions (default 2033:13526)',
+      out: 'Report file (default src/files/figma-changes.<format>)'
+    },
+    // Two structure files are compared locally
+    needsFileKey: files => files.length !== 2,
+    async run(values, files) {
+      if (files.length !== 0 && files.length !== 2) {
+        throw new UsageError('diff takes two structure files, or none to compare Figma versions');
+      }
+      if (files.length === 2 && (values.from || values.to)) {
+        throw new UsageError('--from and --to compare Figma versions; leave them out when comparing files');
+      }
+      const { diffFigmaStructures } = await import('./diff-figma-structure.js');
+      return diffFigmaStructures(defined({
+        beforeFile: resolvePath(files[0]),
+        afterFile: resolvePath(files[1]),
+        fileKey: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        fromVersion: values.from,
+        toVersion: values.to,
+        format: parseFormat(values.format, this.formats),
+        out: resolvePath(values.out),
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  flow: {
+    summary: 'Map prototype navigation to src/files/prototype-flow.json and a Mermaid diagram',
+    flags: ['file', 'node', 'depth', 'out', 'routes', 'dry-run'],
+    flagHelp: {
+      node: 'Page whose screens to map (default 2033:13526)',
+      routes: 'Also write a react-router route table to src/routes/figma-routes.tsx'
+    },
+    async run(values) {
+      const { extractPrototypeFlow } = await import('./extract-prototype-flow.js');
+      return extractPrototypeFlow(defined({
+        fileKey: values.file,
+        nodeId: values.node,
+        depth: parseDepth(values.depth),
+        out: resolvePath(values.out),
+        routes: values.routes,
+        dryRun: values['dry-run']
+      }));
+    }
+  },
+
+  cache: {
+    summary: 'List, seed or clear the recorded API responses used by --offline',
+    usage: '[list|seed|clear] [structure.json...]',
+    flags: ['dry-run'],
+    async run(values, [action = 'list', ...files]) {
+      const { createResponseCache, seedCache } = await import('./lib/figma-cache.js');
+      const cache = createResponseCache(process.env.FIGMA_CACHE_DIR || undefined);
+
+      if (action === 'list') {
+        const entries = cache.entries();
+        console.log(`💾 ${entries.length} recorded responses in ${cache.dir}`);
+        entries.forEach(entry => {
+          const latest = entry.latest ? '*' : ' ';
+          console.log(`  ${latest} ${entry.version}  ${entry.endpoint}  (${entry.source}, ${(entry.size / 1024).toFixed(1)} KB)`);
+        });
+        return entries;
+      }
+
+      if (action === 'seed') {
+        if (values['dry-run']) {
+          console.log(`📝 Dry run - not seeding ${cache.dir}`);
+          return [];
+        }
+        const seeded = seedCache(defined({ cache, files: files.length ? files.map(resolvePath) : undefined }));
+        seeded.forEach(entry => console.log(`🌱 ${entry.endpoint} (version ${entry.version}) from ${entry.source}`));
+        console.log(`✅ Seeded ${seeded.length} responses into ${cache.dir}`);
+        return seeded;
+      }
+
+      if (action === 'clear') {
+        if (values['dry-run']) {
+          console.log(`📝 Dry run - would remove ${cache.entries().length} responses from ${cache.dir}`);
+          return;
+        }
+        cache.clear();
+        console.log(`🗑️  Cleared ${cache.dir}`);
+        return;
+      }
+
+      throw new UsageError(`Unknown cache action "${action}"`);
+    }
+  },
+
+  mock: {
+    summary: 'Serve the src/files fixtures as a local Figma API (see FIGMA_API_BASE_URL)',
+    flags: ['port'],
+    async run(values) {
+      const port = values.port === undefined ? undefined : Number(values.port);
+      if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+        throw new UsageError(`--port must be a port number, got "${values.port}"`);
+      }
+      const { startMockFigmaServer } = await import('./mock-figma-server.js');
+      return startMockFigmaServer(defined({ port, token: process.env.FIGMA_MOCK_TOKEN }));
+    }
+  }
+};
+
+// `command.flagHelp` can describe a shared flag in the command's own terms
+function flagUsage(name, command) {
+  const flag = FLAGS[name];
+  const short = flag.short ? `-${flag.short}, ` : '    ';
+  const long = flag.type === 'string' ? `--${name} <value>` : `--${name}`;
+  return `  ${short}${long.padEnd(22)} ${command?.flagHelp?.[name] || flag.description}`;
+}
+
+export function formatHelp(commandName) {
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    const names = Object.keys(COMMANDS);
+    const width = Math.max(...names.map(name => name.length));
+    return [
+      'Usage: npm run figma -- <command> [options]',
+      '',
+      'Commands:',
+      ...names.map(name => `  ${name.padEnd(width)}  ${COMMANDS[name].summary}`),
+      '',
+      'Options:',
+      ...Object.keys(FLAGS).map(name => flagUsage(name)),
+      '',
+      'Run "npm run figma -- <command> --help" for the options of a command.',
+      '',
+      'Responses are cached per file version in .figma-cache; --offline replays them.',
+      '',
+      `Exit codes: 0 ok, ${EXIT_CODES.ERROR} error, ${EXIT_CODES.USAGE} usage, ` +
+        `${EXIT_CODES.AUTH} auth/token, ${EXIT_CODES.NOT_FOUND} file or node not found, ` +
+        `${EXIT_CODES.CACHE_MISS} not recorded for --offline`
+    ].join('\n');
+  }
+
+  const lines = [
+    `Usage: npm run figma -- ${commandName}${command.usage ? ` ${command.usage}` : ''} [options]`,
+    '',
+    command.summary,
+    '',
+    'Options:',
+    ...[...command.flags, ...COMMON_FLAGS].map(name => flagUsage(name, command))
+  ];
+
+  if (command.formats) {
+    lines.push('', `Formats: ${command.formats.join(', ')} (default ${command.formats[0]})`);
+  }
+
+  return lines.join('\n');
+}
+
+export function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof FigmaAuthError) return EXIT_CODES.AUTH;
+  if (error instanceof FigmaNotFoundError) return EXIT_CODES.NOT_FOUND;
+  if (error instanceof FigmaCacheMissError) return EXIT_CODES.CACHE_MISS;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Parse argv and run the matching subcommand. Resolves with an exit code;
+ * the scripts log their own errors, so failures are not printed twice.
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({ args: argv, options: FLAGS, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${formatHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName, ...extra] = positionals;
+
+  if (!commandName || commandName === 'help') {
+    const helpFor = commandName === 'help' ? extra[0] : undefined;
+    console.log(formatHelp(helpFor));
+    return commandName || values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    console.error(`❌ Unknown command "${commandName}"\n\n${formatHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (values.help) {
+    console.log(formatHelp(commandName));
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    if (extra.length > 0 && !command.usage) {
+      throw new UsageError(`Unexpected argument "${extra[0]}"`);
+    }
+
+    const allowed = new Set([...command.flags, ...COMMON_FLAGS]);
+    const unsupported = Object.keys(values).find(name => !allowed.has(name));
+    if (unsupported) {
+      throw new UsageError(`"${commandName}" does not accept --${unsupported}`);
+    }
+
+    requireFileKey(command, values, extra);
+
+    // Read by createFigmaClient() when the scripts build their clients
+    if (values.offline) {
+      process.env.FIGMA_OFFLINE = '1';
+    }
+
+    await command.run(values, extra);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${formatHelp(commandName)}`);
+    }
+    return exitCodeFor(error);
+  }
+}
+
+// Run directly: node src/scripts/figma.js <command> [options]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
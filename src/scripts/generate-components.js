@@ -0,0 +1,458 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MANIFEST_FILE, assetIndex, responsiveIndex } from './lib/asset-export.js';
+import { normalizeClasses, tokenizeClasses } from './lib/tailwind-classes.js';
+import { ltrVariantName, toLogicalClasses } from './lib/text-direction.js';
+
+/**
+ * Generate TSX components from figma-node-structure.json.
+ *
+ * - the root frame becomes a page component
+ * - named frames down to `maxDepth` become section components
+ * - INSTANCE nodes become one shared component per componentId; the text
+ *   inside them turns into props so every instance can pass its own copy
+ * - image fills are imported from src/assets when assets-manifest.json knows
+ *   the imageRef; optimized ones render <ResponsiveImage> from
+ *   src/components/images, otherwise the Figma URL from the extract is used
+ * - frames with a text direction render dir="rtl"/"ltr" (a `dir` prop on
+ *   page and section roots); each "-he" frame without an "-en" design gets
+ *   an LTR mirror component that renders it with dir="ltr"
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_INPUT = path.join(__dirname, '../files/figma-node-structure.json');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../components/figma');
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_IMAGES_DIR = path.join(__dirname, '../components/images');
+
+const GENERATED_HEADER = '// Generated from figma-node-structure.json by src/scripts/generate-components.js. Do not edit by hand.';
+
+// Layer names Figma assigns automatically ("Frame 1261159237") say nothing about the content
+const ANONYMOUS_NAME = /^(frame|group|rectangle|ellipse|vector|union|subtract|line|section)(\s+\d+)*$/i;
+const SECTION_TYPES = new Set(['FRAME', 'GROUP', 'SECTION', 'COMPONENT']);
+const RESERVED_PROPS = new Set(['className', 'key', 'ref', 'children']);
+
+const FONT_WEIGHTS = {
+  100: 'font-thin', 200: 'font-extralight', 300: 'font-light', 400: 'font-normal', 500: 'font-medium',
+  600: 'font-semibold', 700: 'font-bold', 800: 'font-extrabold', 900: 'font-black'
+};
+const TEXT_ALIGN = { LEFT: 'text-left', CENTER: 'text-center', RIGHT: 'text-right', JUSTIFIED: 'text-justify' };
+
+/**
+ * "header/Logo only" -> "HeaderLogoOnly". Leading numbers are dropped
+ * ("2.0 Subject to learn-he" -> "SubjectToLearnHe") because identifiers
+ * cannot start with a digit.
+ */
+export function toComponentName(name, fallback = 'FigmaNode') {
+  const words = String(name).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  while (words.length > 0 && /^\d/.test(words[0])) {
+    words.shift();
+  }
+  const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  return pascal || fallback;
+}
+
+function toIdentifier(name, fallback) {
+  const pascal = toComponentName(name, '');
+  return pascal ? pascal[0].toLowerCase() + pascal.slice(1) : fallback;
+}
+
+function uniqueName(base, used) {
+  let name = base;
+  for (let suffix = 2; used.has(name); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  used.add(name);
+  return name;
+}
+
+function textOf(node) {
+  return node.text ?? node.textContent?.characters ?? '';
+}
+
+function isImage(node) {
+  return Boolean(node.imageContent?.imageRef || node.imageUrl);
+}
+
+/**
+ * Final class list for a node. The extractor writes some classes that do not
+ * belong in JSX: text fills also come out as bg-*, and font size, weight and
+ * alignment of TEXT nodes only live in textStyle. Physical sides are
+ * rewritten for `direction`, which older extracts did not do.
+ */
+export function classNameFor(node, direction = 'ltr') {
+  let tokens = tokenizeClasses(node.tailwindClasses);
+
+  if (node.type === 'TEXT') {
+    tokens = tokens.filter(token => !token.startsWith('bg-'));
+    const style = node.textStyle || {};
+
+    if (style.fontSize) {
+      tokens = tokens.filter(token => token !== 'text-base');
+      tokens.push(`text-[${style.fontSize}px]`);
+    }
+    if (FONT_WEIGHTS[style.fontWeight]) tokens.push(FONT_WEIGHTS[style.fontWeight]);
+    if (TEXT_ALIGN[style.textAlignHorizontal]) tokens.push(TEXT_ALIGN[style.textAlignHorizontal]);
+    if (textOf(node).includes('\n')) tokens.push('whitespace-pre-line');
+  }
+
+  return normalizeClasses(toLogicalClasses(tokens, direction).join(' '));
+}
+
+// JSX attribute: plain string when safe, otherwise a JS string literal
+function jsxAttribute(name, value) {
+  return /^[^"{}<>&\n\\]*$/.test(value) ? `${name}="${value}"` : `${name}={${JSON.stringify(value)}}`;
+}
+
+function jsxText(value) {
+  return /^[^{}<>&\n\\]*$/.test(value) && value.trim() === value && value !== ''
+    ? value
+    : `{${JSON.stringify(value)}}`;
+}
+
+// Node ID -> effective direction; only nodes that change it carry `direction`
+function directionsOf(structure) {
+  const directions = new Map();
+  (function visit(node, inherited) {
+    const direction = node.direction || inherited;
+    directions.set(node.id, direction);
+    (node.children || []).forEach(child => visit(child, direction));
+  })(structure, 'ltr');
+  return directions;
+}
+
+function findByName(node, name) {
+  if (node.name.trim() === name) return node;
+  for (const child of node.children || []) {
+    const found = findByName(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// TEXT nodes that belong to this node rather than to a nested instance
+function ownTextNodes(node, isRoot = true, found = []) {
+  if (!isRoot && node.type === 'INSTANCE') return found;
+  if (node.visible === false) return found;
+  if (node.type === 'TEXT') found.push(node);
+  (node.children || []).forEach(child => ownTextNodes(child, false, found));
+  return found;
+}
+
+/**
+ * Map of imageRef / node ID -> asset path, read from the assets-manifest.json
+ * that `npm run figma -- assets` keeps in src/assets.
+ */
+export function loadAssetIndex(assetsDir = DEFAULT_ASSETS_DIR) {
+  try {
+    return assetIndex(assetsDir);
+  } catch (error) {
+    console.warn(`⚠️  Skipping unreadable ${MANIFEST_FILE}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Build the component files for an extracted structure without touching
+ * the disk. Returns [{ name, fileName, kind, code }] and a list of warnings.
+ *
+ * @param {object} structure - the `structure` tree from figma-node-structure.json
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] - deepest level at which named frames become components
+ * @param {object} [options.assets] - imageRef / node ID -> absolute asset path
+ * @param {string} [options.outDir] - where the files will live, for relative asset imports
+ */
+export function buildComponents(structure, {
+  maxDepth = 2,
+  assets = {},
+  responsive = {},
+  imagesDir = DEFAULT_IMAGES_DIR,
+  outDir = DEFAULT_OUT_DIR
+} = {}) {
+  const usedNames = new Set();
+  const instanceComponents = new Map();
+  const sectionComponents = new Map();
+  const files = [];
+  const warnings = [];
+  const directions = directionsOf(structure);
+  const classNameOf = node => classNameFor(node, directions.get(node.id));
+
+  function defineInstance(node) {
+    if (instanceComponents.has(node.componentId)) {
+      return instanceComponents.get(node.componentId);
+    }
+
+    const usedProps = new Set(RESERVED_PROPS);
+    const definition = {
+      name: uniqueName(toComponentName(node.name, 'Instance'), usedNames),
+      node,
+      // Instances stay self-contained; no sections are split out of them
+      depth: Infinity,
+      className: classNameOf(node),
+      textProps: ownTextNodes(node).map(textNode => ({
+        nodeId: textNode.id,
+        name: uniqueName(toIdentifier(textNode.name, 'text'), usedProps),
+        defaultValue: textOf(textNode)
+      }))
+    };
+
+    // Registered before rendering so nested references resolve to it
+    instanceComponents.set(node.componentId, definition);
+    files.push(emitComponent(definition, 'instance'));
+    return definition;
+  }
+
+  function defineSection(node, depth) {
+    if (!sectionComponents.has(node.id)) {
+      const definition = {
+        name: uniqueName(toComponentName(node.name, 'Section'), usedNames),
+        node,
+        depth,
+        dir: node.direction,
+        textProps: []
+      };
+      sectionComponents.set(node.id, definition);
+      files.push(emitComponent(definition, 'section'));
+    }
+    return sectionComponents.get(node.id);
+  }
+
+  function assetImport(node, file) {
+    const asset = assets[node.imageContent?.imageRef] || assets[node.id];
+    if (!asset) {
+      warnings.push(`No local asset for "${node.name}" (${node.imageContent?.imageRef || node.id}); using the Figma URL`);
+      return null;
+    }
+
+    if (!file.assetImports.has(asset)) {
+      const name = uniqueName(`${toIdentifier(node.name, 'image')}Image`, file.identifiers);
+      const relative = path.relative(outDir, asset).split(path.sep).join('/');
+      file.assetImports.set(asset, { name, path: relative.startsWith('.') ? relative : `./${relative}` });
+    }
+    return file.assetImports.get(asset).name;
+  }
+
+  function renderInstanceUsage(node, file, indent) {
+    const definition = defineInstance(node);
+    file.components.add(definition.name);
+
+    const texts = ownTextNodes(node).map(textOf);
+    const attributes = definition.textProps
+      .filter((prop, index) => texts[index] !== undefined && texts[index] !== prop.defaultValue)
+      .map(prop => jsxAttribute(prop.name, texts[definition.textProps.indexOf(prop)]));
+
+    const className = classNameOf(node);
+    if (className !== definition.className) {
+      attributes.push(jsxAttribute('className', className));
+    }
+
+    return [`${indent}<${definition.name}${attributes.map(attribute => ` ${attribute}`).join('')} />`];
+  }
+
+  function renderNode(node, file, indent, depth, root = false) {
+    if (node.visible === false && !root) return [];
+
+    if (!root && node.type === 'INSTANCE' && node.componentId) {
+      return renderInstanceUsage(node, file, indent);
+    }
+
+    if (!root && depth <= maxDepth && SECTION_TYPES.has(node.type) && !ANONYMOUS_NAME.test(node.name)) {
+      const definition = defineSection(node, depth);
+      file.components.add(definition.name);
+      return [`${indent}<${definition.name} />`];
+    }
+
+    const className = classNameOf(node);
+    let classAttribute = root && file.definition.className !== undefined
+      ? `className={className ?? ${JSON.stringify(className)}}`
+      : jsxAttribute('className', className);
+
+    // Component roots take the direction as a prop so an LTR mirror can reuse them
+    if (root && file.definition.dir) {
+      classAttribute = `dir={dir} ${classAttribute}`;
+    } else if (node.direction) {
+      classAttribute = `dir="${node.direction}" ${classAttribute}`;
+    }
+
+    if (node.type === 'TEXT') {
+      const prop = file.definition.textProps.find(entry => entry.nodeId === node.id);
+      const content = prop ? `{${prop.name}}` : jsxText(textOf(node));
+      return [`${indent}<p ${classAttribute}>${content}</p>`];
+    }
+
+    // Optimized images get AVIF/WebP srcsets and a placeholder
+    const responsiveKey = isImage(node) && (responsive[node.imageContent?.imageRef] || responsive[node.id]);
+    if (responsiveKey) {
+      file.responsive = true;
+      return [`${indent}<ResponsiveImage image={images.${responsiveKey}} ${jsxAttribute('alt', node.name)} ${classAttribute} />`];
+    }
+
+    if (isImage(node)) {
+      const imported = assetImport(node, file);
+      const src = imported ? `{${imported}}` : JSON.stringify(node.imageUrl || '');
+      return [`${indent}<img src=${src} ${jsxAttribute('alt', node.name)} ${classAttribute} />`];
+    }
+
+    if (node.type === 'VECTOR' || node.type === 'BOOLEAN_OPERATION') {
+      return [`${indent}<span ${classAttribute} aria-hidden="true" />`];
+    }
+
+    const children = (node.children || []).flatMap(child => renderNode(child, file, `${indent}  `, depth + 1));
+    if (children.length === 0) {
+      return [`${indent}<div ${classAttribute} />`];
+    }
+
+    return [
+      `${indent}<div ${classAttribute}>`,
+      ...children,
+      `${indent}</div>`
+    ];
+  }
+
+  function emitComponent(definition, kind) {
+    const file = {
+      definition,
+      components: new Set(),
+      assetImports: new Map(),
+      responsive: false,
+      identifiers: new Set([definition.name, 'className', 'images', 'ResponsiveImage', ...definition.textProps.map(prop => prop.name)])
+    };
+
+    const body = renderNode(definition.node, file, '    ', definition.depth, true);
+    const lines = [GENERATED_HEADER];
+
+    [...file.components].sort().forEach((name) => {
+      lines.push(`import ${name} from './${name}';`);
+    });
+    [...file.assetImports.values()].forEach((asset) => {
+      lines.push(`import ${asset.name} from '${asset.path}';`);
+    });
+    if (file.responsive) {
+      const relative = path.relative(outDir, imagesDir).split(path.sep).join('/') || '.';
+      const base = relative.startsWith('.') ? relative : `./${relative}`;
+      lines.push(`import ResponsiveImage from '${base}/ResponsiveImage';`, `import { images } from '${base}/images';`);
+    }
+    lines.push('');
+
+    let signature = '';
+    if (kind === 'instance') {
+      lines.push(`type ${definition.name}Props = {`);
+      definition.textProps.forEach(prop => lines.push(`  ${prop.name}?: string;`));
+      lines.push('  className?: string;', '};', '');
+
+      const defaults = definition.textProps.map(prop => `${prop.name} = ${JSON.stringify(prop.defaultValue)}`);
+      signature = `{ ${[...defaults, 'className'].join(', ')} }: ${definition.name}Props`;
+    } else if (definition.dir) {
+      signature = `{ dir = ${JSON.stringify(definition.dir)} }: { dir?: 'ltr' | 'rtl' }`;
+    }
+
+    lines.push(
+      `export default function ${definition.name}(${signature}) {`,
+      '  return (',
+      ...body,
+      '  );',
+      '}',
+      ''
+    );
+
+    return { name: definition.name, fileName: `${definition.name}.tsx`, kind, nodeId: definition.node.id, code: lines.join('\n') };
+  }
+
+  const page = {
+    name: uniqueName(toComponentName(structure.name, 'FigmaPage'), usedNames),
+    node: structure,
+    depth: 0,
+    dir: structure.direction,
+    textProps: []
+  };
+  files.push(emitComponent(page, 'page'));
+
+  // LTR mirrors: same markup and logical classes, rendered left to right
+  [page, ...sectionComponents.values()]
+    .filter(definition => definition.dir === 'rtl')
+    .forEach((definition) => {
+      const variant = ltrVariantName(definition.node.name);
+      if (!variant || findByName(structure, variant)) return;
+
+      const name = uniqueName(toComponentName(variant, `${definition.name}Ltr`), usedNames);
+      files.push({
+        name,
+        fileName: `${name}.tsx`,
+        kind: 'mirror',
+        nodeId: definition.node.id,
+        code: [
+          GENERATED_HEADER,
+          `import ${definition.name} from './${definition.name}';`,
+          '',
+          `// Left-to-right mirror of "${definition.node.name}"`,
+          `export default function ${name}() {`,
+          '  return (',
+          `    <${definition.name} dir="ltr" />`,
+          '  );',
+          '}',
+          ''
+        ].join('\n')
+      });
+    });
+
+  return { files, warnings };
+}
+
+/**
+ * Read figma-node-structure.json and write one TSX file per component.
+ */
+export async function generateComponents({
+  input = DEFAULT_INPUT,
+  outDir = DEFAULT_OUT_DIR,
+  assetsDir = DEFAULT_ASSETS_DIR,
+  imagesDir = DEFAULT_IMAGES_DIR,
+  maxDepth = 2,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`⚛️  Generating components from ${input}...`);
+
+    const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    if (!data.structure) {
+      throw new Error(`${input} has no "structure" - expected output of get-figma-node-structure.js`);
+    }
+
+    const assets = loadAssetIndex(assetsDir);
+    const responsive = Object.keys(assets).length > 0 ? responsiveIndex(assetsDir) : {};
+    console.log(`🖼️  ${Object.keys(assets).length} local assets indexed from ${assetsDir}`);
+
+    const { files, warnings } = buildComponents(data.structure, { maxDepth, assets, responsive, imagesDir, outDir });
+
+    if (!dryRun) {
+      fs.mkdirSync(outDir, { recursive: true });
+    }
+
+    files.forEach((file) => {
+      if (!dryRun) {
+        fs.writeFileSync(path.join(outDir, file.fileName), file.code);
+      }
+      console.log(`   ${file.kind.padEnd(8)} ${file.fileName} (${file.nodeId})`);
+    });
+
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${files.length} components to ${outDir}`);
+    } else {
+      console.log(`✅ ${files.length} components written to ${outDir}`);
+    }
+
+    return { files, warnings };
+  } catch (error) {
+    console.error('❌ Error generating components:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/generate-components.js [input.json]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  generateComponents(process.argv[2] ? { input: path.resolve(process.argv[2]) } : {}).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readManifest } from './lib/asset-export.js';
+import { slugify } from './lib/design-tokens.js';
+import { ICON_PROPS_SOURCE, cleanSvg, paintsOf, renderIconComponent, renderIconIndex } from './lib/svg-icons.js';
+import { toComponentName } from './generate-components.js';
+
+/**
+ * Generate typed React icon components from the SVG icons in
+ * assets-manifest.json, plus an index.ts barrel:
+ *
+ *   import { CheckBoldIcon } from '../components/icons';
+ *   <CheckBoldIcon size={16} color="var(--color-primary)" />
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../components/icons');
+
+const GENERATED_HEADER = '// Generated from assets-manifest.json by src/scripts/generate-icons.js. Do not edit by hand.';
+
+/**
+ * "iconamoon:check-bold" -> "CheckBoldIcon", "mdi-light:clock" -> "ClockIcon".
+ * The icon set prefix and the layer path are dropped.
+ */
+export function iconComponentName(name) {
+  const last = String(name).split(/[:/]/).filter(part => part.trim()).pop() || '';
+  return `${toComponentName(last, '').replace(/Icons?$/, '')}Icon`;
+}
+
+/**
+ * Build the icon files for the SVG entries of a manifest without touching
+ * the disk. Returns [{ name, fileName, nodeId, code }] and a list of warnings.
+ */
+export function buildIcons(manifest, assetsDir) {
+  const used = new Set(['IconProps']);
+  const files = [];
+  const warnings = [];
+
+  manifest.assets
+    .filter(asset => asset.status === 'downloaded' && !asset.duplicateOf && asset.filename?.endsWith('.svg'))
+    .forEach((asset) => {
+      const file = path.join(assetsDir, asset.filename);
+      if (!fs.existsSync(file)) {
+        warnings.push(`${asset.filename} is in the manifest but missing on disk`);
+        return;
+      }
+
+      const base = iconComponentName(asset.componentName || asset.nodeName);
+      let name = base;
+      for (let suffix = 2; used.has(name); suffix++) {
+        name = `${base}${suffix}`;
+      }
+      used.add(name);
+
+      const { svg } = cleanSvg(fs.readFileSync(file, 'utf8'), { idPrefix: slugify(asset.nodeName) || 'icon' });
+      const { colors, gradient } = paintsOf(svg);
+      if (gradient || colors.length > 1) {
+        warnings.push(`${name} uses several colors; its color prop has no effect`);
+      }
+
+      files.push({
+        name,
+        fileName: `${name}.tsx`,
+        nodeId: asset.nodeId,
+        code: renderIconComponent({ name, svg }, GENERATED_HEADER)
+      });
+    });
+
+  if (files.length > 0) {
+    files.push(
+      { name: 'types', fileName: 'types.ts', code: `${GENERATED_HEADER}\n${ICON_PROPS_SOURCE}` },
+      { name: 'index', fileName: 'index.ts', code: renderIconIndex(files.map(file => file.name), GENERATED_HEADER) }
+    );
+  }
+
+  return { files, warnings };
+}
+
+/**
+ * Read assets-manifest.json and write one component per SVG icon.
+ */
+export async function generateIcons({
+  assetsDir = DEFAULT_ASSETS_DIR,
+  outDir = DEFAULT_OUT_DIR,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`🎨 Generating icon components from ${assetsDir}...`);
+
+    const manifest = readManifest(assetsDir);
+    if (!manifest) {
+      throw new Error(`No assets-manifest.json in ${assetsDir} - run "npm run figma -- assets" first`);
+    }
+
+    const { files, warnings } = buildIcons(manifest, assetsDir);
+
+    if (!dryRun && files.length > 0) {
+      fs.mkdirSync(outDir, { recursive: true });
+    }
+
+    files.forEach((file) => {
+      if (!dryRun) {
+        fs.writeFileSync(path.join(outDir, file.fileName), file.code);
+      }
+      if (file.nodeId) {
+        console.log(`   ${file.fileName} (${file.nodeId})`);
+      }
+    });
+
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    const icons = files.filter(file => file.nodeId).length;
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${icons} icons to ${outDir}`);
+    } else if (icons === 0) {
+      console.log('🔍 No SVG icons in the manifest');
+    } else {
+      console.log(`✅ ${icons} icons written to ${outDir}`);
+    }
+
+    return { files, warnings };
+  } catch (error) {
+    console.error('❌ Error generating icons:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/generate-icons.js [assetsDir]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  generateIcons(process.argv[2] ? { assetsDir: path.resolve(process.argv[2]) } : {}).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -1,8 +1,13 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { isTopLevel, needsRelative, positionClasses, sizeClasses } from './lib/figma-layout.js';
+import { blendModeClass, effectClasses, fillClasses, strokeClasses } from './lib/figma-styles.js';
+import { tokenizeClasses } from './lib/tailwind-classes.js';
+import { ownDirection, toLogicalClasses } from './lib/text-direction.js';
+import { DEFAULT_TOKENS_INDEX, createTokenMatcher, loadDesignTokens } from './lib/token-matcher.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -10,51 +15,23 @@ dotenv.config({ path: path.join(__dirname, '../../.env') });
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
 
-// Default to the Bachelor's registration page, but allow command line override
-const NODE_ID = process.argv[2] || '2033:13526';
-
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
-
-function extractNodeStructure(node, depth = 0) {
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
+
+// Default to the Bachelor's registration page; callers pass their own nodeId
+const DEFAULT_NODE_ID = '2033:13526';
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/figma-node-structure.json');
+
+/**
+ * Convert an API node (and its children) into the structure saved to
+ * figma-node-structure.json. `context.matcher` maps colors and lengths to
+ * token / Tailwind classes and collects the arbitrary values it had to use;
+ * a matcher without project tokens is created when none is passed.
+ * `context.parent` is the API parent node, used for sizing and positioning.
+ * `context.direction` is the inherited text direction; frames that set
+ * their own get `direction`, and all classes are written as logical ones.
+ */
+export function extractNodeStructure(node, depth = 0, context = {}) {
+  const matcher = context.matcher || createTokenMatcher();
   const structure = {
     id: node.id,
     name: node.name,
@@ -126,87 +103,41 @@ function extractNodeStructure(node, depth = 0) {
     structure.componentProperties = node.componentProperties;
   }
 
+  // Direction from a "-he"/"-en" name, or from the text script for pages
+  const explicitDirection = ownDirection(node, { detectFromText: isTopLevel(context.parent) });
+  const direction = explicitDirection || context.direction || 'ltr';
+  if (explicitDirection) {
+    structure.direction = explicitDirection;
+  }
+
   // Initialize tailwind definitions object
   const tailwind = {};
 
-  // Add sizing info
-  if (node.absoluteBoundingBox) {
-    const width = Math.round(node.absoluteBoundingBox.width);
-    const height = Math.round(node.absoluteBoundingBox.height);
-    
-    // Tailwind size classes
-    tailwind.width = `w-[${width}px]`;
-    tailwind.height = `h-[${height}px]`;
-  }
-
-  // Fill information
-  if (node.fills && node.fills.length > 0) {
-    const solidFill = node.fills.find(fill => fill.type === 'SOLID' && fill.visible !== false);
-    if (solidFill && solidFill.color) {
-      const { r, g, b } = solidFill.color;
-      const alpha = solidFill.opacity || 1;
-      const rgb = `${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)}`;
-      
-      // Try to map to common Tailwind colors first
-      const commonColors = {
-        '255 255 255': 'bg-white',
-        '0 0 0': 'bg-black',
-        '239 68 68': 'bg-red-500',
-        '34 197 94': 'bg-green-500',
-        '59 130 246': 'bg-blue-500',
-        '168 85 247': 'bg-purple-500',
-        '245 101 101': 'bg-red-400',
-        '156 163 175': 'bg-gray-400'
-      };
-      
-      if (alpha === 1 && commonColors[rgb]) {
-        tailwind.backgroundColor = commonColors[rgb];
-      } else if (alpha < 1) {
-        tailwind.backgroundColor = `bg-[rgb(${rgb}/${alpha})]`;
-      } else {
-        tailwind.backgroundColor = `bg-[rgb(${rgb})]`;
-      }
-    }
+  // Sizing from the auto-layout sizing modes (FILL / HUG / FIXED) and min/max limits
+  const { parent } = context;
+  const size = sizeClasses(node, parent);
+  tailwind.width = size.width;
+  tailwind.height = size.height;
+  tailwind.flex = size.flex;
+  tailwind.minMax = size.minMax;
+
+  // Absolute children are placed from their constraints inside a relative parent
+  tailwind.position = positionClasses(node, parent) || (needsRelative(node, parent) ? 'relative' : undefined);
+
+  // Styles CSS cannot express, reported per node as { property, value, reason }
+  const untranslated = [];
+
+  // Fill information: solid colors, gradients and stacked fills (text fills are the text color)
+  if (node.fills && node.fills.length > 0 && node.type !== 'TEXT') {
+    tailwind.background = fillClasses(node, matcher, untranslated);
   }
 
-  // Stroke information
+  // Stroke information: uniform or per-side widths, color, dashes
   if (node.strokes && node.strokes.length > 0) {
-    if (node.strokeWeight) {
-      // Map common border widths to Tailwind classes
-      const borderWidthMap = {
-        1: 'border',
-        2: 'border-2',
-        4: 'border-4',
-        8: 'border-8'
-      };
-      
-      tailwind.borderWidth = borderWidthMap[node.strokeWeight] || `border-[${node.strokeWeight}px]`;
-    }
-    
-    // Convert stroke color
-    const solidStroke = node.strokes.find(stroke => stroke.type === 'SOLID' && stroke.visible !== false);
-    if (solidStroke && solidStroke.color) {
-      const { r, g, b } = solidStroke.color;
-      const alpha = solidStroke.opacity || 1;
-      const rgb = `${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)}`;
-      
-      // Map common border colors
-      const commonBorderColors = {
-        '255 255 255': 'border-white',
-        '0 0 0': 'border-black',
-        '229 231 235': 'border-gray-200',
-        '156 163 175': 'border-gray-400',
-        '75 85 99': 'border-gray-600'
-      };
-      
-      if (alpha === 1 && commonBorderColors[rgb]) {
-        tailwind.borderColor = commonBorderColors[rgb];
-      } else if (alpha < 1) {
-        tailwind.borderColor = `border-[rgb(${rgb}/${alpha})]`;
-      } else {
-        tailwind.borderColor = `border-[rgb(${rgb})]`;
-      }
-    }
+    const stroke = strokeClasses(node, matcher, untranslated);
+    tailwind.borderWidth = stroke.width;
+    tailwind.borderColor = stroke.color;
+    tailwind.borderStyle = stroke.style;
   }
 
   // Layout properties
@@ -220,11 +151,17 @@ function extractNodeStructure(node, depth = 0) {
     tailwind.display = 'block';
   }
 
+  if (node.layoutWrap === 'WRAP') {
+    tailwind.wrap = 'flex-wrap';
+    if (node.counterAxisAlignContent === 'SPACE_BETWEEN') tailwind.wrap += ' content-between';
+  }
+
+  // The primary axis is the flex main axis (justify-*) in both directions
   if (node.primaryAxisAlignItems) {
     const alignMap = {
-      'MIN': node.layoutMode === 'HORIZONTAL' ? 'justify-start' : 'items-start',
-      'CENTER': node.layoutMode === 'HORIZONTAL' ? 'justify-center' : 'items-center',
-      'MAX': node.layoutMode === 'HORIZONTAL' ? 'justify-end' : 'items-end',
+      'MIN': 'justify-start',
+      'CENTER': 'justify-center',
+      'MAX': 'justify-end',
       'SPACE_BETWEEN': 'justify-between'
     };
     
@@ -235,9 +172,10 @@ function extractNodeStructure(node, depth = 0) {
 
   if (node.counterAxisAlignItems) {
     const counterAlignMap = {
-      'MIN': node.layoutMode === 'HORIZONTAL' ? 'items-start' : 'justify-start',
-      'CENTER': node.layoutMode === 'HORIZONTAL' ? 'items-center' : 'justify-center',
-      'MAX': node.layoutMode === 'HORIZONTAL' ? 'items-end' : 'justify-end'
+      'MIN': 'items-start',
+      'CENTER': 'items-center',
+      'MAX': 'items-end',
+      'BASELINE': 'items-baseline'
     };
     
     if (counterAlignMap[node.counterAxisAlignItems]) {
@@ -245,35 +183,33 @@ function extractNodeStructure(node, depth = 0) {
     }
   }
 
-  if (node.itemSpacing !== undefined) {
-    // Map common gap values to Tailwind classes
-    const gapMap = {
-      0: 'gap-0', 1: 'gap-0.5', 2: 'gap-0.5', 4: 'gap-1', 6: 'gap-1.5', 8: 'gap-2',
-      10: 'gap-2.5', 12: 'gap-3', 16: 'gap-4', 20: 'gap-5', 24: 'gap-6', 32: 'gap-8'
-    };
-    
-    tailwind.gap = gapMap[node.itemSpacing] || `gap-[${node.itemSpacing}px]`;
+  // Figma ignores itemSpacing for SPACE_BETWEEN; wrapped rows can have their own spacing
+  if (node.itemSpacing !== undefined && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+    const wrapsWithRowGap = node.layoutWrap === 'WRAP' && node.counterAxisSpacing !== undefined
+      && node.counterAxisSpacing !== node.itemSpacing;
+
+    if (wrapsWithRowGap) {
+      const [mainGap, crossGap] = node.layoutMode === 'VERTICAL' ? ['gap-y', 'gap-x'] : ['gap-x', 'gap-y'];
+      tailwind.gap = `${matcher.spacing(mainGap, node.itemSpacing, node, 'itemSpacing')} ${matcher.spacing(crossGap, node.counterAxisSpacing, node, 'counterAxisSpacing')}`;
+    } else {
+      tailwind.gap = matcher.spacing('gap', node.itemSpacing, node, 'itemSpacing');
+    }
+  } else if (node.layoutWrap === 'WRAP' && node.counterAxisSpacing !== undefined) {
+    const crossGap = node.layoutMode === 'VERTICAL' ? 'gap-x' : 'gap-y';
+    tailwind.gap = matcher.spacing(crossGap, node.counterAxisSpacing, node, 'counterAxisSpacing');
   }
 
   // Padding information
   if (node.paddingLeft !== undefined) {
     const { paddingTop, paddingRight, paddingBottom, paddingLeft } = node;
     
-    // Map common spacing values to Tailwind classes
-    const spacingMap = {
-      0: '0', 1: '0.5', 2: '0.5', 4: '1', 6: '1.5', 8: '2', 10: '2.5', 
-      12: '3', 14: '3.5', 16: '4', 20: '5', 24: '6', 28: '7', 32: '8',
-      36: '9', 40: '10', 44: '11', 48: '12', 56: '14', 64: '16'
-    };
-    
     if (paddingTop === paddingRight && paddingRight === paddingBottom && paddingBottom === paddingLeft) {
-      const spacing = spacingMap[paddingTop];
-      tailwind.padding = spacing ? `p-${spacing}` : `p-[${paddingTop}px]`;
+      tailwind.padding = matcher.spacing('p', paddingTop, node, 'paddingTop');
     } else {
-      const topSpacing = spacingMap[paddingTop] ? `pt-${spacingMap[paddingTop]}` : `pt-[${paddingTop}px]`;
-      const rightSpacing = spacingMap[paddingRight] ? `pr-${spacingMap[paddingRight]}` : `pr-[${paddingRight}px]`;
-      const bottomSpacing = spacingMap[paddingBottom] ? `pb-${spacingMap[paddingBottom]}` : `pb-[${paddingBottom}px]`;
-      const leftSpacing = spacingMap[paddingLeft] ? `pl-${spacingMap[paddingLeft]}` : `pl-[${paddingLeft}px]`;
+      const topSpacing = matcher.spacing('pt', paddingTop, node, 'paddingTop');
+      const rightSpacing = matcher.spacing('pr', paddingRight, node, 'paddingRight');
+      const bottomSpacing = matcher.spacing('pb', paddingBottom, node, 'paddingBottom');
+      const leftSpacing = matcher.spacing('pl', paddingLeft, node, 'paddingLeft');
       
       tailwind.padding = `${topSpacing} ${rightSpacing} ${bottomSpacing} ${leftSpacing}`;
     }
@@ -281,31 +217,14 @@ function extractNodeStructure(node, depth = 0) {
 
   // Corner radius
   if (node.cornerRadius !== undefined) {
-    // Map common border radius values
-    const roundedMap = {
-      0: 'rounded-none',
-      2: 'rounded-sm',
-      4: 'rounded',
-      6: 'rounded-md',
-      8: 'rounded-lg',
-      12: 'rounded-xl',
-      16: 'rounded-2xl',
-      24: 'rounded-3xl',
-      9999: 'rounded-full'
-    };
-    
-    tailwind.borderRadius = roundedMap[node.cornerRadius] || `rounded-[${node.cornerRadius}px]`;
+    tailwind.borderRadius = matcher.radius(node.cornerRadius, node);
   }
 
   if (node.rectangleCornerRadii) {
     const [tl, tr, br, bl] = node.rectangleCornerRadii;
     
     if (tl === tr && tr === br && br === bl) {
-      const roundedMap = {
-        0: 'rounded-none', 2: 'rounded-sm', 4: 'rounded', 6: 'rounded-md',
-        8: 'rounded-lg', 12: 'rounded-xl', 16: 'rounded-2xl', 24: 'rounded-3xl'
-      };
-      tailwind.borderRadius = roundedMap[tl] || `rounded-[${tl}px]`;
+      tailwind.borderRadius = matcher.radius(tl, node, 'topLeftRadius');
     } else {
       tailwind.borderRadius = `[border-radius:${tl}px_${tr}px_${br}px_${bl}px]`;
     }
@@ -358,29 +277,12 @@ function extractNodeStructure(node, depth = 0) {
   if (node.fills && node.fills.length > 0 && node.type === 'TEXT') {
     const textFill = node.fills.find(fill => fill.type === 'SOLID' && fill.visible !== false);
     if (textFill && textFill.color) {
-      const { r, g, b } = textFill.color;
-      const alpha = textFill.opacity || 1;
-      const rgb = `${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)}`;
-      
-      // Common text colors
-      const commonTextColors = {
-        '0 0 0': 'text-black',
-        '255 255 255': 'text-white',
-        '107 114 128': 'text-gray-500',
-        '75 85 99': 'text-gray-600',
-        '55 65 81': 'text-gray-700',
-        '31 41 55': 'text-gray-800',
-        '17 24 39': 'text-gray-900'
-      };
-      
-      if (alpha === 1 && commonTextColors[rgb]) {
-        tailwind.textColor = commonTextColors[rgb];
-      } else if (alpha < 1) {
-        tailwind.textColor = `text-[rgb(${rgb}/${alpha})]`;
-      } else {
-        tailwind.textColor = `text-[rgb(${rgb})]`;
-      }
+      tailwind.textColor = matcher.color('text', textFill, node, 'fills');
     }
+
+    node.fills
+      .filter(fill => fill.visible !== false && fill.type !== 'SOLID')
+      .forEach(fill => untranslated.push({ property: 'fills', value: fill.type, reason: 'only solid text colors are translated' }));
   }
 
   if (node.fontName) {
@@ -424,29 +326,27 @@ function extractNodeStructure(node, depth = 0) {
     tailwind.opacity = `opacity-[${opacityPercent}%]`;
   }
 
-  // Effects
+  // Effects: shadows, layer and background blur
   if (node.effects && node.effects.length > 0) {
-    const dropShadow = node.effects.find(effect => effect.type === 'DROP_SHADOW' && effect.visible);
-    if (dropShadow) {
-      const { offset, radius, color } = dropShadow;
-      const { r, g, b } = color;
-      const alpha = dropShadow.color.a || 1;
-      const shadowColor = `${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)}`;
-      
-      if (alpha < 1) {
-        tailwind.shadow = `shadow-[${offset.x}px_${offset.y}px_${radius}px_rgb(${shadowColor}/${alpha})]`;
-      } else {
-        tailwind.shadow = `shadow-[${offset.x}px_${offset.y}px_${radius}px_rgb(${shadowColor})]`;
-      }
-    }
+    const effects = effectClasses(node, untranslated);
+    tailwind.shadow = effects.shadow;
+    tailwind.blur = effects.blur;
+    tailwind.backdropBlur = effects.backdropBlur;
   }
 
+  // Layer blend mode
+  tailwind.blendMode = blendModeClass(node, untranslated);
+
   // Always generate tailwindClasses for all nodes
   const tailwindClasses = [];
   
+  // Position
+  if (tailwind.position) tailwindClasses.push(tailwind.position);
+
   // Layout & Display
   if (tailwind.display) tailwindClasses.push(tailwind.display);
   if (tailwind.flexDirection) tailwindClasses.push(tailwind.flexDirection);
+  if (tailwind.wrap) tailwindClasses.push(tailwind.wrap);
   if (tailwind.primaryAlignment) tailwindClasses.push(tailwind.primaryAlignment);
   if (tailwind.counterAlignment) tailwindClasses.push(tailwind.counterAlignment);
   if (tailwind.gap) tailwindClasses.push(tailwind.gap);
@@ -454,16 +354,19 @@ function extractNodeStructure(node, depth = 0) {
   // Sizing
   if (tailwind.width) tailwindClasses.push(tailwind.width);
   if (tailwind.height) tailwindClasses.push(tailwind.height);
+  if (tailwind.flex) tailwindClasses.push(tailwind.flex);
+  if (tailwind.minMax) tailwindClasses.push(tailwind.minMax);
   
   // Spacing
   if (tailwind.padding) tailwindClasses.push(tailwind.padding);
   
   // Colors & Backgrounds
-  if (tailwind.backgroundColor) tailwindClasses.push(tailwind.backgroundColor);
+  if (tailwind.background) tailwindClasses.push(tailwind.background);
   
   // Borders
   if (tailwind.borderWidth) tailwindClasses.push(tailwind.borderWidth);
   if (tailwind.borderColor) tailwindClasses.push(tailwind.borderColor);
+  if (tailwind.borderStyle) tailwindClasses.push(tailwind.borderStyle);
   if (tailwind.borderRadius) tailwindClasses.push(tailwind.borderRadius);
   
   // Typography
@@ -478,6 +381,9 @@ function extractNodeStructure(node, depth = 0) {
   // Effects
   if (tailwind.opacity) tailwindClasses.push(tailwind.opacity);
   if (tailwind.shadow) tailwindClasses.push(tailwind.shadow);
+  if (tailwind.blur) tailwindClasses.push(tailwind.blur);
+  if (tailwind.backdropBlur) tailwindClasses.push(tailwind.backdropBlur);
+  if (tailwind.blendMode) tailwindClasses.push(tailwind.blendMode);
   
   // Default classes for nodes without specific styling
   if (tailwindClasses.length === 0) {
@@ -506,12 +412,20 @@ function extractNodeStructure(node, depth = 0) {
     }
   }
   
-  // Always set tailwindClasses, even if empty
-  structure.tailwindClasses = tailwindClasses.join(' ');
+  // Always set tailwindClasses, even if empty; physical sides become logical (ps/pe, text-start, ...)
+  structure.tailwindClasses = toLogicalClasses(tokenizeClasses(tailwindClasses.join(' ')), direction, {
+    layoutMode: node.layoutMode
+  }).join(' ');
+
+  if (untranslated.length > 0) {
+    structure.untranslatedStyles = untranslated;
+  }
 
   // Add children if they exist
   if (node.children && node.children.length > 0) {
-    structure.children = node.children.map(child => extractNodeStructure(child, depth + 1));
+    // Under dir="rtl" the first child of a row is drawn on the right, so rows keep reading order
+    const children = direction === 'rtl' && node.layoutMode === 'HORIZONTAL' ? [...node.children].reverse() : node.children;
+    structure.children = children.map(child => extractNodeStructure(child, depth + 1, { ...context, matcher, parent: node, direction }));
     structure.childrenCount = node.children.length;
   }
 
@@ -521,7 +435,7 @@ function extractNodeStructure(node, depth = 0) {
 async function getImages(fileKey, nodeIds) {
   try {
     // Get image URLs from Figma API
-    const imageData = await makeRequest(`/v1/images/${fileKey}?ids=${nodeIds.join(',')}&format=png&scale=2`);
+    const imageData = await figma.getImages(fileKey, nodeIds, { format: 'png', scale: 2 });
     return imageData.images || {};
   } catch (error) {
     console.warn('⚠️  Could not fetch images:', error.message);
@@ -529,7 +443,7 @@ async function getImages(fileKey, nodeIds) {
   }
 }
 
-function collectImageNodes(node, imageNodes = []) {
+export function collectImageNodes(node, imageNodes = []) {
   // Collect nodes that might have images
   if (node.fills) {
     const hasImageFill = node.fills.some(fill => fill.type === 'IMAGE');
@@ -546,25 +460,40 @@ function collectImageNodes(node, imageNodes = []) {
 }
 
 
-async function getNodeStructure() {
+/**
+ * Fetch a node and write its enhanced structure (tailwind classes, text,
+ * images, component references) to JSON.
+ */
+export async function getNodeStructure({
+  fileKey = FILE_KEY,
+  nodeId = DEFAULT_NODE_ID,
+  depth = 10,
+  out = DEFAULT_OUTPUT,
+  tokensFile = DEFAULT_TOKENS_INDEX,
+  tolerance,
+  dryRun = false
+} = {}) {
   try {
-    console.log(`🔍 Fetching enhanced node structure with design info for ID: ${NODE_ID}...`);
+    console.log(`🔍 Fetching enhanced node structure with design info for ID: ${nodeId}...`);
     
     // Get specific node using the nodes endpoint with increased depth for more detail
-    const nodeData = await makeRequest(`/v1/files/${FILE_KEY}/nodes?ids=${NODE_ID}&depth=10`);
+    const nodeData = await figma.getFileNodes(fileKey, [nodeId], { depth });
     
-    if (!nodeData.nodes || !nodeData.nodes[NODE_ID]) {
-      throw new Error(`Node with ID ${NODE_ID} not found`);
+    if (!nodeData.nodes || !nodeData.nodes[nodeId]) {
+      throw new Error(`Node with ID ${nodeId} not found`);
     }
     
-    const node = nodeData.nodes[NODE_ID].document;
+    const node = nodeData.nodes[nodeId].document;
     
     console.log(`📄 Node: ${node.name}`);
     console.log(`🆔 ID: ${node.id}`);
     console.log(`📊 Type: ${node.type}`);
     
-    // Extract the structure with enhanced data
-    const structure = extractNodeStructure(node);
+    // Extract the structure with enhanced data, preferring the project's design tokens
+    const tokens = loadDesignTokens(tokensFile);
+    const matcher = createTokenMatcher({ tokens, tolerance });
+    console.log(`🎨 Matching colors and spacing against ${tokens.length} design tokens`);
+    const structure = extractNodeStructure(node, 0, { matcher });
     
     
     // Collect and fetch images
@@ -573,7 +502,7 @@ async function getNodeStructure() {
     
     if (imageNodeIds.length > 0) {
       console.log(`🖼️  Found ${imageNodeIds.length} nodes with images, fetching URLs...`);
-      imageUrls = await getImages(FILE_KEY, imageNodeIds);
+      imageUrls = await getImages(fileKey, imageNodeIds);
       
       // Add image URLs to structure
       function addImageUrls(structure) {
@@ -662,7 +591,7 @@ async function getNodeStructure() {
 
     // Create output data
     const outputData = {
-      nodeId: NODE_ID,
+      nodeId: nodeId,
       nodeName: node.name,
       nodeType: node.type,
       directChildrenCount: structure.children?.length || 0,
@@ -674,24 +603,26 @@ async function getNodeStructure() {
         componentCount: components.length,
         components: components,
         instances: instances
-      }
+      },
+      // Values with no token or Tailwind scale match, written as arbitrary classes
+      arbitraryValues: matcher.arbitrary
     };
 
-    // Ensure the files directory exists
-    const filesDir = path.join(__dirname, '../files');
-    if (!fs.existsSync(filesDir)) {
-      fs.mkdirSync(filesDir, { recursive: true });
-    }
+    const json = JSON.stringify(outputData, null, 2);
 
-    // Save to file
-    const outputPath = path.join(filesDir, 'figma-node-structure.json');
-    fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
-    
-    console.log(`\n✅ Node structure saved to: ${outputPath}`);
+    if (dryRun) {
+      console.log(`\n📝 Dry run - not writing ${out}`);
+    } else {
+      // Ensure the output directory exists
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+
+      // Save to file
+      fs.writeFileSync(out, json);
+      console.log(`\n✅ Node structure saved to: ${out}`);
+    }
     
-    // Get file size
-    const stats = fs.statSync(outputPath);
-    const fileSizeInBytes = stats.size;
+    // Get output size
+    const fileSizeInBytes = Buffer.byteLength(json);
     const fileSizeInMB = (fileSizeInBytes / (1024 * 1024)).toFixed(3);
     
     // Count text nodes and images for summary
@@ -734,10 +665,49 @@ async function getNodeStructure() {
     if (imageUrls && Object.keys(imageUrls).length > 0) {
       console.log(`\n🖼️  Image URLs extracted: ${Object.keys(imageUrls).length}`);
     }
+
+    const untranslatedNodes = [];
+    (function collectUntranslated(node) {
+      if (node.untranslatedStyles) untranslatedNodes.push(node);
+      (node.children || []).forEach(collectUntranslated);
+    })(structure);
+
+    if (untranslatedNodes.length > 0) {
+      console.log(`\n🚧 ${untranslatedNodes.length} nodes have styles that were not translated:`);
+      untranslatedNodes.forEach((node) => {
+        const details = node.untranslatedStyles.map(entry => `${entry.property} ${entry.value}`).join(', ');
+        console.log(`   - ${node.name} (${node.id}): ${details}`);
+      });
+    }
+
+    if (matcher.arbitrary.length > 0) {
+      // Group by value so each missing token is listed once
+      const byValue = {};
+      matcher.arbitrary.forEach((entry) => {
+        byValue[entry.value] = byValue[entry.value] || { ...entry, count: 0 };
+        byValue[entry.value].count++;
+      });
+
+      console.log(`\n⚠️  ${matcher.arbitrary.length} arbitrary values without a token match:`);
+      Object.values(byValue)
+        .sort((a, b) => b.count - a.count)
+        .forEach((entry) => {
+          const hint = entry.nearest ? ` (nearest ${entry.nearest.className}, distance ${entry.nearest.distance})` : '';
+          console.log(`   - ${entry.value} × ${entry.count}, e.g. ${entry.className} on "${entry.nodeName}"${hint}`);
+        });
+    }
+
+    return outputData;
     
   } catch (error) {
     console.error('❌ Error:', error.message);
+    throw error;
   }
 }
 
-getNodeStructure();
\ No newline at end of file
+// Run directly: node src/scripts/get-figma-node-structure.js [nodeId]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  getNodeStructure({ nodeId: process.argv[2] }).catch(() => {
+    process.exitCode = 1;
+  });
+}
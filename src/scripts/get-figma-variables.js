@@ -1,58 +1,28 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
 
-dotenv.config();
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../../.env') });
 
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
-const FILE_KEY = process.env.FIGMA_VARIABLES_FILE_KEY;
+// Variables usually live in the design file itself; a separate library file can be set instead
+const FILE_KEY = process.env.FIGMA_VARIABLES_FILE_KEY || process.env.FIGMA_FILE_ID;
+const MISSING_FILE_KEY = 'No file key: pass --file or set FIGMA_VARIABLES_FILE_KEY or FIGMA_FILE_ID in .env';
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/figma-variables.json');
 
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
 
-async function getVariables() {
+/**
+ * Fetch the file's local variables and write them to figma-variables.json.
+ */
+export async function getVariables({ fileKey = FILE_KEY, out = DEFAULT_OUTPUT, dryRun = false } = {}) {
   try {
     console.log('🔍 Fetching Figma variables...');
     
-    const response = await makeRequest(`/v1/files/${FILE_KEY}/variables/local`);
+    const response = await figma.getLocalVariables(fileKey);
     
     if (response.meta && response.meta.variables) {
       const variables = response.meta.variables;
@@ -66,6 +36,7 @@ async function getVariables() {
           name: variable.name,
           resolvedType: variable.resolvedType,
           description: variable.description || '',
+          variableCollectionId: variable.variableCollectionId,
           scopes: variable.scopes || [],
           hiddenFromPublishing: variable.hiddenFromPublishing || false
         };
@@ -78,15 +49,32 @@ async function getVariables() {
         console.log(`📝 ${variable.name} (${variable.resolvedType})`);
       });
       
-      // Save to file
-      fs.writeFileSync('../files/figma-variables.json', JSON.stringify({
-        fileKey: FILE_KEY,
+      // Collections carry the mode names and default mode needed to resolve aliases
+      const collections = {};
+      Object.entries(response.meta.variableCollections || {}).forEach(([id, collection]) => {
+        collections[id] = {
+          name: collection.name,
+          modes: collection.modes || [],
+          defaultModeId: collection.defaultModeId
+        };
+      });
+
+      const outputData = {
+        fileKey: fileKey,
         lastUpdated: new Date().toISOString(),
         totalVariables: Object.keys(variables).length,
+        collections,
         variables: variableMap
-      }, null, 2));
-      
-      console.log(`✅ Variables saved to ../files/figma-variables.json`);
+      };
+
+      // Save to file
+      if (dryRun) {
+        console.log(`📝 Dry run - not writing ${out}`);
+      } else {
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, JSON.stringify(outputData, null, 2));
+        console.log(`✅ Variables saved to ${out}`);
+      }
       
       // Search for DSM-related variables
       const dsmVariables = Object.entries(variableMap).filter(([id, variable]) => 
@@ -99,14 +87,28 @@ async function getVariables() {
           console.log(`   - ${variable.name} (ID: ${id})`);
         });
       }
+
+      return outputData;
       
     } else {
       console.log('❌ No variables found in response');
+      return null;
     }
     
   } catch (error) {
     console.error('❌ Error fetching variables:', error.message);
+    throw error;
   }
 }
 
-getVariables();
\ No newline at end of file
+// Run directly: node src/scripts/get-figma-variables.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  if (!FILE_KEY) {
+    console.error(`❌ ${MISSING_FILE_KEY}`);
+    process.exitCode = 2;
+  } else {
+    getVariables().catch(() => {
+      process.exitCode = 1;
+    });
+  }
+}
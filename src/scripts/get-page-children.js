@@ -1,7 +1,7 @@
-import https from 'https';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -10,53 +10,14 @@ const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
 const PAGE_ID = '2033:13526'; // הרשמה תואר ראשון (28+)
 
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
 
 async function getPageChildren() {
   try {
     console.log(`🔍 Fetching page children for ID: ${PAGE_ID}...`);
     
     // Get specific nodes using the nodes endpoint
-    const nodeData = await makeRequest(`/v1/files/${FILE_KEY}/nodes?ids=${PAGE_ID}`);
+    const nodeData = await figma.getFileNodes(FILE_KEY, [PAGE_ID]);
     
     const page = nodeData.nodes[PAGE_ID]?.document;
     
@@ -1,249 +1,168 @@
-import https from 'https';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createFigmaClient } from './lib/figma-client.js';
+import { BREAKPOINTS, findBreakpointFrames, matchFrames, mergeBreakpoints } from './lib/responsive-layouts.js';
+import { createTokenMatcher, loadDesignTokens } from './lib/token-matcher.js';
+import { extractNodeStructure } from './get-figma-node-structure.js';
+
+/**
+ * Screens drawn at more than one breakpoint, merged into one structure per
+ * screen whose classes carry `md:` / `lg:` variants where the wider frames
+ * differ, plus the layers that only exist at some breakpoints.
+ */
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_ID;
+const DEFAULT_OUTPUT = path.join(__dirname, '../files/responsive-layouts.json');
 
-// Common responsive breakpoints to check for
-const RESPONSIVE_FRAMES = [
-  'Mobile', 'mobile', 'iPhone', 'Android', '375', '320',
-  'Tablet', 'tablet', 'iPad', '768', '1024',
-  'Desktop', 'desktop', 'Web', '1440', '1920'
-];
-
-function makeRequest(path) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.figma.com',
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-FIGMA-TOKEN': FIGMA_TOKEN
-      }
-    };
+const figma = createFigmaClient({ token: FIGMA_TOKEN });
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          if (json.status && json.status !== 200) {
-            reject(new Error(`API Error: ${json.err || json.message}`));
-          } else {
-            resolve(json);
-          }
-        } catch (error) {
-          reject(new Error(`JSON Parse Error: ${error.message}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
+function frameSummary(frame) {
+  return {
+    id: frame.id,
+    name: frame.name,
+    page: frame.page,
+    width: frame.width,
+    height: frame.height,
+    breakpoint: frame.breakpoint,
+    constraints: {
+      horizontal: frame.node.constraints?.horizontal || 'LEFT_RIGHT',
+      vertical: frame.node.constraints?.vertical || 'TOP_BOTTOM'
+    },
+    layoutMode: frame.node.layoutMode
+  };
+}
 
-    req.end();
+function byBreakpoint(frames) {
+  const layouts = {};
+  BREAKPOINTS.forEach(({ name }) => {
+    const found = frames.filter(frame => frame.breakpoint === name);
+    if (found.length > 0) layouts[name] = found.map(frameSummary);
   });
+  return layouts;
 }
 
-function categorizeByBreakpoint(width) {
-  if (width <= 480) return 'mobile';
-  if (width <= 768) return 'tablet';
-  if (width <= 1200) return 'desktop';
-  return 'large';
+function breakpointNames(group) {
+  return BREAKPOINTS.map(breakpoint => breakpoint.name).filter(name => group.frames[name]);
 }
 
-function extractResponsiveLayouts(node, responsive = {}) {
-  if (node.type === 'FRAME') {
-    const width = node.absoluteBoundingBox?.width;
-    const name = node.name.toLowerCase();
-    
-    // Check if this looks like a responsive frame
-    const isResponsive = RESPONSIVE_FRAMES.some(keyword => 
-      name.includes(keyword.toLowerCase())
-    );
-    
-    if (isResponsive && width) {
-      const breakpoint = categorizeByBreakpoint(width);
-      
-      if (!responsive[breakpoint]) {
-        responsive[breakpoint] = [];
-      }
-      
-      responsive[breakpoint].push({
-        id: node.id,
-        name: node.name,
-        width: width,
-        height: node.absoluteBoundingBox?.height,
-        constraints: {
-          horizontal: node.constraints?.horizontal || 'LEFT_RIGHT',
-          vertical: node.constraints?.vertical || 'TOP_BOTTOM'
-        },
-        layoutMode: node.layoutMode,
-        primaryAxisAlignItems: node.primaryAxisAlignItems,
-        counterAxisAlignItems: node.counterAxisAlignItems,
-        itemSpacing: node.itemSpacing,
-        paddingLeft: node.paddingLeft,
-        paddingRight: node.paddingRight,
-        paddingTop: node.paddingTop,
-        paddingBottom: node.paddingBottom
-      });
-    }
-  }
-  
-  if (node.children) {
-    node.children.forEach(child => extractResponsiveLayouts(child, responsive));
+function generateResponsiveRecommendations(frames, groups, unmatched) {
+  const recommendations = [];
+
+  if (!frames.some(frame => frame.breakpoint === 'mobile')) {
+    recommendations.push({
+      type: 'warning',
+      message: 'No mobile frames found; the merged classes are mobile-first and need a mobile design to start from',
+      priority: 'high'
+    });
   }
-  
-  return responsive;
+
+  unmatched.forEach(frame => recommendations.push({
+    type: 'warning',
+    message: `"${frame.name}" (${frame.breakpoint}) has no frame at another breakpoint; rename its counterpart to match, e.g. "mobile ${frame.name}"`,
+    frame: frame.id,
+    priority: 'medium'
+  }));
+
+  groups.filter(group => group.matchedBy === 'structure').forEach(group => recommendations.push({
+    type: 'info',
+    message: `"${group.name}" was paired with ${Object.values(group.frames).map(frame => `"${frame.name}"`).join(', ')} by content (${Math.round(group.score * 100)}% shared); check the pairing or give the frames matching names`,
+    priority: 'medium'
+  }));
+
+  groups.filter(group => group.onlyAt.length > 0).forEach(group => recommendations.push({
+    type: 'info',
+    message: `"${group.name}" has ${group.onlyAt.length} layers missing at some breakpoints; they are hidden there`,
+    priority: 'low'
+  }));
+
+  recommendations.push({
+    type: 'info',
+    message: `Found ${frames.length} frames: ${groups.length} screens at several breakpoints, ${unmatched.length} at one`,
+    priority: 'info'
+  });
+
+  return recommendations;
 }
 
-async function getResponsiveLayouts() {
+/**
+ * Find breakpoint frames in the file (or under `nodeId`), match them and
+ * write the merged structures to JSON.
+ */
+export async function getResponsiveLayouts({ fileKey = FILE_KEY, nodeId, out = DEFAULT_OUTPUT, dryRun = false } = {}) {
   try {
     console.log('📱 Searching for responsive layouts...');
-    
-    // Get entire file to search for responsive frames
-    const fileData = await makeRequest(`/v1/files/${FILE_KEY}`);
-    
-    // Extract responsive layouts
-    const responsiveLayouts = extractResponsiveLayouts(fileData.document);
-    
-    console.log('🔍 Found responsive layouts:');
-    Object.entries(responsiveLayouts).forEach(([breakpoint, layouts]) => {
-      console.log(`   ${breakpoint}: ${layouts.length} layouts`);
-      layouts.forEach(layout => {
-        console.log(`     - ${layout.name} (${layout.width}×${layout.height})`);
-      });
+
+    const root = nodeId
+      ? (await figma.getFileNodes(fileKey, [nodeId])).nodes?.[nodeId]?.document
+      : (await figma.getFile(fileKey)).document;
+    if (!root) {
+      throw new Error(`Node with ID ${nodeId} not found`);
+    }
+
+    const frames = findBreakpointFrames(root);
+    const { groups, unmatched } = matchFrames(frames);
+    const matcher = createTokenMatcher({ tokens: loadDesignTokens() });
+
+    const merged = groups.map((group) => {
+      const versions = breakpointNames(group).map(name => ({
+        breakpoint: name,
+        structure: extractNodeStructure(group.frames[name].node, 0, { matcher, parent: group.frames[name].parent })
+      }));
+      const { structure, onlyAt } = mergeBreakpoints(versions);
+      return {
+        name: group.name,
+        key: group.key,
+        matchedBy: group.matchedBy,
+        ...(group.score !== undefined ? { score: group.score } : {}),
+        frames: Object.fromEntries(Object.entries(group.frames).map(([name, frame]) => [name, frameSummary(frame)])),
+        onlyAt,
+        structure
+      };
     });
-    
-    // Generate responsive CSS utilities
-    const responsiveCSS = generateResponsiveCSS(responsiveLayouts);
-    
+
+    console.log(`🔍 Found ${frames.length} breakpoint frames:`);
+    merged.forEach((group) => {
+      const sizes = breakpointNames(group).map(name => `${name} ${group.frames[name].width ?? '?'}`).join(' + ');
+      console.log(`   ✓ ${group.name}: ${sizes} (by ${group.matchedBy})${group.onlyAt.length > 0 ? `, ${group.onlyAt.length} layers at some breakpoints only` : ''}`);
+    });
+    unmatched.forEach(frame => console.log(`   • ${frame.name}: ${frame.breakpoint} only`));
+
     const outputData = {
       extractedAt: new Date().toISOString(),
-      fileKey: FILE_KEY,
-      responsiveLayouts: responsiveLayouts,
-      breakpoints: {
-        mobile: { min: 0, max: 480 },
-        tablet: { min: 481, max: 768 },
-        desktop: { min: 769, max: 1200 },
-        large: { min: 1201, max: null }
-      },
-      responsiveCSS: responsiveCSS,
-      recommendations: generateResponsiveRecommendations(responsiveLayouts)
+      fileKey: fileKey,
+      ...(nodeId ? { nodeId } : {}),
+      breakpoints: Object.fromEntries(BREAKPOINTS.map(({ name, prefix, minWidth, maxWidth }) => [name, { prefix, min: minWidth, max: maxWidth }])),
+      responsiveLayouts: byBreakpoint(frames),
+      groups: merged,
+      unmatched: unmatched.map(frameSummary),
+      recommendations: generateResponsiveRecommendations(frames, merged, unmatched)
     };
-    
-    // Save responsive data
-    const filesDir = path.join(__dirname, '../files');
-    if (!fs.existsSync(filesDir)) {
-      fs.mkdirSync(filesDir, { recursive: true });
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing ${out}`);
+    } else {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(outputData, null, 2));
+      console.log(`✅ Responsive data saved to: ${out}`);
     }
-    
-    const outputPath = path.join(filesDir, 'responsive-layouts.json');
-    fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
-    
-    console.log(`✅ Responsive data saved to: ${outputPath}`);
-    
+
+    return outputData;
+
   } catch (error) {
     console.error('❌ Error:', error.message);
+    throw error;
   }
 }
 
-function generateResponsiveCSS(responsiveLayouts) {
-  const css = {
-    tailwindBreakpoints: {
-      'sm': '640px',   // mobile
-      'md': '768px',   // tablet
-      'lg': '1024px',  // desktop
-      'xl': '1280px'   // large
-    },
-    mediaQueries: {},
-    utilityClasses: {}
-  };
-  
-  Object.entries(responsiveLayouts).forEach(([breakpoint, layouts]) => {
-    layouts.forEach(layout => {
-      const className = `.${layout.name.toLowerCase().replace(/\s+/g, '-')}`;
-      
-      css.utilityClasses[className] = {
-        width: `${layout.width}px`,
-        height: `${layout.height}px`,
-        maxWidth: '100%',
-        margin: '0 auto'
-      };
-      
-      if (layout.layoutMode === 'VERTICAL') {
-        css.utilityClasses[className].display = 'flex';
-        css.utilityClasses[className].flexDirection = 'column';
-      } else if (layout.layoutMode === 'HORIZONTAL') {
-        css.utilityClasses[className].display = 'flex';
-        css.utilityClasses[className].flexDirection = 'row';
-      }
-      
-      if (layout.itemSpacing) {
-        css.utilityClasses[className].gap = `${layout.itemSpacing}px`;
-      }
-    });
+// Run directly: node src/scripts/get-responsive-layouts.js [nodeId]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  getResponsiveLayouts({ nodeId: process.argv[2] }).catch(() => {
+    process.exitCode = 1;
   });
-  
-  return css;
 }
-
-function generateResponsiveRecommendations(responsiveLayouts) {
-  const recommendations = [];
-  
-  const breakpointCounts = Object.keys(responsiveLayouts).length;
-  
-  if (breakpointCounts < 2) {
-    recommendations.push({
-      type: 'warning',
-      message: 'Consider creating layouts for multiple breakpoints (mobile, tablet, desktop)',
-      priority: 'high'
-    });
-  }
-  
-  if (!responsiveLayouts.mobile) {
-    recommendations.push({
-      type: 'warning',
-      message: 'No mobile layouts detected. Mobile-first design is recommended.',
-      priority: 'high'
-    });
-  }
-  
-  // Check for consistent spacing
-  const spacingValues = [];
-  Object.values(responsiveLayouts).flat().forEach(layout => {
-    if (layout.itemSpacing) spacingValues.push(layout.itemSpacing);
-  });
-  
-  const uniqueSpacing = [...new Set(spacingValues)];
-  if (uniqueSpacing.length > 6) {
-    recommendations.push({
-      type: 'suggestion',
-      message: 'Consider using a consistent spacing scale (8px, 16px, 24px, 32px)',
-      priority: 'medium'
-    });
-  }
-  
-  recommendations.push({
-    type: 'info',
-    message: `Found ${Object.values(responsiveLayouts).flat().length} responsive layouts across ${breakpointCounts} breakpoints`,
-    priority: 'info'
-  });
-  
-  return recommendations;
-}
-
-getResponsiveLayouts();
\ No newline at end of file
@@ -0,0 +1,393 @@
+import { actionsOf } from './prototype-flow.js';
+
+/**
+ * Accessibility checks on API nodes, one report per frame.
+ *
+ * - contrast: text color against the fills drawn behind it (ancestors and
+ *   the siblings under it), composited like the browser would, checked
+ *   against WCAG AA and AAA
+ * - target-size: interactive layers smaller than 44×44px (24px is the AA
+ *   minimum)
+ * - label / name: form fields without a visible label, controls without
+ *   any text
+ * - alt-text: images whose layer name cannot serve as alt text
+ * - headings: an outline from layer and style names, else from font sizes
+ *
+ * Findings carry { rule, severity, nodeId, name, message } with severity
+ * 'error' (fails AA), 'warning' (likely a problem) or 'info' (AAA, or needs
+ * a person to check).
+ */
+
+export const WCAG_CONTRAST = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+export const TARGET_SIZE = { minimum: 24, recommended: 44 };
+
+const WHITE = { r: 1, g: 1, b: 1, a: 1 };
+
+const INTERACTIVE_NAME = /button|btn|cta|link|checkbox|radio|toggle|switch|tab\b|chip|close|menu|burger|כפתור|קישור/i;
+const FIELD_NAME = /input|field|text ?box|textarea|select|dropdown|combo|search|date ?picker|checkbox|radio|toggle|switch|שדה|בחירה/i;
+const CHOICE_NAME = /checkbox|radio|toggle|switch/i;
+const LABEL_NAME = /label|title|caption|תווית|כותרת/i;
+const PLACEHOLDER_NAME = /placeholder|hint|רמז/i;
+const HEADING_NAME = /^\s*(h([1-6])|heading[\s-]*([1-6]))\b/i;
+const DECORATIVE_NAME = /\b(bg|background|decor|decoration|pattern|texture|shape|blob|divider)\b|רקע|עיטור/i;
+// Names Figma gives new layers, which say nothing about the content
+const DEFAULT_NAME = /^(rectangle|frame|image|group|ellipse|vector|img|photo|picture|mask group|union|subtract)\s*\d*$/i;
+
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+
+function channel(value) {
+  return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+// WCAG relative luminance of an sRGB color (channels 0-1)
+export function relativeLuminance({ r, g, b }) {
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Source-over compositing of a color with alpha `a` onto an opaque one
+function composite(top, bottom) {
+  const alpha = top.a ?? 1;
+  const mix = key => top[key] * alpha + bottom[key] * (1 - alpha);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function hex({ r, g, b }) {
+  return `#${[r, g, b].map(value => Math.round(value * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function visiblePaints(paints = []) {
+  return paints.filter(paint => paint.visible !== false && (paint.opacity ?? 1) > 0);
+}
+
+function paintColor(color, opacity) {
+  return { r: color.r, g: color.g, b: color.b, a: (color.a ?? 1) * opacity };
+}
+
+/**
+ * Backdrop after painting `node`'s fills over `backdrop`. The backdrop is
+ * a list of possible colors (one per gradient stop) and whether an image
+ * shows through, in which case contrast cannot be computed.
+ */
+function paintOver(backdrop, node) {
+  const opacity = node.opacity ?? 1;
+  return visiblePaints(node.fills).reduce((current, paint) => {
+    const alpha = (paint.opacity ?? 1) * opacity;
+    if (paint.type === 'SOLID') {
+      const color = paintColor(paint.color, alpha);
+      return { colors: current.colors.map(below => composite(color, below)), image: current.image && color.a < 1 };
+    }
+    if (paint.type?.startsWith('GRADIENT_')) {
+      const stops = paint.gradientStops || [];
+      return {
+        colors: current.colors.flatMap(below => stops.map(stop => composite(paintColor(stop.color, alpha), below))),
+        image: current.image && stops.some(stop => (stop.color.a ?? 1) * alpha < 1)
+      };
+    }
+    if (paint.type === 'IMAGE' || paint.type === 'VIDEO') return { ...current, image: true };
+    return current;
+  }, backdrop);
+}
+
+function box(node) {
+  return node.absoluteRenderBounds || node.absoluteBoundingBox || null;
+}
+
+function covers(outer, inner) {
+  const a = box(outer);
+  const b = box(inner);
+  if (!a || !b) return false;
+  return a.x <= b.x + 1 && a.y <= b.y + 1 && a.x + a.width >= b.x + b.width - 1 && a.y + a.height >= b.y + b.height - 1;
+}
+
+function fontSizeOf(node) {
+  return node.style?.fontSize ?? node.fontSize ?? null;
+}
+
+function fontWeightOf(node) {
+  return node.style?.fontWeight ?? node.fontWeight ?? 400;
+}
+
+function textOf(node) {
+  return (node.characters ?? '').trim();
+}
+
+function isLargeText(node) {
+  const size = fontSizeOf(node) ?? 0;
+  return size >= LARGE_TEXT_PX || (size >= LARGE_BOLD_TEXT_PX && fontWeightOf(node) >= 700);
+}
+
+/**
+ * Contrast of a TEXT node over `backdrop`, or null when it has no solid
+ * color. With gradients behind, the worst stop counts.
+ */
+export function textContrast(node, backdrop) {
+  const fill = visiblePaints(node.fills).find(paint => paint.type === 'SOLID');
+  if (!fill) return null;
+
+  const color = paintColor(fill.color, (fill.opacity ?? 1) * (node.opacity ?? 1));
+  const ratios = backdrop.colors.map(below => ({ ratio: contrastRatio(composite(color, below), below), background: below }));
+  const worst = ratios.reduce((min, entry) => (entry.ratio < min.ratio ? entry : min));
+  const large = isLargeText(node);
+  const ratio = Number(worst.ratio.toFixed(2));
+
+  return {
+    ratio,
+    foreground: hex(composite(color, worst.background)),
+    background: hex(worst.background),
+    large,
+    overImage: backdrop.image,
+    AA: ratio >= WCAG_CONTRAST.AA[large ? 'large' : 'normal'],
+    AAA: ratio >= WCAG_CONTRAST.AAA[large ? 'large' : 'normal']
+  };
+}
+
+function descendants(node, list = []) {
+  (node.children || []).forEach((child) => {
+    if (child.visible === false) return;
+    list.push(child);
+    descendants(child, list);
+  });
+  return list;
+}
+
+function texts(node) {
+  return descendants(node).filter(child => child.type === 'TEXT' && textOf(child));
+}
+
+export function isInteractive(node) {
+  if (actionsOf(node).length > 0) return true;
+  return ['INSTANCE', 'FRAME', 'COMPONENT', 'GROUP'].includes(node.type) && INTERACTIVE_NAME.test(node.name);
+}
+
+function isField(node) {
+  return ['INSTANCE', 'FRAME', 'COMPONENT', 'GROUP'].includes(node.type) && FIELD_NAME.test(node.name);
+}
+
+function imageFill(node) {
+  return node.type !== 'TEXT' && visiblePaints(node.fills).some(paint => paint.type === 'IMAGE');
+}
+
+/**
+ * Heading level a text layer claims by its name or text style name ("H2",
+ * "Heading 3", "Desktop/H1"), or null.
+ */
+function namedHeadingLevel(node, styleNames) {
+  const names = [styleNames[node.styles?.text], node.name].filter(Boolean).flatMap(name => name.split('/'));
+  for (const name of names) {
+    const match = name.match(HEADING_NAME);
+    if (match) return Number(match[2] || match[3]);
+  }
+  return null;
+}
+
+/**
+ * Heading outline of a frame. Layers named as headings keep their level;
+ * otherwise short texts clearly larger than the body size are headings,
+ * ranked by size.
+ */
+export function headingOutline(frame, { styleNames = {} } = {}) {
+  const textNodes = texts(frame);
+  const named = textNodes.filter(node => namedHeadingLevel(node, styleNames) !== null);
+  if (named.length > 0) {
+    return named.map(node => ({
+      level: namedHeadingLevel(node, styleNames),
+      text: textOf(node),
+      nodeId: node.id,
+      fontSize: fontSizeOf(node),
+      source: 'name'
+    }));
+  }
+
+  // Body size: the one most characters are set in
+  const weights = new Map();
+  textNodes.forEach((node) => {
+    const size = fontSizeOf(node);
+    if (size) weights.set(size, (weights.get(size) || 0) + textOf(node).length);
+  });
+  const body = [...weights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 16;
+
+  // Button and field text is never a heading, however large
+  const inControls = new Set(descendants(frame).filter(node => isInteractive(node) || isField(node)).flatMap(texts));
+  const headings = textNodes.filter(node => !inControls.has(node)
+    && (fontSizeOf(node) ?? 0) >= Math.max(20, body * 1.2) && textOf(node).length <= 120);
+  const sizes = [...new Set(headings.map(fontSizeOf))].sort((a, b) => b - a);
+
+  return headings.map(node => ({
+    level: Math.min(sizes.indexOf(fontSizeOf(node)) + 1, 6),
+    text: textOf(node),
+    nodeId: node.id,
+    fontSize: fontSizeOf(node),
+    source: 'size'
+  }));
+}
+
+function headingFindings(frame, outline) {
+  const findings = [];
+  if (outline.length === 0) {
+    if (texts(frame).length > 0) {
+      findings.push({ rule: 'headings', severity: 'warning', nodeId: frame.id, name: frame.name, message: 'No heading found; screen readers navigate by headings' });
+    }
+    return findings;
+  }
+  if (!outline.some(heading => heading.level === 1)) {
+    findings.push({ rule: 'headings', severity: 'warning', nodeId: frame.id, name: frame.name, message: 'No level 1 heading' });
+  }
+  outline.forEach((heading, index) => {
+    const previous = index === 0 ? 0 : outline[index - 1].level;
+    if (heading.level > previous + 1) {
+      findings.push({
+        rule: 'headings',
+        severity: 'warning',
+        nodeId: heading.nodeId,
+        name: heading.text,
+        message: `Heading level ${heading.level} follows level ${previous || 'none'}; levels should not be skipped`
+      });
+    }
+  });
+  return findings;
+}
+
+function contrastFinding(node, contrast) {
+  const required = WCAG_CONTRAST.AA[contrast.large ? 'large' : 'normal'];
+  const base = { rule: 'contrast', nodeId: node.id, name: node.name, text: textOf(node).slice(0, 60), ...contrast };
+
+  if (contrast.overImage) {
+    return { ...base, severity: 'info', message: 'Text over an image; check its contrast by eye' };
+  }
+  if (!contrast.AA) {
+    return { ...base, severity: 'error', message: `Contrast ${contrast.ratio}:1 is below AA (${required}:1 for ${contrast.large ? 'large' : 'normal'} text), ${contrast.foreground} on ${contrast.background}` };
+  }
+  if (!contrast.AAA) {
+    const enhanced = WCAG_CONTRAST.AAA[contrast.large ? 'large' : 'normal'];
+    return { ...base, severity: 'info', message: `Contrast ${contrast.ratio}:1 passes AA but not AAA (${enhanced}:1)` };
+  }
+  return null;
+}
+
+function targetFinding(node) {
+  const bounds = box(node);
+  if (!bounds) return null;
+  const smallest = Math.min(bounds.width, bounds.height);
+  if (smallest >= TARGET_SIZE.recommended) return null;
+
+  const size = `${Math.round(bounds.width)}×${Math.round(bounds.height)}px`;
+  return {
+    rule: 'target-size',
+    severity: smallest < TARGET_SIZE.minimum ? 'error' : 'warning',
+    nodeId: node.id,
+    name: node.name,
+    width: Math.round(bounds.width),
+    height: Math.round(bounds.height),
+    message: smallest < TARGET_SIZE.minimum
+      ? `Touch target ${size} is below the ${TARGET_SIZE.minimum}px minimum`
+      : `Touch target ${size} is under the recommended ${TARGET_SIZE.recommended}×${TARGET_SIZE.recommended}px`
+  };
+}
+
+function labelFinding(node, siblings) {
+  const inside = texts(node);
+  const index = siblings.indexOf(node);
+  // A label sits right before the field, or right after a checkbox or radio
+  const isText = sibling => sibling?.type === 'TEXT' && textOf(sibling);
+  const before = isText(siblings[index - 1]);
+  const after = CHOICE_NAME.test(node.name) && isText(siblings[index + 1]);
+
+  const labelled = inside.some(text => LABEL_NAME.test(text.name))
+    || Boolean(before || after)
+    || (CHOICE_NAME.test(node.name) && inside.some(text => !PLACEHOLDER_NAME.test(text.name)));
+  if (labelled) return null;
+
+  const placeholderOnly = inside.length > 0 && inside.every(text => PLACEHOLDER_NAME.test(text.name));
+  return {
+    rule: 'label',
+    severity: 'error',
+    nodeId: node.id,
+    name: node.name,
+    message: placeholderOnly
+      ? 'Field has only placeholder text; placeholders disappear on input and are not labels'
+      : 'Field has no visible label; add one (or an aria-label)'
+  };
+}
+
+function altFinding(node) {
+  if (DECORATIVE_NAME.test(node.name)) {
+    return { rule: 'alt-text', severity: 'info', nodeId: node.id, name: node.name, alt: '', message: 'Looks decorative; use alt="" so screen readers skip it' };
+  }
+  if (DEFAULT_NAME.test(node.name.trim())) {
+    return { rule: 'alt-text', severity: 'warning', nodeId: node.id, name: node.name, alt: null, message: 'Image has no descriptive name to use as alt text; name the layer after what it shows' };
+  }
+  return null;
+}
+
+/**
+ * Audit one frame (a screen). `background` is the color drawn under it,
+ * usually the page's; `styleNames` maps text style IDs to style names.
+ *
+ * @returns {{ id, name, summary, images, headings, findings }} where
+ *   summary counts findings per severity and images the image layers
+ */
+export function auditFrame(frame, { background = WHITE, styleNames = {} } = {}) {
+  const findings = [];
+  let images = 0;
+
+  // Inside a control only contrast and images are checked; the control itself covers the rest
+  function visit(node, backdrop, siblings, inControl) {
+    if (node.visible === false || node.opacity === 0) return;
+
+    if (node.type === 'TEXT' && textOf(node)) {
+      const contrast = textContrast(node, backdrop);
+      const finding = contrast && contrastFinding(node, contrast);
+      if (finding) findings.push(finding);
+    }
+
+    const control = !inControl && (isInteractive(node) || isField(node));
+    if (control && isInteractive(node)) {
+      const target = targetFinding(node);
+      if (target) findings.push(target);
+      if (texts(node).length === 0 && !isField(node)) {
+        findings.push({ rule: 'name', severity: 'warning', nodeId: node.id, name: node.name, message: 'Control has no text; it needs an aria-label' });
+      }
+    }
+
+    if (control && isField(node) && siblings) {
+      const label = labelFinding(node, siblings);
+      if (label) findings.push(label);
+    }
+
+    if (imageFill(node)) {
+      images += 1;
+      const alt = altFinding(node);
+      if (alt) findings.push(alt);
+    }
+
+    const own = paintOver(backdrop, node);
+    const children = (node.children || []).filter(child => child.visible !== false);
+    children.forEach((child, index) => {
+      // Earlier siblings are drawn underneath when they cover this one
+      const under = children.slice(0, index).filter(sibling => sibling.type !== 'TEXT' && covers(sibling, child));
+      visit(child, under.reduce(paintOver, own), children, inControl || control);
+    });
+  }
+
+  visit(frame, { colors: [background], image: false }, null, false);
+
+  const headings = headingOutline(frame, { styleNames });
+  findings.push(...headingFindings(frame, headings));
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  findings.forEach((finding) => {
+    summary[finding.severity] += 1;
+  });
+
+  return { id: frame.id, name: frame.name, summary, images, headings, findings };
+}
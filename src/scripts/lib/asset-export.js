@@ -0,0 +1,431 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+
+/**
+ * Asset export: find the assets under a node, resolve their download URLs
+ * and download them into one directory described by a single manifest.
+ *
+ * Strategies decide what counts as an asset:
+ *   - fills: every IMAGE paint (fills, background, strokes), downloaded
+ *     once per imageRef through GET /v1/files/:key/images
+ *   - icons: nodes isMeaningfulVisualAsset() picks out, rendered through
+ *     GET /v1/images/:key
+ *   - nodes: an explicit list of node IDs, rendered the same way
+ *
+ * Downloads go to `<file>.part` and are renamed when complete. An
+ * interrupted run resumes the partial file with a Range request when it
+ * belongs to the same render, and assets the manifest already lists with a
+ * matching file on disk are skipped.
+ * File names are chosen by asset-names.js.
+ *
+ * Exports are incremental: each render records a hash of its node, so a
+ * later run downloads only assets that are new or whose node was edited,
+ * and drops the ones no longer in the design. Image fills need no hash;
+ * Figma gives a replaced image a new imageRef.
+ */
+
+export const MANIFEST_FILE = 'assets-manifest.json';
+export const MANIFEST_VERSION = 1;
+export const STRATEGIES = ['fills', 'icons', 'nodes'];
+// Subdirectory for the optimization stage's variants (image-optimizer.js)
+export const OPTIMIZED_DIR = 'optimized';
+
+const ICON_KEYWORDS = [
+  'icon', 'logo', 'image', 'photo', 'picture', 'arrow', 'check', 'clock', 'plus', 'star',
+  'flag', 'ellipse', 'circle', 'badge', 'avatar', 'profile'
+];
+
+function imagePaints(node) {
+  return ['fills', 'background', 'strokes'].flatMap(source => (
+    Array.isArray(node[source])
+      ? node[source]
+        .map((paint, index) => ({ paint, source, index }))
+        .filter(({ paint }) => paint.type === 'IMAGE' && paint.imageRef)
+      : []
+  ));
+}
+
+// Variant property values of an instance, e.g. { Size: '24', State: 'Hover' }
+function variantOf(node) {
+  const variant = Object.fromEntries(
+    Object.entries(node.componentProperties || {})
+      .filter(([, property]) => property.type === 'VARIANT')
+      .map(([name, property]) => [name.replace(/#.*$/, ''), String(property.value)])
+  );
+  return Object.keys(variant).length > 0 ? { variant } : {};
+}
+
+/**
+ * Hash of a node and everything below it. Bounding boxes are taken
+ * relative to the node, so moving an icon on the canvas is not a change.
+ */
+export function nodeHash(node) {
+  const origin = node.absoluteBoundingBox || { x: 0, y: 0 };
+  const json = JSON.stringify(node, (key, value) => (
+    (key === 'absoluteBoundingBox' || key === 'absoluteRenderBounds') && value
+      ? { ...value, x: value.x - origin.x, y: value.y - origin.y }
+      : value
+  ));
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+// CSS size of the node, used to size responsive variants
+function boxOf(node) {
+  const box = node.absoluteBoundingBox;
+  return box ? { box: { width: Math.round(box.width), height: Math.round(box.height) } } : {};
+}
+
+/**
+ * Whether a node is an icon or picture worth exporting on its own, judged
+ * by its type, its name and the names of its ancestors.
+ *
+ * @param {object} node - API node
+ * @param {string[]} ancestry - names from the export root down to the node
+ */
+export function isMeaningfulVisualAsset(node, ancestry = []) {
+  const name = (node.name || '').toLowerCase();
+  const pathName = ancestry.join(' > ').toLowerCase();
+
+  if (imagePaints(node).length > 0) return true;
+  if (ICON_KEYWORDS.some(keyword => name.includes(keyword))) return true;
+  if (['icon', 'logo', 'image'].some(keyword => pathName.includes(keyword))) return true;
+
+  // Ellipses deep in a layout are usually avatars or badges
+  if (node.type === 'ELLIPSE' && ancestry.length > 3) return true;
+  if (node.type === 'GROUP' && pathName.includes('flag')) return true;
+  if (node.type === 'INSTANCE' && (name.includes('card') || name.includes('badge'))) return true;
+
+  return false;
+}
+
+// Shapes that export cleanly as SVG paths
+const VECTOR_TYPES = new Set(['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'LINE', 'ELLIPSE', 'REGULAR_POLYGON', 'POLYGON']);
+
+/**
+ * Whether a node is drawn from vectors only, so it can be exported as SVG.
+ * Rectangles count inside a container (icon frames often hold a bounding
+ * box) but not on their own, where they are usually image placeholders.
+ */
+export function isVectorIcon(node, nested = false) {
+  if (node.type === 'TEXT' || imagePaints(node).length > 0) return false;
+  if (VECTOR_TYPES.has(node.type) || (nested && node.type === 'RECTANGLE')) return true;
+
+  const children = (node.children || []).filter(child => child.visible !== false);
+  return children.length > 0 && children.every(child => isVectorIcon(child, true));
+}
+
+/**
+ * Walk `root` and list the assets the strategies select, one entry per
+ * asset key ("fill:<imageRef>" or "node:<id>"). Every node that uses an
+ * image fill is listed under `nodes`. Icons drawn only from vectors get
+ * `format: 'svg'`; other renders use the export's format.
+ *
+ * @param {object} root - API node
+ * @param {object} [options]
+ * @param {string[]} [options.strategies] - any of STRATEGIES
+ * @param {string[]} [options.nodeIds] - IDs for the `nodes` strategy
+ * @param {number} [options.maxDepth] - deepest level to scan below root
+ */
+export function collectAssets(root, { strategies = ['fills', 'icons'], nodeIds = [], maxDepth = Infinity } = {}) {
+  const assets = new Map();
+  const wanted = new Set(nodeIds);
+
+  function addRender(node, ancestry, depth, reason) {
+    const key = `node:${node.id}`;
+    if (assets.has(key)) return;
+    assets.set(key, {
+      key,
+      kind: 'render',
+      strategy: reason,
+      nodeId: node.id,
+      nodeName: node.name || `${node.type}-${node.id}`,
+      nodeType: node.type,
+      path: ancestry.join(' > '),
+      depth,
+      nodeHash: nodeHash(node),
+      ...boxOf(node),
+      ...(node.componentId ? { componentId: node.componentId } : {}),
+      ...variantOf(node),
+      ...(reason === 'icons' && isVectorIcon(node) ? { format: 'svg' } : {})
+    });
+  }
+
+  (function visit(node, ancestry, depth, insideRender) {
+    if (node.visible === false) return;
+    const currentPath = [...ancestry, node.name || `${node.type}-${node.id}`];
+    let rendered = insideRender;
+
+    if (strategies.includes('nodes') && wanted.has(node.id)) {
+      addRender(node, currentPath, depth, 'nodes');
+      rendered = true;
+    }
+
+    const paints = imagePaints(node);
+    if (strategies.includes('fills')) {
+      paints.forEach(({ paint, source, index }) => {
+        const key = `fill:${paint.imageRef}`;
+        if (!assets.has(key)) {
+          assets.set(key, {
+            key,
+            kind: 'image-fill',
+            strategy: 'fills',
+            ref: paint.imageRef,
+            nodeId: node.id,
+            nodeName: node.name || `${node.type}-${node.id}`,
+            nodeType: node.type,
+            path: currentPath.join(' > '),
+            depth,
+            ...boxOf(node),
+            scaleMode: paint.scaleMode || 'FILL',
+            nodes: []
+          });
+        }
+        assets.get(key).nodes.push({ id: node.id, name: node.name, source, index });
+      });
+    }
+
+    // Icons are rendered whole, so nothing inside one becomes a separate
+    // icon; image fills inside are still listed for the components using them
+    if (!rendered && depth > 0 && strategies.includes('icons') && paints.length === 0
+      && node.type !== 'TEXT' && isMeaningfulVisualAsset(node, currentPath)) {
+      addRender(node, currentPath, depth, 'icons');
+      rendered = true;
+    }
+
+    if (depth < maxDepth && (!rendered || strategies.includes('fills'))) {
+      (node.children || []).forEach(child => visit(child, currentPath, depth + 1, rendered));
+    }
+  })(root, [], 0, false);
+
+  const missing = [...wanted].filter(id => !assets.has(`node:${id}`));
+  return { assets: [...assets.values()], missing };
+}
+
+// Whether a render's node was edited since the manifest entry was written
+export function nodeChanged(asset, entry) {
+  return Boolean(entry?.nodeHash && asset.nodeHash && entry.nodeHash !== asset.nodeHash);
+}
+
+/**
+ * Manifest entries a run over `rootNodeId` would have found again but did
+ * not: the node or image was deleted from the design. Entries from other
+ * roots, from strategies this run does not use, or for node IDs it was not
+ * asked for are left alone.
+ */
+export function findOrphans(previousEntries, assets, { rootNodeId, strategies, nodeIds = [] }) {
+  const found = new Set(assets.map(asset => asset.key));
+  return previousEntries.filter(entry => (
+    entry.rootNodeId === rootNodeId
+    && strategies.includes(entry.strategy)
+    && (entry.strategy !== 'nodes' || nodeIds.includes(entry.nodeId))
+    && !found.has(entry.key)
+  ));
+}
+
+/**
+ * Sort this run's entries against the manifest: `added` are new,
+ * `changed` were edited in Figma, `stale` need downloading again for
+ * another reason (missing or modified file, new name, format or scale) and
+ * `unchanged` can be skipped.
+ */
+export function diffAssets(entries, previousByKey, dir) {
+  const diff = { added: [], changed: [], stale: [], unchanged: [] };
+  entries.forEach((entry) => {
+    const known = previousByKey.get(entry.key);
+    if (!known) {
+      diff.added.push(entry);
+    } else if (nodeChanged(entry, known)) {
+      diff.changed.push(entry);
+    } else if (!isUpToDate(known, dir) || known.filename !== entry.filename
+      || known.format !== entry.format || known.scale !== entry.scale) {
+      diff.stale.push(entry);
+    } else {
+      diff.unchanged.push(entry);
+    }
+  });
+  return diff;
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight. Results
+ * keep the order of `items`.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+  return results;
+}
+
+function get(url, headers) {
+  const client = url.startsWith('http:') ? http : https;
+  return new Promise((resolve, reject) => {
+    client.get(url, { headers }, resolve).on('error', reject);
+  });
+}
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// What a `.part` file was downloaded from: { version, validator }
+function readPartInfo(partial) {
+  try {
+    return JSON.parse(fs.readFileSync(`${partial}.json`, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function removePartial(partial) {
+  fs.rmSync(partial, { force: true });
+  fs.rmSync(`${partial}.json`, { force: true });
+}
+
+/**
+ * Download `url` to `file`, resuming from `<file>.part` when a previous
+ * attempt was cut off. Resolves with { bytes, sha256, resumed }.
+ * Rejects with `error.status` set for HTTP failures (403 means the signed
+ * URL expired; fetch a new one).
+ *
+ * Signed URLs change on every run, so `version` names the content instead
+ * (the node hash and scale of a render, the image ref of a fill). A partial
+ * file is only resumed for the same version, and with If-Range when the
+ * first response had an ETag or Last-Modified, so a server holding other
+ * bytes answers 200 and the download starts over.
+ */
+export async function downloadFile(url, file, { version = null, retries = 3, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+  const partial = `${file}.part`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const info = readPartInfo(partial);
+      if (fs.existsSync(partial) && (!info || info.version !== version)) {
+        removePartial(partial);
+      }
+
+      const offset = fs.existsSync(partial) ? fs.statSync(partial).size : 0;
+      const headers = offset > 0
+        ? { Range: `bytes=${offset}-`, ...(info.validator ? { 'If-Range': info.validator } : {}) }
+        : {};
+      let response = await get(url, headers);
+
+      for (let redirects = 0; [301, 302, 303, 307, 308].includes(response.statusCode) && redirects < 3; redirects++) {
+        response.resume();
+        response = await get(new URL(response.headers.location, url).toString(), headers);
+      }
+
+      // The partial file is already complete
+      if (response.statusCode === 416 && offset > 0) {
+        response.resume();
+        fs.renameSync(partial, file);
+        fs.rmSync(`${partial}.json`, { force: true });
+        return { bytes: offset, sha256: sha256File(file), resumed: true };
+      }
+
+      if (response.statusCode !== 200 && response.statusCode !== 206) {
+        response.resume();
+        const error = new Error(`HTTP ${response.statusCode} for ${path.basename(file)}`);
+        error.status = response.statusCode;
+        throw error;
+      }
+
+      // 206 continues the partial file; a 200 means the server ignored Range or the content changed
+      const resumed = response.statusCode === 206 && offset > 0;
+      if (!resumed) {
+        const validator = response.headers.etag || response.headers['last-modified'] || null;
+        fs.writeFileSync(`${partial}.json`, JSON.stringify({ version, validator }));
+      }
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(partial, { flags: resumed ? 'a' : 'w' });
+        response.pipe(out);
+        response.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+      });
+
+      fs.renameSync(partial, file);
+      fs.rmSync(`${partial}.json`, { force: true });
+      return { bytes: fs.statSync(file).size, sha256: sha256File(file), resumed };
+    } catch (error) {
+      // HTTP errors other than server hiccups will not improve with another try
+      if (attempt >= retries || (error.status && error.status < 500)) throw error;
+      await sleep(1000 * (attempt + 1));
+    }
+  }
+}
+
+export function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function writeManifest(dir, manifest) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * imageRef / node ID -> absolute file path for every downloaded asset in
+ * the manifest.
+ */
+export function assetIndex(dir) {
+  const manifest = readManifest(dir);
+  const index = {};
+  if (!manifest) return index;
+
+  manifest.assets
+    .filter(asset => asset.status === 'downloaded' && asset.filename)
+    .forEach((asset) => {
+      const file = path.join(dir, asset.filename);
+      if (!fs.existsSync(file)) return;
+      if (asset.ref) index[asset.ref] = file;
+      index[asset.nodeId] = file;
+      (asset.nodes || []).forEach((node) => {
+        index[node.id] = index[node.id] || file;
+      });
+    });
+
+  return index;
+}
+
+/**
+ * imageRef / node ID -> key in the generated images.ts, for assets the
+ * optimization stage has processed.
+ */
+export function responsiveIndex(dir) {
+  const manifest = readManifest(dir);
+  const assets = manifest?.assets || [];
+  const byKey = new Map(assets.map(asset => [asset.key, asset]));
+  const index = {};
+  assets.forEach((asset) => {
+    // Duplicates share the images of the entry they were deduplicated into
+    const key = (asset.duplicateOf ? byKey.get(asset.duplicateOf) : asset)?.optimized?.key;
+    if (!key) return;
+    if (asset.ref) index[asset.ref] = key;
+    index[asset.nodeId] = key;
+    (asset.nodes || []).forEach((node) => {
+      index[node.id] = index[node.id] || key;
+    });
+  });
+  return index;
+}
+
+// A manifest entry whose file is still on disk and unchanged
+export function isUpToDate(entry, dir) {
+  if (!entry || entry.status !== 'downloaded' || !entry.filename) return false;
+  const file = path.join(dir, entry.filename);
+  return fs.existsSync(file) && fs.statSync(file).size === entry.bytes && sha256File(file) === entry.sha256;
+}
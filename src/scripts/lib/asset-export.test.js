@@ -0,0 +1,76 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { createMockFigmaServer } from '../mock-figma-server.js';
+import { downloadFile } from './asset-export.js';
+
+describe('downloadFile', () => {
+  let mock;
+  let dir;
+  let url;
+  let file;
+  let image;
+
+  beforeAll(async () => {
+    mock = await createMockFigmaServer().listen();
+    url = `${mock.url}/__images/render/${encodeURIComponent('5584:558165')}.png`;
+  });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-export-'));
+    file = path.join(dir, 'hero.png');
+    await downloadFile(url, path.join(dir, 'full.png'));
+    image = fs.readFileSync(path.join(dir, 'full.png'));
+    mock.requests.length = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  function leavePartial(info) {
+    fs.writeFileSync(`${file}.part`, image.subarray(0, 10));
+    if (info) fs.writeFileSync(`${file}.part.json`, JSON.stringify(info));
+  }
+
+  it('resumes a partial download of the same version', async () => {
+    const etag = (await fetch(url)).headers.get('etag');
+    mock.requests.length = 0;
+    leavePartial({ version: 'abc@2', validator: etag });
+
+    const result = await downloadFile(url, file, { version: 'abc@2' });
+
+    expect(result.resumed).toBe(true);
+    expect(fs.readFileSync(file)).toEqual(image);
+    expect(mock.requests[0].headers).toMatchObject({ range: 'bytes=10-', 'if-range': etag });
+    expect(fs.existsSync(`${file}.part.json`)).toBe(false);
+  });
+
+  it.each([
+    ['another version', { version: 'old@2', validator: null }],
+    ['no record of its version', null]
+  ])('starts over when the partial file has %s', async (_, info) => {
+    leavePartial(info);
+
+    const result = await downloadFile(url, file, { version: 'abc@2' });
+
+    expect(result.resumed).toBe(false);
+    expect(fs.readFileSync(file)).toEqual(image);
+    expect(mock.requests[0].headers.range).toBeUndefined();
+  });
+
+  it('starts over when the server holds different bytes than the partial file', async () => {
+    leavePartial({ version: 'abc@2', validator: '"stale"' });
+
+    const result = await downloadFile(url, file, { version: 'abc@2' });
+
+    expect(result.resumed).toBe(false);
+    expect(fs.readFileSync(file)).toEqual(image);
+    expect(mock.requests[0].headers['if-range']).toBe('"stale"');
+  });
+});
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { slugify } from './design-tokens.js';
+
+/**
+ * File names for exported assets.
+ *
+ * A name comes from, in order: the override map (asset-names.json next to
+ * the manifest), the component set and variant values of an instance
+ * ("Icon/Check" with Size=24 -> icon-check-24), the component name, and
+ * finally the layer name. Names never depend on node IDs, so the same
+ * design exports to the same files.
+ *
+ * asset-names.json maps an imageRef, node ID, component name or layer name
+ * to a file name without extension:
+ *
+ *   { "Rectangle 16918": "placeholder-image", "mdi-light:clock": "clock-icon" }
+ *
+ * Two assets that want the same name get -2, -3, ... in key order; a file
+ * already on disk that the manifest does not know is never overwritten.
+ */
+
+export const NAME_OVERRIDES_FILE = 'asset-names.json';
+
+export function loadNameOverrides(dir) {
+  const file = path.join(dir, NAME_OVERRIDES_FILE);
+  if (!fs.existsSync(file)) return {};
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`${file} must be an object of "name or id": "file-name" pairs`);
+  }
+
+  // Keys compare by slug, so "16X16 icon (outline)" and "16-x16-icon-outline" both match
+  const bySlug = {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (typeof value !== 'string' || !slugify(value)) {
+      throw new Error(`${file}: "${key}" must map to a file name, got ${JSON.stringify(value)}`);
+    }
+    bySlug[key] = slugify(value);
+    bySlug[slugify(key)] = slugify(value);
+  });
+  return bySlug;
+}
+
+/**
+ * Name of an asset without extension or collision suffix.
+ */
+export function baseNameFor(asset, overrides = {}) {
+  const candidates = [asset.ref, asset.nodeId, asset.componentSetName, asset.componentName, asset.nodeName].filter(Boolean);
+  for (const candidate of candidates) {
+    const override = overrides[candidate] || overrides[slugify(candidate)];
+    if (override) return override;
+  }
+
+  const variantValues = Object.values(asset.variant || {});
+  const parts = asset.componentSetName
+    ? [asset.componentSetName, ...variantValues]
+    : [asset.componentName || asset.nodeName];
+
+  return slugify(parts.join(' ')) || slugify(asset.nodeName) || asset.nodeType.toLowerCase();
+}
+
+export function extensionFor(asset, format) {
+  if (asset.kind === 'image-fill') return 'png';
+  return asset.format || format;
+}
+
+/**
+ * Choose a file name for every asset. Assets whose previous file already
+ * has the right name keep it, including its suffix; the rest take the
+ * first free name in key order.
+ *
+ * @param {object[]} assets - entries with `key`, and the fields baseNameFor() reads
+ * @param {object} options
+ * @param {string} options.dir - assets directory, checked for unknown files
+ * @param {string} options.format - render format for assets without their own
+ * @param {object} [options.overrides] - result of loadNameOverrides()
+ * @param {Map<string, object>} [options.previous] - manifest entries by key
+ * @param {Set<string>} [options.released] - keys of entries being removed, whose files can be reused
+ * @returns {Map<string, string>} asset key -> file name
+ */
+export function assignFilenames(assets, { dir, format, overrides = {}, previous = new Map(), released = new Set() }) {
+  const names = new Map();
+  const owners = new Map();
+
+  // Files of manifest entries outside this set stay theirs; duplicates only borrow a file
+  previous.forEach((entry, key) => {
+    if (entry.filename && !entry.duplicateOf && !released.has(key) && !assets.some(asset => asset.key === key)) {
+      owners.set(entry.filename, key);
+    }
+  });
+  const known = new Set([...previous.values()].map(entry => entry.filename));
+  const isFree = filename => !owners.has(filename) && (known.has(filename) || !fs.existsSync(path.join(dir, filename)));
+
+  const sorted = [...assets].sort((a, b) => a.key.localeCompare(b.key));
+  const wanted = new Map(sorted.map(asset => [asset.key, { base: baseNameFor(asset, overrides), extension: extensionFor(asset, format) }]));
+
+  sorted.forEach((asset) => {
+    const { base, extension } = wanted.get(asset.key);
+    const { filename: current, duplicateOf } = previous.get(asset.key) || {};
+    const pattern = new RegExp(`^${base}(-\\d+)?\\.${extension}$`);
+    if (current && !duplicateOf && pattern.test(current) && !owners.has(current)) {
+      names.set(asset.key, current);
+      owners.set(current, asset.key);
+    }
+  });
+
+  sorted.forEach((asset) => {
+    if (names.has(asset.key)) return;
+    const { base, extension } = wanted.get(asset.key);
+    let filename = `${base}.${extension}`;
+    for (let suffix = 2; !isFree(filename); suffix++) filename = `${base}-${suffix}.${extension}`;
+    names.set(asset.key, filename);
+    owners.set(filename, asset.key);
+  });
+
+  return names;
+}
+
+/**
+ * Point downloaded entries with identical content at one file and delete
+ * the copies. The entry first in key order keeps its file; the others get
+ * `duplicateOf` set to its key. Returns the number of files removed.
+ */
+export function dedupeByContent(manifest, dir, { dryRun = false } = {}) {
+  const canonical = new Map();
+  let removed = 0;
+
+  [...manifest.assets]
+    .filter(entry => entry.status === 'downloaded' && entry.sha256)
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .forEach((entry) => {
+      const id = `${entry.sha256}${path.extname(entry.filename)}`;
+      const first = canonical.get(id);
+      if (!first) {
+        canonical.set(id, entry);
+        delete entry.duplicateOf;
+        return;
+      }
+      if (entry.filename === first.filename) {
+        entry.duplicateOf = first.key;
+        return;
+      }
+
+      const stillUsed = manifest.assets.some(other => other !== entry && other.filename === entry.filename);
+      if (!stillUsed && !dryRun) fs.rmSync(path.join(dir, entry.filename), { force: true });
+      if (!stillUsed) removed++;
+      entry.filename = first.filename;
+      entry.duplicateOf = first.key;
+    });
+
+  return removed;
+}
@@ -0,0 +1,352 @@
+/**
+ * Design tokens from Figma variables.
+ *
+ * Turns the variables saved by get-figma-variables.js (or the raw
+ * /variables/local payload) into resolved tokens: aliases are followed
+ * across collections and modes, every token gets a Tailwind theme category,
+ * a key inside that category and a CSS custom property name.
+ */
+
+// Variable scopes that pin down where a value is used
+const SCOPE_CATEGORIES = {
+  CORNER_RADIUS: 'borderRadius',
+  GAP: 'spacing',
+  WIDTH_HEIGHT: 'spacing',
+  FONT_SIZE: 'fontSize',
+  FONT_WEIGHT: 'fontWeight',
+  LINE_HEIGHT: 'lineHeight',
+  LETTER_SPACING: 'letterSpacing',
+  FONT_FAMILY: 'fontFamily',
+  OPACITY: 'opacity'
+};
+
+// Name patterns for variables scoped to ALL_SCOPES, checked in order
+const NAME_CATEGORIES = [
+  [/font[\s/_-]?size|text[\s/_-]?size/i, 'fontSize'],
+  [/line[\s/_-]?height|leading/i, 'lineHeight'],
+  [/letter[\s/_-]?spacing|tracking/i, 'letterSpacing'],
+  [/weight/i, 'fontWeight'],
+  [/radius|radii|rounded|corner/i, 'borderRadius'],
+  [/opacity/i, 'opacity'],
+  [/spac|gap|padding|margin|inset/i, 'spacing']
+];
+
+// CSS custom property prefix per category, following Tailwind's theme variable names
+export const CSS_PREFIXES = {
+  colors: 'color',
+  spacing: 'spacing',
+  borderRadius: 'radius',
+  fontFamily: 'font',
+  fontSize: 'text',
+  fontWeight: 'font-weight',
+  lineHeight: 'leading',
+  letterSpacing: 'tracking',
+  opacity: 'opacity',
+  other: 'token'
+};
+
+// Categories whose FLOAT values are pixel lengths
+const PIXEL_CATEGORIES = new Set(['spacing', 'borderRadius', 'fontSize', 'lineHeight', 'letterSpacing']);
+
+// First name segments that only repeat the category ("colors/primary" -> "primary")
+const CATEGORY_SEGMENTS = /^(colou?rs?|spacing|space|radius|radii|rounded|corner|fonts?|font-family|family|typography|type|size|sizes|weight|weights|line-height|leading|letter-spacing|tracking|opacity)$/;
+
+export function slugify(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function toHexChannel(channel) {
+  return Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0');
+}
+
+// Figma RGBA (0-1 channels) -> #rrggbb, or #rrggbbaa when translucent
+export function colorToHex({ r, g, b, a = 1 }) {
+  const hex = `#${toHexChannel(r)}${toHexChannel(g)}${toHexChannel(b)}`;
+  return a < 1 ? `${hex}${toHexChannel(a)}` : hex;
+}
+
+export function categorize(variable) {
+  if (variable.resolvedType === 'COLOR') return 'colors';
+  if (variable.resolvedType === 'BOOLEAN') return 'other';
+
+  const scoped = (variable.scopes || []).map(scope => SCOPE_CATEGORIES[scope]).find(Boolean);
+  if (scoped) return scoped;
+
+  if (variable.resolvedType === 'STRING') {
+    return /font|family|typeface/i.test(variable.name) ? 'fontFamily' : 'other';
+  }
+
+  const byName = NAME_CATEGORIES.find(([pattern]) => pattern.test(variable.name));
+  return byName ? byName[1] : 'other';
+}
+
+function tokenKey(name, category) {
+  const segments = name.split('/').map(slugify).filter(Boolean);
+  if (category !== 'other' && segments.length > 1 && CATEGORY_SEGMENTS.test(segments[0])) {
+    segments.shift();
+  }
+  return segments.join('-') || slugify(name) || 'token';
+}
+
+// Literal CSS for a resolved (non-alias) value
+export function formatValue(value, type, category) {
+  if (type === 'COLOR') return colorToHex(value);
+  if (type === 'BOOLEAN') return value ? 'true' : 'false';
+
+  if (type === 'STRING') {
+    if (category === 'fontFamily') {
+      return /^[\w-]+$/.test(value) ? value : `"${value.replace(/"/g, '\\"')}"`;
+    }
+    return JSON.stringify(value);
+  }
+
+  if (PIXEL_CATEGORIES.has(category)) return value === 0 ? '0' : `${value}px`;
+  return String(value);
+}
+
+function isAlias(value) {
+  return value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+/**
+ * Normalize variables + collections from either the figma-variables.json
+ * export or the raw API `meta` object.
+ */
+function normalizeInput(data) {
+  const variables = Object.entries(data.variables || {}).map(([id, variable]) => ({
+    id: variable.id || id,
+    name: variable.name,
+    resolvedType: variable.resolvedType,
+    scopes: variable.scopes || [],
+    description: variable.description || '',
+    collectionId: variable.variableCollectionId || null,
+    values: variable.values || variable.valuesByMode || {}
+  }));
+
+  const collections = new Map();
+  Object.entries(data.collections || data.variableCollections || {}).forEach(([id, collection]) => {
+    collections.set(id, {
+      id,
+      name: collection.name,
+      modes: collection.modes || [],
+      defaultModeId: collection.defaultModeId || collection.modes?.[0]?.modeId
+    });
+  });
+
+  // Older exports have no collections; infer one per variable from its modes
+  variables.forEach((variable) => {
+    if (variable.collectionId && collections.has(variable.collectionId)) return;
+
+    const id = variable.collectionId || `implicit:${Object.keys(variable.values).join(',')}`;
+    if (!collections.has(id)) {
+      const modeIds = Object.keys(variable.values);
+      collections.set(id, {
+        id,
+        name: 'Variables',
+        modes: modeIds.map(modeId => ({ modeId, name: modeId })),
+        defaultModeId: modeIds[0]
+      });
+    }
+    variable.collectionId = id;
+  });
+
+  return { variables, collections };
+}
+
+/**
+ * Resolve every variable into a token.
+ *
+ * Each token has `modes` keyed by mode name with { value, css, alias }:
+ * `value` is the fully resolved literal, `css` the literal for the CSS
+ * property, and `alias` the token it points to (rendered as var(--alias)).
+ * An alias into another collection uses the mode with the same name there,
+ * or that collection's default mode.
+ */
+export function resolveTokens(data) {
+  const { variables, collections } = normalizeInput(data);
+  const byId = new Map(variables.map(variable => [variable.id, variable]));
+  const warnings = [];
+
+  // Category, key and CSS variable first, so aliases can point at them
+  const tokens = new Map();
+  const usedVars = new Set();
+  variables.forEach((variable) => {
+    const category = categorize(variable);
+    let key = tokenKey(variable.name, category);
+    let cssVar = `--${CSS_PREFIXES[category]}-${key}`;
+
+    // Same name in two collections: qualify the later one with its collection
+    if (usedVars.has(cssVar)) {
+      key = `${slugify(collections.get(variable.collectionId).name)}-${key}`;
+      cssVar = `--${CSS_PREFIXES[category]}-${key}`;
+    }
+    usedVars.add(cssVar);
+
+    tokens.set(variable.id, {
+      id: variable.id,
+      name: variable.name,
+      description: variable.description,
+      type: variable.resolvedType,
+      category,
+      key,
+      cssVar,
+      collection: collections.get(variable.collectionId).name,
+      defaultMode: null,
+      modes: {}
+    });
+  });
+
+  function modeIdFor(collection, modeName) {
+    const sameName = collection.modes.find(mode => mode.name === modeName);
+    return sameName ? sameName.modeId : collection.defaultModeId;
+  }
+
+  function resolveValue(variable, modeId, chain = []) {
+    if (chain.includes(variable.id)) {
+      throw new Error(`Alias cycle: ${[...chain, variable.id].map(id => byId.get(id)?.name || id).join(' -> ')}`);
+    }
+
+    const collection = collections.get(variable.collectionId);
+    const value = variable.values[modeId] ?? variable.values[collection.defaultModeId];
+    if (!isAlias(value)) return value;
+
+    const target = byId.get(value.id);
+    if (!target) {
+      throw new Error(`${variable.name} points to ${value.id}, which is not a local variable`);
+    }
+
+    const modeName = collection.modes.find(mode => mode.modeId === modeId)?.name;
+    return resolveValue(target, modeIdFor(collections.get(target.collectionId), modeName), [...chain, variable.id]);
+  }
+
+  variables.forEach((variable) => {
+    const token = tokens.get(variable.id);
+    const collection = collections.get(variable.collectionId);
+    token.defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId)?.name || collection.defaultModeId;
+
+    collection.modes.forEach(({ modeId, name }) => {
+      try {
+        const raw = variable.values[modeId];
+        if (raw === undefined) return;
+
+        const value = resolveValue(variable, modeId);
+        const target = isAlias(raw) ? tokens.get(raw.id) : null;
+        token.modes[name] = {
+          value,
+          css: target ? `var(${target.cssVar})` : formatValue(value, variable.resolvedType, token.category),
+          resolved: formatValue(value, variable.resolvedType, token.category),
+          alias: target ? target.name : undefined
+        };
+      } catch (error) {
+        warnings.push(`${variable.name} (${name}): ${error.message}`);
+      }
+    });
+  });
+
+  return {
+    collections: [...collections.values()].map(collection => ({
+      name: collection.name,
+      slug: slugify(collection.name) || 'variables',
+      modes: collection.modes.map(mode => mode.name),
+      defaultMode: collection.modes.find(mode => mode.modeId === collection.defaultModeId)?.name || collection.defaultModeId
+    })),
+    tokens: [...tokens.values()],
+    warnings
+  };
+}
+
+// { colors: { primary: token, ... }, spacing: { ... } }
+export function groupByCategory(tokens) {
+  return tokens.reduce((groups, token) => {
+    groups[token.category] = groups[token.category] || {};
+    groups[token.category][token.key] = token;
+    return groups;
+  }, {});
+}
+
+/**
+ * :root custom properties for every collection's default mode, plus one
+ * `[data-<collection>="<mode>"]` block per additional mode.
+ */
+export function renderCss({ collections, tokens }, header) {
+  const blocks = [];
+  const declarations = (list, mode) => list
+    .filter(token => token.modes[mode] && token.type !== 'BOOLEAN')
+    .map(token => `  ${token.cssVar}: ${token.modes[mode].css};`);
+
+  const rootLines = collections.flatMap(collection =>
+    declarations(tokens.filter(token => token.collection === collection.name), collection.defaultMode)
+  );
+  blocks.push(`:root {\n${rootLines.join('\n')}${rootLines.length ? '\n' : ''}}`);
+
+  collections.forEach((collection) => {
+    collection.modes
+      .filter(mode => mode !== collection.defaultMode)
+      .forEach((mode) => {
+        const lines = declarations(tokens.filter(token => token.collection === collection.name), mode);
+        if (lines.length > 0) {
+          blocks.push(`[data-${collection.slug}="${slugify(mode)}"] {\n${lines.join('\n')}\n}`);
+        }
+      });
+  });
+
+  return `${header}\n${blocks.join('\n\n')}\n`;
+}
+
+const THEME_CATEGORIES = ['colors', 'spacing', 'borderRadius', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'opacity'];
+
+// Tailwind `theme.extend` entries pointing at the custom properties
+export function renderTailwindTheme({ tokens }, header) {
+  // Tokens that failed to resolve in every mode have no custom property
+  const groups = groupByCategory(tokens.filter(token => token.type !== 'BOOLEAN' && Object.keys(token.modes).length > 0));
+  const theme = {};
+
+  THEME_CATEGORIES.filter(category => groups[category]).forEach((category) => {
+    theme[category] = {};
+    Object.entries(groups[category]).forEach(([key, token]) => {
+      const reference = `var(${token.cssVar})`;
+      theme[category][key] = category === 'fontFamily' ? [reference] : reference;
+    });
+  });
+
+  return [
+    header,
+    "/** @type {import('tailwindcss').Config['theme']} */",
+    `export default ${JSON.stringify(theme, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+// Resolved literal values (default modes) and var() references for TS code
+export function renderTypeScript({ tokens }, header) {
+  const groups = groupByCategory(tokens);
+  const values = {};
+  const cssVars = {};
+
+  Object.entries(groups).forEach(([category, entries]) => {
+    values[category] = {};
+    cssVars[category] = {};
+    Object.entries(entries).forEach(([key, token]) => {
+      const mode = token.modes[token.defaultMode];
+      if (!mode) return;
+      values[category][key] = token.type === 'COLOR' ? mode.resolved : mode.value;
+      cssVars[category][key] = `var(${token.cssVar})`;
+    });
+  });
+
+  return [
+    header,
+    `export const tokens = ${JSON.stringify(values, null, 2)} as const;`,
+    '',
+    `export const tokenVars = ${JSON.stringify(cssVars, null, 2)} as const;`,
+    '',
+    'export type TokenCategory = keyof typeof tokens;',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { renderCss, resolveTokens } from './design-tokens.js';
+
+const BLUE = { r: 0, g: 0, b: 1, a: 1 };
+const NAVY = { r: 0, g: 0, b: 0.5, a: 1 };
+const WHITE = { r: 1, g: 1, b: 1, a: 1 };
+
+const alias = id => ({ type: 'VARIABLE_ALIAS', id });
+const color = (name, collection, values) => ({ name, resolvedType: 'COLOR', variableCollectionId: collection, valuesByMode: values });
+
+// Primitives have one mode; Brand and Semantic both have Light and Dark, under different mode IDs
+const COLLECTIONS = {
+  primitives: { name: 'Primitives', modes: [{ modeId: 'p', name: 'Value' }], defaultModeId: 'p' },
+  brand: { name: 'Brand', modes: [{ modeId: 'bl', name: 'Light' }, { modeId: 'bd', name: 'Dark' }], defaultModeId: 'bl' },
+  semantic: { name: 'Semantic', modes: [{ modeId: 'sl', name: 'Light' }, { modeId: 'sd', name: 'Dark' }], defaultModeId: 'sl' }
+};
+
+const VARIABLES = {
+  'v:blue': color('blue/500', 'primitives', { p: BLUE }),
+  'v:navy': color('blue/900', 'primitives', { p: NAVY }),
+  'v:white': color('white', 'primitives', { p: WHITE }),
+  'v:accent': color('brand/accent', 'brand', { bl: alias('v:blue'), bd: alias('v:navy') }),
+  // Set for Light only
+  'v:surface': color('brand/surface', 'brand', { bl: alias('v:white') }),
+  'v:primary': color('primary', 'semantic', { sl: alias('v:accent'), sd: alias('v:accent') }),
+  'v:button': color('button', 'semantic', { sl: alias('v:primary'), sd: alias('v:primary') }),
+  'v:background': color('background', 'semantic', { sl: alias('v:surface'), sd: alias('v:surface') }),
+  'v:card': color('card', 'semantic', { sl: alias('v:white') })
+};
+
+function resolve(variables = VARIABLES) {
+  const result = resolveTokens({ variableCollections: COLLECTIONS, variables });
+  return { ...result, byName: Object.fromEntries(result.tokens.map(token => [token.name, token])) };
+}
+
+describe('resolveTokens', () => {
+  it('resolves an alias chain to the literal at its end', () => {
+    const { byName, warnings } = resolve();
+
+    expect(warnings).toEqual([]);
+    expect(byName.button.modes.Light).toEqual({ value: BLUE, css: 'var(--color-primary)', resolved: '#0000ff', alias: 'primary' });
+    expect(byName.primary.modes.Light).toMatchObject({ value: BLUE, css: 'var(--color-brand-accent)', alias: 'brand/accent' });
+  });
+
+  it('follows each mode through collections that have a mode of the same name', () => {
+    const { byName } = resolve();
+
+    expect(byName.button.modes.Dark).toMatchObject({ value: NAVY, resolved: '#000080', alias: 'primary' });
+    expect(byName.primary.modes.Dark.value).toEqual(NAVY);
+  });
+
+  it("uses the default mode of a collection that lacks the alias's mode", () => {
+    const { byName } = resolve();
+
+    // Primitives has no Dark mode, so Brand's Dark accent reads its only value
+    expect(byName['brand/accent'].modes.Dark).toMatchObject({ value: NAVY, css: 'var(--color-blue-900)' });
+    expect(byName['brand/surface'].modes.Light.value).toEqual(WHITE);
+  });
+
+  it('falls back to the default mode when the aliased variable has no value for the mode', () => {
+    const { byName } = resolve();
+
+    expect(byName.background.modes.Dark).toMatchObject({ value: WHITE, alias: 'brand/surface' });
+  });
+
+  it('leaves out modes a variable has no value for', () => {
+    const { byName } = resolve();
+
+    expect(Object.keys(byName['brand/surface'].modes)).toEqual(['Light']);
+    expect(Object.keys(byName.card.modes)).toEqual(['Light']);
+    expect(byName.card.defaultMode).toBe('Light');
+  });
+
+  it('reports alias cycles and dangling aliases as warnings and keeps the other tokens', () => {
+    const { byName, warnings } = resolve({
+      ...VARIABLES,
+      'v:a': color('loop/a', 'semantic', { sl: alias('v:b') }),
+      'v:b': color('loop/b', 'semantic', { sl: alias('v:a') }),
+      'v:lost': color('lost', 'semantic', { sl: alias('v:library') })
+    });
+
+    expect(warnings).toEqual([
+      'loop/a (Light): Alias cycle: loop/a -> loop/b -> loop/a',
+      'loop/b (Light): Alias cycle: loop/b -> loop/a -> loop/b',
+      'lost (Light): lost points to v:library, which is not a local variable'
+    ]);
+    expect(byName['loop/a'].modes).toEqual({});
+    expect(byName.button.modes.Light.value).toEqual(BLUE);
+  });
+});
+
+describe('renderCss', () => {
+  it('declares default modes on :root and every other mode under its collection', () => {
+    const css = renderCss(resolve(), '/* tokens */');
+
+    expect(css).toContain(':root {\n  --color-blue-500: #0000ff;');
+    expect(css).toContain('  --color-button: var(--color-primary);');
+    expect(css).toContain('[data-brand="dark"] {\n  --color-brand-accent: var(--color-blue-900);\n}');
+    expect(css).toContain('[data-semantic="dark"] {\n  --color-primary: var(--color-brand-accent);\n  --color-button: var(--color-primary);\n  --color-background: var(--color-brand-surface);\n}');
+  });
+});
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FigmaCacheMissError } from './figma-errors.js';
+import { structureToApiNode, toApiNode } from './mock-fixtures.js';
+
+/**
+ * On-disk cache of Figma API responses.
+ *
+ * Responses are keyed by endpoint + file version, so a cached document is
+ * reused until someone edits the file in Figma. Bodies are stored once under
+ * their SHA-256 and referenced from index.json:
+ *
+ *   .figma-cache/
+ *     index.json              { files: { <fileKey>: { latestVersion, versions: { <version>: { <endpoint>: entry } } } } }
+ *     objects/<sha256>.json   raw response bodies
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '../../../.figma-cache');
+export const DEFAULT_SEED_FILES = [
+  path.join(__dirname, '../../files/figma-file-structure.json'),
+  path.join(__dirname, '../../files/figma-node-structure.json')
+];
+
+// Node requests are seeded for each depth up to the structure command's default
+const NODE_SEED_DEPTH = 10;
+
+// Documents, nodes and variables are fixed for a given version. Image URLs
+// expire, so /v1/images and /v1/files/:key/images always go to the network.
+const CACHEABLE_PATH = /^\/v1\/files\/([^/]+)(\/nodes|\/variables\/local)?$/;
+
+// Version lookups and downloads shared by every client in the process
+const resolvedVersions = new Map();
+const inFlight = new Map();
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Split a request URL into { fileKey, version, endpoint }, or null when the
+ * endpoint is not cacheable. The endpoint has `version` removed and its
+ * query sorted so equivalent requests share one entry.
+ */
+export function parseCacheableUrl(url) {
+  const { pathname, searchParams } = new URL(url);
+  const match = pathname.match(CACHEABLE_PATH);
+  if (!match) return null;
+
+  const version = searchParams.get('version');
+  const query = [...searchParams.entries()]
+    .filter(([key]) => key !== 'version')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  return {
+    fileKey: match[1],
+    version,
+    endpoint: query ? `${pathname}?${query}` : pathname
+  };
+}
+
+/**
+ * File-backed store behind the caching transport.
+ */
+export function createResponseCache(dir = DEFAULT_CACHE_DIR) {
+  const indexPath = path.join(dir, 'index.json');
+  const objectsDir = path.join(dir, 'objects');
+
+  // Read on every access so separate processes see each other's entries
+  function readIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch {
+      return { files: {} };
+    }
+  }
+
+  function writeIndex(index) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  function getEntry(fileKey, version, endpoint) {
+    return readIndex().files[fileKey]?.versions[version]?.[endpoint] || null;
+  }
+
+  function get(fileKey, version, endpoint) {
+    const entry = getEntry(fileKey, version, endpoint);
+    if (!entry) return null;
+
+    try {
+      return fs.readFileSync(path.join(objectsDir, `${entry.hash}.json`), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  function put(fileKey, version, endpoint, body, { source = 'network' } = {}) {
+    const hash = sha256(body);
+    const objectPath = path.join(objectsDir, `${hash}.json`);
+
+    if (!fs.existsSync(objectPath)) {
+      fs.mkdirSync(objectsDir, { recursive: true });
+      fs.writeFileSync(objectPath, body);
+    }
+
+    const index = readIndex();
+    const file = index.files[fileKey] || (index.files[fileKey] = { latestVersion: null, versions: {} });
+    const versionEntries = file.versions[version] || (file.versions[version] = {});
+    versionEntries[endpoint] = { hash, size: Buffer.byteLength(body), source, recordedAt: new Date().toISOString() };
+    writeIndex(index);
+
+    return hash;
+  }
+
+  function getLatestVersion(fileKey) {
+    return readIndex().files[fileKey]?.latestVersion || null;
+  }
+
+  function setLatestVersion(fileKey, version) {
+    const index = readIndex();
+    const file = index.files[fileKey] || (index.files[fileKey] = { latestVersion: null, versions: {} });
+    file.latestVersion = version;
+    writeIndex(index);
+  }
+
+  // Flat list of every recorded response
+  function entries() {
+    const index = readIndex();
+    return Object.entries(index.files).flatMap(([fileKey, file]) =>
+      Object.entries(file.versions).flatMap(([version, endpoints]) =>
+        Object.entries(endpoints).map(([endpoint, entry]) => ({
+          fileKey,
+          version,
+          latest: version === file.latestVersion,
+          endpoint,
+          ...entry
+        }))
+      )
+    );
+  }
+
+  function clear() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { dir, get, getEntry, put, getLatestVersion, setLatestVersion, entries, clear };
+}
+
+function isSuccess(response) {
+  if (response.status < 200 || response.status >= 300) return false;
+
+  // Some endpoints answer 200 with an error payload; never record those
+  try {
+    const json = typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+    return !(json && json.status >= 400);
+  } catch {
+    return false;
+  }
+}
+
+function cachedResponse(body) {
+  return { status: 200, headers: { 'x-figma-cache': 'hit' }, body };
+}
+
+function defaultOnHit({ endpoint, version }) {
+  console.log(`💾 Using cached ${endpoint} (version ${version})`);
+}
+
+/**
+ * Wrap a transport with the response cache.
+ *
+ * Online, requests without an explicit `version` first resolve the file's
+ * current version with a cheap depth=1 call (once per process), then reuse
+ * any response recorded for that version. Offline, nothing touches the
+ * network: the latest recorded version is replayed, and a missing response
+ * raises FigmaCacheMissError.
+ *
+ * @param {object} options
+ * @param {Function} options.transport - the transport used for network requests
+ * @param {object} [options.cache] - a store from createResponseCache()
+ * @param {boolean} [options.offline] - replay recorded responses only
+ * @param {Function} [options.onHit] - called with { endpoint, version } for every cache hit
+ */
+export function createCachingTransport({ transport, cache = createResponseCache(), offline = false, onHit = defaultOnHit }) {
+  async function lookupVersion(url, fileKey, headers) {
+    const endpoint = `/v1/files/${fileKey}?depth=1`;
+    const response = await transport({ method: 'GET', url: new URL(endpoint, url).href, headers });
+    if (!isSuccess(response)) return null;
+
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+    const { version } = JSON.parse(body);
+    if (!version) return null;
+
+    // The lookup is a real response too; record it under its version
+    cache.put(fileKey, version, endpoint, body);
+    cache.setLatestVersion(fileKey, version);
+    return version;
+  }
+
+  function currentVersion(url, fileKey, headers) {
+    const memoKey = `${new URL(url).origin} ${cache.dir} ${fileKey}`;
+
+    if (!resolvedVersions.has(memoKey)) {
+      const pending = lookupVersion(url, fileKey, headers).then(
+        (version) => {
+          if (!version) resolvedVersions.delete(memoKey);
+          return version;
+        },
+        () => {
+          resolvedVersions.delete(memoKey);
+          return null;
+        }
+      );
+      resolvedVersions.set(memoKey, pending);
+    }
+
+    return resolvedVersions.get(memoKey);
+  }
+
+  return async function cachingTransport(request) {
+    const target = parseCacheableUrl(request.url);
+
+    if (offline) {
+      const { pathname, search } = new URL(request.url);
+      const version = target && (target.version || cache.getLatestVersion(target.fileKey));
+      const body = version ? cache.get(target.fileKey, version, target.endpoint) : null;
+
+      if (body === null) {
+        throw new FigmaCacheMissError(
+          `No recorded response for ${target ? target.endpoint : pathname + search}` +
+            (version ? ` (version ${version})` : '') +
+            ' - run once online or seed the cache with "figma cache seed"',
+          { endpoint: pathname + search }
+        );
+      }
+
+      onHit({ endpoint: target.endpoint, version });
+      return cachedResponse(body);
+    }
+
+    if (!target) {
+      return transport(request);
+    }
+
+    // Without a version there is nothing safe to key on; go straight to the API
+    const version = target.version || await currentVersion(request.url, target.fileKey, request.headers);
+    if (!version) {
+      return transport(request);
+    }
+
+    const cached = cache.get(target.fileKey, version, target.endpoint);
+    if (cached !== null) {
+      onHit({ endpoint: target.endpoint, version });
+      return cachedResponse(cached);
+    }
+
+    // Parallel callers asking for the same response share one download
+    const inFlightKey = `${cache.dir} ${target.fileKey} ${version} ${target.endpoint}`;
+    if (!inFlight.has(inFlightKey)) {
+      const pending = transport(request)
+        .then((response) => {
+          if (isSuccess(response)) {
+            const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+            cache.put(target.fileKey, version, target.endpoint, body);
+          }
+          return response;
+        })
+        .finally(() => inFlight.delete(inFlightKey));
+      inFlight.set(inFlightKey, pending);
+    }
+
+    return inFlight.get(inFlightKey);
+  };
+}
+
+/**
+ * Record the structure JSON in src/files as replayable responses, so offline
+ * runs work on a fresh checkout. Seeds never replace responses that were
+ * recorded from the API.
+ *
+ * A file structure export only goes `depth` levels deep, so it seeds the
+ * `?depth=N` requests up to that depth and never the full `/v1/files/:key`
+ * document. A node structure export seeds `/v1/files/:key/nodes` for its
+ * node, under the file key and version of the file structure seeded before
+ * it (or its own `fileKey` and `version`, when it has them).
+ */
+export function seedCache({ cache = createResponseCache(), files = DEFAULT_SEED_FILES } = {}) {
+  const seeded = [];
+  let file = null;
+
+  const seed = (source, endpoint, body) => {
+    const existing = cache.getEntry(file.fileKey, file.version, endpoint);
+    if (existing && existing.source !== 'seed') return;
+
+    cache.put(file.fileKey, file.version, endpoint, body, { source: 'seed' });
+    seeded.push({ fileKey: file.fileKey, version: file.version, endpoint, source: path.basename(source) });
+  };
+
+  files.forEach((source) => {
+    const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+    const header = () => ({ name: file.name, lastModified: file.lastModified, version: file.version, thumbnailUrl: file.thumbnailUrl });
+
+    if (data.nodeId && data.structure) {
+      if (data.fileKey && data.version) file = data;
+      if (!file) {
+        throw new Error(`${source} has no fileKey or version; seed it after the file structure it was taken from`);
+      }
+
+      const node = structureToApiNode(data.structure);
+      const response = (maxDepth) => JSON.stringify({
+        ...header(),
+        nodes: { [data.nodeId]: { document: toApiNode(node, maxDepth), components: {}, componentSets: {}, styles: {}, schemaVersion: 0 } }
+      });
+
+      seed(source, `/v1/files/${file.fileKey}/nodes?ids=${data.nodeId}`, response(Infinity));
+      for (let level = 1; level <= NODE_SEED_DEPTH; level++) {
+        seed(source, `/v1/files/${file.fileKey}/nodes?depth=${level}&ids=${data.nodeId}`, response(level));
+      }
+      return;
+    }
+
+    if (!data.fileKey || !data.version || !data.document) {
+      throw new Error(`${source} is not a file or node structure export (needs fileKey, version and document, or nodeId and structure)`);
+    }
+    file = data;
+
+    for (let level = 1; level <= (data.depth || 2); level++) {
+      seed(source, `/v1/files/${data.fileKey}?depth=${level}`, JSON.stringify({
+        ...header(),
+        document: toApiNode(data.document, level),
+        components: {},
+        componentSets: {},
+        styles: {}
+      }));
+    }
+
+    if (!cache.getLatestVersion(data.fileKey)) {
+      cache.setLatestVersion(data.fileKey, data.version);
+    }
+  });
+
+  return seeded;
+}
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createResponseCache, seedCache } from './figma-cache.js';
+import { createFigmaClient } from './figma-client.js';
+import { FigmaCacheMissError } from './figma-errors.js';
+
+const FILE_KEY = '58iMjhnEMxJ9ovSNFNjxpZ';
+const NODE_ID = '5584:558165';
+
+describe('seedCache', () => {
+  let cacheDir;
+  let figma;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figma-cache-'));
+    seedCache({ cache: createResponseCache(cacheDir) });
+    figma = createFigmaClient({ token: 'offline', cacheDir, offline: true, onRetry: () => {} });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('replays the node structure from the nodes endpoint', async () => {
+    const { nodes } = await figma.getFileNodes(FILE_KEY, [NODE_ID], { depth: 10 });
+    expect(nodes[NODE_ID].document).toMatchObject({ id: NODE_ID, type: 'FRAME' });
+    expect(nodes[NODE_ID].document.children).toHaveLength(4);
+  });
+
+  it('cuts the node tree at the requested depth', async () => {
+    const { nodes } = await figma.getFileNodes(FILE_KEY, [NODE_ID], { depth: 1 });
+    expect(nodes[NODE_ID].document.children.every(child => child.children === undefined)).toBe(true);
+  });
+
+  it('replays the shallow file requests the structure covers', async () => {
+    const file = await figma.getFile(FILE_KEY, { depth: 2 });
+    expect(file.document.children.length).toBeGreaterThan(0);
+  });
+
+  it('does not pass the shallow structure off as the full document', async () => {
+    await expect(figma.getFile(FILE_KEY)).rejects.toBeInstanceOf(FigmaCacheMissError);
+  });
+
+  it('never replaces responses recorded from the API', () => {
+    const cache = createResponseCache(cacheDir);
+    const endpoint = `/v1/files/${FILE_KEY}/nodes?depth=10&ids=${NODE_ID}`;
+    const { version } = cache.entries().find(entry => entry.endpoint === endpoint);
+    cache.put(FILE_KEY, version, endpoint, '{"recorded":true}');
+
+    expect(seedCache({ cache }).map(entry => entry.endpoint)).not.toContain(endpoint);
+    expect(cache.get(FILE_KEY, version, endpoint)).toBe('{"recorded":true}');
+  });
+
+  it('needs a file structure before a node structure without its own file key', () => {
+    expect(() => seedCache({ cache: createResponseCache(cacheDir), files: [path.join(import.meta.dirname, '../../files/figma-node-structure.json')] }))
+      .toThrow(/no fileKey or version/);
+  });
+});
@@ -0,0 +1,288 @@
+import http from 'http';
+import https from 'https';
+import { createCachingTransport, createResponseCache, DEFAULT_CACHE_DIR } from './figma-cache.js';
+import { FigmaApiError, FigmaAuthError, FigmaNotFoundError, FigmaRateLimitError, FigmaTokenExpiredError } from './figma-errors.js';
+
+export * from './figma-errors.js';
+
+/**
+ * Shared Figma REST API client.
+ *
+ * Every extractor in src/scripts and every downloader in scripts/ goes through
+ * this module so retries, rate limiting and error reporting behave the same
+ * everywhere. The HTTP layer is a pluggable transport, which keeps the client
+ * usable against a recorded cache or a local stand-in server.
+ *
+ * Responses are cached on disk per file version (see figma-cache.js). Set
+ * FIGMA_OFFLINE=1 to replay recorded responses without network access, or
+ * FIGMA_CACHE=off to always hit the API. FIGMA_API_BASE_URL points every
+ * script at another origin, such as the mock server in mock-figma-server.js.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.figma.com';
+
+// Transient statuses worth another attempt; everything else fails fast
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Default transport: a single request over http(s), picked from the URL.
+ * Resolves with { status, headers, body } and only rejects on network errors.
+ */
+export function httpTransport({ method = 'GET', url, headers = {} }) {
+  const client = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers }, (res) => {
+      let data = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function defaultOnRetry({ endpoint, attempt, delay, reason }) {
+  const seconds = (delay / 1000).toFixed(1);
+  if (reason === 'rate_limit') {
+    console.log(`⏳ Rate limited on ${endpoint}, waiting ${seconds}s (retry ${attempt})...`);
+  } else {
+    console.log(`🔄 Request to ${endpoint} failed (${reason}), retrying in ${seconds}s (retry ${attempt})...`);
+  }
+}
+
+function buildQuery(params = {}) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      const serialized = Array.isArray(value) ? value.join(',') : String(value);
+      // Node IDs stay readable (1:2,3:4); Figma accepts both forms
+      const encoded = encodeURIComponent(serialized).replace(/%3A/g, ':').replace(/%2C/g, ',');
+      return `${encodeURIComponent(key)}=${encoded}`;
+    })
+    .join('&');
+
+  return query ? `?${query}` : '';
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null) return null;
+
+  const header = Array.isArray(value) ? value[0] : String(value);
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+// Figma reports errors as { status, err } or { error: true, status, message }
+function errorMessageFrom(json, status) {
+  if (json && (json.err || json.message)) {
+    return json.err || json.message;
+  }
+  return `HTTP ${status}`;
+}
+
+function createApiError(status, endpoint, json, retryAfter) {
+  const message = errorMessageFrom(json, status);
+  const details = { status, endpoint, body: json, retryAfter };
+
+  if (status === 403) {
+    if (/expired/i.test(message)) {
+      return new FigmaTokenExpiredError(`Figma token expired: ${message}`, details);
+    }
+    return new FigmaAuthError(`Figma access denied for ${endpoint}: ${message}`, details);
+  }
+
+  if (status === 404) {
+    return new FigmaNotFoundError(`Figma resource not found: ${endpoint} (${message})`, details);
+  }
+
+  if (status === 429) {
+    return new FigmaRateLimitError(`Figma rate limit exceeded for ${endpoint}`, details);
+  }
+
+  return new FigmaApiError(`API Error: ${message}`, details);
+}
+
+/**
+ * Create a Figma API client.
+ *
+ * @param {object} [options]
+ * @param {string} [options.token] - personal access token, defaults to FIGMA_TOKEN
+ * @param {string} [options.baseUrl] - API origin, defaults to FIGMA_API_BASE_URL or https://api.figma.com
+ * @param {Function} [options.transport] - ({ method, url, headers }) => Promise<{ status, headers, body }>
+ * @param {boolean} [options.cache] - cache responses per file version, defaults to FIGMA_CACHE !== 'off'
+ *   for the real API and off for any other base URL
+ * @param {string} [options.cacheDir] - cache location, defaults to FIGMA_CACHE_DIR or .figma-cache
+ * @param {boolean} [options.offline] - replay cached responses only, defaults to FIGMA_OFFLINE=1
+ * @param {number} [options.maxRetries] - retries for 429, 5xx and network errors
+ * @param {number} [options.retryDelay] - base backoff in ms, doubled on every retry
+ * @param {number} [options.maxRetryDelay] - upper bound for a single wait in ms
+ * @param {Function} [options.sleep] - (ms) => Promise, injectable for tests
+ * @param {Function} [options.onRetry] - called with { endpoint, attempt, delay, reason }
+ */
+export function createFigmaClient(options = {}) {
+  const {
+    token = process.env.FIGMA_TOKEN,
+    baseUrl = process.env.FIGMA_API_BASE_URL || DEFAULT_BASE_URL,
+    transport = httpTransport,
+    // Never mix responses from a stand-in server into the real cache
+    cache = process.env.FIGMA_CACHE !== 'off' && baseUrl === DEFAULT_BASE_URL,
+    cacheDir = process.env.FIGMA_CACHE_DIR || DEFAULT_CACHE_DIR,
+    offline = process.env.FIGMA_OFFLINE === '1' || process.env.FIGMA_OFFLINE === 'true',
+    maxRetries = 3,
+    retryDelay = 1000,
+    maxRetryDelay = 60000,
+    sleep = defaultSleep,
+    onRetry = defaultOnRetry
+  } = options;
+
+  const origin = baseUrl.replace(/\/+$/, '');
+
+  // Offline replay needs the cache even when caching is otherwise switched off
+  const send = cache || offline
+    ? createCachingTransport({ transport, cache: createResponseCache(cacheDir), offline })
+    : transport;
+
+  function backoff(attempt) {
+    return Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+  }
+
+  async function request(endpoint) {
+    if (!token && !offline) {
+      throw new FigmaAuthError('FIGMA_TOKEN is not set', { endpoint });
+    }
+
+    const url = `${origin}${endpoint}`;
+    const headers = token ? { 'X-FIGMA-TOKEN': token } : {};
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await send({ method: 'GET', url, headers });
+      } catch (error) {
+        // Raised deliberately by a transport (e.g. an offline cache miss); not retryable
+        if (error instanceof FigmaApiError) {
+          throw error;
+        }
+        if (attempt >= maxRetries) {
+          throw new FigmaApiError(`Request to ${endpoint} failed: ${error.message}`, { endpoint });
+        }
+        const delay = backoff(attempt);
+        onRetry({ endpoint, attempt: attempt + 1, delay, reason: error.code || error.message });
+        await sleep(delay);
+        continue;
+      }
+
+      const { status, headers: responseHeaders, body } = response;
+      let json = null;
+
+      if (body !== undefined && body !== null && body !== '') {
+        try {
+          json = typeof body === 'string' ? JSON.parse(body) : body;
+        } catch (error) {
+          if (status >= 200 && status < 300) {
+            throw new FigmaApiError(`JSON Parse Error: ${error.message}`, { status, endpoint, body });
+          }
+        }
+      }
+
+      // Some endpoints answer 200 with an error payload
+      const effectiveStatus = status >= 200 && status < 300 && json && json.status >= 400
+        ? json.status
+        : status;
+
+      if (effectiveStatus >= 200 && effectiveStatus < 300) {
+        return json;
+      }
+
+      const retryAfter = effectiveStatus === 429
+        ? parseRetryAfter(getHeader(responseHeaders, 'retry-after'))
+        : null;
+
+      if (RETRYABLE_STATUSES.has(effectiveStatus) && attempt < maxRetries) {
+        const delay = retryAfter !== null ? Math.min(retryAfter, maxRetryDelay) : backoff(attempt);
+        onRetry({
+          endpoint,
+          attempt: attempt + 1,
+          delay,
+          reason: effectiveStatus === 429 ? 'rate_limit' : `HTTP ${effectiveStatus}`
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      throw createApiError(effectiveStatus, endpoint, json, retryAfter);
+    }
+  }
+
+  // GET /v1/files/:key
+  function getFile(fileKey, { depth, version, ids, geometry } = {}) {
+    return request(`/v1/files/${fileKey}${buildQuery({ depth, version, ids, geometry })}`);
+  }
+
+  // GET /v1/files/:key/nodes
+  function getFileNodes(fileKey, ids, { depth, version, geometry } = {}) {
+    return request(`/v1/files/${fileKey}/nodes${buildQuery({ ids, depth, version, geometry })}`);
+  }
+
+  // GET /v1/images/:key - rendered node exports
+  function getImages(fileKey, ids, { format = 'png', scale, version } = {}) {
+    return request(`/v1/images/${fileKey}${buildQuery({ ids, format, scale, version })}`);
+  }
+
+  // GET /v1/files/:key/images - download URLs for every image fill
+  function getImageFills(fileKey) {
+    return request(`/v1/files/${fileKey}/images`);
+  }
+
+  // GET /v1/files/:key/versions - newest first
+  function getFileVersions(fileKey) {
+    return request(`/v1/files/${fileKey}/versions`);
+  }
+
+  // GET /v1/files/:key/variables/local
+  function getLocalVariables(fileKey) {
+    return request(`/v1/files/${fileKey}/variables/local`);
+  }
+
+  return {
+    request,
+    getFile,
+    getFileNodes,
+    getImages,
+    getImageFills,
+    getFileVersions,
+    getLocalVariables
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Error types raised by the Figma client and its transports.
+ * Kept separate so transports can raise them without importing the client.
+ */
+
+export class FigmaApiError extends Error {
+  constructor(message, { status, endpoint, body } = {}) {
+    super(message);
+    this.name = 'FigmaApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+}
+
+// 403 - token missing, invalid or lacking access to the file
+export class FigmaAuthError extends FigmaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FigmaAuthError';
+  }
+}
+
+// 403 with an expired personal access token
+export class FigmaTokenExpiredError extends FigmaAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FigmaTokenExpiredError';
+  }
+}
+
+// 404 - unknown file key or node ID
+export class FigmaNotFoundError extends FigmaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FigmaNotFoundError';
+  }
+}
+
+// 429 that was still rate limited after every retry
+export class FigmaRateLimitError extends FigmaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FigmaRateLimitError';
+    this.retryAfter = details?.retryAfter;
+  }
+}
+
+// Offline mode and no recorded response for the request
+export class FigmaCacheMissError extends FigmaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FigmaCacheMissError';
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Sizing and positioning classes for extractNodeStructure().
+ *
+ * Auto-layout children follow their sizing mode (FILL, HUG or FIXED) so the
+ * generated markup stays fluid; children of frames without auto-layout, and
+ * auto-layout children set to ABSOLUTE, are positioned from their
+ * constraints.
+ */
+
+// Parents whose non-auto-layout children are placed at absolute positions
+const POSITIONING_PARENTS = new Set(['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'GROUP']);
+
+// Canvas-level containers; frames placed in them are pages, not children
+const TOP_LEVEL_PARENTS = new Set(['DOCUMENT', 'CANVAS', 'SECTION']);
+
+function isAutoLayout(node) {
+  return node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL';
+}
+
+export function isTopLevel(parent) {
+  return !parent || TOP_LEVEL_PARENTS.has(parent.type);
+}
+
+export function isAbsolutelyPositioned(node, parent) {
+  if (isTopLevel(parent)) return false;
+  if (node.layoutPositioning === 'ABSOLUTE') return true;
+  return !isAutoLayout(parent) && POSITIONING_PARENTS.has(parent.type);
+}
+
+function isPrimaryAxis(layoutMode, axis) {
+  return (layoutMode === 'HORIZONTAL') === (axis === 'horizontal');
+}
+
+/**
+ * FIXED, HUG or FILL for one axis. Files saved before layoutSizing* existed
+ * only have layoutGrow / layoutAlign / *AxisSizingMode, so fall back to those.
+ */
+export function axisSizing(node, parent, axis) {
+  const explicit = axis === 'horizontal' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+  if (explicit) return explicit;
+
+  if (parent && isAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE') {
+    const primary = isPrimaryAxis(parent.layoutMode, axis);
+    if (primary && node.layoutGrow === 1) return 'FILL';
+    if (!primary && node.layoutAlign === 'STRETCH') return 'FILL';
+  }
+
+  if (isAutoLayout(node)) {
+    const mode = isPrimaryAxis(node.layoutMode, axis) ? node.primaryAxisSizingMode : node.counterAxisSizingMode;
+    if (mode === 'AUTO') return 'HUG';
+  }
+
+  if (node.type === 'TEXT') {
+    if (node.textAutoResize === 'WIDTH_AND_HEIGHT') return 'HUG';
+    if (node.textAutoResize === 'HEIGHT' && axis === 'vertical') return 'HUG';
+  }
+
+  return 'FIXED';
+}
+
+function px(value) {
+  return Math.round(value);
+}
+
+/**
+ * { width, height, flex, minMax } classes for the node inside `parent`.
+ */
+export function sizeClasses(node, parent) {
+  const result = {};
+  const box = node.absoluteBoundingBox;
+  const absolute = isAbsolutelyPositioned(node, parent);
+  const inFlex = parent && isAutoLayout(parent) && !absolute;
+  const constraints = node.constraints || {};
+
+  ['horizontal', 'vertical'].forEach((axis) => {
+    const key = axis === 'horizontal' ? 'width' : 'height';
+    const letter = axis === 'horizontal' ? 'w' : 'h';
+    const sizing = axisSizing(node, parent, axis);
+    const primary = inFlex && isPrimaryAxis(parent.layoutMode, axis);
+
+    // Pages span the viewport and grow with their content
+    if (isTopLevel(parent)) {
+      if (axis === 'horizontal') result.width = 'w-full';
+      else if (sizing !== 'HUG' && box) result.height = `min-h-[${px(box.height)}px]`;
+      return;
+    }
+
+    // Stretched and scaled absolute children get their size from the offsets
+    if (absolute && ['LEFT_RIGHT', 'TOP_BOTTOM', 'SCALE'].includes(constraints[axis])) return;
+
+    if (sizing === 'FILL') {
+      if (primary) result.flex = 'flex-1';
+      else result[key] = axis === 'horizontal' ? 'w-full' : 'self-stretch';
+    } else if (sizing === 'HUG') {
+      result[key] = `${letter}-fit`;
+    } else if (box) {
+      result[key] = `${letter}-[${px(box[key])}px]`;
+      // Fixed-size auto-layout children keep their size like in Figma
+      if (primary) result.flex = 'shrink-0';
+    }
+  });
+
+  const limits = [
+    ['minWidth', 'min-w'], ['maxWidth', 'max-w'], ['minHeight', 'min-h'], ['maxHeight', 'max-h']
+  ]
+    .filter(([property]) => typeof node[property] === 'number')
+    .map(([property, prefix]) => `${prefix}-[${px(node[property])}px]`);
+  if (limits.length > 0) result.minMax = limits.join(' ');
+
+  return result;
+}
+
+function offset(prefix, value) {
+  if (value === 0) return `${prefix}-0`;
+  return value < 0 ? `-${prefix}-[${-value}px]` : `${prefix}-[${value}px]`;
+}
+
+function percent(value) {
+  return `${Number((value * 100).toFixed(2))}%`;
+}
+
+/**
+ * `absolute` plus offsets derived from the node's constraints relative to
+ * its parent's box.
+ */
+export function positionClasses(node, parent) {
+  if (!isAbsolutelyPositioned(node, parent)) return undefined;
+
+  const box = node.absoluteBoundingBox;
+  const parentBox = parent.absoluteBoundingBox;
+  if (!box || !parentBox) return 'absolute';
+
+  const { horizontal = 'LEFT', vertical = 'TOP' } = node.constraints || {};
+  const classes = ['absolute'];
+
+  const axes = [
+    { constraint: horizontal, start: 'left', end: 'right', translate: 'x', size: 'w', pos: 'x', length: 'width' },
+    { constraint: vertical, start: 'top', end: 'bottom', translate: 'y', size: 'h', pos: 'y', length: 'height' }
+  ];
+
+  axes.forEach(({ constraint, start, end, translate, size, pos, length }) => {
+    const before = px(box[pos] - parentBox[pos]);
+    const after = px(parentBox[pos] + parentBox[length] - (box[pos] + box[length]));
+
+    switch (constraint) {
+      case 'RIGHT':
+      case 'BOTTOM':
+        classes.push(offset(end, after));
+        break;
+      case 'LEFT_RIGHT':
+      case 'TOP_BOTTOM':
+        classes.push(offset(start, before), offset(end, after));
+        break;
+      case 'CENTER': {
+        const shift = px(box[pos] + box[length] / 2 - (parentBox[pos] + parentBox[length] / 2));
+        classes.push(shift === 0 ? `${start}-1/2` : `${start}-[calc(50%${shift < 0 ? '-' : '+'}${Math.abs(shift)}px)]`);
+        classes.push(`-translate-${translate}-1/2`);
+        break;
+      }
+      case 'SCALE':
+        classes.push(`${start}-[${percent((box[pos] - parentBox[pos]) / parentBox[length])}]`);
+        classes.push(`${size}-[${percent(box[length] / parentBox[length])}]`);
+        break;
+      default:
+        classes.push(offset(start, before));
+    }
+  });
+
+  return classes.join(' ');
+}
+
+// Nodes with absolutely positioned children become their containing block
+export function needsRelative(node, parent) {
+  if (isAbsolutelyPositioned(node, parent)) return false;
+  return (node.children || []).some(child => isAbsolutelyPositioned(child, node));
+}
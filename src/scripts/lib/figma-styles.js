@@ -0,0 +1,289 @@
+/**
+ * Fill, stroke, effect and blend mode translation for extractNodeStructure().
+ *
+ * Each function returns Tailwind classes (named where a token or scale step
+ * matches, arbitrary values otherwise) and pushes anything CSS cannot express
+ * onto `untranslated` as { property, value, reason }.
+ */
+
+const BORDER_WIDTHS = { 0: '-0', 1: '', 2: '-2', 4: '-4', 8: '-8' };
+
+// Tailwind v4's blur scale in px (CSS blur() radius), --blur-* in tailwindcss/theme.css
+const BLUR_SCALE = { 4: 'xs', 8: 'sm', 12: 'md', 16: 'lg', 24: 'xl', 40: '2xl', 64: '3xl' };
+
+const BLEND_MODES = {
+  MULTIPLY: 'multiply',
+  SCREEN: 'screen',
+  OVERLAY: 'overlay',
+  DARKEN: 'darken',
+  LIGHTEN: 'lighten',
+  COLOR_DODGE: 'color-dodge',
+  COLOR_BURN: 'color-burn',
+  HARD_LIGHT: 'hard-light',
+  SOFT_LIGHT: 'soft-light',
+  DIFFERENCE: 'difference',
+  EXCLUSION: 'exclusion',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity',
+  LINEAR_DODGE: 'plus-lighter'
+};
+
+// Gradient directions Tailwind has keywords for, by handle direction in node space
+const GRADIENT_DIRECTIONS = {
+  '0,-1': 't', '1,-1': 'tr', '1,0': 'r', '1,1': 'br',
+  '0,1': 'b', '-1,1': 'bl', '-1,0': 'l', '-1,-1': 'tl'
+};
+
+// Nodes whose strokes and fills are exported as SVG rather than styled with CSS
+const VECTOR_TYPES = new Set(['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'POLYGON', 'ELLIPSE', 'LINE']);
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+// Same rgb() notation the token matcher uses for arbitrary colors
+export function cssColor(color, opacity = 1) {
+  const rgb = `${Math.round(color.r * 255)} ${Math.round(color.g * 255)} ${Math.round(color.b * 255)}`;
+  const alpha = (color.a ?? 1) * opacity;
+  return alpha < 1 ? `rgb(${rgb}/${round(alpha)})` : `rgb(${rgb})`;
+}
+
+function isVisible(paint) {
+  return paint.visible !== false && (paint.opacity ?? 1) > 0;
+}
+
+function stopList(paint) {
+  return paint.gradientStops
+    .map(stop => `${cssColor(stop.color, paint.opacity ?? 1)}_${round(stop.position * 100)}%`)
+    .join(',');
+}
+
+/**
+ * CSS gradient for a gradient paint, or null for GRADIENT_DIAMOND which CSS
+ * has no equivalent for. Handle positions are in node space (0-1), so the
+ * node's size is needed to get the on-screen angle right.
+ */
+export function gradientToCss(paint, size = { width: 1, height: 1 }) {
+  const [start, end] = paint.gradientHandlePositions || [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }];
+  const dx = (end.x - start.x) * size.width;
+  const dy = (end.y - start.y) * size.height;
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    // CSS angles start at the top and go clockwise
+    const angle = round(((Math.atan2(dx, -dy) * 180) / Math.PI + 360) % 360, 1);
+    return `linear-gradient(${angle}deg,${stopList(paint)})`;
+  }
+
+  const center = `${round(start.x * 100)}%_${round(start.y * 100)}%`;
+  if (paint.type === 'GRADIENT_RADIAL') {
+    return `radial-gradient(circle_at_${center},${stopList(paint)})`;
+  }
+  if (paint.type === 'GRADIENT_ANGULAR') {
+    const angle = round(((Math.atan2(dx, -dy) * 180) / Math.PI + 360) % 360, 1);
+    return `conic-gradient(from_${angle}deg_at_${center},${stopList(paint)})`;
+  }
+  return null;
+}
+
+// bg-gradient-to-r from-x via-y to-z for simple axis-aligned or corner-to-corner gradients
+function gradientUtilities(paint, matcher, node) {
+  if (paint.type !== 'GRADIENT_LINEAR' || !paint.gradientHandlePositions) return null;
+
+  const [start, end] = paint.gradientHandlePositions;
+  const key = [end.x - start.x, end.y - start.y].map(delta => (Math.abs(delta) < 0.01 ? 0 : Math.sign(delta))).join(',');
+  const direction = GRADIENT_DIRECTIONS[key];
+  const straight = [end.x - start.x, end.y - start.y].every(delta => Math.abs(delta) < 0.01 || Math.abs(Math.abs(delta) - 1) < 0.01);
+  const stops = paint.gradientStops;
+
+  const positioned = stops.length === 2
+    ? stops[0].position === 0 && stops[1].position === 1
+    : stops.length === 3 && stops[0].position === 0 && Math.abs(stops[1].position - 0.5) < 0.01 && stops[2].position === 1;
+  if (!direction || !straight || !positioned) return null;
+
+  const stopClass = (prefix, stop) => matcher.color(prefix, { color: stop.color, opacity: paint.opacity ?? 1 }, node, 'fills');
+  const classes = [`bg-gradient-to-${direction}`, stopClass('from', stops[0])];
+  if (stops.length === 3) classes.push(stopClass('via', stops[1]));
+  classes.push(stopClass('to', stops[stops.length - 1]));
+  return classes.join(' ');
+}
+
+/**
+ * Background classes for every visible fill. Figma lists fills bottom to
+ * top, CSS background layers top to bottom; a SOLID bottom layer becomes
+ * the background color and the rest become background-image layers.
+ */
+export function fillClasses(node, matcher, untranslated) {
+  const size = node.absoluteBoundingBox || { width: 1, height: 1 };
+  const fills = (node.fills || []).filter(isVisible);
+  const layers = [];
+
+  fills.forEach((paint, index) => {
+    if (paint.type === 'IMAGE' || paint.type === 'VIDEO') {
+      // Exported as assets; rectangles get imageContent, other nodes only a note
+      if (node.type !== 'RECTANGLE') {
+        untranslated.push({ property: `fills[${index}]`, value: paint.type, reason: 'image fills are only exported for rectangles' });
+      }
+      return;
+    }
+    if (paint.type === 'GRADIENT_DIAMOND') {
+      untranslated.push({ property: `fills[${index}]`, value: paint.type, reason: 'CSS has no diamond gradient' });
+      return;
+    }
+    if (paint.blendMode && paint.blendMode !== 'NORMAL' && fills.length > 1) {
+      if (BLEND_MODES[paint.blendMode] && paint.blendMode !== 'LINEAR_DODGE') {
+        layers.push({ paint, index, blend: BLEND_MODES[paint.blendMode] });
+        return;
+      }
+      untranslated.push({ property: `fills[${index}].blendMode`, value: paint.blendMode, reason: 'no background-blend-mode equivalent' });
+    }
+    layers.push({ paint, index });
+  });
+
+  if (layers.length === 0) return undefined;
+
+  if (layers.length === 1) {
+    const [{ paint }] = layers;
+    if (paint.type === 'SOLID') return matcher.color('bg', paint, node, 'fills');
+    return gradientUtilities(paint, matcher, node) || `bg-[image:${gradientToCss(paint, size)}]`;
+  }
+
+  const classes = [];
+  const imageLayers = [...layers];
+  if (imageLayers[0].paint.type === 'SOLID') {
+    classes.push(matcher.color('bg', imageLayers.shift().paint, node, 'fills'));
+  }
+
+  // Solid layers above others become flat gradients
+  const images = imageLayers.reverse().map(({ paint }) => (
+    paint.type === 'SOLID'
+      ? `linear-gradient(${cssColor(paint.color, paint.opacity ?? 1)},${cssColor(paint.color, paint.opacity ?? 1)})`
+      : gradientToCss(paint, size)
+  ));
+  classes.push(`bg-[image:${images.join(',')}]`);
+
+  const blends = imageLayers.map(layer => layer.blend || 'normal');
+  if (blends.some(blend => blend !== 'normal')) {
+    classes.push(new Set(blends).size === 1 ? `bg-blend-${blends[0]}` : `[background-blend-mode:${blends.join(',')}]`);
+  }
+
+  return classes.join(' ');
+}
+
+function borderWidthClass(side, weight) {
+  const prefix = side ? `border-${side}` : 'border';
+  return BORDER_WIDTHS[weight] !== undefined ? `${prefix}${BORDER_WIDTHS[weight]}` : `${prefix}-[${round(weight)}px]`;
+}
+
+/**
+ * Border width (uniform or per side), color and style for the node's strokes.
+ */
+export function strokeClasses(node, matcher, untranslated) {
+  const strokes = (node.strokes || []).filter(isVisible);
+  const result = {};
+  if (strokes.length === 0) return result;
+
+  if (node.type === 'TEXT') {
+    untranslated.push({ property: 'strokes', value: strokes[0].type, reason: 'text outlines are not translated' });
+    return result;
+  }
+
+  const individual = node.individualStrokeWeights;
+  if (individual) {
+    const { top, right, bottom, left } = individual;
+    if (top === right && right === bottom && bottom === left) {
+      result.width = borderWidthClass('', top);
+    } else {
+      result.width = [['t', top], ['r', right], ['b', bottom], ['l', left]]
+        .filter(([, weight]) => weight > 0)
+        .map(([side, weight]) => borderWidthClass(side, weight))
+        .join(' ');
+    }
+  } else if (node.strokeWeight) {
+    result.width = borderWidthClass('', node.strokeWeight);
+  }
+
+  const [stroke, ...rest] = strokes;
+  if (stroke.type === 'SOLID' && stroke.color) {
+    result.color = matcher.color('border', stroke, node, 'strokes');
+  } else {
+    untranslated.push({ property: 'strokes[0]', value: stroke.type, reason: 'borders only take a solid color' });
+  }
+  rest.forEach((extra, index) => {
+    untranslated.push({ property: `strokes[${index + 1}]`, value: extra.type, reason: 'CSS borders have a single color' });
+  });
+
+  if (node.strokeDashes && node.strokeDashes.length > 0) {
+    const [dash] = node.strokeDashes;
+    const weight = node.strokeWeight || 1;
+    result.style = dash <= weight ? 'border-dotted' : 'border-dashed';
+    untranslated.push({
+      property: 'strokeDashes',
+      value: node.strokeDashes.join(','),
+      reason: `dash lengths cannot be set in CSS, approximated with ${result.style}`
+    });
+  }
+
+  if (node.strokeAlign && node.strokeAlign !== 'INSIDE' && !VECTOR_TYPES.has(node.type)) {
+    untranslated.push({ property: 'strokeAlign', value: node.strokeAlign, reason: 'CSS borders are drawn inside the box' });
+  }
+
+  return result;
+}
+
+function blurClass(prefix, radius) {
+  // Figma's blur radius is about twice the CSS blur() radius
+  const css = round(radius / 2);
+  return BLUR_SCALE[css] ? `${prefix}-${BLUR_SCALE[css]}` : `${prefix}-[${css}px]`;
+}
+
+/**
+ * Drop and inner shadows (combined into one box-shadow), layer blur and
+ * background blur.
+ */
+export function effectClasses(node, untranslated) {
+  const result = {};
+  const effects = (node.effects || []).filter(effect => effect.visible !== false);
+
+  const shadows = effects
+    .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    .map((effect) => {
+      const { offset = { x: 0, y: 0 }, radius = 0, spread = 0, color } = effect;
+      const parts = [`${offset.x}px`, `${offset.y}px`, `${radius}px`];
+      if (spread) parts.push(`${spread}px`);
+      parts.push(cssColor(color));
+      return `${effect.type === 'INNER_SHADOW' ? 'inset_' : ''}${parts.join('_')}`;
+    });
+  if (shadows.length > 0) {
+    // Figma lists effects bottom to top, box-shadow top to bottom
+    result.shadow = `shadow-[${shadows.reverse().join(',')}]`;
+  }
+
+  ['LAYER_BLUR', 'BACKGROUND_BLUR'].forEach((type) => {
+    const [blur, ...rest] = effects.filter(effect => effect.type === type);
+    if (!blur) return;
+    if (type === 'LAYER_BLUR') result.blur = blurClass('blur', blur.radius);
+    else result.backdropBlur = blurClass('backdrop-blur', blur.radius);
+    rest.forEach(() => untranslated.push({ property: 'effects', value: type, reason: 'only one blur of each kind is supported' }));
+  });
+
+  effects
+    .filter(effect => !['DROP_SHADOW', 'INNER_SHADOW', 'LAYER_BLUR', 'BACKGROUND_BLUR'].includes(effect.type))
+    .forEach(effect => untranslated.push({ property: 'effects', value: effect.type, reason: 'no CSS equivalent' }));
+
+  return result;
+}
+
+/**
+ * mix-blend-* for the node's layer blend mode. PASS_THROUGH and NORMAL need
+ * no class.
+ */
+export function blendModeClass(node, untranslated) {
+  const mode = node.blendMode;
+  if (!mode || mode === 'PASS_THROUGH' || mode === 'NORMAL') return undefined;
+  if (BLEND_MODES[mode]) return `mix-blend-${BLEND_MODES[mode]}`;
+
+  untranslated.push({ property: 'blendMode', value: mode, reason: 'no mix-blend-mode equivalent' });
+  return undefined;
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { effectClasses, fillClasses, strokeClasses } from './figma-styles.js';
+import { createTokenMatcher } from './token-matcher.js';
+
+const BRAND = { r: 0.1, g: 0.2, b: 0.9, a: 1 };
+const ACCENT = { r: 0.9, g: 0.3, b: 0.1, a: 1 };
+const SHADOW = { r: 0, g: 0, b: 0, a: 0.25 };
+
+const colorToken = (id, key, value) => ({ id, key, category: 'colors', defaultMode: 'light', modes: { light: { value } } });
+const TOKENS = [colorToken('VariableID:1:1', 'brand', BRAND), colorToken('VariableID:1:2', 'accent', ACCENT)];
+
+const solid = (color, extra = {}) => ({ type: 'SOLID', color, ...extra });
+const linear = (start, end, extra = {}) => ({
+  type: 'GRADIENT_LINEAR',
+  gradientHandlePositions: [start, end, { x: 0, y: 1 }],
+  gradientStops: [{ color: BRAND, position: 0 }, { color: ACCENT, position: 1 }],
+  ...extra
+});
+
+function translate(translator, node) {
+  const untranslated = [];
+  const matcher = createTokenMatcher({ tokens: TOKENS });
+  const classes = translator === effectClasses ? translator(node, untranslated) : translator(node, matcher, untranslated);
+  return { classes, untranslated: untranslated.map(entry => entry.property) };
+}
+
+describe('fillClasses', () => {
+  it.each([
+    ['no fills', {}, undefined, []],
+    ['a hidden fill', { fills: [solid(BRAND, { visible: false })] }, undefined, []],
+    ['a transparent fill', { fills: [solid(BRAND, { opacity: 0 })] }, undefined, []],
+    ['a token color', { fills: [solid(BRAND)] }, 'bg-brand', []],
+    ['a translucent token color', { fills: [solid(BRAND, { opacity: 0.5 })] }, 'bg-brand/50', []],
+    ['a bound variable', { fills: [solid({ r: 0.5, g: 0.5, b: 0.5, a: 1 }, { boundVariables: { color: { type: 'VARIABLE_ALIAS', id: 'VariableID:1:2' } } })] }, 'bg-accent', []],
+    ['an image fill on a rectangle', { type: 'RECTANGLE', fills: [{ type: 'IMAGE', imageRef: 'abc' }] }, undefined, []],
+    ['an image fill on a frame', { type: 'FRAME', fills: [{ type: 'IMAGE', imageRef: 'abc' }] }, undefined, ['fills[0]']],
+    ['a diamond gradient', { fills: [{ type: 'GRADIENT_DIAMOND', gradientStops: [] }] }, undefined, ['fills[0]']],
+    ['a left-to-right gradient', { fills: [linear({ x: 0, y: 0.5 }, { x: 1, y: 0.5 })] }, 'bg-gradient-to-r from-brand to-accent', []],
+    ['a corner-to-corner gradient', { fills: [linear({ x: 0, y: 1 }, { x: 1, y: 0 })] }, 'bg-gradient-to-tr from-brand to-accent', []],
+    [
+      'a gradient at an angle',
+      { fills: [linear({ x: 0, y: 0 }, { x: 1, y: 0.5 })] },
+      'bg-[image:linear-gradient(116.6deg,rgb(26 51 230)_0%,rgb(230 77 26)_100%)]',
+      []
+    ],
+    [
+      'a color under a blended color',
+      { fills: [solid(BRAND), solid(ACCENT, { blendMode: 'MULTIPLY' })] },
+      'bg-brand bg-[image:linear-gradient(rgb(230 77 26),rgb(230 77 26))] bg-blend-multiply',
+      []
+    ],
+    [
+      'a blend mode CSS lacks',
+      { fills: [solid(BRAND), solid(ACCENT, { blendMode: 'LINEAR_BURN' })] },
+      'bg-brand bg-[image:linear-gradient(rgb(230 77 26),rgb(230 77 26))]',
+      ['fills[1].blendMode']
+    ]
+  ])('translates %s', (_, node, classes, untranslated) => {
+    expect(translate(fillClasses, node)).toEqual({ classes, untranslated });
+  });
+});
+
+describe('strokeClasses', () => {
+  it.each([
+    ['no strokes', {}, {}, []],
+    ['a 1px border', { strokes: [solid(BRAND)], strokeWeight: 1 }, { width: 'border', color: 'border-brand' }, []],
+    ['a scale border width', { strokes: [solid(BRAND)], strokeWeight: 2 }, { width: 'border-2', color: 'border-brand' }, []],
+    ['an odd border width', { strokes: [solid(BRAND)], strokeWeight: 3 }, { width: 'border-[3px]', color: 'border-brand' }, []],
+    [
+      'equal side weights',
+      { strokes: [solid(BRAND)], individualStrokeWeights: { top: 2, right: 2, bottom: 2, left: 2 } },
+      { width: 'border-2', color: 'border-brand' },
+      []
+    ],
+    [
+      'a bottom border',
+      { strokes: [solid(BRAND)], individualStrokeWeights: { top: 0, right: 0, bottom: 1, left: 0 } },
+      { width: 'border-b', color: 'border-brand' },
+      []
+    ],
+    [
+      'mixed side weights',
+      { strokes: [solid(BRAND)], individualStrokeWeights: { top: 1, right: 0, bottom: 4, left: 3 } },
+      { width: 'border-t border-b-4 border-l-[3px]', color: 'border-brand' },
+      []
+    ],
+    ['a gradient stroke', { strokes: [linear({ x: 0, y: 0.5 }, { x: 1, y: 0.5 })], strokeWeight: 1 }, { width: 'border' }, ['strokes[0]']],
+    ['a second stroke', { strokes: [solid(BRAND), solid(ACCENT)], strokeWeight: 1 }, { width: 'border', color: 'border-brand' }, ['strokes[1]']],
+    ['short dashes', { strokes: [solid(BRAND)], strokeWeight: 2, strokeDashes: [2, 2] }, { width: 'border-2', color: 'border-brand', style: 'border-dotted' }, ['strokeDashes']],
+    ['long dashes', { strokes: [solid(BRAND)], strokeWeight: 1, strokeDashes: [6, 4] }, { width: 'border', color: 'border-brand', style: 'border-dashed' }, ['strokeDashes']],
+    ['an outside stroke', { type: 'FRAME', strokes: [solid(BRAND)], strokeWeight: 1, strokeAlign: 'OUTSIDE' }, { width: 'border', color: 'border-brand' }, ['strokeAlign']],
+    ['an outside stroke on a vector', { type: 'VECTOR', strokes: [solid(BRAND)], strokeWeight: 1, strokeAlign: 'OUTSIDE' }, { width: 'border', color: 'border-brand' }, []],
+    ['a text outline', { type: 'TEXT', strokes: [solid(BRAND)], strokeWeight: 1 }, {}, ['strokes']]
+  ])('translates %s', (_, node, classes, untranslated) => {
+    expect(translate(strokeClasses, node)).toEqual({ classes, untranslated });
+  });
+});
+
+describe('effectClasses', () => {
+  const blur = (type, radius, extra = {}) => ({ type, radius, ...extra });
+  const shadow = (type, extra = {}) => ({ type, color: SHADOW, offset: { x: 0, y: 4 }, radius: 8, ...extra });
+
+  it.each([
+    ['no effects', {}, {}, []],
+    ['a drop shadow', { effects: [shadow('DROP_SHADOW')] }, { shadow: 'shadow-[0px_4px_8px_rgb(0 0 0/0.25)]' }, []],
+    ['a spread inner shadow', { effects: [shadow('INNER_SHADOW', { spread: 2 })] }, { shadow: 'shadow-[inset_0px_4px_8px_2px_rgb(0 0 0/0.25)]' }, []],
+    [
+      'stacked shadows, top first',
+      { effects: [shadow('DROP_SHADOW'), shadow('DROP_SHADOW', { offset: { x: 0, y: 1 }, radius: 2 })] },
+      { shadow: 'shadow-[0px_1px_2px_rgb(0 0 0/0.25),0px_4px_8px_rgb(0 0 0/0.25)]' },
+      []
+    ],
+    ['a hidden shadow', { effects: [shadow('DROP_SHADOW', { visible: false })] }, {}, []],
+    ['the smallest blur step', { effects: [blur('LAYER_BLUR', 8)] }, { blur: 'blur-xs' }, []],
+    ['the default blur', { effects: [blur('LAYER_BLUR', 16)] }, { blur: 'blur-sm' }, []],
+    ['a large blur', { effects: [blur('LAYER_BLUR', 128)] }, { blur: 'blur-3xl' }, []],
+    ['a blur off the scale', { effects: [blur('LAYER_BLUR', 10)] }, { blur: 'blur-[5px]' }, []],
+    ['a background blur', { effects: [blur('BACKGROUND_BLUR', 24)] }, { backdropBlur: 'backdrop-blur-md' }, []],
+    ['two layer blurs', { effects: [blur('LAYER_BLUR', 32), blur('LAYER_BLUR', 8)] }, { blur: 'blur-lg' }, ['effects']],
+    ['an effect CSS lacks', { effects: [{ type: 'NOISE' }] }, {}, ['effects']]
+  ])('translates %s', (_, node, classes, untranslated) => {
+    expect(translate(effectClasses, node)).toEqual({ classes, untranslated });
+  });
+});
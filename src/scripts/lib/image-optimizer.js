@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { encode, decode } from 'blurhash';
+import sharp from 'sharp';
+import { OPTIMIZED_DIR } from './asset-export.js';
+
+/**
+ * Responsive variants and placeholders for exported raster assets.
+ *
+ * Each image is resized to 1x/2x/3x of its CSS size and encoded as AVIF,
+ * WebP and a PNG/JPEG fallback. The CSS size is the Figma node's size when
+ * the manifest has it, otherwise the pixel size divided by the export
+ * scale. Densities the source is too small for are skipped rather than
+ * upscaled.
+ */
+
+export const DEFAULT_DENSITIES = [1, 2, 3];
+export const DEFAULT_FORMATS = ['avif', 'webp'];
+export { OPTIMIZED_DIR };
+
+const QUALITY = { avif: 50, webp: 75, jpeg: 80 };
+
+// Blurhash components; 4x3 reads well for the wide hero illustrations
+const BLURHASH_X = 4;
+const BLURHASH_Y = 3;
+const PREVIEW_SIZE = 32;
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Blurhash, dominant color and a tiny PNG data URL to show while the real
+ * image loads.
+ */
+export async function placeholderFor(input) {
+  const image = sharp(input);
+  const { dominant } = await image.stats();
+  const { data, info } = await image
+    .clone()
+    .resize(PREVIEW_SIZE, PREVIEW_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const blurhash = encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_X, BLURHASH_Y);
+  const pixels = decode(blurhash, info.width, info.height);
+  const preview = await sharp(Buffer.from(pixels), { raw: { width: info.width, height: info.height, channels: 4 } })
+    .png()
+    .toBuffer();
+
+  return {
+    blurhash,
+    color: toHex(dominant),
+    dataUrl: `data:image/png;base64,${preview.toString('base64')}`
+  };
+}
+
+/**
+ * Write the variants of one image into `outDir`.
+ *
+ * @param {string} input - source file
+ * @param {object} options
+ * @param {string} options.outDir - directory for the variants
+ * @param {string} options.name - base file name, without extension
+ * @param {{width: number, height: number}} [options.box] - CSS size of the node in Figma
+ * @param {number} [options.scale] - export scale of the source, used without `box`
+ * @param {number[]} [options.densities]
+ * @param {string[]} [options.formats] - modern formats; the fallback is always added
+ */
+export async function optimizeImage(input, {
+  outDir,
+  name,
+  box,
+  scale = 1,
+  densities = DEFAULT_DENSITIES,
+  formats = DEFAULT_FORMATS
+}) {
+  const metadata = await sharp(input).metadata();
+  const width = Math.round(box?.width || metadata.width / scale);
+  const height = Math.round(box?.height || metadata.height / scale);
+
+  // Photos stay JPEG; anything with transparency keeps PNG
+  const fallback = metadata.hasAlpha || metadata.format === 'png' ? 'png' : 'jpeg';
+  const usable = densities.filter(density => density === 1 || width * density <= metadata.width);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const variants = [];
+
+  for (const density of usable) {
+    const targetWidth = Math.min(width * density, metadata.width);
+    const targetHeight = Math.round(targetWidth * (height / width));
+    const resized = sharp(input).resize(targetWidth, targetHeight, { fit: 'cover' });
+
+    for (const format of [...formats, fallback]) {
+      const extension = format === 'jpeg' ? 'jpg' : format;
+      const filename = `${name}@${density}x.${extension}`;
+      const encoder = format === 'png' ? { compressionLevel: 9, adaptiveFiltering: true } : { quality: QUALITY[format] };
+      const { size } = await resized.clone().toFormat(format, encoder).toFile(path.join(outDir, filename));
+      variants.push({ format, density, width: targetWidth, height: targetHeight, filename, bytes: size });
+    }
+  }
+
+  return {
+    width,
+    height,
+    fallback,
+    placeholder: await placeholderFor(input),
+    variants
+  };
+}
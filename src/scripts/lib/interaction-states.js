@@ -0,0 +1,250 @@
+import { normalizeClass, tokenizeClasses } from './tailwind-classes.js';
+
+/**
+ * Interaction states from component variants.
+ *
+ * A COMPONENT_SET whose variants have a state property (State=Default,
+ * State=Hover, ...) describes each state as a full copy of the component.
+ * The variants are grouped by their other properties (Size=Large,
+ * Type=Primary), each state is compared layer by layer with the default of
+ * its group, and the Tailwind classes that differ become the state's
+ * classes: `hover:` on the root and `group-hover:` on the layers inside.
+ */
+
+// Tailwind variant for each state
+export const STATE_VARIANTS = {
+  hover: 'hover',
+  active: 'active',
+  focus: 'focus-visible',
+  disabled: 'disabled'
+};
+
+// Variant values naming each state, compared lower case without spaces or dashes
+const STATE_VALUES = {
+  default: ['default', 'enabled', 'rest', 'normal', 'idle', 'base', 'static'],
+  hover: ['hover', 'hovered', 'over', 'mouseover'],
+  active: ['pressed', 'active', 'down', 'clicked', 'tap'],
+  focus: ['focus', 'focused', 'focusvisible', 'keyboardfocus'],
+  disabled: ['disabled', 'inactive', 'unavailable']
+};
+
+const STATE_PROPERTY = /^(state|states|interaction|status)$/i;
+
+// Removing one of these in a state needs an explicit reset to win over the base class
+const RESETS = [
+  [/^shadow(-|$)/, 'shadow-none'],
+  [/^border(-[xytrblse])?(-\d+|-\[[\d.]+px\])?$/, 'border-0'],
+  [/^opacity-/, 'opacity-100'],
+  [/^bg-/, 'bg-transparent'],
+  [/^ring(-|$)/, 'ring-0'],
+  [/^(underline|line-through)$/, 'no-underline'],
+  [/^blur(-|$)/, 'blur-none'],
+  [/^backdrop-blur(-|$)/, 'backdrop-blur-none']
+];
+
+function normalizeValue(value) {
+  return String(value).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * The state a variant value stands for, or null ("Selected", "Error" and
+ * other values are not interaction states).
+ */
+export function stateForValue(value) {
+  const normalized = normalizeValue(value);
+  return Object.keys(STATE_VALUES).find(state => STATE_VALUES[state].includes(normalized)) || null;
+}
+
+/**
+ * Variant properties of a component in a set. The REST API encodes them in
+ * the name ("State=Hover, Size=Large"); plugin exports also carry
+ * `variantProperties`.
+ */
+export function variantPropertiesOf(component) {
+  if (component.variantProperties) return { ...component.variantProperties };
+  return Object.fromEntries(
+    String(component.name)
+      .split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(pair => pair.length === 2 && pair[0])
+  );
+}
+
+/**
+ * Name of the property holding the states: one called State (or similar),
+ * otherwise any property with at least two values that name states.
+ */
+export function findStateProperty(variants) {
+  const names = [...new Set(variants.flatMap(variant => Object.keys(variant.properties)))];
+  const valuesOf = name => [...new Set(variants.map(variant => variant.properties[name]).filter(Boolean))];
+
+  return names.find(name => STATE_PROPERTY.test(name) && valuesOf(name).some(stateForValue))
+    || names.find(name => valuesOf(name).filter(stateForValue).length >= 2)
+    || null;
+}
+
+/**
+ * Layer path -> structure node. Paths use layer names below the variant,
+ * with [n] for repeated names, so the same layer lines up across variants.
+ */
+function layersOf(structure) {
+  const layers = new Map();
+  (function visit(node, path) {
+    layers.set(path, node);
+    const seen = {};
+    (node.children || []).forEach((child) => {
+      seen[child.name] = (seen[child.name] || 0) + 1;
+      const name = seen[child.name] > 1 ? `${child.name}[${seen[child.name]}]` : child.name;
+      visit(child, path ? `${path} > ${name}` : name);
+    });
+  })(structure, '');
+  return layers;
+}
+
+function tokensOf(node) {
+  return tokenizeClasses(node.tailwindClasses || '');
+}
+
+function resetsFor(removed, added) {
+  return RESETS
+    .filter(([pattern]) => removed.some(token => pattern.test(token)) && !added.some(token => pattern.test(token)))
+    .map(([, reset]) => reset);
+}
+
+/**
+ * Classes that change from the default variant to a state variant.
+ * `layers` maps each changed layer path ('' is the root) to the `added`
+ * and `removed` tokens and the `classes` to apply in the state, unprefixed.
+ * `missing` and `extra` list layers only one of the variants has.
+ */
+export function styleDelta(defaultStructure, stateStructure) {
+  const before = layersOf(defaultStructure);
+  const after = layersOf(stateStructure);
+  const layers = {};
+
+  after.forEach((node, path) => {
+    const base = before.get(path);
+    if (!base) return;
+
+    const hiddenBefore = base.visible === false;
+    const hiddenAfter = node.visible === false;
+    const old = tokensOf(base);
+    const now = tokensOf(node);
+    const added = now.filter(token => !old.includes(token));
+    const removed = old.filter(token => !now.includes(token));
+
+    const classes = hiddenAfter
+      ? (hiddenBefore ? [] : ['hidden'])
+      : [...(hiddenBefore ? [now.includes('flex') ? 'flex' : 'block'] : []), ...added, ...resetsFor(removed, added)];
+
+    if (classes.length > 0) layers[path] = { added, removed, classes };
+  });
+
+  return {
+    layers,
+    missing: [...before.keys()].filter(path => !after.has(path)),
+    extra: [...after.keys()].filter(path => !before.has(path))
+  };
+}
+
+/**
+ * Prefix a delta for `state`: root classes get `hover:`, layer classes
+ * `group-hover:`.
+ */
+export function stateClasses(delta, state) {
+  const variant = STATE_VARIANTS[state];
+  const root = (delta.layers['']?.classes || []).map(token => `${variant}:${normalizeClass(token)}`);
+  const layers = Object.fromEntries(
+    Object.entries(delta.layers)
+      .filter(([path]) => path !== '')
+      .map(([path, { classes }]) => [path, classes.map(token => `group-${variant}:${normalizeClass(token)}`)])
+  );
+  return { root, layers };
+}
+
+/**
+ * Interaction states of one component set.
+ *
+ * @param {object} set - COMPONENT_SET API node
+ * @param {Function} extract - API node -> structure with tailwindClasses
+ *   (extractNodeStructure from get-figma-node-structure.js)
+ * @returns {object|null} null when the set has no state property
+ */
+export function interactionStatesFor(set, extract) {
+  const variants = (set.children || [])
+    .filter(child => child.type === 'COMPONENT')
+    .map(component => ({ component, properties: variantPropertiesOf(component) }));
+
+  const stateProperty = findStateProperty(variants);
+  if (!stateProperty) return null;
+
+  const values = [...new Set(variants.map(variant => variant.properties[stateProperty]))];
+  const unmapped = values.filter(value => !stateForValue(value));
+
+  // One group per combination of the other properties
+  const groups = new Map();
+  variants.forEach((variant) => {
+    const others = Object.entries(variant.properties).filter(([name]) => name !== stateProperty);
+    const key = others.map(([name, value]) => `${name}=${value}`).join(', ');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(variant);
+  });
+
+  const structures = new Map();
+  const structureOf = (component) => {
+    if (!structures.has(component.id)) structures.set(component.id, extract(component));
+    return structures.get(component.id);
+  };
+
+  const results = [...groups.entries()].map(([key, members]) => {
+    const stateOf = variant => stateForValue(variant.properties[stateProperty]);
+    // Without an explicit default, the first variant in the set is the base
+    const base = members.find(variant => stateOf(variant) === 'default') || members[0];
+    const states = {};
+    const root = [];
+    const layers = {};
+    const warnings = [];
+
+    members
+      .filter(variant => variant !== base && STATE_VARIANTS[stateOf(variant)])
+      .forEach((variant) => {
+        const state = stateOf(variant);
+        const delta = styleDelta(structureOf(base.component), structureOf(variant.component));
+        const classes = stateClasses(delta, state);
+        states[state] = { componentId: variant.component.id, name: variant.component.name, delta, classes };
+
+        root.push(...classes.root);
+        Object.entries(classes.layers).forEach(([path, tokens]) => {
+          layers[path] = [...(layers[path] || []), ...tokens];
+        });
+        if (delta.missing.length > 0 || delta.extra.length > 0) {
+          warnings.push(`${state}: layers differ from the default (${[...delta.missing, ...delta.extra].join(', ')})`);
+        }
+        if (Object.keys(delta.layers).length === 0) {
+          warnings.push(`${state}: looks the same as the default variant`);
+        }
+      });
+
+    return {
+      key,
+      properties: Object.fromEntries(Object.entries(base.properties).filter(([name]) => name !== stateProperty)),
+      defaultComponentId: base.component.id,
+      componentIds: members.map(variant => variant.component.id),
+      states,
+      classes: {
+        root: [...(Object.keys(layers).length > 0 ? ['group'] : []), ...root].join(' '),
+        layers: Object.fromEntries(Object.entries(layers).map(([path, tokens]) => [path, tokens.join(' ')]))
+      },
+      warnings
+    };
+  });
+
+  return {
+    componentSetId: set.id,
+    name: set.name,
+    stateProperty,
+    states: values.map(value => stateForValue(value)).filter(Boolean),
+    unmapped,
+    variants: results
+  };
+}
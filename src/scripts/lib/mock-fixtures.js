@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenizeClasses } from './tailwind-classes.js';
+
+/**
+ * Fixture documents for the mock Figma API server.
+ *
+ * The JSON in src/files is extractor output, not raw API responses, so this
+ * module rebuilds API-shaped nodes from it: the file structure provides the
+ * pages and top-level frames, and the node structure's tailwindClasses, text
+ * and image data are translated back into fills, strokes, auto-layout and
+ * text style properties. Round-tripping a node through extractNodeStructure()
+ * gives back the same classes. Component sets and prototype reactions are
+ * not in that output, so src/scripts/fixtures/mock-pages.json adds pages
+ * with them, already in API shape.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILES_DIR = path.join(__dirname, '../../files');
+
+export const DEFAULT_FILE_STRUCTURE = path.join(FILES_DIR, 'figma-file-structure.json');
+export const DEFAULT_NODE_STRUCTURE = path.join(FILES_DIR, 'figma-node-structure.json');
+// Component sets and prototype reactions, which the extractor output does not keep
+export const DEFAULT_EXTRA_PAGES = path.join(__dirname, '../fixtures/mock-pages.json');
+
+// Page the node structure is attached to when it is not already in the tree
+const DEFAULT_PARENT_ID = '2033:13526';
+
+// Inverse of the lookup tables in get-figma-node-structure.js
+const SPACING = {
+  '0': 0, '0.5': 2, '1': 4, '1.5': 6, '2': 8, '2.5': 10, '3': 12, '3.5': 14, '4': 16, '5': 20,
+  '6': 24, '7': 28, '8': 32, '9': 36, '10': 40, '11': 44, '12': 48, '14': 56, '16': 64
+};
+const ROUNDED = {
+  'rounded-none': 0, 'rounded-xs': 2, 'rounded-sm': 4, 'rounded-md': 6, 'rounded-lg': 8,
+  'rounded-xl': 12, 'rounded-2xl': 16, 'rounded-3xl': 24, 'rounded-4xl': 32, 'rounded-full': 9999
+};
+const BORDER_WIDTH = { border: 1, 'border-2': 2, 'border-4': 4, 'border-8': 8 };
+const NAMED_COLORS = {
+  white: '255 255 255', black: '0 0 0', 'red-500': '239 68 68', 'green-500': '34 197 94',
+  'blue-500': '59 130 246', 'purple-500': '168 85 247', 'red-400': '245 101 101',
+  'gray-200': '229 231 235', 'gray-400': '156 163 175', 'gray-500': '107 114 128',
+  'gray-600': '75 85 99', 'gray-700': '55 65 81', 'gray-800': '31 41 55', 'gray-900': '17 24 39'
+};
+
+function px(value) {
+  return Number(String(value).replace(/px$/, ''));
+}
+
+function spacing(value) {
+  const arbitrary = value.match(/^\[(.+)\]$/);
+  return arbitrary ? px(arbitrary[1]) : SPACING[value];
+}
+
+// "rgb(1 105 55/0.5)" or a named color -> { color, opacity }
+function parseColor(value) {
+  const arbitrary = value.match(/^\[rgb\(([\d.]+)[ _]([\d.]+)[ _]([\d.]+)(?:\/([\d.]+))?\)\]$/);
+  const rgb = arbitrary ? arbitrary.slice(1, 4).join(' ') : NAMED_COLORS[value];
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.split(' ').map(channel => Number(channel) / 255);
+  const opacity = arbitrary && arbitrary[4] !== undefined ? Number(arbitrary[4]) : 1;
+  return { color: { r, g, b, a: 1 }, opacity };
+}
+
+function solidPaint({ color, opacity }) {
+  const paint = { blendMode: 'NORMAL', type: 'SOLID', color };
+  if (opacity !== 1) paint.opacity = opacity;
+  return paint;
+}
+
+/**
+ * Translate tailwindClasses from the extractor back into API properties.
+ */
+export function classesToProperties(classes, type) {
+  const props = {};
+  const alignments = [];
+
+  tokenizeClasses(classes).forEach((token) => {
+    let match;
+
+    if (token === 'flex-col') props.layoutMode = 'VERTICAL';
+    else if (token === 'flex-row') props.layoutMode = 'HORIZONTAL';
+    else if ((match = token.match(/^([wh])-\[(\d+(?:\.\d+)?)px\]$/))) {
+      props.absoluteBoundingBox = props.absoluteBoundingBox || { x: 0, y: 0, width: 0, height: 0 };
+      props.absoluteBoundingBox[match[1] === 'w' ? 'width' : 'height'] = Number(match[2]);
+    } else if ((match = token.match(/^gap-(.+)$/))) {
+      props.itemSpacing = spacing(match[1]);
+    } else if ((match = token.match(/^p([trbl]?)-(.+)$/))) {
+      const value = spacing(match[2]);
+      const sides = { t: ['Top'], r: ['Right'], b: ['Bottom'], l: ['Left'] }[match[1]] || ['Top', 'Right', 'Bottom', 'Left'];
+      sides.forEach(side => { props[`padding${side}`] = value; });
+    } else if ((match = token.match(/^(justify|items)-(start|center|end|between)$/))) {
+      alignments.push({ kind: match[1], value: match[2] });
+    } else if ((match = token.match(/^bg-(.+)$/))) {
+      const color = parseColor(match[1]);
+      if (color) props.fills = [solidPaint(color)];
+    } else if ((match = token.match(/^text-(.+)$/)) && parseColor(match[1])) {
+      props.fills = [solidPaint(parseColor(match[1]))];
+    } else if (BORDER_WIDTH[token] !== undefined) {
+      props.strokeWeight = BORDER_WIDTH[token];
+    } else if ((match = token.match(/^border-\[(\d+(?:\.\d+)?)px\]$/))) {
+      props.strokeWeight = Number(match[1]);
+    } else if ((match = token.match(/^border-(.+)$/)) && parseColor(match[1])) {
+      props.strokes = [solidPaint(parseColor(match[1]))];
+    } else if (ROUNDED[token] !== undefined) {
+      props.cornerRadius = ROUNDED[token];
+    } else if ((match = token.match(/^rounded-\[(\d+(?:\.\d+)?)px\]$/))) {
+      props.cornerRadius = Number(match[1]);
+    } else if ((match = token.match(/^opacity-\[(\d+)%\]$/))) {
+      props.opacity = Number(match[1]) / 100;
+    } else if ((match = token.match(/^shadow-\[(-?[\d.]+)px_(-?[\d.]+)px_([\d.]+)px_rgb\(([\d.]+) ([\d.]+) ([\d.]+)(?:\/([\d.]+))?\)\]$/))) {
+      const [, x, y, radius, r, g, b, a = '1'] = match;
+      props.effects = [{
+        type: 'DROP_SHADOW',
+        visible: true,
+        offset: { x: Number(x), y: Number(y) },
+        radius: Number(radius),
+        color: { r: Number(r) / 255, g: Number(g) / 255, b: Number(b) / 255, a: Number(a) },
+        blendMode: 'NORMAL'
+      }];
+    }
+  });
+
+  // Older extracts swapped justify/items for vertical layouts; the committed fixtures come from one
+  const horizontal = props.layoutMode === 'HORIZONTAL';
+  const axisValue = { start: 'MIN', center: 'CENTER', end: 'MAX', between: 'SPACE_BETWEEN' };
+  alignments.forEach(({ kind, value }) => {
+    const primary = value === 'between' || (kind === 'justify') === horizontal;
+    props[primary ? 'primaryAxisAlignItems' : 'counterAxisAlignItems'] = axisValue[value];
+  });
+
+  if (props.strokes && props.strokeWeight === undefined) props.strokeWeight = 1;
+  // A width without a color: keep the stroke but hide it from color lookups
+  if (props.strokeWeight !== undefined && !props.strokes) {
+    props.strokes = [{ ...solidPaint({ color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 1 }), visible: false }];
+  }
+  if (type === 'TEXT' && props.fills === undefined) props.fills = [];
+
+  return props;
+}
+
+// Drop the extractor's bookkeeping so the tree looks like a raw API document
+export function toApiNode(node, maxDepth = Infinity, depth = 0) {
+  const apiNode = { ...node };
+  delete apiNode.depth;
+  delete apiNode.pageIndex;
+  delete apiNode.children;
+
+  if (node.children && depth < maxDepth) {
+    apiNode.children = node.children.map(child => toApiNode(child, maxDepth, depth + 1));
+  }
+
+  return apiNode;
+}
+
+/**
+ * Rebuild an API node from a node in figma-node-structure.json.
+ */
+export function structureToApiNode(structure) {
+  const node = {
+    id: structure.id,
+    name: structure.name,
+    type: structure.type,
+    ...classesToProperties(structure.tailwindClasses, structure.type)
+  };
+
+  ['visible', 'componentId', 'componentSetId', 'componentProperties'].forEach((key) => {
+    if (structure[key] !== undefined) node[key] = structure[key];
+  });
+
+  if (structure.text !== undefined || structure.textContent) {
+    node.characters = structure.text ?? structure.textContent.characters;
+  }
+
+  if (structure.textStyle) {
+    const { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing, textAlignHorizontal, textAlignVertical } = structure.textStyle;
+    node.style = { fontFamily, fontWeight, fontSize, lineHeight, letterSpacing, textAlignHorizontal, textAlignVertical };
+  }
+
+  if (structure.imageContent) {
+    const { imageRef, scaleMode } = structure.imageContent;
+    node.fills = [...(node.fills || []), { blendMode: 'NORMAL', type: 'IMAGE', scaleMode, imageRef }];
+  }
+
+  if (structure.children) {
+    node.children = structure.children.map(structureToApiNode);
+  }
+
+  return node;
+}
+
+export function walkNodes(node, visit) {
+  visit(node);
+  (node.children || []).forEach(child => walkNodes(child, visit));
+}
+
+// Replace the node with the same ID, or append the subtree under parentId
+function graftNode(document, subtree, parentId) {
+  let grafted = false;
+
+  walkNodes(document, (node) => {
+    if (grafted || !node.children) return;
+    const index = node.children.findIndex(child => child.id === subtree.id);
+    if (index !== -1) {
+      node.children[index] = subtree;
+      grafted = true;
+    }
+  });
+
+  if (!grafted) {
+    let parent = document.children[0];
+    walkNodes(document, (node) => {
+      if (node.id === parentId) parent = node;
+    });
+    parent.children = [...(parent.children || []), subtree];
+  }
+}
+
+// One color variable per distinct solid fill, so /variables/local has content
+function collectColorVariables(document, fileKey) {
+  const collectionId = 'VariableCollectionId:mock:1';
+  const modeId = 'mock:0';
+  const variables = {};
+
+  walkNodes(document, (node) => {
+    (node.fills || []).filter(fill => fill.type === 'SOLID').forEach((fill) => {
+      const hex = ['r', 'g', 'b']
+        .map(channel => Math.round(fill.color[channel] * 255).toString(16).padStart(2, '0'))
+        .join('');
+      const id = `VariableID:mock:${hex}`;
+      if (variables[id]) return;
+
+      variables[id] = {
+        id,
+        name: `colors/${hex}`,
+        key: `${fileKey}-${hex}`,
+        variableCollectionId: collectionId,
+        resolvedType: 'COLOR',
+        valuesByMode: { [modeId]: { ...fill.color, a: fill.opacity ?? 1 } },
+        remote: false,
+        description: '',
+        hiddenFromPublishing: false,
+        scopes: ['ALL_SCOPES'],
+        codeSyntax: {}
+      };
+    });
+  });
+
+  return {
+    variables,
+    variableCollections: {
+      [collectionId]: {
+        id: collectionId,
+        name: 'Mock colors',
+        key: `${fileKey}-colors`,
+        modes: [{ modeId, name: 'Default' }],
+        defaultModeId: modeId,
+        remote: false,
+        hiddenFromPublishing: false,
+        variableIds: Object.keys(variables)
+      }
+    }
+  };
+}
+
+/**
+ * Load the fixture file served by the mock server.
+ *
+ * @param {object} [options]
+ * @param {string} [options.fileStructure] - figma-file-structure.json export
+ * @param {string|null} [options.nodeStructure] - figma-node-structure.json export, null to skip
+ * @param {string} [options.parentId] - where to attach the node structure
+ * @param {string|null} [options.extraPages] - JSON with API-shaped `pages` to append, null to skip
+ * @param {object} [options.variables] - { variables, variableCollections } to serve instead of the generated ones
+ */
+export function loadFixtures({
+  fileStructure = DEFAULT_FILE_STRUCTURE,
+  nodeStructure = DEFAULT_NODE_STRUCTURE,
+  parentId = DEFAULT_PARENT_ID,
+  extraPages = DEFAULT_EXTRA_PAGES,
+  variables
+} = {}) {
+  const file = JSON.parse(fs.readFileSync(fileStructure, 'utf8'));
+  const document = toApiNode(file.document);
+
+  if (nodeStructure) {
+    const nodes = JSON.parse(fs.readFileSync(nodeStructure, 'utf8'));
+    graftNode(document, structureToApiNode(nodes.structure), parentId);
+  }
+
+  if (extraPages) {
+    const { pages } = JSON.parse(fs.readFileSync(extraPages, 'utf8'));
+    document.children = [...document.children, ...pages];
+  }
+
+  const nodesById = new Map();
+  const imageRefs = new Set();
+  walkNodes(document, (node) => {
+    nodesById.set(node.id, node);
+    (node.fills || []).forEach((fill) => {
+      if (fill.type === 'IMAGE' && fill.imageRef) imageRefs.add(fill.imageRef);
+    });
+  });
+
+  return {
+    fileKey: file.fileKey,
+    name: file.name,
+    lastModified: file.lastModified,
+    version: file.version,
+    thumbnailUrl: file.thumbnailUrl,
+    document,
+    nodesById,
+    imageRefs: [...imageRefs],
+    variables: variables || collectColorVariables(document, file.fileKey)
+  };
+}
@@ -0,0 +1,239 @@
+import { slugify } from './design-tokens.js';
+
+/**
+ * Prototype navigation graph from Figma reactions.
+ *
+ * Screens are the top-level frames of a page (frames inside sections count
+ * as top-level). Every node with a reaction is a hotspot; its actions
+ * become edges from the screen it sits on to the screen that holds the
+ * destination. Screens opened as overlays, or named like one ("Pop Up",
+ * "Modal"), are marked `overlay`.
+ */
+
+const SCREEN_CONTAINERS = new Set(['CANVAS', 'SECTION']);
+const SCREEN_TYPES = new Set(['FRAME', 'COMPONENT', 'INSTANCE', 'GROUP']);
+const OVERLAY_NAME = /pop\s*-?\s*up|modal|dialog|overlay|tooltip|drawer/i;
+
+// Navigation kinds for the `navigation` of NODE actions
+const NAVIGATION = {
+  NAVIGATE: 'navigate',
+  OVERLAY: 'overlay',
+  SWAP: 'swap',
+  SCROLL_TO: 'scroll',
+  CHANGE_TO: 'change'
+};
+
+function transitionOf(transition, legacy = {}) {
+  if (transition) {
+    return {
+      type: transition.type,
+      // The REST API gives seconds
+      durationMs: transition.duration !== undefined ? Math.round(transition.duration * 1000) : null,
+      easing: transition.easing?.type || null,
+      ...(transition.direction ? { direction: transition.direction } : {})
+    };
+  }
+  if (legacy.transitionDuration !== undefined) {
+    return { type: 'INSTANT', durationMs: legacy.transitionDuration, easing: legacy.transitionEasing || null };
+  }
+  return null;
+}
+
+function triggerOf(trigger = {}) {
+  return {
+    type: trigger.type || 'ON_CLICK',
+    ...(trigger.timeout !== undefined ? { timeoutMs: Math.round(trigger.timeout * 1000) } : {}),
+    ...(trigger.keyCodes ? { keyCodes: trigger.keyCodes } : {})
+  };
+}
+
+/**
+ * Actions of a node as plain objects:
+ * { trigger, kind, destinationId, url, transition }. Reads `reactions`
+ * (both the `actions` list and the older single `action`) and falls back to
+ * the legacy `transitionNodeID`.
+ */
+export function actionsOf(node) {
+  const actions = [];
+
+  (node.reactions || []).forEach((reaction) => {
+    const list = reaction.actions || (reaction.action ? [reaction.action] : []);
+    list.filter(Boolean).forEach((action) => {
+      const base = { trigger: triggerOf(reaction.trigger), transition: transitionOf(action.transition) };
+      if (action.type === 'NODE') {
+        if (!action.destinationId) return;
+        actions.push({ ...base, kind: NAVIGATION[action.navigation] || 'navigate', destinationId: action.destinationId });
+      } else if (action.type === 'BACK' || action.type === 'CLOSE') {
+        actions.push({ ...base, kind: action.type.toLowerCase() });
+      } else if (action.type === 'URL') {
+        actions.push({ ...base, kind: 'url', url: action.url });
+      }
+    });
+  });
+
+  if (actions.length === 0 && node.transitionNodeID) {
+    actions.push({
+      trigger: triggerOf(),
+      kind: 'navigate',
+      destinationId: node.transitionNodeID,
+      transition: transitionOf(null, node)
+    });
+  }
+
+  return actions;
+}
+
+// Top-level frames of a page, including the ones inside sections
+export function screensOf(page) {
+  const screens = [];
+  (function visit(node) {
+    (node.children || []).forEach((child) => {
+      if (child.visible === false) return;
+      if (SCREEN_CONTAINERS.has(child.type)) visit(child);
+      else if (SCREEN_TYPES.has(child.type)) screens.push(child);
+    });
+  })(page);
+  return screens;
+}
+
+// "2.0 subject to learn" -> "subject to learn"
+export function screenTitle(name) {
+  return String(name).replace(/^\s*\d+(\.\d+)*\s*[-.)]?\s*/, '').trim() || String(name).trim();
+}
+
+function routeSegment(screen) {
+  return slugify(screenTitle(screen.name)) || `screen-${screen.id.replace(/[^0-9]+/g, '-')}`;
+}
+
+/**
+ * Build the graph for one page (or any node whose children are screens).
+ *
+ * @returns {{ screens, edges, starts, flows, unreachable }} where screens
+ *   carry { id, name, kind, path } (overlays also `openedFrom`), edges { from, to, hotspot, trigger,
+ *   kind, transition }, and each flow lists the screens reachable from its
+ *   starting point in visiting order.
+ */
+export function buildFlowGraph(page) {
+  const screenNodes = screensOf(page);
+  const screenOf = new Map();
+  screenNodes.forEach((screen) => {
+    (function mark(node) {
+      screenOf.set(node.id, screen.id);
+      (node.children || []).forEach(mark);
+    })(screen);
+  });
+
+  const edges = [];
+  screenNodes.forEach((screen) => {
+    (function visit(node) {
+      if (node.visible === false) return;
+      actionsOf(node).forEach((action) => {
+        const to = action.destinationId ? screenOf.get(action.destinationId) || null : null;
+        edges.push({
+          from: screen.id,
+          to,
+          ...(action.destinationId && action.destinationId !== to ? { destinationId: action.destinationId } : {}),
+          hotspot: { id: node.id, name: node.name },
+          trigger: action.trigger,
+          kind: action.kind,
+          ...(action.url ? { url: action.url } : {}),
+          transition: action.transition
+        });
+      });
+      (node.children || []).forEach(visit);
+    })(screen);
+  });
+
+  const overlayIds = new Set(edges.filter(edge => edge.kind === 'overlay' && edge.to).map(edge => edge.to));
+  const usedPaths = new Set();
+  const screens = screenNodes.map((node) => {
+    const kind = overlayIds.has(node.id) || OVERLAY_NAME.test(node.name) ? 'overlay' : 'screen';
+    const base = routeSegment(node);
+    let segment = base;
+    for (let suffix = 2; usedPaths.has(segment); suffix++) segment = `${base}-${suffix}`;
+    usedPaths.add(segment);
+    return { id: node.id, name: node.name, kind, segment };
+  });
+
+  // Starting points the designer set, else the first screen nothing links to
+  const declared = [
+    ...(page.flowStartingPoints || []).map(start => ({ id: screenOf.get(start.nodeId) || start.nodeId, name: start.name })),
+    ...(page.prototypeStartNodeID ? [{ id: screenOf.get(page.prototypeStartNodeID) || page.prototypeStartNodeID, name: 'Start' }] : [])
+  ].filter((start, index, all) => screenOf.has(start.id) && all.findIndex(other => other.id === start.id) === index);
+  const linkedTo = new Set(edges.map(edge => edge.to));
+  const fallback = screens.find(screen => screen.kind === 'screen' && !linkedTo.has(screen.id) && edges.some(edge => edge.from === screen.id))
+    || screens.find(screen => screen.kind === 'screen');
+  const starts = declared.length > 0 ? declared : fallback ? [{ id: fallback.id, name: fallback.name, inferred: true }] : [];
+
+  const flows = starts.map((start) => {
+    const order = [start.id];
+    for (let i = 0; i < order.length; i++) {
+      edges
+        .filter(edge => edge.from === order[i] && edge.to && !order.includes(edge.to))
+        .forEach(edge => order.push(edge.to));
+    }
+    return { ...start, screens: order };
+  });
+
+  const reached = new Set(flows.flatMap(flow => flow.screens));
+  const firstStart = starts[0]?.id;
+  screens.forEach((screen) => {
+    screen.path = screen.id === firstStart ? '/' : `/${screen.segment}`;
+  });
+  // Overlays live under the screen that opens them, e.g. /payment/pop-up
+  const byId = new Map(screens.map(screen => [screen.id, screen]));
+  screens.filter(screen => screen.kind === 'overlay').forEach((overlay) => {
+    const opener = edges.find(edge => edge.to === overlay.id && edge.kind === 'overlay' && byId.get(edge.from).kind === 'screen');
+    if (opener) {
+      overlay.openedFrom = opener.from;
+      overlay.path = `${byId.get(opener.from).path.replace(/\/$/, '')}/${overlay.segment}`;
+    }
+  });
+  screens.forEach(screen => delete screen.segment);
+
+  return {
+    screens,
+    edges,
+    starts,
+    flows,
+    unreachable: screens.filter(screen => !reached.has(screen.id)).map(screen => screen.id)
+  };
+}
+
+function mermaidId(id) {
+  return `n${id.replace(/[^A-Za-z0-9]/g, '_')}`;
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\n/g, ' ');
+}
+
+/**
+ * Mermaid flowchart of the graph. Overlays are drawn as rounded nodes and
+ * reached with dotted arrows; edges without a destination (back, close,
+ * external links) are left out.
+ */
+export function renderMermaid(graph, { direction = 'LR' } = {}) {
+  const lines = [`flowchart ${direction}`];
+  graph.screens
+    .filter(screen => !graph.unreachable.includes(screen.id) || graph.edges.some(edge => edge.to === screen.id || edge.from === screen.id))
+    .forEach((screen) => {
+      const label = mermaidLabel(screen.name);
+      lines.push(`  ${mermaidId(screen.id)}${screen.kind === 'overlay' ? `(["${label}"])` : `["${label}"]`}`);
+    });
+
+  const seen = new Set();
+  graph.edges
+    .filter(edge => edge.to)
+    .forEach((edge) => {
+      const trigger = edge.trigger.type.replace(/^ON_/, '').toLowerCase().replace(/_/g, ' ');
+      const duration = edge.transition?.durationMs ? ` ${edge.transition.durationMs}ms` : '';
+      const label = mermaidLabel(`${trigger}: ${edge.hotspot.name}${edge.transition?.type && edge.transition.type !== 'INSTANT' ? ` (${edge.transition.type.toLowerCase()}${duration})` : ''}`);
+      const line = `  ${mermaidId(edge.from)} ${edge.kind === 'overlay' ? '-.->' : '-->'}|"${label}"| ${mermaidId(edge.to)}`;
+      if (!seen.has(line)) lines.push(line);
+      seen.add(line);
+    });
+
+  graph.starts.forEach(start => lines.push(`  style ${mermaidId(start.id)} stroke-width:3px`));
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,340 @@
+import { normalizeClass, tokenizeClasses, utilityGroup } from './tailwind-classes.js';
+
+/**
+ * Breakpoint frames: the same screen drawn at several widths, matched and
+ * merged into one tree with mobile-first Tailwind classes.
+ *
+ * Frames are paired by name once breakpoint words and widths are removed
+ * ("mobile חישוב בגרויות 1.3" and "1.3 חישוב בגרויות"), and otherwise by
+ * the layer names and copy they share. Their layers are aligned by name,
+ * then copy, then component, and each merged node keeps the smallest
+ * frame's classes unprefixed and adds `md:` / `lg:` classes where the
+ * wider frames differ.
+ */
+
+// Ordered from the smallest; `prefix` is the Tailwind variant for the breakpoint
+export const BREAKPOINTS = [
+  { name: 'mobile', prefix: '', minWidth: 0, maxWidth: 767 },
+  { name: 'tablet', prefix: 'md', minWidth: 768, maxWidth: 1023 },
+  { name: 'desktop', prefix: 'lg', minWidth: 1024, maxWidth: null }
+];
+
+// Narrower top-level frames are components or pieces, not screens
+const MIN_SCREEN_WIDTH = 280;
+
+const BREAKPOINT_WORDS = {
+  mobile: ['mobile', 'phone', 'iphone', 'android', 'mob', 'מובייל', 'נייד'],
+  tablet: ['tablet', 'ipad', 'טאבלט'],
+  desktop: ['desktop', 'web', 'dt', 'דסקטופ']
+};
+
+// Common device widths, dropped from names along with the words above
+const DEVICE_WIDTHS = /^(320|360|375|390|393|412|414|428|430|744|768|800|810|820|834|1024|1200|1280|1366|1440|1536|1600|1920)(px)?$/;
+
+const SEPARATORS = /[\s\-_/|()[\]:]+/;
+
+function words(name) {
+  return String(name).toLowerCase().split(SEPARATORS).filter(Boolean);
+}
+
+function breakpointFromName(name) {
+  const found = words(name);
+  return Object.keys(BREAKPOINT_WORDS).find(breakpoint => BREAKPOINT_WORDS[breakpoint].some(word => found.includes(word))) || null;
+}
+
+export function breakpointForWidth(width) {
+  return BREAKPOINTS.filter(breakpoint => width >= breakpoint.minWidth).pop().name;
+}
+
+/**
+ * Name of a frame without breakpoint words and widths, with its words
+ * sorted, so frames of one screen share it whatever the word order.
+ */
+export function frameKey(name) {
+  const allWords = Object.values(BREAKPOINT_WORDS).flat();
+  return words(name)
+    .filter(word => !allWords.includes(word) && !DEVICE_WIDTHS.test(word))
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Screens of a document, page or section with the breakpoint their width
+ * (or, without a bounding box, their name) puts them in. `node` and
+ * `parent` are the API nodes, for extraction.
+ */
+export function findBreakpointFrames(root) {
+  const frames = [];
+  (function visit(node, page) {
+    (node.children || []).forEach((child) => {
+      if (child.visible === false) return;
+      if (['CANVAS', 'SECTION'].includes(child.type)) {
+        visit(child, child.type === 'CANVAS' ? child : page);
+        return;
+      }
+      if (child.type !== 'FRAME') return;
+
+      const width = child.absoluteBoundingBox?.width;
+      if (width !== undefined && width < MIN_SCREEN_WIDTH) return;
+      const breakpoint = width !== undefined ? breakpointForWidth(width) : breakpointFromName(child.name);
+      if (!breakpoint) return;
+
+      frames.push({
+        id: child.id,
+        name: child.name,
+        page: page ? { id: page.id, name: page.name } : null,
+        width: width ?? null,
+        height: child.absoluteBoundingBox?.height ?? null,
+        breakpoint,
+        node: child,
+        parent: node
+      });
+    });
+  })(root, root.type === 'CANVAS' ? root : null);
+  return frames;
+}
+
+function fingerprint(node) {
+  const parts = new Set();
+  (function visit(current) {
+    (current.children || []).forEach((child) => {
+      parts.add(`name:${child.name}`);
+      if (child.characters) parts.add(`text:${child.characters.trim()}`);
+      visit(child);
+    });
+  })(node);
+  return parts;
+}
+
+// Shared layer names and copy over all of them (Jaccard index)
+export function structureSimilarity(left, right) {
+  const a = fingerprint(left);
+  const b = fingerprint(right);
+  if (a.size === 0 && b.size === 0) return 0;
+  const shared = [...a].filter(part => b.has(part)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group frames that show the same screen at different breakpoints.
+ *
+ * @returns {{ groups, unmatched }} groups carry { key, name, matchedBy,
+ *   score?, frames: { mobile?, tablet?, desktop? } }; unmatched frames have
+ *   no counterpart at another breakpoint.
+ */
+export function matchFrames(frames, { minSimilarity = 0.5 } = {}) {
+  const groups = [];
+
+  // Same name: the n-th frame of each breakpoint goes to the n-th group of the name
+  const byKey = new Map();
+  frames.forEach((frame) => {
+    const key = frameKey(frame.name) || frame.name;
+    if (!byKey.has(key)) byKey.set(key, []);
+    const list = byKey.get(key);
+    const group = list.find(candidate => !candidate.frames[frame.breakpoint]);
+    if (group) {
+      group.frames[frame.breakpoint] = frame;
+    } else {
+      const created = { key, name: frame.name, matchedBy: 'name', frames: { [frame.breakpoint]: frame } };
+      list.push(created);
+      groups.push(created);
+    }
+  });
+
+  // Frames still alone: pair them by structure, best matches first
+  const single = groups.filter(group => Object.keys(group.frames).length === 1);
+  const pairs = [];
+  single.forEach((left, i) => {
+    single.slice(i + 1).forEach((right) => {
+      const [leftFrame] = Object.values(left.frames);
+      const [rightFrame] = Object.values(right.frames);
+      if (leftFrame.breakpoint === rightFrame.breakpoint) return;
+      const score = structureSimilarity(leftFrame.node, rightFrame.node);
+      if (score >= minSimilarity) pairs.push({ left, right, score });
+    });
+  });
+
+  const merged = new Set();
+  pairs.sort((a, b) => b.score - a.score).forEach(({ left, right, score }) => {
+    if (merged.has(left) || merged.has(right)) return;
+    if (Object.keys(right.frames).some(breakpoint => left.frames[breakpoint])) return;
+    Object.assign(left.frames, right.frames);
+    left.matchedBy = 'structure';
+    left.score = Number(score.toFixed(2));
+    merged.add(right);
+  });
+
+  const kept = groups.filter(group => !merged.has(group));
+  return {
+    groups: kept.filter(group => Object.keys(group.frames).length > 1),
+    unmatched: kept.filter(group => Object.keys(group.frames).length === 1).map(group => Object.values(group.frames)[0])
+  };
+}
+
+function textOf(node) {
+  return node.text ?? node.textContent?.characters ?? null;
+}
+
+// Ways to recognise a layer in another frame, tried in order
+const MATCHERS = [
+  (a, b) => a.occurrence === b.occurrence,
+  (a, b) => a.node.type === b.node.type && textOf(a.node) !== null && textOf(a.node) === textOf(b.node),
+  (a, b) => a.node.type === 'INSTANCE' && a.node.componentId !== undefined && a.node.componentId === b.node.componentId,
+  (a, b) => a.node.type === b.node.type && a.node.name === b.node.name
+];
+
+function withOccurrence(children) {
+  const seen = {};
+  return children.map((node) => {
+    seen[node.name] = (seen[node.name] || 0) + 1;
+    return { node, occurrence: `${node.name}#${seen[node.name]}` };
+  });
+}
+
+/**
+ * Align the children of one layer across breakpoints. `nodes` has one
+ * entry per breakpoint, null where the layer does not exist. Returns one
+ * slot per layer, each with the same shape as `nodes`.
+ */
+function alignChildren(nodes) {
+  const slots = [];
+
+  nodes.forEach((node, index) => {
+    if (!node) return;
+    const children = withOccurrence(node.children || []);
+    const placed = new Map();
+
+    MATCHERS.forEach((matches) => {
+      children.forEach((child) => {
+        if (placed.has(child)) return;
+        const slot = slots.find(candidate => !candidate.nodes[index] && matches(candidate.first, child));
+        if (slot) {
+          slot.nodes[index] = child.node;
+          placed.set(child, slot);
+        }
+      });
+    });
+
+    // Layers seen for the first time go after their previous sibling
+    let position = 0;
+    children.forEach((child) => {
+      if (placed.has(child)) {
+        position = slots.indexOf(placed.get(child)) + 1;
+        return;
+      }
+      const slot = { first: child, nodes: nodes.map((_, i) => (i === index ? child.node : null)) };
+      slots.splice(position, 0, slot);
+      placed.set(child, slot);
+      position += 1;
+    });
+  });
+
+  return slots.map(slot => slot.nodes);
+}
+
+function tokensOf(node) {
+  return tokenizeClasses(node.tailwindClasses || '').map(normalizeClass);
+}
+
+function withoutDisplay(tokens) {
+  return tokens.filter(token => utilityGroup(token) !== 'display');
+}
+
+/**
+ * Classes of a layer at each breakpoint. Where it is missing it is hidden
+ * and otherwise styled like at the nearest breakpoint that has it, so only
+ * `hidden` changes; where its parent is missing too nothing changes at all.
+ */
+function classesPerBreakpoint(nodes, parentNodes) {
+  const own = nodes.map(node => (node ? tokensOf(node) : null));
+  const nearest = index => own.slice(0, index).reverse().find(Boolean) || own.slice(index + 1).find(Boolean);
+
+  return own.map((tokens, index) => {
+    if (tokens) return nodes[index].visible === false ? [...withoutDisplay(tokens), 'hidden'] : tokens;
+    if (parentNodes && !parentNodes[index]) return nearest(index);
+    return [...withoutDisplay(nearest(index)), 'hidden'];
+  });
+}
+
+/**
+ * Mobile-first classes from one class list per breakpoint (smallest first).
+ * Each class is written for the run of breakpoints that has it: `md:` to
+ * start at a wider one and `max-lg:` to stop before one, unless classes of
+ * the same group from wider breakpoints replace it from there on.
+ *
+ * @param {Array<{ prefix: string, tokens: string[] }>} levels
+ */
+export function responsiveClasses(levels) {
+  const prefixAt = index => (index === 0 ? '' : levels[index].prefix);
+  const has = levels.map(level => new Set(level.tokens));
+  const order = [...new Set(levels.flatMap(level => level.tokens))];
+  const classes = [];
+  const runStart = (token, index) => {
+    let start = index;
+    while (start > 0 && has[start - 1].has(token)) start--;
+    return start;
+  };
+
+  order.forEach((token) => {
+    const group = utilityGroup(token);
+    for (let start = 0; start < levels.length; start++) {
+      if (!has[start].has(token) || (start > 0 && has[start - 1].has(token))) continue;
+      let end = start;
+      while (end < levels.length && has[end].has(token)) end++;
+
+      // No max-* needed when, from `end` on, a class of the same group that starts later wins anyway
+      const replaced = end === levels.length || (group !== null && levels.slice(end).every((level, offset) => has[end + offset].has(token)
+        || level.tokens.some(other => other !== token && utilityGroup(other) === group && runStart(other, end + offset) > start)));
+      const variants = [prefixAt(start), replaced ? '' : `max-${levels[end].prefix}`].filter(Boolean);
+      classes.push({ start, value: [...variants, token].join(':') });
+    }
+  });
+
+  return classes.sort((a, b) => a.start - b.start).map(entry => entry.value).join(' ');
+}
+
+/**
+ * Merge the extracted structures of one group into a single tree.
+ *
+ * @param {Array<{ breakpoint: string, structure: object }>} versions -
+ *   smallest breakpoint first, structures from extractNodeStructure()
+ * @returns {{ structure, onlyAt }} onlyAt lists the layers missing from
+ *   some breakpoints, reported once at the top of each missing subtree
+ */
+export function mergeBreakpoints(versions) {
+  const names = versions.map(version => version.breakpoint);
+  const levels = names.map(name => BREAKPOINTS.find(breakpoint => breakpoint.name === name));
+  const onlyAt = [];
+
+  function merge(nodes, parentNodes, ancestry) {
+    const first = nodes.find(Boolean);
+    const path = [...ancestry, first.name];
+    const present = names.filter((_, index) => nodes[index]);
+
+    // Report where the parent exists but this layer does not
+    const missing = names.filter((_, index) => !nodes[index] && (!parentNodes || parentNodes[index]));
+    if (missing.length > 0) {
+      onlyAt.push({ id: first.id, name: first.name, type: first.type, path: path.join(' > '), breakpoints: present, missing });
+    }
+
+    const merged = {
+      id: first.id,
+      name: first.name,
+      type: first.type,
+      ids: Object.fromEntries(names.map((name, index) => [name, nodes[index]?.id]).filter(([, id]) => id)),
+      breakpoints: present,
+      tailwindClasses: responsiveClasses(classesPerBreakpoint(nodes, parentNodes).map((tokens, index) => ({ prefix: levels[index].prefix, tokens })))
+    };
+
+    const texts = names.map((_, index) => (nodes[index] ? textOf(nodes[index]) : null));
+    const copy = [...new Set(texts.filter(text => text !== null))];
+    if (copy.length === 1) merged.text = copy[0];
+    if (copy.length > 1) merged.texts = Object.fromEntries(names.map((name, index) => [name, texts[index]]).filter(([, text]) => text !== null));
+
+    const children = alignChildren(nodes);
+    if (children.length > 0) merged.children = children.map(slot => merge(slot, nodes, path));
+    return merged;
+  }
+
+  return { structure: merge(versions.map(version => version.structure), null, []), onlyAt };
+}
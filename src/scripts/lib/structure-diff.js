@@ -0,0 +1,216 @@
+import { tokenizeClasses } from './tailwind-classes.js';
+
+/**
+ * Compare two extracted Figma structures node by node.
+ *
+ * Inputs can be a figma-node-structure.json ({ structure }), a
+ * figma-file-structure.json ({ document, pages }) or a bare structure node.
+ * Nodes are matched by ID, which Figma keeps stable across edits; instance
+ * children get new IDs when the instance is swapped, so they are reported
+ * as part of the swap rather than as added and removed nodes.
+ */
+
+// Raw style properties compared when a node has no tailwindClasses (file structures)
+const STYLE_KEYS = ['textStyle', 'style', 'fills', 'strokes', 'effects', 'cornerRadius', 'padding', 'itemSpacing', 'layoutMode'];
+
+export const CHANGE_KINDS = ['added', 'removed', 'moved', 'renamed', 'text', 'styles', 'components'];
+
+function rootsOf(data) {
+  if (data.structure) return [data.structure];
+  // File structures keep a shallow document and one detailed subtree per page
+  if (Array.isArray(data.pages) && data.pages.length > 0) return data.pages;
+  if (data.document) return [data.document];
+  if (data.id && data.type) return [data];
+  throw new Error('Not an extracted Figma structure: expected "structure", "pages" or "document"');
+}
+
+function textOf(node) {
+  return node.text ?? node.textContent?.characters ?? null;
+}
+
+function variantOf(node) {
+  return Object.fromEntries(
+    Object.entries(node.componentProperties || {})
+      .filter(([, property]) => property.type === 'VARIANT')
+      .map(([name, property]) => [name.replace(/#.*$/, ''), String(property.value)])
+  );
+}
+
+/**
+ * Map of node ID -> the fields the diff looks at, with parent and child IDs.
+ */
+export function flattenStructure(data) {
+  const nodes = new Map();
+
+  (function visit(list, parent, ancestry) {
+    list.forEach((node) => {
+      const path = [...ancestry, node.name];
+      nodes.set(node.id, {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        parentId: parent?.id ?? null,
+        path: path.join(' > '),
+        text: textOf(node),
+        classes: node.tailwindClasses ?? null,
+        style: Object.fromEntries(STYLE_KEYS.filter(key => node[key] !== undefined).map(key => [key, node[key]])),
+        componentId: node.componentId ?? null,
+        variant: variantOf(node),
+        childIds: (node.children || []).map(child => child.id)
+      });
+      visit(node.children || [], node, path);
+    });
+  })(rootsOf(data), null, []);
+
+  return nodes;
+}
+
+function classChanges(before, after) {
+  const old = new Set(tokenizeClasses(before || ''));
+  const now = new Set(tokenizeClasses(after || ''));
+  return {
+    removed: [...old].filter(token => !now.has(token)),
+    added: [...now].filter(token => !old.has(token))
+  };
+}
+
+function styleChanges(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+// Longest common subsequence of two ID lists; what is outside it was moved
+function commonOrder(left, right) {
+  const table = left.map(() => new Array(right.length + 1).fill(0));
+  table.push(new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      table[i][j] = left[i] === right[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const kept = new Set();
+  for (let i = 0, j = 0; i < left.length && j < right.length;) {
+    if (left[i] === right[j]) {
+      kept.add(left[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Nodes reordered within the same parent, as ID -> { before, after }
+ * positions among the siblings present in both versions. Added and
+ * removed siblings do not make the others count as moved.
+ */
+function reordered(oldNodes, newNodes) {
+  const result = new Map();
+  newNodes.forEach((parent) => {
+    const oldParent = oldNodes.get(parent.id);
+    if (!oldParent) return;
+
+    const stays = id => oldNodes.get(id)?.parentId === parent.id && newNodes.get(id)?.parentId === parent.id;
+    const oldOrder = oldParent.childIds.filter(stays);
+    const newOrder = parent.childIds.filter(stays);
+    const kept = commonOrder(oldOrder, newOrder);
+    newOrder
+      .filter(id => !kept.has(id))
+      .forEach(id => result.set(id, { before: oldOrder.indexOf(id), after: newOrder.indexOf(id) }));
+  });
+  return result;
+}
+
+/**
+ * Changes from `before` to `after`, both extracted structures. Returns
+ * { changes, summary, nodes }: one change per finding with `kind` (one of
+ * CHANGE_KINDS), the node's id, name, type and path, and kind-specific
+ * `before` / `after` / `detail`. Added and removed subtrees are reported
+ * once, at their top node, with a `nested` count. `summary` counts changes
+ * per kind and `nodes` the nodes on each side.
+ */
+export function diffStructures(before, after) {
+  const oldNodes = flattenStructure(before);
+  const newNodes = flattenStructure(after);
+  const changes = [];
+  const swapped = new Set();
+
+  const describe = node => ({ id: node.id, name: node.name, type: node.type, path: node.path });
+  const countNested = (nodes, node) => node.childIds.reduce((total, id) => total + 1 + countNested(nodes, nodes.get(id)), 0);
+
+  // Component swaps first, so their children can be left out below
+  newNodes.forEach((node) => {
+    const old = oldNodes.get(node.id);
+    if (!old || old.type !== 'INSTANCE' || node.type !== 'INSTANCE') return;
+    const variantChanged = JSON.stringify(old.variant) !== JSON.stringify(node.variant);
+    if (old.componentId === node.componentId && !variantChanged) return;
+    swapped.add(node.id);
+    changes.push({
+      kind: 'components',
+      ...describe(node),
+      before: { componentId: old.componentId, variant: old.variant },
+      after: { componentId: node.componentId, variant: node.variant },
+      detail: old.componentId === node.componentId ? 'variant' : 'swap'
+    });
+  });
+
+  const insideSwap = id => [...swapped].some(instanceId => id.startsWith(`I${instanceId};`) || id.startsWith(`${instanceId};`));
+
+  newNodes.forEach((node) => {
+    if (oldNodes.has(node.id) || insideSwap(node.id)) return;
+    const parentIsNew = node.parentId && !oldNodes.has(node.parentId) && newNodes.has(node.parentId);
+    if (!parentIsNew) changes.push({ kind: 'added', ...describe(node), nested: countNested(newNodes, node) });
+  });
+
+  oldNodes.forEach((node) => {
+    if (newNodes.has(node.id) || insideSwap(node.id)) return;
+    const parentIsGone = node.parentId && !newNodes.has(node.parentId) && oldNodes.has(node.parentId);
+    if (!parentIsGone) changes.push({ kind: 'removed', ...describe(node), nested: countNested(oldNodes, node) });
+  });
+
+  const order = reordered(oldNodes, newNodes);
+  newNodes.forEach((node) => {
+    const old = oldNodes.get(node.id);
+    if (!old) return;
+
+    if (old.parentId !== node.parentId) {
+      changes.push({
+        kind: 'moved',
+        ...describe(node),
+        before: oldNodes.get(old.parentId)?.path ?? null,
+        after: newNodes.get(node.parentId)?.path ?? null,
+        detail: 'parent'
+      });
+    } else if (order.has(node.id)) {
+      changes.push({ kind: 'moved', ...describe(node), ...order.get(node.id), detail: 'order' });
+    }
+
+    if (old.name !== node.name) {
+      changes.push({ kind: 'renamed', ...describe(node), before: old.name, after: node.name });
+    }
+
+    if (old.text !== node.text && (old.text !== null || node.text !== null)) {
+      changes.push({ kind: 'text', ...describe(node), before: old.text, after: node.text });
+    }
+
+    const classes = classChanges(old.classes, node.classes);
+    const styleKeys = old.classes === null && node.classes === null ? styleChanges(old.style, node.style) : [];
+    if (classes.added.length > 0 || classes.removed.length > 0 || styleKeys.length > 0) {
+      changes.push({
+        kind: 'styles',
+        ...describe(node),
+        before: old.classes,
+        after: node.classes,
+        detail: { addedClasses: classes.added, removedClasses: classes.removed, properties: styleKeys }
+      });
+    }
+  });
+
+  const summary = Object.fromEntries(CHANGE_KINDS.map(kind => [kind, changes.filter(change => change.kind === kind).length]));
+  return { changes, summary, nodes: { before: oldNodes.size, after: newNodes.size } };
+}
@@ -0,0 +1,210 @@
+/**
+ * SVG clean-up and React icon components for exported vector icons.
+ *
+ * Figma's SVG export carries layer ids, fixed colors and a fixed size.
+ * cleanSvg() drops ids nothing refers to (and prefixes the rest so two
+ * icons on one page cannot clash), turns single-color icons into
+ * currentColor and makes sure a viewBox is present. renderIconComponent()
+ * then wraps the markup in a component with `size` and `color` props.
+ */
+
+// Presentation attributes that take a paint
+const PAINT_ATTRIBUTES = /\s(fill|stroke)="([^"]*)"/g;
+
+// React spells these differently from the SVG attribute names
+const JSX_ATTRIBUTES = {
+  class: 'className',
+  'xlink:href': 'xlinkHref',
+  'xml:space': 'xmlSpace',
+  'xmlns:xlink': 'xmlnsXlink'
+};
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+}
+
+// Masks and clip paths only contribute shape and alpha, not color
+const SHAPE_ONLY = /(<(clipPath|mask)\b[\s\S]*?<\/\2>)/;
+
+const SHAPE_ONLY_ALL = new RegExp(SHAPE_ONLY.source, 'g');
+
+// Apply `replace` to the markup outside masks and clip paths
+function outsideShapes(markup, replace) {
+  // split() also returns the tag name group, which is dropped
+  return markup
+    .split(SHAPE_ONLY)
+    .filter((part, index) => index % 3 !== 2)
+    .map((part, index) => (index % 2 === 0 ? replace(part) : part))
+    .join('');
+}
+
+function rootTag(svg) {
+  const match = svg.match(/<svg\b[^>]*>/);
+  if (!match) throw new Error('Not an SVG document');
+  return match[0];
+}
+
+/**
+ * Solid colors used for fills and strokes, lowercased. `gradient` is true
+ * when any paint points at a gradient or pattern, which currentColor cannot
+ * express.
+ */
+export function paintsOf(svg) {
+  const colors = new Set();
+  let gradient = false;
+
+  const body = svg.replace(rootTag(svg), '').replace(SHAPE_ONLY_ALL, '');
+  for (const [, , value] of body.matchAll(PAINT_ATTRIBUTES)) {
+    const paint = value.trim().toLowerCase();
+    if (paint.startsWith('url(')) gradient = true;
+    else if (paint !== 'none' && paint !== 'currentcolor') colors.add(paint);
+  }
+
+  return { colors: [...colors], gradient };
+}
+
+/**
+ * Clean an exported SVG. Returns the cleaned markup plus its viewBox and
+ * whether it was converted to currentColor.
+ *
+ * @param {string} svg - SVG markup as exported by /v1/images
+ * @param {object} [options]
+ * @param {string} [options.idPrefix] - prefix for ids that are referenced
+ */
+export function cleanSvg(svg, { idPrefix = 'icon' } = {}) {
+  let markup = svg
+    .replace(/<\?xml[^>]*\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<title>[\s\S]*?<\/title>/g, '')
+    .trim();
+
+  // Keep ids that clip paths, masks and gradients are looked up by
+  const referenced = new Set([...markup.matchAll(/(?:url\(#|href="#)([^)"]+)/g)].map(match => match[1]));
+  markup = markup.replace(/\sid="([^"]*)"/g, (whole, id) => {
+    if (!referenced.has(id)) return '';
+    return id.startsWith(`${idPrefix}-`) ? whole : ` id="${idPrefix}-${id}"`;
+  });
+  markup = markup.replace(/(url\(#|href="#)([^)"]+)/g, (whole, lead, id) => (
+    id.startsWith(`${idPrefix}-`) ? whole : `${lead}${idPrefix}-${id}`
+  ));
+
+  // Figma only writes width and height; the viewBox is what keeps the icon scalable
+  const root = rootTag(markup);
+  let viewBox = attribute(root, 'viewBox');
+  if (!viewBox) {
+    const width = parseFloat(attribute(root, 'width'));
+    const height = parseFloat(attribute(root, 'height'));
+    if (width > 0 && height > 0) {
+      viewBox = `0 0 ${width} ${height}`;
+      markup = markup.replace(root, root.replace(/^<svg\b/, `<svg viewBox="${viewBox}"`));
+    }
+  }
+
+  const { colors, gradient } = paintsOf(markup);
+  const monochrome = !gradient && colors.length === 1;
+  if (monochrome) {
+    const body = markup.slice(rootTag(markup).length);
+    markup = rootTag(markup) + outsideShapes(body, part => part.replace(PAINT_ATTRIBUTES, (whole, name, value) => (
+      value.trim().toLowerCase() === colors[0] ? ` ${name}="currentColor"` : whole
+    )));
+  }
+
+  return { svg: `${markup}\n`, viewBox, monochrome };
+}
+
+// "mask-type:alpha;opacity:0.5" -> "{{ maskType: 'alpha', opacity: '0.5' }}"
+function styleObject(style) {
+  const entries = style
+    .split(';')
+    .map(rule => rule.split(':').map(part => part.trim()))
+    .filter(([property, value]) => property && value)
+    .map(([property, value]) => `${property.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())}: ${JSON.stringify(value).replace(/^"|"$/g, "'")}`);
+  return `{{ ${entries.join(', ')} }}`;
+}
+
+function jsxAttributes(attributes) {
+  return attributes.replace(/([\w:-]+)="([^"]*)"/g, (whole, name, value) => {
+    if (name === 'style') return `style=${styleObject(value)}`;
+    if (JSX_ATTRIBUTES[name]) return `${JSX_ATTRIBUTES[name]}="${value}"`;
+    if (name.startsWith('data-') || name.startsWith('aria-')) return whole;
+    return `${name.replace(/[-:]([a-z])/g, (_, letter) => letter.toUpperCase())}="${value}"`;
+  });
+}
+
+/**
+ * Inner SVG markup as JSX lines, attributes renamed for React and indented
+ * by nesting level.
+ */
+export function svgToJsx(svg) {
+  const root = rootTag(svg);
+  const inner = svg.slice(svg.indexOf(root) + root.length, svg.lastIndexOf('</svg>'));
+  let depth = 0;
+
+  return inner
+    .replace(/<([\w:-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>/g, (whole, tag, attributes, selfClosing) => (
+      `<${tag}${jsxAttributes(attributes)}${selfClosing ? ' /' : ''}>`
+    ))
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const opened = (line.match(/<[\w]/g) || []).length - (line.match(/\/>/g) || []).length;
+      const closed = (line.match(/<\//g) || []).length;
+      const leading = line.startsWith('</') ? 1 : 0;
+      const indented = `${'  '.repeat(Math.max(0, depth - leading))}${line}`;
+      depth += opened - closed;
+      return indented;
+    });
+}
+
+export const ICON_PROPS_SOURCE = [
+  "import type { SVGProps } from 'react';",
+  '',
+  'export type IconProps = Omit<SVGProps<SVGSVGElement>, \'color\'> & {',
+  '  /** Width and height, in px when a number */',
+  '  size?: number | string;',
+  '  /** Color of single-color icons; multicolor icons keep their own colors */',
+  '  color?: string;',
+  '};',
+  ''
+].join('\n');
+
+/**
+ * TSX source for one icon component.
+ *
+ * @param {object} icon
+ * @param {string} icon.name - component name
+ * @param {string} icon.svg - cleaned SVG markup
+ * @param {string} header - generated-file comment
+ */
+export function renderIconComponent({ name, svg }, header) {
+  const root = rootTag(svg);
+  const viewBox = attribute(root, 'viewBox') || '0 0 24 24';
+  const [, , width] = viewBox.split(/[\s,]+/).map(Number);
+  const defaultSize = Number.isFinite(width) && width > 0 ? Math.round(width) : 24;
+  const rootFill = attribute(root, 'fill');
+
+  return [
+    header,
+    "import type { IconProps } from './types';",
+    '',
+    `export default function ${name}({ size = ${defaultSize}, color = 'currentColor', ...props }: IconProps) {`,
+    '  return (',
+    `    <svg width={size} height={size} viewBox="${viewBox}"${rootFill ? ` fill="${rootFill}"` : ''} xmlns="http://www.w3.org/2000/svg" color={color} {...props}>`,
+    ...svgToJsx(svg).map(line => `      ${line}`),
+    '    </svg>',
+    '  );',
+    '}',
+    ''
+  ].join('\n');
+}
+
+export function renderIconIndex(names, header) {
+  return [
+    header,
+    "export type { IconProps } from './types';",
+    ...[...names].sort().map(name => `export { default as ${name} } from './${name}';`),
+    ''
+  ].join('\n');
+}
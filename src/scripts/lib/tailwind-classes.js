@@ -0,0 +1,57 @@
+/**
+ * Helpers for the Tailwind class strings produced by extractNodeStructure().
+ */
+
+// Split a class string, keeping arbitrary values such as bg-[rgb(1 2 3)] whole
+export function tokenizeClasses(classes = '') {
+  return classes.match(/[^\s[]+(?:\[[^\]]*\][^\s]*)?/g) || [];
+}
+
+// Tailwind reads spaces inside arbitrary values as class separators, so
+// bg-[rgb(1 105 55)] has to be written bg-[rgb(1_105_55)]
+export function normalizeClass(token) {
+  return token.replace(/\[[^\]]*\]/g, value => value.replace(/\s+/g, '_'));
+}
+
+export function normalizeClasses(classes) {
+  const seen = new Set();
+  return tokenizeClasses(classes)
+    .map(normalizeClass)
+    .filter(token => !seen.has(token) && seen.add(token))
+    .join(' ');
+}
+
+// Utilities that set the same CSS property, so a later variant of one replaces another
+const UTILITY_GROUPS = [
+  [/^(block|inline-block|inline|flex|inline-flex|grid|inline-grid|contents|hidden)$/, 'display'],
+  [/^(static|relative|absolute|fixed|sticky)$/, 'position'],
+  [/^flex-(row|col)(-reverse)?$/, 'flex-direction'],
+  [/^flex-(wrap|nowrap|wrap-reverse)$/, 'flex-wrap'],
+  [/^flex-(\d+|auto|initial|none|\[.*\])$/, 'flex'],
+  [/^(grow|shrink)(-\d+)?$/, match => match[1]],
+  [/^text-(left|center|right|justify|start|end)$/, 'text-align'],
+  [/^text-(xs|sm|base|lg|\d?xl|\[[\d.]+(px|rem|em)\])$/, 'font-size'],
+  [/^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black)$/, 'font-weight'],
+  [/^border(-[xytrblse])?(-\d+|-\[[\d.]+px\])?$/, match => `border-width${match[1] || ''}`],
+  [/^border-(solid|dashed|dotted|double|none)$/, 'border-style'],
+  [/^rounded(-[a-z]{1,2})?(?=-|$)/, match => `rounded${match[1] && !/^-(none|sm|md|lg|xl)$/.test(match[1]) ? match[1] : ''}`],
+  [/^(shadow|blur|backdrop-blur|mix-blend)(-|$)/, match => match[1]],
+  [/^(self|items|justify|content|place-self|place-items|order|z|opacity|leading|tracking|font|text|bg|border)-/, match => match[1]],
+  [/^-?(gap(-[xy])?|[mp][xytrblse]?|inset(-[xy])?|top|right|bottom|left|start|end|translate-[xy]|(min-|max-)?[wh]|size|basis)-/, match => match[1]],
+  [/^\[([a-z-]+):/, match => match[1]]
+];
+
+/**
+ * The CSS property a utility sets, so `p-4` and `p-8` share a group while
+ * `p-4` and `pt-8` do not. Variants are part of the group (`hover:bg-*`
+ * and `bg-*` differ). Null for utilities it does not know.
+ */
+export function utilityGroup(token) {
+  const variants = token.slice(0, token.lastIndexOf(':', token.indexOf('[') === -1 ? undefined : token.indexOf('[')) + 1);
+  const utility = token.slice(variants.length);
+  for (const [pattern, group] of UTILITY_GROUPS) {
+    const match = utility.match(pattern);
+    if (match) return variants + (typeof group === 'function' ? group(match) : group);
+  }
+  return null;
+}
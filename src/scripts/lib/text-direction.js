@@ -0,0 +1,143 @@
+/**
+ * Right-to-left support for the extracted structure and generated markup.
+ *
+ * A frame's direction comes from its name ("... -he" is Hebrew, "... -en"
+ * English) or, for pages, from the script most of its text is written in.
+ * Physical classes are then rewritten to logical ones (ps/pe, text-start,
+ * start-*, border-s, rounded-ss) so the same markup renders correctly under
+ * dir="rtl" and, mirrored, under dir="ltr".
+ */
+
+// Hebrew and Arabic letters, including presentation forms
+const RTL_LETTERS = /[\u0590-\u05FF\u0600-\u06FF\u0750-\u077F\uFB1D-\uFDFF\uFE70-\uFEFF]/g;
+const LTR_LETTERS = /[A-Za-z\u00C0-\u024F]/g;
+
+const RTL_SUFFIX = /(?:^|[\s_-])(he|heb|ar|rtl)$/i;
+const LTR_SUFFIX = /(?:^|[\s_-])(en|eng|ltr)$/i;
+
+// Node types whose name can set a direction
+const DIRECTION_TYPES = new Set(['CANVAS', 'FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'GROUP']);
+
+export function directionFromName(name = '') {
+  const trimmed = name.trim();
+  if (RTL_SUFFIX.test(trimmed)) return 'rtl';
+  if (LTR_SUFFIX.test(trimmed)) return 'ltr';
+  return null;
+}
+
+/**
+ * 'rtl' when most letters in the node's text are Hebrew or Arabic, 'ltr'
+ * when they are Latin, null when there is no text.
+ */
+export function directionFromText(node) {
+  let rtl = 0;
+  let ltr = 0;
+
+  (function count(current) {
+    if (current.visible === false) return;
+    const text = current.characters ?? current.text ?? current.textContent?.characters;
+    if (current.type === 'TEXT' && text) {
+      rtl += (text.match(RTL_LETTERS) || []).length;
+      ltr += (text.match(LTR_LETTERS) || []).length;
+    }
+    (current.children || []).forEach(count);
+  })(node);
+
+  if (rtl === 0 && ltr === 0) return null;
+  return rtl > ltr ? 'rtl' : 'ltr';
+}
+
+/**
+ * Direction set by this node itself, or null when it inherits one.
+ * `detectFromText` is used for pages, where there is nothing to inherit.
+ */
+export function ownDirection(node, { detectFromText = false } = {}) {
+  if (!DIRECTION_TYPES.has(node.type)) return null;
+  return directionFromName(node.name) || (detectFromText ? directionFromText(node) : null);
+}
+
+// Mirror name of a "-he" frame, e.g. "2.0 Subject to learn-he" -> "2.0 Subject to learn-en"
+export function ltrVariantName(name = '') {
+  const match = name.trim().match(/^(.*?[\s_-])(he|heb)$/i);
+  return match ? `${match[1]}en` : null;
+}
+
+const SIDES = {
+  ltr: { l: 's', r: 'e' },
+  rtl: { l: 'e', r: 's' }
+};
+
+const INSETS = {
+  ltr: { left: 'start', right: 'end' },
+  rtl: { left: 'end', right: 'start' }
+};
+
+// Physical corner -> logical corner (start-start = top-left in LTR)
+const CORNERS = {
+  ltr: { tl: 'ss', tr: 'se', br: 'ee', bl: 'es' },
+  rtl: { tl: 'se', tr: 'ss', br: 'es', bl: 'ee' }
+};
+
+function swap(token, pairs) {
+  return pairs[token] || token;
+}
+
+/**
+ * Rewrite one class to its logical equivalent for `direction`.
+ */
+function logicalClass(token, direction, layoutMode) {
+  let match;
+
+  if ((match = token.match(/^p([lr])-(.+)$/))) {
+    return `p${SIDES[direction][match[1]]}-${match[2]}`;
+  }
+  if ((match = token.match(/^(-?)m([lr])-(.+)$/))) {
+    return `${match[1]}m${SIDES[direction][match[2]]}-${match[3]}`;
+  }
+  if (token === 'text-left' || token === 'text-right') {
+    return `text-${INSETS[direction][token.slice(5)]}`;
+  }
+  // left-1/2 and left-[calc(50%...)] center the node together with a translate; keep those physical
+  if ((match = token.match(/^(-?)(left|right)-(.+)$/)) && !match[3].startsWith('1/2') && !match[3].startsWith('[calc(50%')) {
+    return `${match[1]}${INSETS[direction][match[2]]}-${match[3]}`;
+  }
+  if ((match = token.match(/^border-([lr])(-\d+|-\[[^\]]+\])?$/))) {
+    return `border-${SIDES[direction][match[1]]}${match[2] || ''}`;
+  }
+  if ((match = token.match(/^rounded-(tl|tr|br|bl)(-.+)?$/))) {
+    return `rounded-${CORNERS[direction][match[1]]}${match[2] || ''}`;
+  }
+
+  // Figma lays out children left to right; under dir="rtl" start is the right edge
+  if (direction === 'rtl' && layoutMode === 'HORIZONTAL') {
+    return swap(token, { 'justify-start': 'justify-end', 'justify-end': 'justify-start' });
+  }
+  if (direction === 'rtl' && layoutMode === 'VERTICAL') {
+    return swap(token, { 'items-start': 'items-end', 'items-end': 'items-start' });
+  }
+  return token;
+}
+
+/**
+ * Rewrite physical classes in a class list to logical ones.
+ *
+ * Pass `layoutMode` only for classes straight from the extractor: flex
+ * alignment is flipped for RTL frames, which must happen exactly once.
+ * Everything else is safe to run again on already logical classes.
+ *
+ * @param {string[]} tokens - class list, see tokenizeClasses()
+ * @param {'ltr'|'rtl'} direction
+ * @param {object} [options]
+ * @param {string} [options.layoutMode] - the node's auto-layout direction
+ */
+export function toLogicalClasses(tokens, direction = 'ltr', { layoutMode } = {}) {
+  return tokens.flatMap((token) => {
+    // Mixed corner radii come out of the extractor as one arbitrary property
+    const radius = token.match(/^\[border-radius:([^_]+)_([^_]+)_([^_]+)_([^_\]]+)\]$/);
+    if (radius) {
+      const [, tl, tr, br, bl] = radius;
+      return Object.entries({ tl, tr, br, bl }).map(([corner, value]) => `rounded-${CORNERS[direction][corner]}-[${value}]`);
+    }
+    return [logicalClass(token, direction, layoutMode)];
+  });
+}
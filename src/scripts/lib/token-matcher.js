@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import tailwindColors from 'tailwindcss/colors';
+
+/**
+ * Map extracted colors and lengths to Tailwind classes.
+ *
+ * Lookup order for every value:
+ *   1. the variable bound to the property in Figma (boundVariables), when
+ *      it is one of the project's design tokens
+ *   2. the closest design token within the tolerance
+ *   3. the closest step of the Tailwind palette / spacing / radius scale
+ *      within the tolerance
+ *   4. an arbitrary value (bg-[rgb(...)], p-[13px]), which is recorded in
+ *      `arbitrary` so missing tokens can be added to the design system
+ *
+ * Colors are compared in OKLab, where a distance of ~0.02 is about the
+ * smallest difference people notice.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_TOKENS_INDEX = path.join(__dirname, '../../files/design-tokens.json');
+
+export const DEFAULT_TOLERANCE = {
+  color: 0.02,
+  spacing: 1,
+  radius: 1
+};
+
+// Tailwind's default spacing scale in px -> class suffix
+const SPACING_SCALE = {
+  0: '0', 1: 'px', 2: '0.5', 4: '1', 6: '1.5', 8: '2', 10: '2.5', 12: '3', 14: '3.5',
+  16: '4', 20: '5', 24: '6', 28: '7', 32: '8', 36: '9', 40: '10', 44: '11', 48: '12',
+  56: '14', 64: '16', 80: '20', 96: '24', 112: '28', 128: '32', 144: '36', 160: '40',
+  176: '44', 192: '48', 208: '52', 224: '56', 240: '60', 256: '64', 288: '72', 320: '80', 384: '96'
+};
+
+// Tailwind v4's border radius scale in px -> class, --radius-* in tailwindcss/theme.css (9999 stands for "full")
+const RADIUS_SCALE = {
+  0: 'rounded-none', 2: 'rounded-xs', 4: 'rounded-sm', 6: 'rounded-md', 8: 'rounded-lg',
+  12: 'rounded-xl', 16: 'rounded-2xl', 24: 'rounded-3xl', 32: 'rounded-4xl', 9999: 'rounded-full'
+};
+
+function srgbToLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
+// sRGB channels (0-1) -> OKLab [L, a, b]
+export function rgbToOklab({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(srgbToLinear);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+// CSS color as used in Tailwind's palette (#hex or oklch()) -> OKLab
+export function parseCssColor(value) {
+  const oklch = value.match(/^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)/);
+  if (oklch) {
+    const lightness = Number(oklch[1]) / (oklch[2] ? 100 : 1);
+    const chroma = Number(oklch[3]);
+    const hue = Number(oklch[4]) * Math.PI / 180;
+    return [lightness, chroma * Math.cos(hue), chroma * Math.sin(hue)];
+  }
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, digit => digit + digit) : hex[1];
+    const channel = index => parseInt(digits.slice(index, index + 2), 16) / 255;
+    return rgbToOklab({ r: channel(0), g: channel(2), b: channel(4) });
+  }
+
+  return null;
+}
+
+function colorDistance(left, right) {
+  return Math.hypot(left[0] - right[0], left[1] - right[1], left[2] - right[2]);
+}
+
+// [{ name: 'green-700', lab }] for every shade of the default palette
+function paletteEntries() {
+  const entries = [];
+  Object.entries(tailwindColors).forEach(([name, value]) => {
+    if (typeof value === 'string') {
+      const lab = parseCssColor(value);
+      if (lab) entries.push({ name, lab });
+      return;
+    }
+    Object.entries(value || {}).forEach(([shade, shadeValue]) => {
+      const lab = parseCssColor(shadeValue);
+      if (lab) entries.push({ name: `${name}-${shade}`, lab });
+    });
+  });
+  return entries;
+}
+
+let palette;
+
+function alphaModifier(alpha) {
+  const percent = Math.round(alpha * 100);
+  return percent % 5 === 0 ? `/${percent}` : `/[${Number(alpha.toFixed(2))}]`;
+}
+
+function formatPx(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(2));
+}
+
+function nearest(candidates, distanceTo) {
+  return candidates.reduce((best, candidate) => {
+    const distance = distanceTo(candidate);
+    return !best || distance < best.distance ? { ...candidate, distance } : best;
+  }, null);
+}
+
+/**
+ * Resolved tokens from design-tokens.json (see build-design-tokens.js), or
+ * an empty list when the token build has not been run.
+ */
+export function loadDesignTokens(file = DEFAULT_TOKENS_INDEX) {
+  if (!file || !fs.existsSync(file)) return [];
+  const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return index.tokens || [];
+}
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.tokens] - resolved tokens, see loadDesignTokens()
+ * @param {object} [options.tolerance] - { color, spacing, radius }; OKLab distance and px
+ */
+export function createTokenMatcher({ tokens = [], tolerance = {} } = {}) {
+  const limits = { ...DEFAULT_TOLERANCE, ...tolerance };
+  palette = palette || paletteEntries();
+
+  const byId = new Map(tokens.map(token => [token.id, token]));
+  const defaultValue = token => token.modes?.[token.defaultMode]?.value;
+
+  const colorTokens = tokens
+    .filter(token => token.category === 'colors' && defaultValue(token))
+    .map(token => ({ name: token.key, lab: rgbToOklab(defaultValue(token)), alpha: defaultValue(token).a ?? 1 }));
+  const lengthTokens = category => tokens
+    .filter(token => token.category === category && typeof defaultValue(token) === 'number')
+    .map(token => ({ name: token.key, value: defaultValue(token) }));
+  const spacingTokens = lengthTokens('spacing');
+  const radiusTokens = lengthTokens('borderRadius');
+
+  const arbitrary = [];
+
+  function boundToken(alias, category) {
+    const token = alias && alias.type === 'VARIABLE_ALIAS' ? byId.get(alias.id) : null;
+    return token && token.category === category ? token : null;
+  }
+
+  function record(node, property, value, className, suggestion) {
+    arbitrary.push({
+      nodeId: node?.id,
+      nodeName: node?.name,
+      property,
+      value,
+      className,
+      nearest: suggestion ? { className: suggestion.className, distance: Number(suggestion.distance.toFixed(3)) } : undefined
+    });
+    return className;
+  }
+
+  return {
+    arbitrary,
+
+    /**
+     * Class for a SOLID paint, e.g. color('bg', fill, node, 'fills').
+     */
+    color(prefix, paint, node, property) {
+      const { r, g, b } = paint.color;
+      const alpha = (paint.opacity ?? 1) * (paint.color.a ?? 1);
+
+      const bound = boundToken(paint.boundVariables?.color, 'colors');
+      if (bound) {
+        return `${prefix}-${bound.key}${alpha < 1 && (defaultValue(bound)?.a ?? 1) === 1 ? alphaModifier(alpha) : ''}`;
+      }
+
+      const lab = rgbToOklab({ r, g, b });
+
+      // Translucent tokens only match the same alpha; opaque ones take a modifier
+      const token = nearest(
+        colorTokens.filter(candidate => candidate.alpha === 1 || Math.abs(candidate.alpha - alpha) < 0.01),
+        candidate => colorDistance(candidate.lab, lab)
+      );
+      if (token && token.distance <= limits.color) {
+        return `${prefix}-${token.name}${alpha < 1 && token.alpha === 1 ? alphaModifier(alpha) : ''}`;
+      }
+
+      const shade = nearest(palette, candidate => colorDistance(candidate.lab, lab));
+      if (shade && shade.distance <= limits.color) {
+        return `${prefix}-${shade.name}${alpha < 1 ? alphaModifier(alpha) : ''}`;
+      }
+
+      const rgb = `${Math.round(r * 255)} ${Math.round(g * 255)} ${Math.round(b * 255)}`;
+      const className = alpha < 1 ? `${prefix}-[rgb(${rgb}/${Number(alpha.toFixed(2))})]` : `${prefix}-[rgb(${rgb})]`;
+      const suggestion = token && (!shade || token.distance <= shade.distance) ? token : shade;
+      return record(node, property, `rgb(${rgb}${alpha < 1 ? ` / ${Number(alpha.toFixed(2))}` : ''})`, className,
+        suggestion && { className: `${prefix}-${suggestion.name}`, distance: suggestion.distance });
+    },
+
+    /**
+     * Class for a spacing length in px, e.g. spacing('gap', 16, node, 'itemSpacing').
+     */
+    spacing(prefix, value, node, property) {
+      const bound = boundToken(node?.boundVariables?.[property], 'spacing');
+      if (bound) return `${prefix}-${bound.key}`;
+
+      const token = nearest(spacingTokens, candidate => Math.abs(candidate.value - value));
+      if (token && token.distance <= limits.spacing) return `${prefix}-${token.name}`;
+
+      const steps = Object.entries(SPACING_SCALE).map(([px, name]) => ({ name, value: Number(px) }));
+      const step = value >= 0 ? nearest(steps, candidate => Math.abs(candidate.value - value)) : null;
+      if (step && step.distance <= limits.spacing) return `${prefix}-${step.name}`;
+
+      const suggestion = token && (!step || token.distance <= step.distance) ? token : step;
+      return record(node, property, `${formatPx(value)}px`, `${prefix}-[${formatPx(value)}px]`,
+        suggestion && { className: `${prefix}-${suggestion.name}`, distance: suggestion.distance });
+    },
+
+    /**
+     * Class for a uniform corner radius in px.
+     */
+    radius(value, node, property = 'cornerRadius') {
+      const bound = boundToken(node?.boundVariables?.[property] || node?.boundVariables?.topLeftRadius, 'borderRadius');
+      if (bound) return `rounded-${bound.key}`;
+
+      const token = nearest(radiusTokens, candidate => Math.abs(candidate.value - value));
+      if (token && token.distance <= limits.radius) return `rounded-${token.name}`;
+
+      if (value >= 9999) return RADIUS_SCALE[9999];
+      const steps = Object.entries(RADIUS_SCALE).map(([px, name]) => ({ className: name, value: Number(px) }));
+      const step = nearest(steps, candidate => Math.abs(candidate.value - value));
+      if (step && step.distance <= limits.radius) return step.className;
+
+      const suggestion = token && (!step || token.distance <= step.distance)
+        ? { className: `rounded-${token.name}`, distance: token.distance }
+        : step;
+      return record(node, property, `${formatPx(value)}px`, `rounded-[${formatPx(value)}px]`, suggestion);
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { createTokenMatcher } from './token-matcher.js';
+
+describe('radius', () => {
+  // Tailwind v4 names, --radius-* in tailwindcss/theme.css
+  it.each([
+    [0, 'rounded-none'],
+    [2, 'rounded-xs'],
+    [4, 'rounded-sm'],
+    [6, 'rounded-md'],
+    [8, 'rounded-lg'],
+    [12, 'rounded-xl'],
+    [16, 'rounded-2xl'],
+    [24, 'rounded-3xl'],
+    [32, 'rounded-4xl'],
+    [9999, 'rounded-full'],
+    [12000, 'rounded-full']
+  ])('maps %ipx to %s', (value, className) => {
+    const matcher = createTokenMatcher();
+    expect(matcher.radius(value)).toBe(className);
+    expect(matcher.arbitrary).toEqual([]);
+  });
+
+  it('snaps to the nearest step within the tolerance', () => {
+    expect(createTokenMatcher().radius(5)).toBe('rounded-sm');
+    expect(createTokenMatcher({ tolerance: { radius: 0 } }).radius(5)).toBe('rounded-[5px]');
+  });
+
+  it('records an off-scale radius with the nearest step', () => {
+    const matcher = createTokenMatcher();
+    expect(matcher.radius(20, { id: '1:2', name: 'Card' })).toBe('rounded-[20px]');
+    expect(matcher.arbitrary).toEqual([
+      { nodeId: '1:2', nodeName: 'Card', property: 'cornerRadius', value: '20px', className: 'rounded-[20px]', nearest: { className: 'rounded-2xl', distance: 4 } }
+    ]);
+  });
+
+  it('prefers a design token to the scale', () => {
+    const tokens = [{ id: 'VariableID:2:1', key: 'card', category: 'borderRadius', defaultMode: 'base', modes: { base: { value: 4 } } }];
+    expect(createTokenMatcher({ tokens }).radius(4)).toBe('rounded-card');
+  });
+});
@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { loadFixtures, toApiNode } from './lib/mock-fixtures.js';
+
+/**
+ * Local stand-in for api.figma.com, serving the fixtures from src/files plus
+ * the component and prototype pages in src/scripts/fixtures.
+ *
+ *   npm run figma -- mock --port 4010
+ *   FIGMA_API_BASE_URL=http://localhost:4010 FIGMA_TOKEN=mock npm run figma -- structure --node 5584:558165
+ *
+ * Implements the endpoints the scripts use: /v1/files/:key, /nodes,
+ * /versions, /variables/local, /v1/files/:key/images and /v1/images/:key. Rendered
+ * images are served from the same server, so download code can run end to
+ * end. Any non-empty X-FIGMA-TOKEN is accepted unless a token is configured.
+ */
+
+// 1x1 transparent PNG
+const PNG_PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function parseDepth(searchParams) {
+  const depth = Number(searchParams.get('depth'));
+  return Number.isInteger(depth) && depth > 0 ? depth : Infinity;
+}
+
+function parseIds(searchParams) {
+  return (searchParams.get('ids') || '').split(',').filter(Boolean);
+}
+
+function renderImage(format, id) {
+  if (format === 'svg') {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1" data-node-id="${id}"><rect width="1" height="1"/></svg>`;
+  }
+  if (format === 'pdf') {
+    return `%PDF-1.4\n% mock render of ${id}\n%%EOF\n`;
+  }
+  return PNG_PIXEL;
+}
+
+/**
+ * Create a mock server. Call listen() to start it; `url` is set once it is
+ * listening.
+ *
+ * @param {object} [options]
+ * @param {object} [options.fixtures] - result of loadFixtures(), loaded on demand by default
+ * @param {string} [options.token] - token to require; any non-empty token when omitted
+ */
+export function createMockFigmaServer({ fixtures, token } = {}) {
+  const data = fixtures || loadFixtures();
+  const requests = [];
+  const faults = [];
+
+  const mock = {
+    url: null,
+    requests,
+    fixtures: data,
+
+    /**
+     * Fail the next `times` requests whose path matches `path` with `status`,
+     * e.g. { path: /\/nodes$/, status: 429, retryAfter: 0 } to exercise retries.
+     */
+    queueFault({ path = /.*/, status, times = 1, retryAfter, body }) {
+      faults.push({ path, status, remaining: times, retryAfter, body });
+    },
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          mock.url = `http://${host}:${address.port}`;
+          resolve(mock);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  function fileHeader() {
+    return {
+      name: data.name,
+      lastModified: data.lastModified,
+      thumbnailUrl: data.thumbnailUrl,
+      version: data.version,
+      role: 'viewer',
+      editorType: 'figma'
+    };
+  }
+
+  function componentsIn(root) {
+    const components = {};
+    const componentSets = {};
+    const collect = (node) => {
+      if (node.type === 'COMPONENT') {
+        components[node.id] = { key: node.id, name: node.name, description: '' };
+      } else if (node.type === 'COMPONENT_SET') {
+        componentSets[node.id] = { key: node.id, name: node.name, description: '' };
+      }
+      (node.children || []).forEach(collect);
+    };
+    collect(root);
+    return { components, componentSets, styles: {} };
+  }
+
+  const routes = [
+    [/^\/v1\/files\/([^/]+)$/, (searchParams) => {
+      const ids = parseIds(searchParams);
+      const depth = parseDepth(searchParams);
+      let document = toApiNode(data.document, depth);
+
+      // ids keeps only the listed nodes (and their ancestors)
+      if (ids.length > 0) {
+        const keep = (node) => {
+          if (ids.includes(node.id)) return node;
+          const children = (node.children || []).map(keep).filter(Boolean);
+          return children.length > 0 ? { ...node, children } : null;
+        };
+        document = keep(document) || { ...document, children: [] };
+      }
+
+      return { ...fileHeader(), document, ...componentsIn(document), schemaVersion: 0 };
+    }],
+
+    [/^\/v1\/files\/([^/]+)\/nodes$/, (searchParams) => {
+      const depth = parseDepth(searchParams);
+      const nodes = {};
+      parseIds(searchParams).forEach((id) => {
+        const node = data.nodesById.get(id);
+        nodes[id] = node ? { document: toApiNode(node, depth), ...componentsIn(node), schemaVersion: 0 } : null;
+      });
+      return { ...fileHeader(), nodes };
+    }],
+
+    [/^\/v1\/files\/([^/]+)\/images$/, () => {
+      const images = {};
+      data.imageRefs.forEach((ref) => {
+        images[ref] = `${mock.url}/__images/fills/${ref}.png`;
+      });
+      return { error: false, status: 200, meta: { images } };
+    }],
+
+    // Only the fixture's own version exists; ?version= is accepted and ignored
+    [/^\/v1\/files\/([^/]+)\/versions$/, () => ({
+      versions: [{
+        id: data.version,
+        created_at: data.lastModified,
+        label: null,
+        description: null,
+        user: { handle: 'mock', img_url: '' }
+      }],
+      pagination: {}
+    })],
+
+    [/^\/v1\/files\/([^/]+)\/variables\/local$/, () => (
+      { status: 200, error: false, meta: data.variables }
+    )],
+
+    [/^\/v1\/images\/([^/]+)$/, (searchParams) => {
+      const format = searchParams.get('format') || 'png';
+      if (!IMAGE_TYPES[format]) {
+        return { status: 400, err: `Invalid format: ${format}` };
+      }
+
+      const images = {};
+      parseIds(searchParams).forEach((id) => {
+        images[id] = data.nodesById.has(id)
+          ? `${mock.url}/__images/render/${encodeURIComponent(id)}.${format}`
+          : null;
+      });
+      return { err: null, images };
+    }]
+  ];
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, url: req.url, pathname, headers: req.headers });
+
+    const fault = faults.find(entry => entry.remaining > 0 && entry.path.test(pathname));
+    if (fault) {
+      fault.remaining--;
+      if (fault.retryAfter !== undefined) res.setHeader('Retry-After', String(fault.retryAfter));
+      return sendJson(res, fault.status, fault.body || { status: fault.status, err: `Mock fault ${fault.status}` });
+    }
+
+    // Rendered images and image fills; no token needed, like the S3 URLs
+    const image = pathname.match(/^\/__images\/(render|fills)\/(.+)\.(\w+)$/);
+    if (image) {
+      const [, , id, format] = image;
+      const body = Buffer.from(renderImage(format, decodeURIComponent(id)));
+      const type = IMAGE_TYPES[format] || 'application/octet-stream';
+
+      // Range requests let resumable downloads be exercised; If-Range with another ETag gets the whole image
+      const etag = `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 16)}"`;
+      res.setHeader('ETag', etag);
+      const ifRange = req.headers['if-range'];
+      const range = (!ifRange || ifRange === etag) && (req.headers.range || '').match(/^bytes=(\d+)-$/);
+      if (range) {
+        const start = Number(range[1]);
+        if (start >= body.length) {
+          res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+          return res.end();
+        }
+        res.writeHead(206, { 'Content-Type': type, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` });
+        return res.end(body.subarray(start));
+      }
+
+      res.writeHead(200, { 'Content-Type': type });
+      return res.end(body);
+    }
+
+    const providedToken = req.headers['x-figma-token'];
+    if (!providedToken || (token && providedToken !== token)) {
+      return sendJson(res, 403, { status: 403, err: 'Invalid token' });
+    }
+
+    const route = routes.find(([pattern]) => pattern.test(pathname));
+    if (!route) {
+      return sendJson(res, 404, { status: 404, err: 'Not found' });
+    }
+
+    const [pattern, handler] = route;
+    const [, fileKey] = pathname.match(pattern);
+    if (fileKey !== data.fileKey) {
+      return sendJson(res, 404, { status: 404, err: 'Not found' });
+    }
+
+    const body = handler(searchParams);
+    return sendJson(res, body.status >= 400 ? body.status : 200, body);
+  });
+
+  return mock;
+}
+
+/**
+ * Start the mock server and keep it running until the process is stopped.
+ */
+export async function startMockFigmaServer({ port = 4010, token } = {}) {
+  const mock = createMockFigmaServer({ token });
+  await mock.listen(port);
+
+  console.log(`🧪 Mock Figma API listening on ${mock.url}`);
+  console.log(`📄 Serving "${mock.fixtures.name}" (file key ${mock.fixtures.fileKey}, ${mock.fixtures.nodesById.size} nodes)`);
+  console.log(`💡 Point the scripts at it with FIGMA_API_BASE_URL=${mock.url} FIGMA_TOKEN=mock`);
+
+  return mock;
+}
+
+// Run directly: node src/scripts/mock-figma-server.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startMockFigmaServer({ port: Number(process.argv[2]) || undefined }).catch((error) => {
+    console.error('❌ Could not start mock server:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,186 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { EXIT_CODES } from './figma.js';
+import { createMockFigmaServer } from './mock-figma-server.js';
+
+const CLI = fileURLToPath(new URL('./figma.js', import.meta.url));
+
+// The scripts create their client when imported, so each run is its own process
+function figma(mock, args, overrides = {}) {
+  return new Promise((resolve) => {
+    const env = {
+      ...process.env,
+      FIGMA_API_BASE_URL: mock.url,
+      FIGMA_TOKEN: 'mock',
+      FIGMA_FILE_ID: mock.fixtures.fileKey,
+      FIGMA_CACHE: 'off',
+      FIGMA_OFFLINE: '',
+      FIGMA_VARIABLES_FILE_KEY: '',
+      ...overrides
+    };
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : EXIT_CODES.OK, stdout, stderr });
+    });
+  });
+}
+
+describe('figma CLI against the mock server', { timeout: 30000 }, () => {
+  let mock;
+  let outDir;
+
+  beforeAll(async () => {
+    mock = await createMockFigmaServer().listen();
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figma-e2e-'));
+  });
+
+  afterEach(() => {
+    mock.requests.length = 0;
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  const readOut = file => JSON.parse(fs.readFileSync(path.join(outDir, file), 'utf8'));
+
+  it('extracts a node structure', async () => {
+    const { code } = await figma(mock, ['structure', '--node', '5584:558165', '--out', path.join(outDir, 'structure.json')]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    const { structure } = readOut('structure.json');
+    expect(structure).toMatchObject({ id: '5584:558165', name: '2.0 Subject to learn-he', type: 'FRAME' });
+    expect(structure.children).toHaveLength(4);
+  });
+
+  it('syncs image fills and icons into the assets directory', async () => {
+    const assetsDir = path.join(outDir, 'assets');
+    const { code } = await figma(mock, ['assets', '--node', '5584:558165', '--out', assetsDir]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    const manifest = JSON.parse(fs.readFileSync(path.join(assetsDir, 'assets-manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ fileKey: mock.fixtures.fileKey, figmaVersion: expect.any(String) });
+    expect(manifest.assets.filter(entry => entry.kind === 'image-fill')).toHaveLength(2);
+    expect(manifest.assets.filter(entry => entry.format === 'svg').map(entry => entry.filename).sort()).toEqual([
+      'arrow-right.svg',
+      'icons-2.svg',
+      'icons-3.svg',
+      'icons.svg'
+    ]);
+    manifest.assets.forEach((entry) => {
+      expect(entry.status).toBe('downloaded');
+      const file = fs.readFileSync(path.join(assetsDir, entry.filename));
+      expect(crypto.createHash('sha256').update(file).digest('hex')).toBe(entry.sha256);
+      if (entry.format === 'svg') expect(file.toString('utf8')).toMatch(/^<svg/);
+    });
+    // Only the manifest and the files it names; no partial downloads left behind
+    expect(fs.readdirSync(assetsDir).sort()).toEqual([...new Set(['assets-manifest.json', ...manifest.assets.map(entry => entry.filename)])].sort());
+
+    // Nothing changed in the design, so a second sync downloads nothing
+    mock.requests.length = 0;
+    const again = await figma(mock, ['assets', '--node', '5584:558165', '--out', assetsDir]);
+
+    expect(again.code).toBe(EXIT_CODES.OK);
+    expect(mock.requests.filter(request => request.pathname.startsWith('/__images/'))).toEqual([]);
+  });
+
+  it('retries a rate-limited request after Retry-After', async () => {
+    mock.queueFault({ path: /\/nodes$/, status: 429, retryAfter: 0 });
+
+    const { code } = await figma(mock, ['structure', '--node', '5584:558165', '--dry-run']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(mock.requests.filter(request => request.pathname.endsWith('/nodes'))).toHaveLength(2);
+  });
+
+  it.each([
+    [403, EXIT_CODES.AUTH],
+    [404, EXIT_CODES.NOT_FOUND]
+  ])('exits with the code for a %i answer without retrying', async (status, exitCode) => {
+    mock.queueFault({ path: /\/nodes$/, status });
+
+    const { code } = await figma(mock, ['structure', '--node', '5584:558165', '--dry-run']);
+
+    expect(code).toBe(exitCode);
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  it('reads variables from the design file when no separate variables file is set', async () => {
+    const { code } = await figma(mock, ['tokens', '--out', path.join(outDir, 'figma-variables.json')]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(readOut('figma-variables.json').fileKey).toBe(mock.fixtures.fileKey);
+    expect(mock.requests.map(request => request.pathname)).toEqual([`/v1/files/${mock.fixtures.fileKey}/variables/local`]);
+  });
+
+  it('exits with a usage error when no file key is configured', async () => {
+    const { code, stderr } = await figma(mock, ['tokens', '--dry-run'], { FIGMA_FILE_ID: '' });
+
+    expect(code).toBe(EXIT_CODES.USAGE);
+    expect(stderr).toContain('FIGMA_VARIABLES_FILE_KEY or FIGMA_FILE_ID');
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  it.each(['structure', 'assets', 'diff', 'flow', 'audit', 'responsive', 'interactions', 'hierarchy'])(
+    'stops %s with a usage error before calling the API without a file key',
+    async (command) => {
+      const { code, stderr } = await figma(mock, [command, '--dry-run'], { FIGMA_FILE_ID: '' });
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('No file key: pass --file or set FIGMA_FILE_ID in .env');
+      expect(mock.requests).toHaveLength(0);
+    }
+  );
+
+  it('reports a hierarchy failure in one line with the exit code of the other commands', async () => {
+    mock.queueFault({ path: /\/nodes$/, status: 404 });
+
+    const { code, stderr } = await figma(mock, ['hierarchy', '--node', '5584:558165', '--dry-run']);
+
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(stderr.trim().split('\n')).toEqual([expect.stringMatching(/^❌ Error fetching node hierarchy: Figma resource not found/)]);
+  });
+
+  it('reports a rename failure in one line', async () => {
+    const { code, stderr } = await figma(mock, ['rename', '--out', path.join(outDir, 'no-assets')]);
+
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(stderr.trim().split('\n')).toEqual([expect.stringMatching(/^❌ Error renaming assets: ENOENT/)]);
+  });
+
+  it('derives interaction states from component set variants', async () => {
+    const { code } = await figma(mock, ['interactions', '--out', path.join(outDir, 'interaction-states.json')]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    const { components, byComponentId, recommendations } = readOut('interaction-states.json');
+    expect(Object.keys(components).sort()).toEqual(['Buttons/CTA/Primary', 'Chip']);
+    expect(components['Buttons/CTA/Primary'].states).toEqual(['default', 'hover', 'active', 'disabled']);
+    expect(components['Buttons/CTA/Primary'].variants[0].classes.root).toContain('disabled:opacity-[40%]');
+    expect(components.Chip.variants.map(variant => variant.key)).toEqual(['Size=Small', 'Size=Large']);
+    expect(byComponentId['9001:24']).toEqual({ component: 'Chip', variant: 'Size=Large' });
+    expect(recommendations).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'accessibility', component: 'Buttons/CTA/Primary' }),
+      expect.objectContaining({ type: 'suggestion', component: 'Tab' })
+    ]));
+  });
+
+  it('maps the prototype flow of a page', async () => {
+    const { code } = await figma(mock, ['flow', '--node', '9002:1', '--out', path.join(outDir, 'prototype-flow.json')]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    const flow = readOut('prototype-flow.json');
+    expect(flow.flows).toEqual([
+      expect.objectContaining({ name: 'Registration', screens: ['9002:10', '9002:20', '9002:30', '9002:40'] })
+    ]);
+    expect(flow.screens.find(screen => screen.id === '9002:40')).toMatchObject({ kind: 'overlay', openedFrom: '9002:20' });
+    expect(flow.edges.map(edge => edge.kind).sort()).toEqual(['back', 'close', 'navigate', 'navigate', 'navigate', 'overlay', 'url']);
+    expect(flow.edges.find(edge => edge.hotspot.name === 'Later').trigger).toEqual({ type: 'AFTER_TIMEOUT', timeoutMs: 5000 });
+    expect(flow.unreachable).toEqual(['9002:90']);
+    expect(fs.readFileSync(path.join(outDir, 'prototype-flow.mmd'), 'utf8')).toContain('flowchart');
+  });
+});
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readManifest, writeManifest } from './lib/asset-export.js';
+import { DEFAULT_DENSITIES, DEFAULT_FORMATS, OPTIMIZED_DIR, optimizeImage } from './lib/image-optimizer.js';
+import { toComponentName } from './generate-components.js';
+
+/**
+ * Optimization stage for exported assets: AVIF/WebP plus PNG/JPEG variants
+ * at 1x/2x/3x, intrinsic sizes and placeholders, all recorded under
+ * `optimized` in assets-manifest.json. Writes src/components/images with
+ * the image data and a <ResponsiveImage> component that serves them with
+ * srcset:
+ *
+ *   import ResponsiveImage from '../components/images/ResponsiveImage';
+ *   import { images } from '../components/images/images';
+ *   <ResponsiveImage image={images.heroIllustration} alt="" priority />
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_COMPONENTS_DIR = path.join(__dirname, '../components/images');
+
+const GENERATED_HEADER = '// Generated from assets-manifest.json by src/scripts/optimize-assets.js. Do not edit by hand.';
+const RASTER = /\.(png|jpe?g|webp|gif)$/i;
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+const RESPONSIVE_IMAGE_SOURCE = `${GENERATED_HEADER}
+import type { ImgHTMLAttributes } from 'react';
+
+export type ResponsiveImageData = {
+  width: number;
+  height: number;
+  /** Dominant color, shown until the image loads */
+  color: string;
+  blurhash: string;
+  /** Tiny PNG decoded from the blurhash */
+  preview: string;
+  sources: { type: string; srcSet: string }[];
+  src: string;
+  srcSet: string;
+};
+
+type ResponsiveImageProps = Omit<ImgHTMLAttributes<HTMLImageElement>, 'src' | 'srcSet' | 'width' | 'height'> & {
+  image: ResponsiveImageData;
+  alt: string;
+  /** Load right away, for images above the fold such as page heroes */
+  priority?: boolean;
+};
+
+export default function ResponsiveImage({ image, alt, priority = false, style, ...props }: ResponsiveImageProps) {
+  return (
+    <picture>
+      {image.sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} />
+      ))}
+      <img
+        src={image.src}
+        srcSet={image.srcSet}
+        width={image.width}
+        height={image.height}
+        alt={alt}
+        loading={priority ? 'eager' : 'lazy'}
+        decoding="async"
+        style={{ backgroundColor: image.color, backgroundImage: \`url(\${image.preview})\`, backgroundSize: 'cover', ...style }}
+        {...props}
+      />
+    </picture>
+  );
+}
+`;
+
+function isCurrent(entry, assetsDir) {
+  const optimized = entry.optimized;
+  if (!optimized || optimized.sourceSha256 !== entry.sha256) return false;
+  return optimized.variants.every(variant => fs.existsSync(path.join(assetsDir, OPTIMIZED_DIR, variant.filename)));
+}
+
+function srcSet(imports, variants) {
+  return variants.map(variant => `\${${imports.get(variant.filename)}} ${variant.density}x`).join(', ');
+}
+
+/**
+ * images.ts: one ResponsiveImageData per optimized asset, with every
+ * variant imported so Vite fingerprints it.
+ */
+export function renderImagesModule(entries, componentsDir, assetsDir) {
+  const imports = new Map();
+  const importLines = [];
+
+  entries.forEach(({ optimized }) => {
+    optimized.variants.forEach((variant) => {
+      const name = `${optimized.key}${toComponentName(variant.format)}${variant.density}x`;
+      const file = path.join(assetsDir, OPTIMIZED_DIR, variant.filename);
+      imports.set(variant.filename, name);
+      importLines.push(`import ${name} from '${path.relative(componentsDir, file).split(path.sep).join('/')}';`);
+    });
+  });
+
+  const images = entries.map(({ optimized }) => {
+    const byFormat = format => optimized.variants.filter(variant => variant.format === format);
+    const sources = Object.keys(MIME_TYPES)
+      .filter(format => byFormat(format).length > 0)
+      .map(format => `      { type: '${MIME_TYPES[format]}', srcSet: \`${srcSet(imports, byFormat(format))}\` }`);
+    const fallback = byFormat(optimized.fallback);
+
+    return [
+      `  ${optimized.key}: {`,
+      `    width: ${optimized.width},`,
+      `    height: ${optimized.height},`,
+      `    color: '${optimized.placeholder.color}',`,
+      `    blurhash: '${optimized.placeholder.blurhash}',`,
+      `    preview: '${optimized.placeholder.dataUrl}',`,
+      ...(sources.length > 0 ? ['    sources: [', sources.join(',\n'), '    ],'] : ['    sources: [],']),
+      `    src: ${imports.get(fallback[0].filename)},`,
+      `    srcSet: \`${srcSet(imports, fallback)}\``,
+      '  }'
+    ].join('\n');
+  });
+
+  return [
+    GENERATED_HEADER,
+    "import type { ResponsiveImageData } from './ResponsiveImage';",
+    ...importLines,
+    '',
+    'export const images = {',
+    images.join(',\n'),
+    '} satisfies Record<string, ResponsiveImageData>;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Optimize every downloaded raster asset in assets-manifest.json. Images
+ * whose source hash and variants are unchanged are skipped.
+ */
+export async function optimizeAssets({
+  assetsDir = DEFAULT_ASSETS_DIR,
+  componentsDir = DEFAULT_COMPONENTS_DIR,
+  densities = DEFAULT_DENSITIES,
+  formats = DEFAULT_FORMATS,
+  dryRun = false
+} = {}) {
+  try {
+    console.log(`🗜️  Optimizing images in ${assetsDir}...`);
+
+    const manifest = readManifest(assetsDir);
+    if (!manifest) {
+      throw new Error(`No assets-manifest.json in ${assetsDir} - run "npm run figma -- assets" first`);
+    }
+
+    const rasters = manifest.assets.filter(entry => entry.status === 'downloaded' && !entry.duplicateOf && RASTER.test(entry.filename || ''));
+    const pending = rasters.filter(entry => !isCurrent(entry, assetsDir));
+    console.log(`📸 ${rasters.length} raster images, ${pending.length} to optimize`);
+
+    if (dryRun) {
+      console.log(`📝 Dry run - not writing variants for ${pending.length} images`);
+      pending.forEach(entry => console.log(`   • ${entry.filename}`));
+      return { dryRun: true, pending };
+    }
+
+    // Keys name the images in images.ts; they stay fixed once assigned
+    const usedKeys = new Set(rasters.map(entry => entry.optimized?.key).filter(Boolean));
+    const keyFor = (entry) => {
+      if (entry.optimized?.key) return entry.optimized.key;
+      const pascal = toComponentName(entry.nodeName, 'Image');
+      const base = pascal[0].toLowerCase() + pascal.slice(1);
+      let key = base;
+      for (let suffix = 2; usedKeys.has(key); suffix++) key = `${base}${suffix}`;
+      usedKeys.add(key);
+      return key;
+    };
+
+    for (const entry of pending) {
+      const name = path.basename(entry.filename, path.extname(entry.filename));
+      const result = await optimizeImage(path.join(assetsDir, entry.filename), {
+        outDir: path.join(assetsDir, OPTIMIZED_DIR),
+        name,
+        box: entry.box,
+        scale: entry.scale,
+        densities,
+        formats
+      });
+
+      entry.optimized = {
+        key: keyFor(entry),
+        sourceSha256: entry.sha256,
+        ...result,
+        optimizedAt: new Date().toISOString()
+      };
+      writeManifest(assetsDir, manifest);
+
+      const bytes = result.variants.reduce((total, variant) => total + variant.bytes, 0);
+      console.log(`✓ ${entry.filename} → ${result.variants.length} variants (${result.width}×${result.height}, ${(bytes / 1024).toFixed(1)} KB)`);
+    }
+
+    const optimized = rasters.filter(entry => entry.optimized);
+    if (optimized.length > 0) {
+      fs.mkdirSync(componentsDir, { recursive: true });
+      fs.writeFileSync(path.join(componentsDir, 'ResponsiveImage.tsx'), RESPONSIVE_IMAGE_SOURCE);
+      fs.writeFileSync(path.join(componentsDir, 'images.ts'), renderImagesModule(optimized, componentsDir, assetsDir));
+      console.log(`⚛️  ${optimized.length} images available from ${path.join(componentsDir, 'images.ts')}`);
+    }
+
+    console.log(`✅ Optimized ${pending.length} images`);
+    return manifest;
+  } catch (error) {
+    console.error('❌ Error optimizing assets:', error.message);
+    throw error;
+  }
+}
+
+// Run directly: node src/scripts/optimize-assets.js [assetsDir]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  optimizeAssets(process.argv[2] ? { assetsDir: path.resolve(process.argv[2]) } : {}).catch(() => {
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,84 @@
+import type { Draft, StepProps, WizardField } from "./types";
+
+function fieldId(name: string): string {
+  return `field-${name}`;
+}
+
+interface FieldProps<TDraft extends Draft> extends Omit<StepProps<TDraft>, "step"> {
+  field: WizardField<TDraft>;
+}
+
+function Field<TDraft extends Draft>({ field, draft, errors, onChange }: FieldProps<TDraft>) {
+  const id = fieldId(field.name);
+  const error = errors[field.name];
+  const describedBy = [field.hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(" ") || undefined;
+  const value = draft[field.name];
+  const common = {
+    id,
+    name: field.name,
+    required: field.required,
+    "aria-invalid": error ? true : undefined,
+    "aria-describedby": describedBy,
+  };
+  const set = (next: string | boolean) => onChange({ [field.name]: next } as Partial<TDraft>);
+
+  let control;
+  if (field.type === "checkbox") {
+    control = <input {...common} type="checkbox" checked={value === true} onChange={(event) => set(event.target.checked)} />;
+  } else if (field.type === "select") {
+    control = (
+      <select {...common} className="rounded border p-2" value={String(value ?? "")} onChange={(event) => set(event.target.value)}>
+        <option value="">בחירה</option>
+        {field.options?.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+  } else {
+    control = (
+      <input
+        {...common}
+        className="rounded border p-2"
+        type={field.type ?? "text"}
+        autoComplete={field.autoComplete}
+        value={String(value ?? "")}
+        onChange={(event) => set(event.target.value)}
+      />
+    );
+  }
+
+  return (
+    <div className={field.type === "checkbox" ? "flex flex-row-reverse items-center justify-end gap-2" : "flex flex-col gap-1"}>
+      <label htmlFor={id}>
+        {field.label}
+        {field.required && <span aria-hidden="true"> *</span>}
+      </label>
+      {control}
+      {field.hint && (
+        <p id={`${id}-hint`} className="text-sm">
+          {field.hint}
+        </p>
+      )}
+      {error && (
+        <p id={`${id}-error`} className="text-sm text-red-700">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The step's fields as labelled controls, with hints and errors tied to
+ * them for screen readers. Custom step components render this for the
+ * plain part of their form.
+ */
+export function StepFields<TDraft extends Draft>({ step, ...props }: StepProps<TDraft>) {
+  return (
+    <div className="flex flex-col gap-4">
+      {step.fields?.map((field) => <Field key={field.name} field={field} {...props} />)}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useEffect, useRef, useState } from "react";
+import { Navigate, useNavigate, useParams } from "react-router-dom";
+import { ProgressSteps, type ProgressItem } from "../components/ProgressSteps";
+import { StepFields } from "./StepFields";
+import type { Draft, WizardStep } from "./types";
+import { usePersistentDraft } from "./usePersistentDraft";
+import { hasErrors, validateStep } from "./validation";
+
+interface WizardProps<TDraft extends Draft> {
+  steps: WizardStep<TDraft>[];
+  initialDraft: TDraft;
+  /** localStorage key of the saved draft */
+  storageKey: string;
+  /** Route the wizard is mounted at; each step lives at `${basePath}/${step.path}` */
+  basePath: string;
+}
+
+function progressItems<TDraft extends Draft>(steps: WizardStep<TDraft>[], done: boolean[], current: number, reachable: number, basePath: string): ProgressItem[] {
+  const items: (ProgressItem & { first: number; last: number })[] = [];
+  steps.forEach((step, index) => {
+    const previous = items[items.length - 1];
+    if (previous?.label === step.stage) {
+      previous.last = index;
+    } else {
+      items.push({ key: step.id, label: step.stage, status: "locked", to: `${basePath}/${step.path}`, first: index, last: index });
+    }
+  });
+  return items.map(({ first, last, ...item }) => {
+    let status = item.status;
+    if (current >= first && current <= last) status = "current";
+    else if (done.slice(first, last + 1).every(Boolean)) status = "completed";
+    else if (first <= reachable) status = "available";
+    return { ...item, status };
+  });
+}
+
+/**
+ * Multi-step form driven by a step list. Each step has its own URL; a step
+ * can be opened once every step before it has been passed with "next" and
+ * is still valid, so deep links to later steps land on the first one left
+ * to do. Answers are saved as a draft while the applicant types.
+ */
+export function Wizard<TDraft extends Draft>({ steps, initialDraft, storageKey, basePath }: WizardProps<TDraft>) {
+  const { stepPath } = useParams();
+  const navigate = useNavigate();
+  const { values, completed, update, complete } = usePersistentDraft(storageKey, initialDraft);
+  // The step whose errors are shown: errors appear after a failed "next", not while typing into a fresh step
+  const [showErrorsFor, setShowErrorsFor] = useState<string>();
+  const [completing, setCompleting] = useState(false);
+  const [failedStep, setFailedStep] = useState<string>();
+  const headingRef = useRef<HTMLHeadingElement>(null);
+
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, [stepPath]);
+
+  const done = steps.map((step) => completed.includes(step.id) && !hasErrors(validateStep(step, values)));
+  const firstOpen = done.indexOf(false);
+  const reachable = firstOpen === -1 ? steps.length - 1 : firstOpen;
+  const index = steps.findIndex((step) => step.path === stepPath);
+
+  if (index === -1 || index > reachable) {
+    return <Navigate to={`${basePath}/${steps[reachable].path}`} replace />;
+  }
+
+  const step = steps[index];
+  const errors = showErrorsFor === step.id ? validateStep(step, values) : {};
+  const isLast = index === steps.length - 1;
+  const Body = step.component ?? StepFields;
+
+  function goTo(target: number) {
+    setShowErrorsFor(undefined);
+    setFailedStep(undefined);
+    navigate(`${basePath}/${steps[target].path}`);
+  }
+
+  async function next() {
+    const found = validateStep(step, values);
+    if (hasErrors(found)) {
+      setShowErrorsFor(step.id);
+      const firstInvalid = Object.keys(found)[0];
+      document.querySelector<HTMLElement>(`[name="${firstInvalid}"]`)?.focus();
+      return;
+    }
+    if (step.onComplete) {
+      setCompleting(true);
+      setFailedStep(undefined);
+      try {
+        const changes = await step.onComplete(values);
+        if (changes) update(changes);
+      } catch (error) {
+        console.error(`Step ${step.id} could not be completed`, error);
+        setFailedStep(step.id);
+        return;
+      } finally {
+        setCompleting(false);
+      }
+    }
+    complete(step.id);
+    goTo(index + 1);
+  }
+
+  return (
+    <main dir="rtl" className="flex flex-col gap-6 text-right">
+      <ProgressSteps items={progressItems(steps, done, index, reachable, basePath)} />
+      <form
+        noValidate
+        className="flex flex-col gap-6"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (!isLast && !completing) void next();
+        }}
+      >
+        <h1 ref={headingRef} tabIndex={-1}>
+          {step.title}
+        </h1>
+        <Body step={step} draft={values} errors={errors} onChange={update} />
+        {failedStep === step.id && (
+          <p role="alert" className="text-red-700">
+            {step.failureMessage ?? "משהו השתבש. נסו שוב בעוד מספר דקות."}
+          </p>
+        )}
+        <div className="flex justify-between gap-4">
+          {index > 0 && !isLast && (
+            <button type="button" disabled={completing} onClick={() => goTo(index - 1)}>
+              חזרה
+            </button>
+          )}
+          {!isLast && (
+            <button type="submit" disabled={completing} aria-busy={completing}>
+              {step.nextLabel ?? "המשך"}
+            </button>
+          )}
+        </div>
+      </form>
+    </main>
+  );
+}
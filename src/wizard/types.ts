@@ -0,0 +1,54 @@
+import type { ComponentType } from "react";
+
+export type DraftValue = string | boolean;
+
+export type Draft = Record<string, DraftValue>;
+
+export type StepErrors<TDraft extends Draft> = Partial<Record<keyof TDraft & string, string>>;
+
+export interface FieldOption {
+  value: string;
+  label: string;
+}
+
+export interface WizardField<TDraft extends Draft> {
+  name: keyof TDraft & string;
+  label: string;
+  type?: "text" | "email" | "tel" | "date" | "number" | "select" | "checkbox";
+  required?: boolean;
+  options?: FieldOption[];
+  autoComplete?: string;
+  hint?: string;
+  /** Returns an error message, or nothing when the value is fine */
+  validate?: (value: DraftValue, draft: TDraft) => string | undefined;
+}
+
+export interface StepProps<TDraft extends Draft> {
+  step: WizardStep<TDraft>;
+  draft: TDraft;
+  errors: StepErrors<TDraft>;
+  onChange: (changes: Partial<TDraft>) => void;
+}
+
+export interface WizardStep<TDraft extends Draft> {
+  /** Screen number in the designs, e.g. "2.1" */
+  id: string;
+  /** URL segment under the wizard's base path */
+  path: string;
+  title: string;
+  /** Entry in the progress header; consecutive steps with the same stage share it */
+  stage: string;
+  fields?: WizardField<TDraft>[];
+  /** Renders the step instead of the plain list of its fields */
+  component?: ComponentType<StepProps<TDraft>>;
+  /** Checks that involve more than one field */
+  validate?: (draft: TDraft) => StepErrors<TDraft>;
+  /**
+   * Runs after the step validates and before the next one opens, e.g. to
+   * save the draft. The changes it returns go into the draft; if it throws,
+   * the applicant stays on the step and sees `failureMessage`.
+   */
+  onComplete?: (draft: TDraft) => Promise<Partial<TDraft> | void>;
+  failureMessage?: string;
+  nextLabel?: string;
+}
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from "react";
+import type { Draft } from "./types";
+
+export interface DraftState<TDraft extends Draft> {
+  values: TDraft;
+  /** IDs of the steps the applicant has moved past */
+  completed: string[];
+  updatedAt?: string;
+}
+
+const USER_DRAFT_PREFIX = "draft";
+
+/**
+ * Storage key of a draft that belongs to one signed-in user, so the next
+ * person on a shared browser does not get it pre-filled.
+ */
+export function userDraftKey(storageKey: string, userId: string): string {
+  return `${USER_DRAFT_PREFIX}:${userId}:${storageKey}`;
+}
+
+/** Remove every draft saved for `userId`; called when they sign out */
+export function clearUserDrafts(userId: string) {
+  const prefix = `${USER_DRAFT_PREFIX}:${userId}:`;
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(prefix))
+    .forEach((key) => localStorage.removeItem(key));
+}
+
+function load<TDraft extends Draft>(storageKey: string, initial: TDraft): DraftState<TDraft> {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) ?? "null") as Partial<DraftState<TDraft>> | null;
+    if (stored?.values) {
+      // Fields added since the draft was saved start from their defaults
+      return { values: { ...initial, ...stored.values }, completed: stored.completed ?? [], updatedAt: stored.updatedAt };
+    }
+  } catch {
+    // A corrupt draft is dropped rather than blocking the form
+  }
+  return { values: initial, completed: [] };
+}
+
+/**
+ * Wizard answers kept in localStorage under `storageKey`, so an applicant
+ * who leaves half way resumes where they stopped. Change the key when the
+ * draft's shape changes incompatibly. The key is read once, so remount
+ * the component (give it a `key`) when it changes.
+ */
+export function usePersistentDraft<TDraft extends Draft>(storageKey: string, initial: TDraft) {
+  const [state, setState] = useState(() => load(storageKey, initial));
+
+  useEffect(() => {
+    localStorage.setItem(storageKey, JSON.stringify(state));
+  }, [storageKey, state]);
+
+  const update = useCallback((changes: Partial<TDraft>) => {
+    setState((current) => ({ ...current, values: { ...current.values, ...changes }, updatedAt: new Date().toISOString() }));
+  }, []);
+
+  const complete = useCallback((stepId: string) => {
+    setState((current) => (current.completed.includes(stepId) ? current : { ...current, completed: [...current.completed, stepId] }));
+  }, []);
+
+  const reset = useCallback(() => {
+    setState({ values: initial, completed: [] });
+  }, [initial]);
+
+  return { ...state, update, complete, reset };
+}
@@ -0,0 +1,29 @@
+import type { Draft, DraftValue, StepErrors, WizardStep } from "./types";
+
+const REQUIRED_MESSAGE = "שדה חובה";
+
+function isEmpty(value: DraftValue | undefined): boolean {
+  return value === undefined || value === false || (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * Errors of one step: required fields first, then each field's own rule,
+ * then the step's cross-field rule. Empty when the step can be left.
+ */
+export function validateStep<TDraft extends Draft>(step: WizardStep<TDraft>, draft: TDraft): StepErrors<TDraft> {
+  const errors: StepErrors<TDraft> = {};
+  (step.fields ?? []).forEach((field) => {
+    const value = draft[field.name];
+    if (isEmpty(value)) {
+      if (field.required) errors[field.name] = REQUIRED_MESSAGE;
+      return;
+    }
+    const message = field.validate?.(value, draft);
+    if (message) errors[field.name] = message;
+  });
+  return { ...step.validate?.(draft), ...errors };
+}
+
+export function hasErrors<TDraft extends Draft>(errors: StepErrors<TDraft>): boolean {
+  return Object.values(errors).some(Boolean);
+}
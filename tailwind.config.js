@@ -1,4 +1,10 @@
-/** @type {import('tailwindcss').Config} */
+import fs from 'fs';
+
+// Written by `npm run figma -- build-tokens`; the theme builds without it
+const tokensFile = new URL('./src/styles/tailwind-tokens.js', import.meta.url);
+const tokens = fs.existsSync(tokensFile) ? (await import(tokensFile.href)).default : {};
+
+/** @type {import('tailwindcss').Config} Loaded through @config in src/App.css */
 export default {
   content: [
     "./index.html",
@@ -6,11 +12,14 @@ export default {
   ],
   theme: {
     extend: {
+      // Design tokens from Figma variables (npm run figma -- build-tokens)
+      ...tokens,
       fontFamily: {
         'inter': ['Inter', 'sans-serif'],
         'roboto': ['Roboto', 'sans-serif'],
+        ...tokens.fontFamily,
       },
     },
   },
   plugins: [],
-}
\ No newline at end of file
+}